@@ -9,3 +9,11 @@ export const RECONNECT_JITTER_MS = 1000;         // Random jitter to prevent thu
 
 // Data freshness
 export const STALE_THRESHOLD_MS = 10000;         // 10 seconds without updates = stale
+
+// Time travel playback
+export const PLAYBACK_TICK_MS = 1000;            // How often playback advances the timeline
+export const PLAYBACK_SPEEDS = [1, 10, 60, 600]; // Seconds of history played per second
+export const TIME_TRAVEL_START_OFFSET_MS = 15 * 60 * 1000; // Entering history starts 15 minutes back
+
+// Operator actions
+export const SLING_CONFIRM_TIMEOUT_MS = 30000;   // A sling not seen on the agent's hook by then is rolled back
@@ -0,0 +1,72 @@
+/**
+ * Minimal JSON-patch applier for server state deltas
+ *
+ * Supports the add/remove/replace operations emitted by the server's
+ * state-sync module. Containers along each path are copied, so the
+ * previous state object is never mutated.
+ *
+ * Mirrors applyPatch in server/state-sync.js, which the server uses to
+ * replay history and mirror remote towns. server/state-sync.test.js runs
+ * both against the same fixtures; change them together.
+ */
+
+function parsePointer(path) {
+  if (path === '') return [];
+  return path.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function copyContainer(value, path) {
+  if (Array.isArray(value)) return value.slice();
+  if (value !== null && typeof value === 'object') return { ...value };
+  throw new Error(`Invalid patch path: ${path}`);
+}
+
+function applyOperation(root, { op, path, value }) {
+  const keys = parsePointer(path);
+  if (keys.length === 0) {
+    return op === 'remove' ? null : value;
+  }
+
+  const newRoot = copyContainer(root, path);
+  let parent = newRoot;
+  for (let i = 0; i < keys.length - 1; i++) {
+    const child = copyContainer(parent[keys[i]], path);
+    parent[keys[i]] = child;
+    parent = child;
+  }
+
+  const key = keys[keys.length - 1];
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : Number(key);
+    if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+      throw new Error(`Invalid patch path: ${path}`);
+    }
+    if (op === 'add') {
+      parent.splice(index, 0, value);
+    } else if (op === 'remove') {
+      parent.splice(index, 1);
+    } else {
+      parent[index] = value;
+    }
+  } else if (op === 'remove') {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+
+  return newRoot;
+}
+
+/**
+ * Apply patch operations to a document without mutating it
+ * @param {object} doc - Document to patch
+ * @param {Array<{op: string, path: string, value?: any}>} ops - Operations in order
+ * @returns {object} Patched document
+ */
+export function applyPatch(doc, ops) {
+  let result = doc;
+  for (const operation of ops) {
+    result = applyOperation(result, operation);
+  }
+  return result;
+}
@@ -0,0 +1,37 @@
+import { readable } from 'svelte/store';
+
+/**
+ * Hash router. `#/agents/<rig>/<role>/<name>` opens an agent's page; any
+ * other hash shows the dashboard. Hash routes need no server-side fallback
+ * and survive reloads and shared links.
+ */
+function parseHash(hash) {
+  const parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts[0] === 'agents' && parts.length === 4) {
+    return { page: 'agent', rig: parts[1], role: parts[2], name: parts[3] };
+  }
+  return { page: 'dashboard' };
+}
+
+export const route = readable(parseHash(window.location.hash), set => {
+  const update = () => set(parseHash(window.location.hash));
+  window.addEventListener('hashchange', update);
+  return () => window.removeEventListener('hashchange', update);
+});
+
+/**
+ * Link to an agent's page
+ * @param {string} rig - Rig key
+ * @param {{role: string, name: string}} agent - Agent
+ * @returns {string} Hash href
+ */
+export function agentHref(rig, agent) {
+  return `#/agents/${[rig, agent.role, agent.name].map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Go back to the dashboard
+ */
+export function showDashboard() {
+  window.location.hash = '';
+}
@@ -0,0 +1,67 @@
+import { writable } from 'svelte/store';
+import { SLING_CONFIRM_TIMEOUT_MS } from './constants.js';
+import { state, slingBead } from './websocket.js';
+import { toast } from './toast.js';
+
+/**
+ * Pending slings: beads dropped onto an agent whose hook hasn't picked them
+ * up yet, keyed "<rig>/<beadId>". Each shows optimistically until a hook
+ * poll puts the bead on the agent's hook, and is rolled back with a toast if
+ * gt refuses the sling or the hook doesn't change in time.
+ */
+function createSlingStore() {
+  const { subscribe, update } = writable({});
+  const timers = new Map();
+  let pending = {};
+
+  subscribe(value => { pending = value; });
+
+  function settle(key) {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    update(slings => {
+      const { [key]: _, ...rest } = slings;
+      return rest;
+    });
+  }
+
+  // A hook poll confirms a sling once the bead is on the agent's hook
+  state.subscribe($state => {
+    for (const [key, sling] of Object.entries(pending)) {
+      if ($state.hooks?.[sling.rig]?.[`${sling.role}/${sling.name}`]?.bead === sling.beadId) {
+        settle(key);
+      }
+    }
+  });
+
+  return {
+    subscribe,
+
+    /**
+     * Sling a bead onto an agent's hook, showing it as pending meanwhile
+     * @param {string} rig - Rig key
+     * @param {string} beadId
+     * @param {{role: string, name: string}} agent
+     */
+    async sling(rig, beadId, agent) {
+      const key = `${rig}/${beadId}`;
+      if (pending[key]) return;
+      update(slings => ({ ...slings, [key]: { rig, beadId, role: agent.role, name: agent.name } }));
+
+      const result = await slingBead(rig, beadId, agent);
+      if (!result.ok) {
+        settle(key);
+        toast.show(`Sling of ${beadId} failed: ${result.error}`, 5000);
+        return;
+      }
+      if (!pending[key]) return;
+      timers.set(key, setTimeout(() => {
+        if (!pending[key]) return;
+        settle(key);
+        toast.show(`${beadId} never showed up on ${agent.name}'s hook`, 5000);
+      }, SLING_CONFIRM_TIMEOUT_MS));
+    }
+  };
+}
+
+export const slings = createSlingStore();
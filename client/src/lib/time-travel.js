@@ -0,0 +1,138 @@
+import { writable, get } from 'svelte/store';
+import { PLAYBACK_TICK_MS, TIME_TRAVEL_START_OFFSET_MS } from './constants.js';
+import { toast } from './toast.js';
+
+/**
+ * Time travel store: lets views render the town as it was at a past instant.
+ *
+ * While active, `state` holds rigs/agents/beads/hooks rebuilt by the server
+ * at `timestamp`. Seeks are coalesced so only one request is in flight and
+ * the latest requested instant always wins.
+ */
+function createTimeTravelStore() {
+  const store = writable({
+    active: false,
+    timestamp: null,
+    earliest: null,
+    latest: null,
+    playing: false,
+    speed: 60,
+    state: null,
+    loading: false,
+    error: null
+  });
+  const { subscribe, update } = store;
+
+  let playTimer = null;
+  let inFlight = false;
+  let pendingTimestamp = null;
+
+  async function fetchStateAt(timestamp) {
+    if (inFlight) {
+      pendingTimestamp = timestamp;
+      return;
+    }
+    inFlight = true;
+    update(s => ({ ...s, loading: true }));
+
+    try {
+      const response = await fetch(`/api/state/at?ts=${encodeURIComponent(new Date(timestamp).toISOString())}`);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || 'Failed to load historical state');
+      }
+      update(s => s.active ? { ...s, state: body.data, error: null } : s);
+    } catch (err) {
+      update(s => s.active ? { ...s, state: null, error: err.message } : s);
+    } finally {
+      inFlight = false;
+      update(s => ({ ...s, loading: false }));
+    }
+
+    if (pendingTimestamp !== null) {
+      const next = pendingTimestamp;
+      pendingTimestamp = null;
+      if (get(store).active) fetchStateAt(next);
+    }
+  }
+
+  function stopTimer() {
+    if (playTimer) {
+      clearInterval(playTimer);
+      playTimer = null;
+    }
+  }
+
+  function seek(timestamp) {
+    const { earliest } = get(store);
+    const latest = Date.now();
+    const clamped = Math.min(Math.max(timestamp, earliest ?? timestamp), latest);
+    update(s => ({ ...s, timestamp: clamped, latest }));
+    fetchStateAt(clamped);
+  }
+
+  function tick() {
+    const { timestamp, speed } = get(store);
+    const next = timestamp + speed * PLAYBACK_TICK_MS;
+    if (next >= Date.now()) {
+      pause();
+    }
+    seek(next);
+  }
+
+  function pause() {
+    stopTimer();
+    update(s => ({ ...s, playing: false }));
+  }
+
+  return {
+    subscribe,
+
+    /**
+     * Enter time travel, starting a little before now
+     */
+    async enter() {
+      let earliest = null;
+      try {
+        const response = await fetch('/api/state/range');
+        if (response.ok) {
+          const range = await response.json();
+          earliest = range.earliest ? new Date(range.earliest).getTime() : null;
+        }
+      } catch {}
+
+      if (earliest === null) {
+        toast.show('No state history recorded yet', 3000);
+        return;
+      }
+
+      update(s => ({ ...s, active: true, earliest, state: null, error: null }));
+      seek(Math.max(earliest, Date.now() - TIME_TRAVEL_START_OFFSET_MS));
+    },
+
+    /**
+     * Return to the live view
+     */
+    exit() {
+      stopTimer();
+      pendingTimestamp = null;
+      update(s => ({ ...s, active: false, playing: false, timestamp: null, state: null, error: null }));
+    },
+
+    seek,
+
+    play() {
+      if (playTimer) return;
+      update(s => ({ ...s, playing: true }));
+      playTimer = setInterval(tick, PLAYBACK_TICK_MS);
+    },
+
+    pause,
+
+    setSpeed(speed) {
+      update(s => ({ ...s, speed }));
+    }
+  };
+}
+
+export const timeTravel = createTimeTravelStore();
@@ -1,16 +1,19 @@
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
 import {
   INITIAL_RECONNECT_DELAY_MS,
   MAX_RECONNECT_DELAY_MS,
   RECONNECT_JITTER_MS,
   STALE_THRESHOLD_MS
 } from './constants.js';
+import { applyPatch } from './json-patch.js';
 
 export const state = writable({
+  towns: {},
   rigs: {},
   agents: {},
   beads: {},
   hooks: {},
+  sources: {},
   mail: [],
   errors: [],
   alerts: [],
@@ -60,6 +63,13 @@ let ws = null;
 let reconnectTimer = null;
 let reconnectAttempt = 0;
 let useFallback = false;
+// Version of the last state snapshot or patch applied
+let stateVersion = null;
+// Resume cursor: last broadcast sequence number seen, and the server run it belongs to
+let lastSeq = null;
+let serverEpoch = null;
+// Topics this client is subscribed to (null = everything)
+let subscribedTopics = null;
 
 // Exponential backoff configuration
 const BACKOFF_MULTIPLIER = 2;
@@ -70,6 +80,26 @@ function getReconnectDelay() {
   return delay + Math.random() * RECONNECT_JITTER_MS;
 }
 
+/**
+ * Add subscribed topics, and the resume cursor when we have state to resume
+ * from, to a WebSocket URL
+ * @param {string} url
+ * @returns {string}
+ */
+function withConnectParams(url) {
+  const params = new URLSearchParams();
+  if (subscribedTopics !== null) {
+    params.set('topics', subscribedTopics.join(','));
+  }
+  if (serverEpoch !== null && lastSeq !== null && stateVersion !== null) {
+    params.set('cursor', String(lastSeq));
+    params.set('epoch', serverEpoch);
+    params.set('version', String(stateVersion));
+  }
+  const query = params.toString();
+  return query ? `${url}?${query}` : url;
+}
+
 function getWebSocketUrls() {
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
   // Primary: connect through Vite proxy
@@ -94,7 +124,7 @@ export function connectWebSocket(onStatusChange) {
       url: wsUrl
     }));
 
-    ws = new WebSocket(wsUrl);
+    ws = new WebSocket(withConnectParams(wsUrl));
 
     ws.onopen = () => {
       console.log(`WebSocket connected to ${wsUrl}`);
@@ -117,8 +147,34 @@ export function connectWebSocket(onStatusChange) {
         const msg = JSON.parse(event.data);
         const now = Date.now();
 
-        if (msg.type === 'state') {
+        // Every broadcast carries a sequence number; remember it as our resume cursor
+        if (typeof msg.seq === 'number') {
+          lastSeq = msg.seq;
+        }
+
+        if (msg.type === 'session') {
+          const hadSession = serverEpoch !== null;
+          serverEpoch = msg.epoch;
+          if (msg.resumed) {
+            // Missed messages follow this one; the state we hold is still valid
+            console.log(`Session resumed, replaying ${msg.replayed} missed message(s)`);
+            connectionStatus.update(s => ({
+              ...s,
+              lastUpdateTime: now,
+              hasInitialData: true
+            }));
+          } else {
+            // Full state follows; anything missed while away is gone, so refetch what we can
+            stateVersion = null;
+            lastSeq = msg.head;
+            if (hadSession) {
+              console.log(`Session not resumable (${msg.reason}), doing full resync`);
+              fetchAlerts();
+            }
+          }
+        } else if (msg.type === 'state') {
           state.set(msg.data);
+          stateVersion = msg.version ?? null;
           // Sync errors store with state
           if (msg.data.errors) {
             errors.set(msg.data.errors);
@@ -132,35 +188,54 @@ export function connectWebSocket(onStatusChange) {
             lastUpdateTime: now,
             hasInitialData: true
           }));
+        } else if (msg.type === 'statePatch') {
+          // Incremental update; mail and errors in state arrive this way too
+          if (stateVersion === null) return;
+          const baseVersion = msg.prevVersion ?? msg.version - 1;
+          if (baseVersion !== stateVersion) {
+            console.warn(`State patch gap (have ${stateVersion}, patch is based on ${baseVersion}), requesting resync`);
+            stateVersion = null;
+            sendMessage({ type: 'resync' });
+            return;
+          }
+          let patched;
+          try {
+            patched = applyPatch(get(state), msg.ops);
+          } catch (err) {
+            console.warn('Failed to apply state patch, requesting resync:', err);
+            stateVersion = null;
+            sendMessage({ type: 'resync' });
+            return;
+          }
+          stateVersion = msg.version;
+          state.set(patched);
+          if (msg.ops.some(op => op.path.startsWith('/errors'))) {
+            errors.set(patched.errors || []);
+          }
+          // Subscription snapshots can carry keys that normally have their own messages
+          if (msg.ops.some(op => op.path === '/errorPatterns')) {
+            errorPatterns.set(patched.errorPatterns);
+          }
+          if (msg.ops.some(op => op.path === '/alerts')) {
+            alerts.set(patched.alerts || []);
+          }
+          connectionStatus.update(s => ({
+            ...s,
+            lastUpdateTime: now
+          }));
+        } else if (msg.type === 'subscribed') {
+          if (msg.rejected?.length) {
+            console.warn('Server rejected topics:', msg.rejected);
+          }
         } else if (msg.type === 'event') {
           events.update(e => [msg.event, ...e].slice(0, 100));
           connectionStatus.update(s => ({
             ...s,
             lastUpdateTime: now
           }));
-
-          // Also update mail in state if it's a mail event
-          if (msg.event.type === 'mail') {
-            state.update(s => ({
-              ...s,
-              mail: [msg.event, ...(s.mail || [])].slice(0, 50)
-            }));
-          }
-          // Update errors in state if it's an error event
-          if (msg.event.type === 'error') {
-            state.update(s => ({
-              ...s,
-              errors: [msg.event, ...(s.errors || [])].slice(0, 50)
-            }));
-            errors.update(e => [msg.event, ...e].slice(0, 50));
-          }
         } else if (msg.type === 'error') {
           // Direct error message from server
           errors.update(e => [msg.error, ...e].slice(0, 50));
-          state.update(s => ({
-            ...s,
-            errors: [msg.error, ...(s.errors || [])].slice(0, 50)
-          }));
           connectionStatus.update(s => ({
             ...s,
             lastUpdateTime: now
@@ -300,6 +375,9 @@ export function disconnect() {
   }
   reconnectAttempt = 0;
   useFallback = false;
+  stateVersion = null;
+  lastSeq = null;
+  serverEpoch = null;
   connectionStatus.set({
     connected: false,
     reconnecting: false,
@@ -350,6 +428,35 @@ function sendMessage(message) {
   }
 }
 
+/**
+ * Set the topics this client wants pushed (rig:<name>, agent:<rig>/<name>,
+ * metrics, alerts, replay, logs:<level>). Sends only the difference from the
+ * current subscription. Changing topics while disconnected forces a full
+ * resync on reconnect, since the server can't know what we missed.
+ * @param {string[]} topics
+ */
+export function setSubscriptions(topics) {
+  const next = [...new Set(topics)];
+  if (subscribedTopics !== null &&
+      next.length === subscribedTopics.length &&
+      next.every(t => subscribedTopics.includes(t))) {
+    return;
+  }
+  const connected = ws && ws.readyState === 1;
+
+  if (!connected) {
+    if (subscribedTopics !== null) stateVersion = null;
+  } else if (subscribedTopics === null) {
+    sendMessage({ type: 'subscribe', topics: next });
+  } else {
+    const added = next.filter(t => !subscribedTopics.includes(t));
+    const removed = subscribedTopics.filter(t => !next.includes(t));
+    if (removed.length) sendMessage({ type: 'unsubscribe', topics: removed });
+    if (added.length) sendMessage({ type: 'subscribe', topics: added });
+  }
+  subscribedTopics = next;
+}
+
 /**
  * Update what the current user is viewing
  * @param {object} view - { rig, agent, tab }
@@ -365,3 +472,95 @@ export function updateUserView(view) {
 export function setUsername(username) {
   sendMessage({ type: 'setUsername', username });
 }
+
+/**
+ * @typedef {{ok: boolean, status: number|null, error: string|null, data: object|null}} ActionResponse
+ */
+
+/**
+ * Send an operator action. The session ID lets the server name the operator
+ * in the audit trail.
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {object} body
+ * @returns {Promise<ActionResponse>}
+ */
+async function requestAction(method, path, body) {
+  try {
+    const response = await fetch(path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Gtviz-Session': get(presence).sessionId || ''
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    return { ok: response.ok, status: response.status, error: data.error || null, data };
+  } catch (err) {
+    return { ok: false, status: null, error: err.message, data: null };
+  }
+}
+
+/**
+ * Run an operator action on an agent: nudge it, or stop or restart its
+ * session
+ * @param {string} rig - Rig key
+ * @param {{role: string, name: string}} agent
+ * @param {'nudge'|'stop'|'restart'} action
+ * @param {string} [message] - Nudge message
+ * @returns {Promise<ActionResponse>}
+ */
+export function runAgentAction(rig, agent, action, message) {
+  const path = [rig, agent.role, agent.name, action].map(encodeURIComponent).join('/');
+  return requestAction('POST', `/api/agents/${path}`, { message });
+}
+
+/**
+ * Sling a bead onto an agent's hook
+ * @param {string} rig - Rig key
+ * @param {string} beadId
+ * @param {{role: string, name: string}} agent
+ * @returns {Promise<ActionResponse>}
+ */
+export function slingBead(rig, beadId, agent) {
+  return requestAction('POST', `/api/beads/${encodeURIComponent(rig)}/${encodeURIComponent(beadId)}/sling`, {
+    role: agent.role,
+    name: agent.name
+  });
+}
+
+/**
+ * Send mail to an agent through gt
+ * @param {{rig: string, to: string, from: string, subject: string, body: string}} mail
+ * @returns {Promise<ActionResponse>}
+ */
+export function sendMail(mail) {
+  return requestAction('POST', '/api/mail', mail);
+}
+
+/**
+ * Create a bead in a rig
+ * @param {string} rig - Rig key
+ * @param {{title: string, type?: string, priority?: string, description?: string}} fields
+ * @returns {Promise<ActionResponse>} data.id is the new bead
+ */
+export function createBead(rig, fields) {
+  return requestAction('POST', `/api/beads/${encodeURIComponent(rig)}`, fields);
+}
+
+/**
+ * Edit a bead. With expectedUpdatedAt, the server answers 409 and the
+ * current bead instead of overwriting a newer version.
+ * @param {string} rig - Rig key
+ * @param {string} beadId
+ * @param {object} changes - status, priority, assignee, labels, dependsOn
+ * @param {string|null} [expectedUpdatedAt] - updatedAt the bead was loaded with
+ * @returns {Promise<ActionResponse>} data.bead is bd's version
+ */
+export function updateBead(rig, beadId, changes, expectedUpdatedAt = null) {
+  return requestAction('PATCH', `/api/beads/${encodeURIComponent(rig)}/${encodeURIComponent(beadId)}`, {
+    ...changes,
+    ...(expectedUpdatedAt ? { expectedUpdatedAt } : {})
+  });
+}
@@ -0,0 +1,217 @@
+/**
+ * Agent Actions
+ *
+ * Operator controls for an agent's session: nudge it with a message, stop
+ * it, restart it, sling a bead onto its hook, or send it mail. Each action
+ * runs one `gt` command through the command runner (no shell), targeting
+ * the agent by its path in the town, e.g. `gt nudge api/polecats/nux "message"`.
+ *
+ * Every action that runs is logged and posted to the event stream as an
+ * `operator_action` event, which the event store keeps as the audit trail.
+ * Bead edits (see bd.js) are recorded the same way.
+ */
+
+import { config } from './config.js';
+import { runCommand } from './command-runner.js';
+import logger from './logger.js';
+
+/** Longest nudge message accepted */
+export const MAX_NUDGE_LENGTH = 1000;
+
+/** Longest mail subject accepted */
+export const MAX_MAIL_SUBJECT_LENGTH = 200;
+
+/** Longest mail body accepted */
+export const MAX_MAIL_BODY_LENGTH = 10000;
+
+/**
+ * gt arguments per action
+ * @type {Object<string, function(string, string=): string[]>}
+ */
+const ACTION_ARGS = {
+  nudge: (target, message) => ['nudge', target, message],
+  stop: target => ['session', 'stop', target],
+  restart: target => ['session', 'restart', target]
+};
+
+/** How each action reads in the event stream */
+const ACTION_VERBS = {
+  nudge: 'nudged',
+  stop: 'stopped',
+  restart: 'restarted',
+  sling: 'slung',
+  mail: 'mailed',
+  create: 'created',
+  update: 'updated'
+};
+
+/** Supported actions */
+export const AGENT_ACTIONS = Object.keys(ACTION_ARGS);
+
+/**
+ * Result of an action
+ * @typedef {Object} ActionResult
+ * @property {boolean} ok - Whether gt succeeded
+ * @property {string} output - gt's stdout
+ * @property {string|null} error - Why it failed
+ */
+
+/**
+ * Check an action request before running anything
+ * @param {string} action - Action name
+ * @param {string} [message] - Nudge message
+ * @returns {string|null} Problem, or null if the request is valid
+ */
+export function validateAction(action, message) {
+  if (!AGENT_ACTIONS.includes(action)) {
+    return `Unknown action: ${action}`;
+  }
+  if (action === 'nudge') {
+    if (typeof message !== 'string' || !message.trim()) {
+      return 'A nudge needs a message';
+    }
+    if (message.length > MAX_NUDGE_LENGTH) {
+      return `Nudge message is longer than ${MAX_NUDGE_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check mail before sending it
+ * @param {Object} mail - Mail
+ * @param {string} mail.from - Sender name
+ * @param {string} mail.subject - Subject
+ * @param {string} mail.body - Body
+ * @returns {string|null} Problem, or null if the mail is valid
+ */
+export function validateMail({ from, subject, body }) {
+  if (typeof from !== 'string' || !/^[a-zA-Z0-9_.\-]{1,64}$/.test(from)) {
+    return 'Sender must be 1-64 letters, digits, dots, dashes or underscores';
+  }
+  if (typeof subject !== 'string' || !subject.trim()) {
+    return 'Mail needs a subject';
+  }
+  if (subject.length > MAX_MAIL_SUBJECT_LENGTH || /[\r\n]/.test(subject)) {
+    return `Subject must be one line of at most ${MAX_MAIL_SUBJECT_LENGTH} characters`;
+  }
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Mail needs a body';
+  }
+  if (body.length > MAX_MAIL_BODY_LENGTH) {
+    return `Mail body is longer than ${MAX_MAIL_BODY_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Build the gt arguments for an action
+ * @param {string} action - Action name
+ * @param {string} target - Agent path (e.g. 'api/polecats/nux')
+ * @param {string} [message] - Nudge message
+ * @returns {string[]} Arguments
+ */
+export function actionArgs(action, target, message) {
+  return ACTION_ARGS[action](target, message?.trim());
+}
+
+/**
+ * Run gt
+ * @param {string[]} args - Arguments
+ * @param {string} gtDir - Town root
+ * @param {Object<string, string>} [env] - Extra environment
+ * @returns {Promise<ActionResult>} Result
+ */
+async function runGt(args, gtDir, env = {}) {
+  try {
+    const { stdout } = await runCommand('gt', args, {
+      timeoutMs: config.get('polling.longCommandTimeoutMs'),
+      env: { ...process.env, ...env, GT_DIR: gtDir }
+    });
+    return { ok: true, output: stdout, error: null };
+  } catch (err) {
+    const error = err.reason === 'not_found' ? 'gt command not found. Is Gas Town installed?' : err.message;
+    return { ok: false, output: err.stdout, error };
+  }
+}
+
+/**
+ * Log an action's outcome and post it to the event stream
+ * @param {string} action - Action name (a key of ACTION_VERBS)
+ * @param {string} subject - What was acted on, as it reads in the message
+ * @param {ActionResult} result - Outcome
+ * @param {Object} audit - See runAgentAction
+ * @param {Object} [details] - Extra event fields
+ */
+export function recordAction(action, subject, result, { actor, event, state }, details = {}) {
+  if (result.ok) {
+    logger.info('actions', `Operator ${action} succeeded`, { actor, subject });
+  } else {
+    logger.warn('actions', `Operator ${action} failed`, { actor, subject, error: result.error });
+  }
+  state.addEvent({
+    type: 'operator_action',
+    ...event,
+    ...details,
+    action,
+    actor,
+    ok: result.ok,
+    ...(result.ok ? {} : { error: result.error }),
+    message: result.ok
+      ? `${actor} ${ACTION_VERBS[action]} ${subject}`
+      : `${actor} failed to ${action} ${subject}: ${result.error}`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Run an action and record it
+ * @param {Object} request - What to do
+ * @param {string} request.action - Action name (validated with validateAction)
+ * @param {string} request.target - Agent path
+ * @param {string} request.gtDir - Town root
+ * @param {string} [request.message] - Nudge message
+ * @param {Object} audit - Who asked, and where to report
+ * @param {string} audit.actor - Operator name
+ * @param {Object} audit.event - Fields identifying the agent on the event (rig, role, agent)
+ * @param {{addEvent: function(Object): void}} audit.state - Where the outcome is posted
+ * @returns {Promise<ActionResult>} Result
+ */
+export async function runAgentAction({ action, target, gtDir, message }, audit) {
+  const result = await runGt(actionArgs(action, target, message), gtDir);
+  recordAction(action, target, result, audit, action === 'nudge' ? { nudge: message.trim() } : {});
+  return result;
+}
+
+/**
+ * Sling a bead onto an agent's hook (`gt sling <bead> <agent>`) and record it
+ * @param {Object} request - What to do
+ * @param {string} request.beadId - Bead ID
+ * @param {string} request.target - Agent path
+ * @param {string} request.gtDir - Town root
+ * @param {Object} audit - Who asked, and where to report (see runAgentAction)
+ * @returns {Promise<ActionResult>} Result
+ */
+export async function slingBead({ beadId, target, gtDir }, audit) {
+  const result = await runGt(['sling', beadId, target], gtDir);
+  recordAction('sling', `${beadId} to ${target}`, result, audit, { bead: beadId });
+  return result;
+}
+
+/**
+ * Send mail to an agent (`gt mail send <agent> -s <subject> -m <body>`) and
+ * record it. The sender goes to gt as the beads actor (BD_ACTOR).
+ * @param {Object} request - What to send (validated with validateMail)
+ * @param {string} request.address - Recipient's agent path
+ * @param {string} request.from - Sender name
+ * @param {string} request.subject - Subject
+ * @param {string} request.body - Body
+ * @param {string} request.gtDir - Town root
+ * @param {Object} audit - Who asked, and where to report (see runAgentAction)
+ * @returns {Promise<ActionResult>} Result
+ */
+export async function sendMail({ address, from, subject, body, gtDir }, audit) {
+  const result = await runGt(['mail', 'send', address, '-s', subject.trim(), '-m', body], gtDir, { BD_ACTOR: from });
+  recordAction('mail', address, result, audit, { subject: subject.trim() });
+  return result;
+}
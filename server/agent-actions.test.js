@@ -0,0 +1,124 @@
+/**
+ * Tests for agent actions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  validateAction,
+  validateMail,
+  actionArgs,
+  runAgentAction,
+  slingBead,
+  sendMail,
+  MAX_NUDGE_LENGTH,
+  MAX_MAIL_SUBJECT_LENGTH
+} from './agent-actions.js';
+
+describe('validateAction', () => {
+  it('accepts the supported actions', () => {
+    assert.strictEqual(validateAction('nudge', 'Check your hook'), null);
+    assert.strictEqual(validateAction('stop'), null);
+    assert.strictEqual(validateAction('restart'), null);
+  });
+
+  it('rejects unknown actions and bad nudge messages', () => {
+    assert.match(validateAction('kill'), /Unknown action/);
+    assert.match(validateAction('nudge'), /needs a message/);
+    assert.match(validateAction('nudge', '   '), /needs a message/);
+    assert.match(validateAction('nudge', 'x'.repeat(MAX_NUDGE_LENGTH + 1)), /longer than/);
+  });
+});
+
+describe('validateMail', () => {
+  const mail = { from: 'alice', subject: 'Status?', body: 'How is gt-1 going?' };
+
+  it('accepts a complete message', () => {
+    assert.strictEqual(validateMail(mail), null);
+  });
+
+  it('rejects bad senders, subjects and bodies', () => {
+    assert.match(validateMail({ ...mail, from: 'alice smith' }), /Sender/);
+    assert.match(validateMail({ ...mail, from: undefined }), /Sender/);
+    assert.match(validateMail({ ...mail, subject: ' ' }), /needs a subject/);
+    assert.match(validateMail({ ...mail, subject: 'two\nlines' }), /one line/);
+    assert.match(validateMail({ ...mail, subject: 'x'.repeat(MAX_MAIL_SUBJECT_LENGTH + 1) }), /one line/);
+    assert.match(validateMail({ ...mail, body: '' }), /needs a body/);
+  });
+});
+
+describe('actionArgs', () => {
+  it('maps actions to gt commands', () => {
+    assert.deepStrictEqual(actionArgs('nudge', 'api/polecats/nux', ' hi '), ['nudge', 'api/polecats/nux', 'hi']);
+    assert.deepStrictEqual(actionArgs('stop', 'api/polecats/nux'), ['session', 'stop', 'api/polecats/nux']);
+    assert.deepStrictEqual(actionArgs('restart', 'api/witness'), ['session', 'restart', 'api/witness']);
+  });
+});
+
+describe('runAgentAction', () => {
+  it('posts a failed run to the event stream', async () => {
+    const events = [];
+    const path = process.env.PATH;
+    process.env.PATH = '/nonexistent';
+    try {
+      const result = await runAgentAction(
+        { action: 'nudge', target: 'api/polecats/nux', gtDir: '/tmp', message: 'hi' },
+        { actor: 'alice', event: { rig: 'api', role: 'polecat', agent: 'nux' }, state: { addEvent: e => events.push(e) } }
+      );
+      assert.strictEqual(result.ok, false);
+      assert.match(result.error, /gt command not found/);
+    } finally {
+      process.env.PATH = path;
+    }
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].type, 'operator_action');
+    assert.strictEqual(events[0].agent, 'nux');
+    assert.strictEqual(events[0].actor, 'alice');
+    assert.strictEqual(events[0].nudge, 'hi');
+    assert.strictEqual(events[0].ok, false);
+    assert.match(events[0].message, /^alice failed to nudge api\/polecats\/nux: gt command not found/);
+  });
+});
+
+describe('slingBead', () => {
+  it('posts the bead with the outcome', async () => {
+    const events = [];
+    const path = process.env.PATH;
+    process.env.PATH = '/nonexistent';
+    try {
+      const result = await slingBead(
+        { beadId: 'gt-1', target: 'api/polecats/nux', gtDir: '/tmp' },
+        { actor: 'alice', event: { rig: 'api', role: 'polecat', agent: 'nux' }, state: { addEvent: e => events.push(e) } }
+      );
+      assert.strictEqual(result.ok, false);
+    } finally {
+      process.env.PATH = path;
+    }
+
+    assert.strictEqual(events[0].action, 'sling');
+    assert.strictEqual(events[0].bead, 'gt-1');
+    assert.match(events[0].message, /^alice failed to sling gt-1 to api\/polecats\/nux: /);
+  });
+});
+
+describe('sendMail', () => {
+  it('posts the subject with the outcome', async () => {
+    const events = [];
+    const path = process.env.PATH;
+    process.env.PATH = '/nonexistent';
+    try {
+      const result = await sendMail(
+        { address: 'api/witness', from: 'alice', subject: ' Status? ', body: 'Hi', gtDir: '/tmp' },
+        { actor: 'alice', event: { rig: 'api', role: 'witness', agent: 'witness' }, state: { addEvent: e => events.push(e) } }
+      );
+      assert.strictEqual(result.ok, false);
+    } finally {
+      process.env.PATH = path;
+    }
+
+    assert.strictEqual(events[0].action, 'mail');
+    assert.strictEqual(events[0].subject, 'Status?');
+    assert.match(events[0].message, /^alice failed to mail api\/witness: /);
+  });
+});
@@ -6,37 +6,52 @@
  * - Tmux sessions for active agents
  * - Recent activity via .events.jsonl or session files
  *
+ * The process table and tmux panes are read once per poll cycle into a
+ * snapshot that every agent is resolved against, so the number of forked
+ * commands does not grow with the number of agents.
+ *
  * @module agent-monitor
  */
 
-import { exec, execFile } from 'child_process';
-import { promisify } from 'util';
 import { stat, readdir } from 'fs/promises';
 import { join } from 'path';
-import { COMMAND_TIMEOUT_MS, IDLE_THRESHOLD_MS } from './constants.js';
+import { config } from './config.js';
+import { runCommand } from './command-runner.js';
 
 /**
  * @typedef {import('./types.js').Agent} Agent
  * @typedef {import('./types.js').AgentRole} AgentRole
  * @typedef {import('./types.js').AgentStatusValue} AgentStatusValue
+ * @typedef {import('./types.js').AgentProcessInfo} AgentProcessInfo
  */
 
-const execAsync = promisify(exec);
-const execFileAsync = promisify(execFile);
+/**
+ * One row of the process table
+ * @typedef {Object} ProcessEntry
+ * @property {number} pid - Process ID
+ * @property {number} ppid - Parent process ID
+ * @property {number} cpu - CPU usage percent
+ * @property {number} rssKb - Resident set size in KB
+ * @property {number|null} startedAt - Start time (ms since epoch)
+ * @property {string} args - Full command line
+ */
 
 /**
- * Escape string for use in shell commands (prevents injection)
- * @param {string} str - String to escape
- * @returns {string} Escaped string
+ * A tmux session with its panes
+ * @typedef {Object} TmuxSession
+ * @property {string} name - Session name
+ * @property {number|null} createdAt - Creation time (ms since epoch)
+ * @property {number[]} panePids - PID of the process running in each pane
+ */
+
+/**
+ * Process and tmux state captured once per poll cycle
+ * @typedef {Object} SystemSnapshot
+ * @property {number} takenAt - Capture time (ms since epoch)
+ * @property {Map<number, ProcessEntry>} processes - Processes by PID
+ * @property {Map<number, number[]>} children - Child PIDs by parent PID
+ * @property {Map<string, TmuxSession>} sessions - Sessions by lowercased name
  */
-function escapeShell(str) {
-  if (typeof str !== 'string') return '';
-  // Only allow alphanumeric, dash, underscore, slash, dot
-  if (!/^[a-zA-Z0-9_\-./]+$/.test(str)) {
-    return str.replace(/[^a-zA-Z0-9_\-./]/g, '');
-  }
-  return str;
-}
 
 /**
  * Validate agent/rig name - must be safe identifier
@@ -48,14 +63,14 @@ function isValidName(name) {
 }
 
 /**
- * Safe exec with timeout - returns empty string on failure
- * @param {string} cmd - Command to execute
- * @param {Object} [options] - Exec options
+ * Run a command, returning empty output on failure
+ * @param {string} cmd - Executable
+ * @param {string[]} args - Arguments
  * @returns {Promise<string>} Command output or empty string on failure
  */
-async function safeExec(cmd, options = {}) {
+async function safeExecFile(cmd, args) {
   try {
-    const { stdout } = await execAsync(cmd, { timeout: COMMAND_TIMEOUT_MS, ...options });
+    const { stdout } = await runCommand(cmd, args);
     return stdout;
   } catch {
     return '';
@@ -63,19 +78,60 @@ async function safeExec(cmd, options = {}) {
 }
 
 /**
- * Safe execFile with timeout - returns empty string on failure
- * @param {string} cmd - Command to execute
- * @param {string[]} args - Command arguments
- * @param {Object} [options] - Exec options
- * @returns {Promise<string>} Command output or empty string on failure
+ * Parse `ps` elapsed time ([[dd-]hh:]mm:ss) into milliseconds
+ * @param {string} etime - Elapsed time string
+ * @returns {number|null} Milliseconds, or null if unparseable
  */
-async function safeExecFile(cmd, args, options = {}) {
-  try {
-    const { stdout } = await execFileAsync(cmd, args, { timeout: COMMAND_TIMEOUT_MS, ...options });
-    return stdout;
-  } catch {
-    return '';
+export function parseElapsedTime(etime) {
+  const match = /^(?:(\d+)-)?(?:(\d+):)?(\d+):(\d+)$/.exec(etime);
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes, seconds] = match;
+  return (((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+/**
+ * Parse `ps -Ao pid=,ppid=,pcpu=,rss=,etime=,args=` output
+ * @param {string} output - ps output
+ * @param {number} [now] - Capture time, used to derive start times
+ * @returns {ProcessEntry[]} Processes
+ */
+export function parseProcessTable(output, now = Date.now()) {
+  const processes = [];
+  for (const line of output.split('\n')) {
+    const match = /^\s*(\d+)\s+(\d+)\s+([\d.]+)\s+(\d+)\s+(\S+)\s+(.*)$/.exec(line);
+    if (!match) continue;
+    const elapsed = parseElapsedTime(match[5]);
+    processes.push({
+      pid: Number(match[1]),
+      ppid: Number(match[2]),
+      cpu: Number(match[3]),
+      rssKb: Number(match[4]),
+      startedAt: elapsed === null ? null : now - elapsed,
+      args: match[6]
+    });
+  }
+  return processes;
+}
+
+/**
+ * Parse `tmux list-panes -a -F '#{session_name}\t#{session_created}\t#{pane_pid}'` output
+ * @param {string} output - tmux output
+ * @returns {TmuxSession[]} Sessions with their pane PIDs
+ */
+export function parseTmuxPanes(output) {
+  /** @type {Map<string, TmuxSession>} */
+  const sessions = new Map();
+  for (const line of output.split('\n')) {
+    const [name, created, panePid] = line.split('\t');
+    if (!name || !name.trim()) continue;
+    if (!sessions.has(name)) {
+      const createdSec = Number(created);
+      sessions.set(name, { name, createdAt: createdSec > 0 ? createdSec * 1000 : null, panePids: [] });
+    }
+    const pid = Number(panePid);
+    if (pid > 0) sessions.get(name).panePids.push(pid);
   }
+  return [...sessions.values()];
 }
 
 /**
@@ -87,11 +143,74 @@ async function safeExecFile(cmd, args, options = {}) {
  * 3. Check recent activity via .events.jsonl or session files
  */
 export class AgentMonitor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Options
+   * @param {import('./poll-scheduler.js').ConcurrencyLimiter} [options.limiter] - Shared limit for child processes
+   * @param {string} [options.gtDir] - Town directory (defaults to GT_DIR)
+   */
+  constructor(options = {}) {
+    /** @type {import('./poll-scheduler.js').ConcurrencyLimiter|null} */
+    this.limiter = options.limiter || null;
     /** @type {string} */
-    this.gtDir = process.env.GT_DIR || `${process.env.HOME}/gt`;
+    this.gtDir = options.gtDir || process.env.GT_DIR || `${process.env.HOME}/gt`;
     /** @type {number} */
-    this.idleThresholdMs = IDLE_THRESHOLD_MS;
+    this.idleThresholdMs = config.get('agents.idleThresholdMs');
+    /** @type {Promise<SystemSnapshot>|null} Snapshot for the current cycle */
+    this.snapshotPromise = null;
+    /** @type {number} When the current snapshot was requested */
+    this.snapshotRequestedAt = 0;
+  }
+
+  /**
+   * Start a new poll cycle; the next lookup takes a fresh snapshot
+   */
+  beginCycle() {
+    this.snapshotPromise = null;
+  }
+
+  /**
+   * Get the process/tmux snapshot for the current cycle, taking it on first use.
+   * Concurrent callers share one snapshot. Callers outside the poll cycle
+   * get a fresh one once the current snapshot is older than the command timeout.
+   * @returns {Promise<SystemSnapshot>} Snapshot
+   */
+  getSnapshot() {
+    const maxAge = config.get('polling.commandTimeoutMs');
+    if (!this.snapshotPromise || Date.now() - this.snapshotRequestedAt > maxAge) {
+      this.snapshotRequestedAt = Date.now();
+      this.snapshotPromise = this.takeSnapshot();
+    }
+    return this.snapshotPromise;
+  }
+
+  /**
+   * Read the process table and tmux panes
+   * @returns {Promise<SystemSnapshot>} Snapshot
+   */
+  async takeSnapshot() {
+    const run = (cmd, args) => (this.limiter
+      ? this.limiter.run(() => safeExecFile(cmd, args))
+      : safeExecFile(cmd, args));
+    const [psOutput, tmuxOutput] = await Promise.all([
+      run('ps', ['-Ao', 'pid=,ppid=,pcpu=,rss=,etime=,args=']),
+      run('tmux', ['list-panes', '-a', '-F', '#{session_name}\t#{session_created}\t#{pane_pid}'])
+    ]);
+    const takenAt = Date.now();
+
+    const processes = new Map();
+    const children = new Map();
+    for (const proc of parseProcessTable(psOutput, takenAt)) {
+      processes.set(proc.pid, proc);
+      if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+      children.get(proc.ppid).push(proc.pid);
+    }
+
+    const sessions = new Map();
+    for (const session of parseTmuxPanes(tmuxOutput)) {
+      sessions.set(session.name.toLowerCase(), session);
+    }
+
+    return { takenAt, processes, children, sessions };
   }
 
   /**
@@ -102,22 +221,31 @@ export class AgentMonitor {
    * @returns {Promise<AgentStatusValue>} Agent status
    */
   async getAgentStatus(rig, agentName, role) {
-    const agentPath = this.getAgentPath(rig, agentName, role);
-
-    // Check if there's an active process
-    const hasProcess = await this.checkForProcess(rig, agentName, role);
+    const { status } = await this.inspectAgent(await this.getSnapshot(), rig, agentName, role);
+    return status;
+  }
 
-    // Check tmux session
-    const hasTmux = await this.checkTmuxSession(rig, agentName, role);
+  /**
+   * Resolve an agent's status and process details against a snapshot
+   * @param {SystemSnapshot} snapshot - Process/tmux snapshot
+   * @param {string} rig - Rig name
+   * @param {string} agentName - Agent name
+   * @param {AgentRole} role - Agent role
+   * @returns {Promise<{status: AgentStatusValue} & AgentProcessInfo>} Status and process details
+   */
+  async inspectAgent(snapshot, rig, agentName, role) {
+    const agentProcess = this.findProcess(snapshot, rig, agentName);
+    const session = this.findTmuxSession(snapshot, rig, agentName);
+    const info = this.describeProcesses(snapshot, agentProcess, session);
 
-    if (hasProcess || hasTmux) {
+    if (agentProcess || session) {
       // Process/tmux exists = running (don't second-guess with activity check)
-      return 'running';
+      return { status: 'running', ...info };
     }
 
     // No process but check for recent activity (might be between commands)
-    const hasRecentActivity = await this.checkRecentActivity(agentPath);
-    return hasRecentActivity ? 'idle' : 'stopped';
+    const hasRecentActivity = await this.checkRecentActivity(this.getAgentPath(rig, agentName, role));
+    return { status: hasRecentActivity ? 'idle' : 'stopped', ...info };
   }
 
   /**
@@ -145,57 +273,47 @@ export class AgentMonitor {
   }
 
   /**
-   * Check for running claude process associated with agent
+   * Find the claude process associated with an agent
+   * @param {SystemSnapshot} snapshot - Process/tmux snapshot
    * @param {string} rig - Rig name
    * @param {string} agentName - Agent name
-   * @param {AgentRole} role - Agent role
-   * @returns {Promise<boolean>} True if process is running
+   * @returns {ProcessEntry|null} Matching process
    */
-  async checkForProcess(rig, agentName, role) {
-    // Validate inputs to prevent injection
+  findProcess(snapshot, rig, agentName) {
+    // Validate inputs so names cannot widen the match
     if (!isValidName(rig) || !isValidName(agentName)) {
-      return false;
+      return null;
     }
 
-    // Get process list safely using execFile
-    const psOutput = await safeExecFile('ps', ['aux']);
-    if (!psOutput) return false;
-
-    // Search for Gas Town patterns in output (safe string matching, no shell)
-    const lines = psOutput.split('\n');
+    // Gas Town patterns in the process title
     const patterns = [
       `GAS TOWN] ${rig}/${agentName}`,    // [GAS TOWN] gtviz/refinery
       `GAS TOWN] ${agentName} <-`,         // [GAS TOWN] mayor <- human
       `GAS TOWN] ${agentName}`,            // [GAS TOWN] deacon
     ];
 
-    for (const line of lines) {
+    for (const proc of snapshot.processes.values()) {
       for (const pattern of patterns) {
-        if (line.includes(pattern)) return true;
+        if (proc.args.includes(pattern)) return proc;
       }
     }
 
-    return false;
+    return null;
   }
 
   /**
-   * Check if agent has an active tmux session
+   * Find the tmux session associated with an agent
+   * @param {SystemSnapshot} snapshot - Process/tmux snapshot
    * @param {string} rig - Rig name
    * @param {string} agentName - Agent name
-   * @param {AgentRole} role - Agent role
-   * @returns {Promise<boolean>} True if tmux session exists
+   * @returns {TmuxSession|null} Matching session
    */
-  async checkTmuxSession(rig, agentName, role) {
-    // Validate inputs to prevent injection
+  findTmuxSession(snapshot, rig, agentName) {
     if (!isValidName(rig) || !isValidName(agentName)) {
-      return false;
+      return null;
     }
 
-    // Use execFile for safe tmux call
-    const stdout = await safeExecFile('tmux', ['list-sessions', '-F', '#{session_name}']);
-    const sessions = stdout.split('\n').filter(s => s.trim()).map(s => s.toLowerCase());
-
-    // Gas Town tmux session naming patterns (safe string comparison)
+    // Gas Town tmux session naming patterns
     const sessionPatterns = [
       `gt-${rig}-${agentName}`,    // gt-gtviz-refinery
       `hq-${agentName}`,            // hq-mayor, hq-deacon
@@ -204,12 +322,48 @@ export class AgentMonitor {
     ];
 
     for (const pattern of sessionPatterns) {
-      if (sessions.includes(pattern.toLowerCase())) {
-        return true;
+      const session = snapshot.sessions.get(pattern.toLowerCase());
+      if (session) return session;
+    }
+
+    return null;
+  }
+
+  /**
+   * Summarize the processes behind an agent. CPU and memory are summed over
+   * the agent process (or the tmux pane processes) and all descendants.
+   * @param {SystemSnapshot} snapshot - Process/tmux snapshot
+   * @param {ProcessEntry|null} agentProcess - Matched agent process
+   * @param {TmuxSession|null} session - Matched tmux session
+   * @returns {AgentProcessInfo} Process details (nulls when nothing is running)
+   */
+  describeProcesses(snapshot, agentProcess, session) {
+    const roots = agentProcess ? [agentProcess.pid] : (session ? session.panePids : []);
+    const seen = new Set();
+    const stack = [...roots];
+    let cpu = 0;
+    let rssKb = 0;
+    while (stack.length > 0) {
+      const pid = stack.pop();
+      if (seen.has(pid)) continue;
+      seen.add(pid);
+      const proc = snapshot.processes.get(pid);
+      if (proc) {
+        cpu += proc.cpu;
+        rssKb += proc.rssKb;
       }
+      stack.push(...(snapshot.children.get(pid) || []));
     }
 
-    return false;
+    const found = roots.some(pid => snapshot.processes.has(pid));
+    const startedAt = session?.createdAt ?? agentProcess?.startedAt ?? null;
+    return {
+      pid: roots.length > 0 ? roots[0] : null,
+      cpuPercent: found ? Math.round(cpu * 10) / 10 : null,
+      rssKb: found ? rssKb : null,
+      sessionStartedAt: startedAt ? new Date(startedAt).toISOString() : null,
+      tmuxPanes: session ? session.panePids.length : 0
+    };
   }
 
   /**
@@ -239,7 +393,7 @@ export class AgentMonitor {
       for (const file of files) {
         if (file.isFile()) {
           const fileStat = await stat(join(mailPath, file.name));
-          if (now - fileStat.mtimeMs < IDLE_THRESHOLD_MS) return true;
+          if (now - fileStat.mtimeMs < this.idleThresholdMs) return true;
         }
       }
     } catch {}
@@ -254,15 +408,16 @@ export class AgentMonitor {
   }
 
   /**
-   * Batch check status for multiple agents
+   * Batch check status for multiple agents against one snapshot
    * @param {Agent[]} agents - Array of agents to check
-   * @returns {Promise<Agent[]>} Agents with status populated
+   * @returns {Promise<Agent[]>} Agents with status and process details populated
    */
   async getAgentStatuses(agents) {
+    const snapshot = await this.getSnapshot();
     const results = await Promise.all(
       agents.map(async (agent) => {
-        const status = await this.getAgentStatus(agent.rig, agent.name, agent.role);
-        return { ...agent, status };
+        const details = await this.inspectAgent(snapshot, agent.rig, agent.name, agent.role);
+        return { ...agent, ...details };
       })
     );
     return results;
@@ -0,0 +1,135 @@
+/**
+ * Tests for AgentMonitor process/tmux snapshot resolution
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { AgentMonitor, parseElapsedTime, parseProcessTable, parseTmuxPanes } from './agent-monitor.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+const PS_OUTPUT = [
+  '    1     0  0.0  1024       10-00:00:00 /sbin/init',
+  '  100     1  0.5  2048          01:00:00 tmux new-session -d -s gt-gtviz-nux',
+  '  200   100  0.0  3000          01:00:00 -zsh',
+  '  201   200 12.5 40000          59:00 claude --dangerously-skip-permissions',
+  '  202   201  2.5  1000             00:30 node tool.js',
+  '  300     1 30.0 80000          05:00 claude [GAS TOWN] gtviz/refinery',
+  'garbage line'
+].join('\n');
+
+const TMUX_OUTPUT = [
+  'gt-gtviz-nux\t1772362800\t200',
+  'gt-gtviz-nux\t1772362800\t210',
+  'hq-mayor\t1772366400\t400'
+].join('\n');
+
+/**
+ * Create a monitor whose snapshot comes from canned output
+ * @returns {{monitor: AgentMonitor, calls: {count: number}}}
+ */
+function createMonitor() {
+  const monitor = new AgentMonitor();
+  const calls = { count: 0 };
+  monitor.takeSnapshot = async function () {
+    calls.count++;
+    const processes = new Map();
+    const children = new Map();
+    for (const proc of parseProcessTable(PS_OUTPUT, NOW)) {
+      processes.set(proc.pid, proc);
+      if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+      children.get(proc.ppid).push(proc.pid);
+    }
+    const sessions = new Map(parseTmuxPanes(TMUX_OUTPUT).map(s => [s.name.toLowerCase(), s]));
+    return { takenAt: NOW, processes, children, sessions };
+  };
+  // No agent directories in tests: treat as no recent activity
+  monitor.checkRecentActivity = async () => false;
+  return { monitor, calls };
+}
+
+describe('parseElapsedTime', () => {
+  it('parses every ps etime form', () => {
+    assert.strictEqual(parseElapsedTime('00:30'), 30 * 1000);
+    assert.strictEqual(parseElapsedTime('01:02:03'), (3600 + 120 + 3) * 1000);
+    assert.strictEqual(parseElapsedTime('2-00:00:01'), (2 * 86400 + 1) * 1000);
+    assert.strictEqual(parseElapsedTime('nonsense'), null);
+  });
+});
+
+describe('parseProcessTable', () => {
+  it('parses rows and derives start times', () => {
+    const procs = parseProcessTable(PS_OUTPUT, NOW);
+    assert.strictEqual(procs.length, 6);
+    const claude = procs.find(p => p.pid === 201);
+    assert.deepStrictEqual(claude, {
+      pid: 201,
+      ppid: 200,
+      cpu: 12.5,
+      rssKb: 40000,
+      startedAt: NOW - 59 * 60 * 1000,
+      args: 'claude --dangerously-skip-permissions'
+    });
+  });
+});
+
+describe('parseTmuxPanes', () => {
+  it('groups panes by session', () => {
+    const sessions = parseTmuxPanes(TMUX_OUTPUT);
+    assert.strictEqual(sessions.length, 2);
+    assert.deepStrictEqual(sessions[0], { name: 'gt-gtviz-nux', createdAt: 1772362800000, panePids: [200, 210] });
+  });
+});
+
+describe('AgentMonitor', () => {
+  it('takes one snapshot for a whole batch of agents', async () => {
+    const { monitor, calls } = createMonitor();
+    const agents = [
+      { name: 'nux', role: 'polecat', rig: 'gtviz', status: 'unknown' },
+      { name: 'refinery', role: 'refinery', rig: 'gtviz', status: 'unknown' },
+      { name: 'slit', role: 'polecat', rig: 'gtviz', status: 'unknown' }
+    ];
+
+    await monitor.getAgentStatuses(agents);
+    await monitor.getAgentStatuses(agents);
+    assert.strictEqual(calls.count, 1);
+
+    monitor.beginCycle();
+    await monitor.getAgentStatuses(agents);
+    assert.strictEqual(calls.count, 2);
+  });
+
+  it('records tmux session details and sums the pane process tree', async () => {
+    const { monitor } = createMonitor();
+    const [nux] = await monitor.getAgentStatuses([{ name: 'nux', role: 'polecat', rig: 'gtviz', status: 'unknown' }]);
+
+    assert.strictEqual(nux.status, 'running');
+    assert.strictEqual(nux.pid, 200);
+    assert.strictEqual(nux.cpuPercent, 15);
+    assert.strictEqual(nux.rssKb, 44000);
+    assert.strictEqual(nux.tmuxPanes, 2);
+    assert.strictEqual(nux.sessionStartedAt, new Date(1772362800000).toISOString());
+  });
+
+  it('uses the matched process when there is no tmux session', async () => {
+    const { monitor } = createMonitor();
+    const [refinery] = await monitor.getAgentStatuses([{ name: 'refinery', role: 'refinery', rig: 'gtviz', status: 'unknown' }]);
+
+    assert.strictEqual(refinery.status, 'running');
+    assert.strictEqual(refinery.pid, 300);
+    assert.strictEqual(refinery.cpuPercent, 30);
+    assert.strictEqual(refinery.tmuxPanes, 0);
+    assert.strictEqual(refinery.sessionStartedAt, new Date(NOW - 5 * 60 * 1000).toISOString());
+  });
+
+  it('reports stopped agents without process details', async () => {
+    const { monitor } = createMonitor();
+    const [slit] = await monitor.getAgentStatuses([{ name: 'slit', role: 'polecat', rig: 'gtviz', status: 'unknown' }]);
+
+    assert.strictEqual(slit.status, 'stopped');
+    assert.strictEqual(slit.pid, null);
+    assert.strictEqual(slit.cpuPercent, null);
+    assert.strictEqual(slit.rssKb, null);
+    assert.strictEqual(slit.tmuxPanes, 0);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Agent Profile
+ *
+ * Gathers everything known about one agent from the state: its current
+ * status and hook, status and hook history, completions, logs, mail and the
+ * error patterns it shows up in.
+ *
+ * Logs, mail and error patterns name agents by path ('polecats/nux',
+ * 'crew/max', 'witness') or bare name, so those are matched on the name.
+ */
+
+import { hookKey } from './parser-utils.js';
+import { rigList } from './towns.js';
+
+/**
+ * @typedef {import('./types.js').Agent} Agent
+ * @typedef {import('./types.js').HookData} HookData
+ * @typedef {import('./types.js').HookInterval} HookInterval
+ * @typedef {import('./types.js').AgentHistoryEntry} AgentHistoryEntry
+ * @typedef {import('./types.js').AgentStats} AgentStats
+ * @typedef {import('./types.js').LogEntry} LogEntry
+ * @typedef {import('./types.js').MailEvent} MailEvent
+ */
+
+/**
+ * Aggregated view of one agent
+ * @typedef {Object} AgentProfile
+ * @property {string} rig - Rig key
+ * @property {string} role - Agent role
+ * @property {string} name - Agent name
+ * @property {Agent|null} agent - Current agent record (null if no longer listed)
+ * @property {HookData|null} hook - Current hook
+ * @property {AgentHistoryEntry[]} statusHistory - Status changes, newest first
+ * @property {HookInterval[]} hookHistory - Hook intervals, newest first
+ * @property {AgentStats|null} stats - Completions and handoff counts
+ * @property {LogEntry[]} logs - The agent's log entries, newest first
+ * @property {MailEvent[]} mail - Mail to or from the agent, newest first
+ * @property {Object[]} errorPatterns - Error patterns listing the agent
+ */
+
+/**
+ * Check whether an agent reference from a log, mail or pattern names an agent
+ * @param {string|null|undefined} ref - Reference (e.g. 'polecats/nux', 'nux')
+ * @param {string} name - Agent name
+ * @returns {boolean} True if it refers to the agent
+ */
+export function refersToAgent(ref, name) {
+  return typeof ref === 'string' && (ref === name || ref.endsWith(`/${name}`));
+}
+
+/**
+ * Build an agent's profile
+ * @param {Object} state - Full state (StateManager.getState())
+ * @param {Object} agent - Which agent
+ * @param {string} agent.rig - Rig key
+ * @param {string} agent.role - Agent role
+ * @param {string} agent.name - Agent name
+ * @returns {AgentProfile|null} Profile, or null if nothing is known about the agent
+ */
+export function buildAgentProfile(state, { rig, role, name }) {
+  // The rig comes from the URL: only own keys name a rig ("__proto__" does not)
+  const agentKey = `${rig}/${name}`;
+  const current = rigList(state.agents, rig).find(agent => agent.name === name && agent.role === role) || null;
+  const hooks = state.hooks && Object.hasOwn(state.hooks, rig) ? state.hooks[rig] : {};
+  const statusHistory = state.agentHistory?.[agentKey] || [];
+  const hookHistory = state.hookHistory?.[`${rig}/${hookKey(role, name)}`] || [];
+  const stats = state.agentStats?.[`${rig}/${hookKey(role, name)}`] || null;
+
+  if (!current && statusHistory.length === 0 && hookHistory.length === 0 && !stats) {
+    return null;
+  }
+
+  return {
+    rig,
+    role,
+    name,
+    agent: current,
+    hook: hooks[hookKey(role, name)] || null,
+    statusHistory,
+    hookHistory,
+    stats,
+    logs: (state.logs || []).filter(log => log.rig === rig && refersToAgent(log.agent, name)),
+    mail: (state.mail || []).filter(mail =>
+      (!mail.rig || mail.rig === rig) && (refersToAgent(mail.to, name) || refersToAgent(mail.from, name))),
+    errorPatterns: (state.errorPatterns?.patterns || []).filter(pattern =>
+      pattern.affectedRigs.includes(rig) && pattern.affectedAgents.some(ref => refersToAgent(ref, name)))
+  };
+}
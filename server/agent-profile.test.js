@@ -0,0 +1,65 @@
+/**
+ * Tests for agent profiles
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildAgentProfile, refersToAgent } from './agent-profile.js';
+
+describe('refersToAgent', () => {
+  it('matches bare names and agent paths', () => {
+    assert.strictEqual(refersToAgent('nux', 'nux'), true);
+    assert.strictEqual(refersToAgent('polecats/nux', 'nux'), true);
+    assert.strictEqual(refersToAgent('polecats/nuxx', 'nux'), false);
+    assert.strictEqual(refersToAgent(null, 'nux'), false);
+  });
+});
+
+describe('buildAgentProfile', () => {
+  const state = {
+    agents: { api: [{ name: 'nux', role: 'polecat', status: 'running' }] },
+    hooks: { api: { 'polecat/nux': { agent: 'nux', role: 'polecat', bead: 'gt-1' } } },
+    agentHistory: { 'api/nux': [{ status: 'running' }] },
+    hookHistory: { 'api/polecat/nux': [{ bead: 'gt-1', role: 'polecat' }] },
+    agentStats: { 'api/polecat/nux': { totalCompleted: 2 } },
+    logs: [
+      { rig: 'api', agent: 'polecats/nux', message: 'mine' },
+      { rig: 'web', agent: 'polecats/nux', message: 'other rig' },
+      { rig: 'api', agent: 'witness', message: 'not mine' }
+    ],
+    mail: [
+      { rig: 'api', to: 'witness', from: 'nux', subject: 'done' },
+      { rig: 'api', to: 'polecats/nux', from: 'witness', subject: 'nudge' },
+      { rig: 'api', to: 'witness', from: 'slit', subject: 'unrelated' }
+    ],
+    errorPatterns: {
+      patterns: [
+        { pattern: 'timeout', affectedRigs: ['api'], affectedAgents: ['polecats/nux'] },
+        { pattern: 'elsewhere', affectedRigs: ['web'], affectedAgents: ['polecats/nux'] }
+      ]
+    }
+  };
+
+  it('gathers the agent\'s state, history, logs, mail and error patterns', () => {
+    const profile = buildAgentProfile(state, { rig: 'api', role: 'polecat', name: 'nux' });
+
+    assert.strictEqual(profile.agent.status, 'running');
+    assert.strictEqual(profile.hook.bead, 'gt-1');
+    assert.strictEqual(profile.statusHistory.length, 1);
+    assert.strictEqual(profile.hookHistory.length, 1);
+    assert.strictEqual(profile.stats.totalCompleted, 2);
+    assert.deepStrictEqual(profile.logs.map(log => log.message), ['mine']);
+    assert.deepStrictEqual(profile.mail.map(mail => mail.subject), ['done', 'nudge']);
+    assert.deepStrictEqual(profile.errorPatterns.map(p => p.pattern), ['timeout']);
+  });
+
+  it('returns null for an agent nothing is known about', () => {
+    assert.strictEqual(buildAgentProfile(state, { rig: 'api', role: 'crew', name: 'max' }), null);
+  });
+
+  it('treats inherited keys as unknown rigs', () => {
+    for (const rig of ['__proto__', 'constructor']) {
+      assert.strictEqual(buildAgentProfile(state, { rig, role: 'polecat', name: 'nux' }), null, rig);
+    }
+  });
+});
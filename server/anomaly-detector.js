@@ -35,7 +35,7 @@ export const AlertType = {
 /**
  * Default thresholds for anomaly detection
  */
-const DEFAULT_THRESHOLDS = {
+export const DEFAULT_THRESHOLDS = {
   // Poll response time thresholds (ms)
   pollDurationWarning: 2000,    // 2 seconds
   pollDurationCritical: 5000,   // 5 seconds
@@ -0,0 +1,187 @@
+/**
+ * bd Commands
+ *
+ * Runs bd through the command runner with an argument list (no shell), so
+ * titles, descriptions and labels reach it verbatim whatever they contain.
+ * Free text only ever goes in as a `--flag=value` argument, and IDs, labels
+ * and assignees may not start with a dash, so nothing a user types can be
+ * read by bd as an option. Used to
+ * create and edit beads from the dashboard and for replay beads.
+ */
+
+import { config } from './config.js';
+import { runCommand } from './command-runner.js';
+import { normalizeBead } from './parser-utils.js';
+
+/** Statuses a bead can be set to */
+export const BEAD_STATUSES = ['open', 'in_progress', 'blocked', 'hooked', 'closed'];
+
+/** Bead types accepted on create */
+export const BEAD_TYPES = ['task', 'bug', 'feature', 'epic', 'chore'];
+
+/** bd's numeric priority for each priority name (see normalizePriority) */
+export const BEAD_PRIORITIES = { critical: 1, high: 2, normal: 3, low: 4 };
+
+/** Valid bead IDs; a leading dash would make bd read one as an option */
+export const BEAD_ID_PATTERN = /^[a-zA-Z0-9_][a-zA-Z0-9_.\-]*$/;
+
+/** Longest bead title accepted */
+export const MAX_BEAD_TITLE_LENGTH = 200;
+
+/** Longest bead description accepted */
+export const MAX_BEAD_DESCRIPTION_LENGTH = 10000;
+
+/**
+ * Fields a bead is created or updated with
+ * @typedef {Object} BeadFields
+ * @property {string} [title] - Title (required on create)
+ * @property {string} [description] - Description
+ * @property {string} [type] - One of BEAD_TYPES
+ * @property {string} [status] - One of BEAD_STATUSES (update only)
+ * @property {string} [priority] - Key of BEAD_PRIORITIES
+ * @property {string} [assignee] - Assignee, '' to unassign
+ * @property {string[]} [labels] - Full label list
+ * @property {string[]} [dependsOn] - Full list of bead IDs this one depends on
+ */
+
+/**
+ * Check bead fields before running bd
+ * @param {BeadFields} fields - Fields
+ * @param {Object} [options]
+ * @param {boolean} [options.creating=false] - Whether the bead is being created
+ * @returns {string|null} Problem, or null if the fields are valid
+ */
+export function validateBeadFields(fields, { creating = false } = {}) {
+  const { title, description, type, status, priority, assignee, labels, dependsOn } = fields;
+  if (creating || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return 'A bead needs a title';
+    }
+    if (title.length > MAX_BEAD_TITLE_LENGTH || /[\r\n]/.test(title)) {
+      return `Title must be one line of at most ${MAX_BEAD_TITLE_LENGTH} characters`;
+    }
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > MAX_BEAD_DESCRIPTION_LENGTH)) {
+    return `Description must be text of at most ${MAX_BEAD_DESCRIPTION_LENGTH} characters`;
+  }
+  if (type !== undefined && !BEAD_TYPES.includes(type)) {
+    return `Type must be one of ${BEAD_TYPES.join(', ')}`;
+  }
+  if (status !== undefined && (creating || !BEAD_STATUSES.includes(status))) {
+    return creating ? 'New beads are always open' : `Status must be one of ${BEAD_STATUSES.join(', ')}`;
+  }
+  if (priority !== undefined && !Object.hasOwn(BEAD_PRIORITIES, priority)) {
+    return `Priority must be one of ${Object.keys(BEAD_PRIORITIES).join(', ')}`;
+  }
+  if (assignee !== undefined && (typeof assignee !== 'string' || !/^([a-zA-Z0-9_][a-zA-Z0-9_.\/\-]{0,99})?$/.test(assignee))) {
+    return 'Assignee must be an agent name or path';
+  }
+  if (labels !== undefined && !(Array.isArray(labels) && labels.length <= 20 &&
+      labels.every(label => typeof label === 'string' && /^[a-zA-Z0-9_][a-zA-Z0-9_.:\-]{0,49}$/.test(label)))) {
+    return 'Labels must be up to 20 words of letters, digits and . _ : - not starting with . : or -';
+  }
+  if (dependsOn !== undefined && !(Array.isArray(dependsOn) &&
+      dependsOn.every(id => typeof id === 'string' && BEAD_ID_PATTERN.test(id)))) {
+    return 'Dependencies must be bead IDs';
+  }
+  return null;
+}
+
+/**
+ * Build the `bd create` arguments for a new bead
+ * @param {BeadFields} fields - Validated fields
+ * @returns {string[]} Arguments
+ */
+export function createBeadArgs({ title, description, type, priority, assignee, labels }) {
+  const args = ['create', `--title=${title.trim()}`, `--type=${type || 'task'}`];
+  if (priority) args.push(`--priority=${BEAD_PRIORITIES[priority]}`);
+  if (description) args.push(`--description=${description}`);
+  if (assignee) args.push(`--assignee=${assignee}`);
+  if (labels?.length) args.push(`--labels=${labels.join(',')}`);
+  args.push('--json');
+  return args;
+}
+
+/**
+ * Build the bd commands that take a bead from its current fields to the
+ * requested ones. Only what differs is changed; labels and dependencies are
+ * added and removed one by one.
+ * @param {import('./types.js').Bead} current - Bead as bd has it now
+ * @param {BeadFields} changes - Validated fields to change
+ * @returns {string[][]} Argument lists, in order
+ */
+export function updateBeadCommands(current, changes) {
+  const commands = [];
+  const flags = [];
+  if (changes.status !== undefined && changes.status !== current.status) {
+    flags.push(`--status=${changes.status}`);
+  }
+  if (changes.priority !== undefined && changes.priority !== current.priority) {
+    flags.push(`--priority=${BEAD_PRIORITIES[changes.priority]}`);
+  }
+  if (changes.assignee !== undefined && changes.assignee !== (current.assignee || '')) {
+    flags.push(`--assignee=${changes.assignee}`);
+  }
+  if (changes.title !== undefined && changes.title.trim() !== current.title) {
+    flags.push(`--title=${changes.title.trim()}`);
+  }
+  if (changes.description !== undefined && changes.description !== current.description) {
+    flags.push(`--description=${changes.description}`);
+  }
+  if (flags.length > 0) commands.push(['update', current.id, ...flags]);
+
+  const diff = (next, prev, sub) => {
+    if (next === undefined) return;
+    for (const item of next.filter(x => !prev.includes(x))) commands.push([sub, 'add', current.id, item]);
+    for (const item of prev.filter(x => !next.includes(x))) commands.push([sub, 'remove', current.id, item]);
+  };
+  diff(changes.labels, current.labels || [], 'label');
+  diff(changes.dependsOn, current.dependsOn || [], 'dep');
+  return commands;
+}
+
+/**
+ * Run bd
+ * @param {string[]} args - Arguments
+ * @param {string} cwd - Rig directory
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Timeout (defaults to polling.longCommandTimeoutMs)
+ * @returns {Promise<string>} stdout
+ * @throws {Error} With bd's complaint when it fails
+ */
+export async function runBd(args, cwd, { timeoutMs = config.get('polling.longCommandTimeoutMs') } = {}) {
+  try {
+    const { stdout } = await runCommand('bd', args, { cwd, timeoutMs });
+    return stdout;
+  } catch (err) {
+    if (err.reason === 'not_found') throw new Error('bd command not found. Is beads installed?');
+    throw err;
+  }
+}
+
+/**
+ * Read a bead as bd has it right now, bypassing any cache
+ * @param {string} cwd - Rig directory
+ * @param {string} beadId - Bead ID
+ * @returns {Promise<import('./types.js').Bead>} Bead
+ * @throws {Error} If bd fails or answers with something unexpected
+ */
+export async function showBead(cwd, beadId) {
+  const parsed = JSON.parse(await runBd(['show', beadId, '--json'], cwd));
+  const raw = Array.isArray(parsed) ? parsed[0] : parsed;
+  if (!raw?.id) throw new Error(`No bead ${beadId}`);
+  return normalizeBead(raw);
+}
+
+/**
+ * Find the new bead's ID in `bd create` output
+ * @param {string} output - JSON record or "✓ Created issue: gt-xyz"
+ * @returns {string|null} Bead ID
+ */
+export function parseCreatedId(output) {
+  try {
+    const parsed = JSON.parse(output);
+    if (parsed?.id) return parsed.id;
+  } catch {}
+  return output.match(/Created issue:\s*(\S+)/)?.[1] || null;
+}
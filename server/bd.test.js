@@ -0,0 +1,74 @@
+/**
+ * Tests for bd commands
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { validateBeadFields, createBeadArgs, updateBeadCommands, parseCreatedId } from './bd.js';
+
+describe('validateBeadFields', () => {
+  it('needs a one-line title to create a bead', () => {
+    assert.strictEqual(validateBeadFields({ title: 'Fix login' }, { creating: true }), null);
+    assert.match(validateBeadFields({}, { creating: true }), /needs a title/);
+    assert.match(validateBeadFields({ title: 'a\nb' }, { creating: true }), /one line/);
+    assert.match(validateBeadFields({ title: 'Fix', status: 'closed' }, { creating: true }), /always open/);
+  });
+
+  it('checks each field of an update', () => {
+    assert.strictEqual(validateBeadFields({ status: 'in_progress', priority: 'high', assignee: '', labels: ['ui'], dependsOn: ['gt-2'] }), null);
+    assert.match(validateBeadFields({ status: 'finished' }), /Status/);
+    assert.match(validateBeadFields({ priority: 'p1' }), /Priority/);
+    for (const priority of ['constructor', 'toString', '__proto__']) {
+      assert.match(validateBeadFields({ priority }), /Priority/, priority);
+    }
+    assert.match(validateBeadFields({ assignee: 'nux; rm -rf' }), /Assignee/);
+    assert.match(validateBeadFields({ labels: 'ui' }), /Labels/);
+    assert.match(validateBeadFields({ labels: ['two words'] }), /Labels/);
+    assert.match(validateBeadFields({ dependsOn: ['gt 2'] }), /Dependencies/);
+  });
+
+  it('rejects values bd would read as options', () => {
+    assert.match(validateBeadFields({ assignee: '--db=/elsewhere' }), /Assignee/);
+    assert.match(validateBeadFields({ labels: ['-x'] }), /Labels/);
+    assert.match(validateBeadFields({ dependsOn: ['--db=/elsewhere'] }), /Dependencies/);
+    assert.strictEqual(validateBeadFields({ title: '-1 in the totals' }), null);
+  });
+});
+
+describe('createBeadArgs', () => {
+  it('passes each field as its own argument', () => {
+    assert.deepStrictEqual(
+      createBeadArgs({ title: ' Fix "login" ', priority: 'critical', description: 'It $(breaks)', labels: ['ui', 'auth'] }),
+      ['create', '--title=Fix "login"', '--type=task', '--priority=1', '--description=It $(breaks)', '--labels=ui,auth', '--json']
+    );
+    assert.strictEqual(createBeadArgs({ title: '--db=/elsewhere' })[1], '--title=--db=/elsewhere');
+  });
+});
+
+describe('updateBeadCommands', () => {
+  const current = { id: 'gt-1', title: 'Fix', description: '', status: 'open', priority: 'normal', assignee: null, labels: ['ui', 'old'], dependsOn: ['gt-2'] };
+
+  it('changes only what differs', () => {
+    assert.deepStrictEqual(updateBeadCommands(current, { status: 'open', priority: 'normal', assignee: '' }), []);
+    assert.deepStrictEqual(updateBeadCommands(current, { status: 'in_progress', assignee: 'api/nux' }), [
+      ['update', 'gt-1', '--status=in_progress', '--assignee=api/nux']
+    ]);
+  });
+
+  it('adds and removes labels and dependencies one by one', () => {
+    assert.deepStrictEqual(updateBeadCommands(current, { labels: ['ui', 'new'], dependsOn: ['gt-3'] }), [
+      ['label', 'add', 'gt-1', 'new'],
+      ['label', 'remove', 'gt-1', 'old'],
+      ['dep', 'add', 'gt-1', 'gt-3'],
+      ['dep', 'remove', 'gt-1', 'gt-2']
+    ]);
+  });
+});
+
+describe('parseCreatedId', () => {
+  it('reads JSON and text output', () => {
+    assert.strictEqual(parseCreatedId('{"id": "gt-9", "title": "Fix"}'), 'gt-9');
+    assert.strictEqual(parseCreatedId('✓ Created issue: gt-10\n'), 'gt-10');
+    assert.strictEqual(parseCreatedId('nothing'), null);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Bead Details
+ *
+ * Combines a bead's full record from `bd show` with what the dashboard has
+ * seen of it: status changes, hook intervals, owners, and the mail and log
+ * lines of its rig that mention its ID.
+ */
+
+import { isKnownRig, rigList } from './towns.js';
+
+/**
+ * @typedef {import('./types.js').Bead} Bead
+ * @typedef {import('./types.js').HookInterval} HookInterval
+ * @typedef {import('./types.js').LogEntry} LogEntry
+ * @typedef {import('./types.js').MailEvent} MailEvent
+ */
+
+/**
+ * Bead with everything known about it
+ * @typedef {Bead & {
+ *   detailed: boolean,
+ *   hookHistory: HookInterval[],
+ *   mail: MailEvent[],
+ *   logs: LogEntry[]
+ * }} BeadDetails
+ */
+
+/**
+ * Check whether text mentions a bead ID as a whole word
+ * @param {string|undefined} text - Text
+ * @param {string} beadId - Bead ID
+ * @returns {boolean} True if it does
+ */
+export function mentionsBead(text, beadId) {
+  if (typeof text !== 'string' || !text.includes(beadId)) return false;
+  const escaped = beadId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w-])${escaped}($|[^\\w-])`).test(text);
+}
+
+/**
+ * Build a bead's details
+ * @param {Object} state - Full state (StateManager.getState())
+ * @param {Object} bead - Which bead
+ * @param {string} bead.rig - Rig key
+ * @param {string} bead.id - Bead ID
+ * @param {Bead|null} details - Output of `bd show`, null if unavailable
+ * @returns {BeadDetails|null} Details, or null if the rig or bead is unknown
+ */
+export function buildBeadDetails(state, { rig, id }, details) {
+  if (!isKnownRig(state, rig)) return null;
+  const summary = rigList(state.beads, rig).find(bead => bead.id === id) || null;
+  if (!summary && !details) return null;
+
+  const key = `${rig}/${id}`;
+  return {
+    ...summary,
+    ...details,
+    id,
+    rig,
+    detailed: Boolean(details),
+    statusHistory: state.beadHistory?.[key] || [],
+    ownership: state.beadOwnership?.[key] || [],
+    hookHistory: Object.values(state.hookHistory || {})
+      .flat()
+      .filter(interval => interval.rig === rig && interval.bead === id)
+      .sort((a, b) => b.attachedAt.localeCompare(a.attachedAt)),
+    mail: (state.mail || []).filter(mail => (!mail.rig || mail.rig === rig) &&
+      [mail.subject, mail.preview, mail.content].some(text => mentionsBead(text, id))),
+    logs: (state.logs || []).filter(log => log.rig === rig && mentionsBead(log.message, id))
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for bead details
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildBeadDetails, mentionsBead } from './bead-details.js';
+
+describe('mentionsBead', () => {
+  it('matches the ID as a whole word only', () => {
+    assert.strictEqual(mentionsBead('POLECAT_DONE gt-1', 'gt-1'), true);
+    assert.strictEqual(mentionsBead('working on gt-1.', 'gt-1'), true);
+    assert.strictEqual(mentionsBead('working on gt-12', 'gt-1'), false);
+    assert.strictEqual(mentionsBead(undefined, 'gt-1'), false);
+  });
+});
+
+describe('buildBeadDetails', () => {
+  const state = {
+    rigs: { api: {} },
+    beads: { api: [{ id: 'gt-1', title: 'Summary title', status: 'hooked' }] },
+    beadHistory: { 'api/gt-1': [{ status: 'hooked' }] },
+    beadOwnership: { 'api/gt-1': [{ agent: 'nux' }] },
+    hookHistory: {
+      'api/polecat/nux': [{ rig: 'api', bead: 'gt-1', attachedAt: '2026-01-01T00:00:00Z' }],
+      'api/polecat/slit': [{ rig: 'api', bead: 'gt-2', attachedAt: '2026-01-01T00:00:00Z' }]
+    },
+    mail: [
+      { rig: 'api', subject: 'POLECAT_DONE gt-1' },
+      { rig: 'api', subject: 'POLECAT_DONE gt-12' }
+    ],
+    logs: [
+      { rig: 'api', message: 'Hooked gt-1' },
+      { rig: 'web', message: 'Hooked gt-1' }
+    ]
+  };
+
+  it('layers bd show output over the summary and adds what was seen of the bead', () => {
+    const bead = buildBeadDetails(state, { rig: 'api', id: 'gt-1' }, { id: 'gt-1', title: 'Full title', description: 'Long' });
+
+    assert.strictEqual(bead.title, 'Full title');
+    assert.strictEqual(bead.description, 'Long');
+    assert.strictEqual(bead.status, 'hooked');
+    assert.strictEqual(bead.detailed, true);
+    assert.strictEqual(bead.statusHistory.length, 1);
+    assert.strictEqual(bead.ownership[0].agent, 'nux');
+    assert.strictEqual(bead.hookHistory.length, 1);
+    assert.deepStrictEqual(bead.mail.map(mail => mail.subject), ['POLECAT_DONE gt-1']);
+    assert.strictEqual(bead.logs.length, 1);
+  });
+
+  it('falls back to the summary, and to null for unknown beads', () => {
+    assert.strictEqual(buildBeadDetails(state, { rig: 'api', id: 'gt-1' }, null).detailed, false);
+    assert.strictEqual(buildBeadDetails(state, { rig: 'api', id: 'gt-9' }, null), null);
+  });
+
+  it('treats inherited keys as unknown rigs', () => {
+    for (const rig of ['__proto__', 'constructor', 'toString']) {
+      assert.strictEqual(buildBeadDetails(state, { rig, id: 'gt-1' }, { id: 'gt-1' }), null, rig);
+    }
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Beads Reader
+ *
+ * Reads a rig's `.beads/issues.jsonl` directly instead of shelling out to
+ * `bd list`. The file holds one JSON issue per line; a later line for the
+ * same id replaces the earlier one.
+ *
+ * Parsing is incremental: while the file keeps the same inode and the
+ * bytes already read are unchanged, just the appended lines are parsed.
+ * A rewrite (bd exports by writing a new file and renaming it over the old
+ * one, or by overwriting it in place) or truncation triggers a full re-read.
+ *
+ * @module beads-reader
+ */
+
+import { openSync, readSync, closeSync, statSync } from 'fs';
+import { join } from 'path';
+import { normalizeBead } from './parser-utils.js';
+
+/**
+ * @typedef {import('./types.js').Bead} Bead
+ */
+
+/** Statuses bd uses for deleted issues, which are not shown */
+const HIDDEN_STATUSES = new Set(['tombstone', 'deleted']);
+
+/** Bytes before the read offset compared to detect in-place rewrites */
+const TAIL_CHECK_BYTES = 256;
+
+/**
+ * Cached parse state for one issues file
+ * @typedef {Object} BeadsFileState
+ * @property {number} ino - Inode when last read
+ * @property {number} offset - Bytes consumed (always ends on a line boundary)
+ * @property {number} mtimeMs - Modification time when last read
+ * @property {Buffer} tail - Last bytes consumed, to detect in-place rewrites
+ * @property {Map<string, Bead>} beads - Beads by id, in file order
+ */
+
+/**
+ * Result of reading an issues file
+ * @typedef {Object} BeadsReadResult
+ * @property {Bead[]} beads - All visible beads in the file
+ * @property {boolean} changed - True if the file changed since the previous read
+ */
+
+export class BeadsReader {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.gtDir] - Town directory
+   */
+  constructor(options = {}) {
+    /** @type {string} */
+    this.gtDir = options.gtDir || process.env.GT_DIR || `${process.env.HOME}/gt`;
+    /** @type {Map<string, BeadsFileState>} */
+    this.files = new Map();
+  }
+
+  /**
+   * Get the issues file path for a rig
+   * @param {string} rig - Rig name
+   * @returns {string} Path to `.beads/issues.jsonl`
+   */
+  getIssuesPath(rig) {
+    return join(this.gtDir, rig, '.beads', 'issues.jsonl');
+  }
+
+  /**
+   * Read a rig's beads
+   * @param {string} rig - Rig name
+   * @returns {BeadsReadResult|null} Beads, or null if the rig has no issues file
+   */
+  readRig(rig) {
+    return this.read(this.getIssuesPath(rig));
+  }
+
+  /**
+   * Read an issues file, parsing only what changed since the last read
+   * @param {string} filePath - Path to an issues.jsonl file
+   * @returns {BeadsReadResult|null} Beads, or null if the file does not exist
+   * @throws {Error} If the file exists but cannot be read
+   */
+  read(filePath) {
+    let stats;
+    try {
+      stats = statSync(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.files.delete(filePath);
+        return null;
+      }
+      throw err;
+    }
+
+    let cached = this.files.get(filePath);
+    if (cached && cached.ino === stats.ino && cached.offset === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return { beads: this.visibleBeads(cached), changed: false };
+    }
+
+    const fd = openSync(filePath, 'r');
+    try {
+      const rewritten = !cached || cached.ino !== stats.ino || stats.size < cached.offset ||
+        !this.tailMatches(fd, cached);
+      if (rewritten) {
+        cached = { ino: stats.ino, offset: 0, mtimeMs: 0, tail: Buffer.alloc(0), beads: new Map() };
+        this.files.set(filePath, cached);
+      }
+
+      const consumed = this.parseFrom(fd, cached, stats.size);
+      cached.mtimeMs = stats.mtimeMs;
+      return { beads: this.visibleBeads(cached), changed: rewritten || consumed > 0 };
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  /**
+   * Check that the bytes last consumed are still in place
+   * @param {number} fd - Open file descriptor
+   * @param {BeadsFileState} cached - Parse state
+   * @returns {boolean} True if the file looks like an append to what was read
+   */
+  tailMatches(fd, cached) {
+    const { tail, offset } = cached;
+    if (tail.length === 0) return true;
+    const current = Buffer.alloc(tail.length);
+    readSync(fd, current, 0, tail.length, offset - tail.length);
+    return current.equals(tail);
+  }
+
+  /**
+   * Parse complete lines between the cached offset and `size`
+   * @param {number} fd - Open file descriptor
+   * @param {BeadsFileState} cached - Parse state to update
+   * @param {number} size - Current file size
+   * @returns {number} Bytes consumed
+   */
+  parseFrom(fd, cached, size) {
+    const length = size - cached.offset;
+    if (length <= 0) return 0;
+
+    const buffer = Buffer.alloc(length);
+    const bytesRead = readSync(fd, buffer, 0, length, cached.offset);
+
+    // Leave a partially written last line for the next read
+    const end = buffer.lastIndexOf(0x0a, bytesRead - 1) + 1;
+    if (end === 0) return 0;
+
+    for (const line of buffer.toString('utf-8', 0, end).split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!record || !record.id) continue;
+      cached.beads.set(record.id, normalizeBead(record));
+    }
+
+    cached.offset += end;
+    cached.tail = Buffer.from(buffer.subarray(Math.max(0, end - TAIL_CHECK_BYTES), end));
+    return end;
+  }
+
+  /**
+   * Get beads that should be displayed
+   * @param {BeadsFileState} cached - Parse state
+   * @returns {Bead[]} Beads without deleted ones
+   */
+  visibleBeads(cached) {
+    return [...cached.beads.values()].filter(bead => !HIDDEN_STATUSES.has(bead.status));
+  }
+
+  /**
+   * Forget cached state for a file so the next read parses it in full
+   * @param {string} filePath - File path
+   */
+  invalidate(filePath) {
+    this.files.delete(filePath);
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Tests for the native .beads/issues.jsonl reader
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, appendFileSync, renameSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BeadsReader } from './beads-reader.js';
+
+const issue = (id, fields = {}) => JSON.stringify({ id, title: `Bead ${id}`, status: 'open', priority: 2, ...fields }) + '\n';
+
+describe('BeadsReader', () => {
+  let gtDir;
+  let path;
+  let reader;
+
+  beforeEach(() => {
+    gtDir = mkdtempSync(join(tmpdir(), 'gtviz-beads-'));
+    mkdirSync(join(gtDir, 'rig1', '.beads'), { recursive: true });
+    path = join(gtDir, 'rig1', '.beads', 'issues.jsonl');
+    reader = new BeadsReader({ gtDir });
+  });
+
+  afterEach(() => {
+    rmSync(gtDir, { recursive: true, force: true });
+  });
+
+  it('returns null when the rig has no issues file', () => {
+    assert.strictEqual(reader.readRig('other'), null);
+  });
+
+  it('parses bd records into the Bead shape', () => {
+    writeFileSync(path, issue('gt-1', {
+      issue_type: 'bug',
+      assignee: 'rig1/nux',
+      labels: ['ui'],
+      notes: 'first note',
+      created_at: '2026-01-01T00:00:00Z',
+      dependencies: [{ issue_id: 'gt-1', depends_on_id: 'gt-0', type: 'blocks' }]
+    }));
+
+    const { beads, changed } = reader.readRig('rig1');
+
+    assert.strictEqual(changed, true);
+    assert.deepStrictEqual(beads[0], {
+      id: 'gt-1',
+      title: 'Bead gt-1',
+      status: 'open',
+      priority: 'high',
+      labels: ['ui'],
+      owner: null,
+      assignee: 'rig1/nux',
+      type: 'bug',
+      description: '',
+      notes: ['first note'],
+      dependsOn: ['gt-0'],
+      createdAt: '2026-01-01T00:00:00Z',
+      updatedAt: null,
+      closedAt: null
+    });
+  });
+
+  it('reports no change when the file is untouched', () => {
+    writeFileSync(path, issue('gt-1'));
+    reader.readRig('rig1');
+    const second = reader.readRig('rig1');
+    assert.strictEqual(second.changed, false);
+    assert.strictEqual(second.beads.length, 1);
+  });
+
+  it('parses appended lines and lets later lines win', () => {
+    writeFileSync(path, issue('gt-1') + issue('gt-2'));
+    reader.readRig('rig1');
+
+    appendFileSync(path, issue('gt-1', { status: 'in_progress' }) + issue('gt-3'));
+    const { beads, changed } = reader.readRig('rig1');
+
+    assert.strictEqual(changed, true);
+    assert.deepStrictEqual(beads.map(b => [b.id, b.status]), [
+      ['gt-1', 'in_progress'],
+      ['gt-2', 'open'],
+      ['gt-3', 'open']
+    ]);
+  });
+
+  it('waits for a partially written line to be completed', () => {
+    writeFileSync(path, issue('gt-1'));
+    reader.readRig('rig1');
+
+    const partial = issue('gt-2');
+    appendFileSync(path, partial.slice(0, 10));
+    assert.strictEqual(reader.readRig('rig1').beads.length, 1);
+
+    appendFileSync(path, partial.slice(10));
+    assert.deepStrictEqual(reader.readRig('rig1').beads.map(b => b.id), ['gt-1', 'gt-2']);
+  });
+
+  it('re-reads the whole file after an atomic rewrite', () => {
+    writeFileSync(path, issue('gt-1') + issue('gt-2'));
+    reader.readRig('rig1');
+
+    writeFileSync(`${path}.tmp`, issue('gt-2', { status: 'closed' }));
+    renameSync(`${path}.tmp`, path);
+    const { beads, changed } = reader.readRig('rig1');
+
+    assert.strictEqual(changed, true);
+    assert.deepStrictEqual(beads.map(b => [b.id, b.status]), [['gt-2', 'closed']]);
+  });
+
+  it('re-reads the whole file after an in-place rewrite that grows it', () => {
+    writeFileSync(path, issue('gt-1'));
+    reader.readRig('rig1');
+
+    writeFileSync(path, issue('gt-9', { title: 'A much longer replacement title' }) + issue('gt-10'));
+    const { beads } = reader.readRig('rig1');
+
+    assert.deepStrictEqual(beads.map(b => b.id), ['gt-9', 'gt-10']);
+  });
+
+  it('skips malformed lines and hides deleted beads', () => {
+    writeFileSync(path, issue('gt-1') + 'not json\n' + issue('gt-2', { status: 'tombstone' }));
+    assert.deepStrictEqual(reader.readRig('rig1').beads.map(b => b.id), ['gt-1']);
+  });
+});
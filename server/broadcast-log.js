@@ -0,0 +1,102 @@
+/**
+ * Broadcast Log
+ *
+ * Assigns a sequence number to every WebSocket broadcast and keeps the most
+ * recent ones in a bounded ring buffer. A reconnecting client presents the
+ * last sequence number it saw (its cursor) and gets the messages it missed
+ * replayed, or is told to do a full resync when the gap is no longer covered.
+ *
+ * @module broadcast-log
+ */
+
+import crypto from 'crypto';
+import { BROADCAST_BUFFER_SIZE } from './constants.js';
+
+/**
+ * Message types that are not worth replaying: periodic snapshots that are
+ * superseded by the next one, and presence updates that are resent on connect.
+ */
+export const EPHEMERAL_MESSAGE_TYPES = [
+  'metrics',
+  'predictions',
+  'userJoined',
+  'userLeft',
+  'userActivity',
+  'userUpdated'
+];
+
+/**
+ * Result of a resume attempt
+ * @typedef {Object} ResumeResult
+ * @property {boolean} resumable - Whether the missed messages can be replayed
+ * @property {Object[]} [messages] - Missed messages in order (when resumable)
+ * @property {'epoch_mismatch' | 'gap_too_large' | 'cursor_ahead' | 'invalid_cursor'} [reason] - Why not
+ */
+
+/**
+ * BroadcastLog - Sequenced ring buffer of broadcast messages
+ */
+export class BroadcastLog {
+  /**
+   * Create a new BroadcastLog
+   * @param {Object} [options] - Options
+   * @param {number} [options.capacity] - Maximum number of retained messages
+   */
+  constructor(options = {}) {
+    /** @type {number} */
+    this.capacity = options.capacity ?? BROADCAST_BUFFER_SIZE;
+    /** @type {string} Identifies this server run; cursors from other runs are invalid */
+    this.epoch = crypto.randomBytes(4).toString('hex');
+    /** @type {number} */
+    this.seq = 0;
+    /** @type {Object[]} */
+    this.entries = [];
+    /** @type {number} Highest sequence number dropped from the buffer */
+    this.evictedThrough = 0;
+  }
+
+  /**
+   * Stamp a message with the next sequence number and retain it for replay
+   * @param {Object} message - Message to broadcast
+   * @returns {Object} Message with `seq` set
+   */
+  record(message) {
+    this.seq++;
+    const sequenced = { ...message, seq: this.seq };
+
+    if (!EPHEMERAL_MESSAGE_TYPES.includes(message.type)) {
+      this.entries.push(sequenced);
+      if (this.entries.length > this.capacity) {
+        const evicted = this.entries.shift();
+        this.evictedThrough = evicted.seq;
+      }
+    }
+
+    return sequenced;
+  }
+
+  /**
+   * Get the messages broadcast after a client's cursor
+   * @param {number} cursor - Last sequence number the client saw
+   * @param {string} epoch - Epoch the cursor belongs to
+   * @returns {ResumeResult} Missed messages or the reason a resync is needed
+   */
+  getMissedSince(cursor, epoch) {
+    if (epoch !== this.epoch) {
+      return { resumable: false, reason: 'epoch_mismatch' };
+    }
+    if (!Number.isInteger(cursor) || cursor < 0) {
+      return { resumable: false, reason: 'invalid_cursor' };
+    }
+    if (cursor > this.seq) {
+      return { resumable: false, reason: 'cursor_ahead' };
+    }
+    if (cursor < this.evictedThrough) {
+      return { resumable: false, reason: 'gap_too_large' };
+    }
+    return {
+      resumable: true,
+      messages: this.entries.filter(entry => entry.seq > cursor)
+    };
+  }
+}
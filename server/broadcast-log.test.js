@@ -0,0 +1,82 @@
+/**
+ * Tests for the broadcast log (sequenced replay buffer)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { BroadcastLog } from './broadcast-log.js';
+
+describe('BroadcastLog', () => {
+  it('stamps messages with increasing sequence numbers', () => {
+    const log = new BroadcastLog();
+    const first = log.record({ type: 'event', event: { id: 1 } });
+    const second = log.record({ type: 'alert', alert: { id: 'a' } });
+
+    assert.strictEqual(first.seq, 1);
+    assert.strictEqual(second.seq, 2);
+    assert.strictEqual(log.seq, 2);
+  });
+
+  it('does not mutate the original message', () => {
+    const log = new BroadcastLog();
+    const message = { type: 'event', event: {} };
+    log.record(message);
+    assert.strictEqual(message.seq, undefined);
+  });
+
+  it('replays messages after the cursor', () => {
+    const log = new BroadcastLog();
+    log.record({ type: 'event', event: { id: 1 } });
+    log.record({ type: 'event', event: { id: 2 } });
+    log.record({ type: 'event', event: { id: 3 } });
+
+    const result = log.getMissedSince(1, log.epoch);
+    assert.strictEqual(result.resumable, true);
+    assert.deepStrictEqual(result.messages.map(m => m.seq), [2, 3]);
+  });
+
+  it('returns no messages when the client is up to date', () => {
+    const log = new BroadcastLog();
+    log.record({ type: 'event', event: {} });
+    const result = log.getMissedSince(1, log.epoch);
+    assert.strictEqual(result.resumable, true);
+    assert.deepStrictEqual(result.messages, []);
+  });
+
+  it('sequences but does not retain ephemeral messages', () => {
+    const log = new BroadcastLog();
+    log.record({ type: 'metrics', data: {} });
+    log.record({ type: 'event', event: {} });
+    log.record({ type: 'userJoined', user: {} });
+
+    const result = log.getMissedSince(0, log.epoch);
+    assert.deepStrictEqual(result.messages.map(m => m.type), ['event']);
+    assert.strictEqual(log.seq, 3);
+  });
+
+  it('requires a resync when the gap exceeds the buffer', () => {
+    const log = new BroadcastLog({ capacity: 2 });
+    for (let i = 0; i < 5; i++) {
+      log.record({ type: 'event', event: { i } });
+    }
+
+    assert.deepStrictEqual(log.getMissedSince(1, log.epoch), { resumable: false, reason: 'gap_too_large' });
+    const result = log.getMissedSince(3, log.epoch);
+    assert.strictEqual(result.resumable, true);
+    assert.deepStrictEqual(result.messages.map(m => m.seq), [4, 5]);
+  });
+
+  it('requires a resync for cursors from another server run', () => {
+    const log = new BroadcastLog();
+    log.record({ type: 'event', event: {} });
+    assert.deepStrictEqual(log.getMissedSince(0, 'deadbeef'), { resumable: false, reason: 'epoch_mismatch' });
+  });
+
+  it('rejects cursors ahead of the log or malformed', () => {
+    const log = new BroadcastLog();
+    log.record({ type: 'event', event: {} });
+    assert.strictEqual(log.getMissedSince(5, log.epoch).reason, 'cursor_ahead');
+    assert.strictEqual(log.getMissedSince(NaN, log.epoch).reason, 'invalid_cursor');
+    assert.strictEqual(log.getMissedSince(-1, log.epoch).reason, 'invalid_cursor');
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Circuit Breaker
+ *
+ * Guards each data source - one poll operation (agents, beads, hooks) in one
+ * rig, or the town's rig list - so a source that keeps failing stops being
+ * hammered:
+ *
+ * - closed:    polls run; consecutive failures are counted
+ * - open:      after polling.circuit.failureThreshold failures, polls are
+ *              skipped for polling.circuit.resetTimeoutMs
+ * - half_open: after the timeout one trial poll runs; success closes the
+ *              circuit, failure opens it again
+ *
+ * Each breaker also tracks when its source last refreshed, which makes up
+ * the freshness model shown in the API and the UI.
+ *
+ * @module circuit-breaker
+ */
+
+import { EventEmitter } from 'events';
+
+/** Circuit states */
+export const CircuitState = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+});
+
+/**
+ * Thrown instead of running an operation whose circuit is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} source - Source name (e.g. "api/beads")
+   * @param {number} retryAt - When the next trial is allowed (ms)
+   */
+  constructor(source, retryAt) {
+    super(`${source} is failing; next attempt at ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.source = source;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Freshness and circuit state of one data source
+ * @typedef {Object} SourceHealth
+ * @property {string|null} rig - Rig name (null for town-wide sources)
+ * @property {string} operation - Operation (rigs, agents, beads, hooks)
+ * @property {'closed'|'open'|'half_open'} state - Circuit state
+ * @property {number} failures - Consecutive failures
+ * @property {string|null} lastSuccessAt - ISO time the source last refreshed
+ * @property {string|null} lastFailureAt - ISO time of the last failure
+ * @property {string|null} lastError - Message of the last failure
+ * @property {string|null} openedAt - ISO time the circuit last opened
+ * @property {string|null} retryAt - ISO time of the next trial while open
+ */
+
+/**
+ * Transition of a breaker between states
+ * @typedef {Object} CircuitTransition
+ * @property {string|null} rig - Rig name
+ * @property {string} operation - Operation
+ * @property {string} from - Previous state
+ * @property {string} to - New state
+ * @property {string|null} error - Failure that caused it, if any
+ * @property {SourceHealth} health - Health after the transition
+ */
+
+/**
+ * CircuitBreaker - Circuit state and freshness for one source
+ *
+ * Emits 'transition' (CircuitTransition) when its state changes and
+ * 'health' (SourceHealth) after every recorded outcome.
+ *
+ * @extends EventEmitter
+ */
+export class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {string|null} [options.rig] - Rig name
+   * @param {string} options.operation - Operation name
+   * @param {function(): number} options.failureThreshold - Failures before opening
+   * @param {function(): number} options.resetTimeoutMs - Time open before a trial
+   * @param {function(): number} [options.now] - Clock
+   */
+  constructor(options) {
+    super();
+    /** @type {string|null} */
+    this.rig = options.rig ?? null;
+    /** @type {string} */
+    this.operation = options.operation;
+    /** @type {Object} */
+    this.options = options;
+    /** @type {function(): number} */
+    this.now = options.now || Date.now;
+    /** @type {string} */
+    this.state = CircuitState.CLOSED;
+    /** @type {number} */
+    this.failures = 0;
+    /** @type {number|null} */
+    this.lastSuccessAt = null;
+    /** @type {number|null} */
+    this.lastFailureAt = null;
+    /** @type {string|null} */
+    this.lastError = null;
+    /** @type {number|null} */
+    this.openedAt = null;
+    /** @type {boolean} True while the half-open trial is running */
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Source name for messages
+   * @returns {string} "rig/operation", or the operation for town-wide sources
+   */
+  get name() {
+    return this.rig ? `${this.rig}/${this.operation}` : this.operation;
+  }
+
+  /**
+   * When the next trial is allowed while open
+   * @returns {number|null} Time in ms
+   */
+  get retryAt() {
+    return this.state === CircuitState.OPEN ? this.openedAt + this.options.resetTimeoutMs() : null;
+  }
+
+  /**
+   * Run an operation through the breaker
+   * @template T
+   * @param {function(): Promise<T>} fn - Operation
+   * @returns {Promise<T>} Operation result
+   * @throws {CircuitOpenError} If the circuit is open (or its trial is already running)
+   */
+  async run(fn) {
+    if (this.state === CircuitState.OPEN) {
+      if (this.now() < this.retryAt) {
+        throw new CircuitOpenError(this.name, this.retryAt);
+      }
+      this.transition(CircuitState.HALF_OPEN, null);
+    }
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, this.now() + this.options.resetTimeoutMs());
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (err) {
+      this.recordFailure(err);
+      throw err;
+    } finally {
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Record a successful refresh
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.lastSuccessAt = this.now();
+    this.lastError = null;
+    if (this.state !== CircuitState.CLOSED) {
+      this.openedAt = null;
+      this.transition(CircuitState.CLOSED, null);
+    }
+    this.emit('health', this.getHealth());
+  }
+
+  /**
+   * Record a failed refresh, opening the circuit at the threshold
+   * @param {Error} err - Failure
+   */
+  recordFailure(err) {
+    this.failures++;
+    this.lastFailureAt = this.now();
+    this.lastError = err.message;
+    if (this.state === CircuitState.HALF_OPEN ||
+        (this.state === CircuitState.CLOSED && this.failures >= this.options.failureThreshold())) {
+      this.openedAt = this.now();
+      this.transition(CircuitState.OPEN, err.message);
+    }
+    this.emit('health', this.getHealth());
+  }
+
+  /**
+   * Change state and announce it
+   * @param {string} to - New state
+   * @param {string|null} error - Failure that caused it
+   */
+  transition(to, error) {
+    const from = this.state;
+    this.state = to;
+    this.emit('transition', { rig: this.rig, operation: this.operation, from, to, error, health: this.getHealth() });
+  }
+
+  /**
+   * Describe the source's freshness and circuit state
+   * @returns {SourceHealth} Health
+   */
+  getHealth() {
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+    return {
+      rig: this.rig,
+      operation: this.operation,
+      state: this.state,
+      failures: this.failures,
+      lastSuccessAt: iso(this.lastSuccessAt),
+      lastFailureAt: iso(this.lastFailureAt),
+      lastError: this.lastError,
+      openedAt: iso(this.openedAt),
+      retryAt: iso(this.retryAt)
+    };
+  }
+}
+
+/**
+ * CircuitBreakerRegistry - One breaker per (rig, operation), created on use.
+ * Re-emits 'transition' and 'health' from every breaker.
+ *
+ * @extends EventEmitter
+ */
+export class CircuitBreakerRegistry extends EventEmitter {
+  /**
+   * @param {Object} options - Options passed to each breaker
+   * @param {function(): number} options.failureThreshold - Failures before opening
+   * @param {function(): number} options.resetTimeoutMs - Time open before a trial
+   * @param {function(): number} [options.now] - Clock
+   */
+  constructor(options) {
+    super();
+    /** @type {Object} */
+    this.options = options;
+    /** @type {Map<string, CircuitBreaker>} */
+    this.breakers = new Map();
+  }
+
+  /**
+   * Get (or create) the breaker for a source
+   * @param {string|null} rig - Rig name, null for town-wide sources
+   * @param {string} operation - Operation name
+   * @returns {CircuitBreaker} Breaker
+   */
+  get(rig, operation) {
+    const key = `${rig ?? ''}/${operation}`;
+    let breaker = this.breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker({ ...this.options, rig, operation });
+      breaker.on('transition', transition => this.emit('transition', transition));
+      breaker.on('health', health => this.emit('health', health));
+      this.breakers.set(key, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Run an operation through its source's breaker
+   * @template T
+   * @param {string|null} rig - Rig name
+   * @param {string} operation - Operation name
+   * @param {function(): Promise<T>} fn - Operation
+   * @returns {Promise<T>} Operation result
+   * @throws {CircuitOpenError} If the source's circuit is open
+   */
+  run(rig, operation, fn) {
+    return this.get(rig, operation).run(fn);
+  }
+
+  /**
+   * Check whether a source is being skipped
+   * @param {string|null} rig - Rig name
+   * @param {string} operation - Operation name
+   * @returns {boolean} True if its circuit is open
+   */
+  isOpen(rig, operation) {
+    return this.breakers.get(`${rig ?? ''}/${operation}`)?.state === CircuitState.OPEN;
+  }
+
+  /**
+   * Forget the breakers of a rig that no longer exists
+   * @param {string} rig - Rig name
+   */
+  removeRig(rig) {
+    for (const [key, breaker] of this.breakers) {
+      if (breaker.rig === rig) {
+        breaker.removeAllListeners();
+        this.breakers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Describe every source
+   * @returns {SourceHealth[]} Health per source
+   */
+  getHealth() {
+    return [...this.breakers.values()].map(breaker => breaker.getHealth());
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Tests for per-source circuit breakers
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CircuitBreaker, CircuitBreakerRegistry, CircuitOpenError, CircuitState } from './circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+  let transitions;
+
+  const fail = () => breaker.run(async () => { throw new Error('bd hung'); });
+  const succeed = () => breaker.run(async () => 'ok');
+
+  beforeEach(() => {
+    now = 1_000_000;
+    breaker = new CircuitBreaker({
+      rig: 'api',
+      operation: 'beads',
+      failureThreshold: () => 3,
+      resetTimeoutMs: () => 60_000,
+      now: () => now
+    });
+    transitions = [];
+    breaker.on('transition', t => transitions.push(`${t.from}->${t.to}`));
+  });
+
+  it('opens after the failure threshold and then skips the operation', async () => {
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(fail(), /bd hung/);
+    }
+    assert.strictEqual(breaker.state, CircuitState.OPEN);
+
+    let ran = false;
+    await assert.rejects(breaker.run(async () => { ran = true; }), CircuitOpenError);
+    assert.strictEqual(ran, false);
+    assert.deepStrictEqual(transitions, ['closed->open']);
+  });
+
+  it('lets one trial through after the timeout and closes on success', async () => {
+    for (let i = 0; i < 3; i++) await assert.rejects(fail());
+    now += 60_000;
+
+    assert.strictEqual(await succeed(), 'ok');
+    assert.strictEqual(breaker.state, CircuitState.CLOSED);
+    assert.deepStrictEqual(transitions, ['closed->open', 'open->half_open', 'half_open->closed']);
+  });
+
+  it('reopens when the trial fails', async () => {
+    for (let i = 0; i < 3; i++) await assert.rejects(fail());
+    now += 60_000;
+    await assert.rejects(fail(), /bd hung/);
+
+    assert.strictEqual(breaker.state, CircuitState.OPEN);
+    assert.strictEqual(breaker.getHealth().retryAt, new Date(now + 60_000).toISOString());
+  });
+
+  it('tracks when the source last refreshed', async () => {
+    await succeed();
+    now += 5000;
+    await assert.rejects(fail());
+
+    const health = breaker.getHealth();
+    assert.strictEqual(health.lastSuccessAt, new Date(now - 5000).toISOString());
+    assert.strictEqual(health.lastError, 'bd hung');
+    assert.strictEqual(health.failures, 1);
+    assert.strictEqual(health.state, CircuitState.CLOSED);
+  });
+});
+
+describe('CircuitBreakerRegistry', () => {
+  it('keeps one breaker per rig and operation', async () => {
+    const registry = new CircuitBreakerRegistry({ failureThreshold: () => 1, resetTimeoutMs: () => 60_000 });
+    await assert.rejects(registry.run('api', 'beads', async () => { throw new Error('down'); }));
+    await registry.run('api', 'hooks', async () => {});
+
+    assert.strictEqual(registry.isOpen('api', 'beads'), true);
+    assert.strictEqual(registry.isOpen('api', 'hooks'), false);
+    assert.strictEqual(registry.isOpen('web', 'beads'), false);
+
+    registry.removeRig('api');
+    assert.deepStrictEqual(registry.getHealth(), []);
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Remote Collector
+ *
+ * Collector side of `gtviz collect --push <url>`: runs the usual poller and
+ * watchers against the local town and streams state deltas, events and logs
+ * to a central gtviz server (see ingest.js for the protocol).
+ *
+ * While disconnected, events are buffered (up to collector.queueSize) and
+ * state changes are dropped; every connection starts with a full snapshot.
+ *
+ * @module collector
+ */
+
+import { EventEmitter } from 'events';
+import { hostname } from 'os';
+import WebSocket from 'ws';
+import { StateManager } from './state.js';
+import { StateSync } from './state-sync.js';
+import { GtPoller } from './gt-poller.js';
+import { FileWatcher } from './watchers.js';
+import { LogsWatcher } from './logs-watcher.js';
+import { INGEST_PATH, COLLECTED_KEYS } from './ingest.js';
+import { config } from './config.js';
+import logger from './logger.js';
+
+// Reconnect backoff bounds
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+/**
+ * Build the ingest URL for a central server address
+ * @param {string} url - Server address (http(s) or ws(s); path defaults to /ingest)
+ * @param {string} name - Town name to report as
+ * @param {string} host - Collector hostname
+ * @returns {string} WebSocket URL
+ * @throws {TypeError} If the address is not a URL
+ */
+export function toIngestUrl(url, name, host) {
+  const parsed = new URL(url);
+  if (parsed.protocol === 'http:') parsed.protocol = 'ws:';
+  if (parsed.protocol === 'https:') parsed.protocol = 'wss:';
+  if (parsed.pathname === '/' || parsed.pathname === '') parsed.pathname = INGEST_PATH;
+  parsed.searchParams.set('name', name);
+  parsed.searchParams.set('host', host);
+  return parsed.toString();
+}
+
+/**
+ * Turn a hostname into a valid town name
+ * @param {string} host - Hostname
+ * @returns {string} Town name
+ */
+export function defaultCollectorName(host = hostname()) {
+  return host.split('.')[0].replace(/[^a-zA-Z0-9_-]/g, '-') || 'remote';
+}
+
+/**
+ * CollectorAgent - Pushes a StateManager's contents to a central server
+ *
+ * @extends EventEmitter
+ */
+export class CollectorAgent extends EventEmitter {
+  /**
+   * @param {StateManager} state - Local state to push
+   * @param {Object} options - Options
+   * @param {string} options.url - Central server address
+   * @param {string} options.token - Ingest token
+   * @param {string} options.name - Town name to report as
+   * @param {string} [options.host] - Hostname to report
+   * @param {function(): (number|null)} [options.lastPollAt] - Time of the last successful poll
+   */
+  constructor(state, options) {
+    super();
+    /** @type {StateManager} */
+    this.state = state;
+    /** @type {string} */
+    this.name = options.name;
+    /** @type {string} */
+    this.url = toIngestUrl(options.url, options.name, options.host || hostname());
+    /** @type {string} */
+    this.token = options.token;
+    /** @type {function(): (number|null)} */
+    this.lastPollAt = options.lastPollAt || (() => null);
+    /** @type {StateSync} */
+    this.sync = new StateSync(state, { keys: COLLECTED_KEYS, debounceMs: config.get('sync.patchDebounceMs') });
+    /** @type {WebSocket|null} */
+    this.ws = null;
+    /** @type {boolean} True once the server has welcomed this connection */
+    this.connected = false;
+    /** @type {Object[]} Events waiting for a connection */
+    this.queue = [];
+    /** @type {number} */
+    this.attempts = 0;
+    /** @type {boolean} */
+    this.stopped = true;
+    /** @type {NodeJS.Timeout|null} */
+    this.reconnectTimer = null;
+    /** @type {NodeJS.Timeout|null} */
+    this.heartbeatTimer = null;
+
+    this.handlePatch = patch => {
+      if (this.connected) this.send({ type: 'patch', version: patch.version, ops: patch.ops, lastPollAt: this.lastPollAt() });
+    };
+    this.handleEvent = event => this.sendEvent(event);
+  }
+
+  /**
+   * Start tracking state and connect
+   */
+  start() {
+    this.stopped = false;
+    this.sync.on('patch', this.handlePatch);
+    this.sync.start();
+    this.state.on('event', this.handleEvent);
+    this.heartbeatTimer = setInterval(() => {
+      if (this.connected) this.send({ type: 'heartbeat', lastPollAt: this.lastPollAt() });
+    }, config.get('collector.heartbeatMs'));
+    this.connect();
+  }
+
+  /**
+   * Disconnect and stop tracking state
+   */
+  stop() {
+    this.stopped = true;
+    this.sync.stop();
+    this.sync.off('patch', this.handlePatch);
+    this.state.off('event', this.handleEvent);
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.reconnectTimer);
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    if (this.ws) {
+      this.ws.close(1000, 'Collector stopping');
+      this.ws = null;
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Open a connection to the central server
+   */
+  connect() {
+    const ws = new WebSocket(this.url, { headers: { Authorization: `Bearer ${this.token}` } });
+    this.ws = ws;
+
+    ws.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (message.type === 'welcome') {
+        this.attempts = 0;
+        this.connected = true;
+        this.sendFullState();
+        this.flushQueue();
+        logger.info('collector', 'Connected to central server', { url: this.url, town: message.town });
+        this.emit('connected');
+      } else if (message.type === 'resync') {
+        this.sendFullState();
+      }
+    });
+    ws.on('unexpected-response', (req, res) => {
+      logger.error('collector', 'Central server refused the connection', { status: res.statusCode, url: this.url });
+      ws.terminate();
+    });
+    ws.on('error', err => {
+      logger.warn('collector', 'Connection error', { error: err.message });
+    });
+    ws.on('close', () => {
+      if (this.ws !== ws) return;
+      const wasConnected = this.connected;
+      this.ws = null;
+      this.connected = false;
+      if (wasConnected) {
+        logger.warn('collector', 'Disconnected from central server');
+        this.emit('disconnected');
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.stopped) return;
+    const delay = Math.min(RECONNECT_MIN_MS * 2 ** this.attempts, RECONNECT_MAX_MS);
+    this.attempts++;
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Send a message if the socket is open
+   * @param {Object} message - Message
+   */
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send the full collected state
+   */
+  sendFullState() {
+    const { version, data } = this.sync.getFullState();
+    this.send({ type: 'state', version, data, lastPollAt: this.lastPollAt() });
+  }
+
+  /**
+   * Send an event, or queue it while disconnected
+   * @param {Object} event - Event
+   */
+  sendEvent(event) {
+    if (this.connected) {
+      this.send({ type: 'event', event });
+      return;
+    }
+    this.queue.push(event);
+    const max = config.get('collector.queueSize');
+    if (this.queue.length > max) {
+      this.queue.splice(0, this.queue.length - max);
+    }
+  }
+
+  /**
+   * Send events buffered while disconnected, oldest first
+   */
+  flushQueue() {
+    const queued = this.queue;
+    this.queue = [];
+    for (const event of queued) {
+      this.send({ type: 'event', event });
+    }
+  }
+}
+
+/**
+ * Poll and watch the local town and push it to a central server
+ * @param {Object} options - Options
+ * @param {string} options.url - Central server address
+ * @param {string} options.token - Ingest token
+ * @param {string} [options.name] - Town name to report as (default: short hostname)
+ * @param {string} [options.gtDir] - Town directory (default: GT_DIR)
+ * @returns {{agent: CollectorAgent, stop: function(): void}} Running collector
+ */
+export function startCollector({ url, token, name = defaultCollectorName(), gtDir }) {
+  const state = new StateManager();
+  const poller = new GtPoller(state, null, { gtDir });
+  const fileWatcher = new FileWatcher(state, { gtDir, onBeadsChange: rig => poller.refreshBeads(rig) });
+  const logsWatcher = new LogsWatcher(state, { gtDir });
+  const agent = new CollectorAgent(state, {
+    url,
+    token,
+    name,
+    lastPollAt: () => poller.lastSuccessfulPoll.rigs || null
+  });
+
+  agent.start();
+  poller.start();
+  fileWatcher.start();
+  logsWatcher.start();
+
+  return {
+    agent,
+    stop() {
+      poller.stop();
+      fileWatcher.stop();
+      logsWatcher.stop();
+      agent.stop();
+    }
+  };
+}
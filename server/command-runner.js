@@ -0,0 +1,303 @@
+/**
+ * Command Runner
+ *
+ * Every external command the server launches (gt, bd, ls, ps, tmux) goes
+ * through here. Commands run as a file with an argument list, never through
+ * a shell, with a timeout, a cap on their output and an optional AbortSignal
+ * to cancel them. They run on the active data source, so recording and
+ * replay see them like any other collection command (see data-source.js).
+ *
+ * The runner counts runs, failures and latency per command and keeps a ring
+ * buffer of recent runs, served at /api/commands/recent. Free text an
+ * operator typed, such as nudge messages and mail, is redacted from it.
+ */
+
+import { config } from './config.js';
+import { execFile, getDataSource } from './data-source.js';
+
+/** Longest argument kept in the audit buffer */
+const MAX_AUDIT_ARG_LENGTH = 200;
+
+/** Flags whose value is free text, kept out of the audit buffer */
+const FREE_TEXT_FLAGS = new Set(['-m', '--message', '-s', '--subject', '--body']);
+
+/** Position of the free-text argument of commands that take one, e.g. `gt nudge <target> <message>` */
+const FREE_TEXT_POSITIONS = { 'gt nudge': 2 };
+
+/** Stands in for redacted text */
+const REDACTED = '[redacted]';
+
+/**
+ * Why a command failed: it is not installed, ran past its timeout, was
+ * cancelled, wrote more than its output limit, or exited with an error
+ * @typedef {'not_found'|'timeout'|'cancelled'|'output_limit'|'failed'} FailureReason
+ */
+
+/**
+ * Options for one run
+ * @typedef {Object} RunOptions
+ * @property {string} [cwd] - Working directory
+ * @property {Object<string, string>} [env] - Environment (defaults to the server's)
+ * @property {number} [timeoutMs] - Kill the command after this long (defaults to polling.commandTimeoutMs)
+ * @property {number} [maxOutputBytes] - Kill the command once stdout or stderr exceeds this (defaults to polling.maxCommandOutputBytes)
+ * @property {AbortSignal} [signal] - Cancels the command when aborted
+ */
+
+/**
+ * One run as kept in the audit buffer
+ * @typedef {Object} CommandRun
+ * @property {number} id - Sequence number
+ * @property {string} command - Command name (see commandName)
+ * @property {string[]} args - Arguments, free text redacted and long ones shortened
+ * @property {string|null} cwd - Working directory
+ * @property {string} source - Data source mode (live, record or replay)
+ * @property {string} startedAt - ISO timestamp
+ * @property {number} durationMs - How long it ran
+ * @property {boolean} ok - Whether it succeeded
+ * @property {FailureReason|null} reason - Why it failed
+ * @property {string|null} error - Failure message
+ * @property {number} stdoutBytes - Length of stdout
+ * @property {number} stderrBytes - Length of stderr
+ */
+
+/**
+ * Totals for one command
+ * @typedef {Object} CommandStats
+ * @property {number} runs - Times run
+ * @property {number} failures - Times failed
+ * @property {Object<FailureReason, number>} reasons - Failures by reason
+ * @property {number} avgMs - Mean duration
+ * @property {number} maxMs - Longest duration
+ * @property {number} lastMs - Duration of the latest run
+ * @property {{at: string, reason: FailureReason, error: string}|null} lastFailure - Latest failure
+ */
+
+/**
+ * Thrown when a command fails. Carries whatever output it wrote.
+ */
+export class CommandError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} details
+   * @param {string} details.command - Command name
+   * @param {FailureReason} details.reason - Why it failed
+   * @param {string|number|null} [details.code] - Exit code or system error code
+   * @param {string} [details.stdout] - Output written before it failed
+   * @param {string} [details.stderr] - Error output
+   */
+  constructor(message, { command, reason, code = null, stdout = '', stderr = '' }) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = command;
+    this.reason = reason;
+    this.code = code;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * Name a command for metrics: the file, plus its first argument when that
+ * is a subcommand rather than a flag or a path ("gt hook", "bd show", "ls")
+ * @param {string} file - Executable
+ * @param {string[]} args - Arguments
+ * @returns {string} Command name
+ */
+export function commandName(file, args) {
+  const [first] = args;
+  return first && /^[a-z][a-z0-9-]*$/i.test(first) ? `${file} ${first}` : file;
+}
+
+/**
+ * Prepare arguments for the audit buffer: drop free text and shorten long ones
+ * @param {string} command - Command name
+ * @param {string[]} args - Arguments
+ * @returns {string[]} Arguments to keep
+ */
+function auditArgs(command, args) {
+  const position = FREE_TEXT_POSITIONS[command];
+  return args.map((arg, i) => {
+    const [flag] = arg.split('=', 1);
+    if (i === position || FREE_TEXT_FLAGS.has(args[i - 1])) return REDACTED;
+    if (flag !== arg && FREE_TEXT_FLAGS.has(flag)) return `${flag}=${REDACTED}`;
+    return arg.length > MAX_AUDIT_ARG_LENGTH ? `${arg.slice(0, MAX_AUDIT_ARG_LENGTH)}…` : arg;
+  });
+}
+
+/**
+ * Work out why child_process rejected a command
+ * @param {Error & {code?: string|number, killed?: boolean}} err - Rejection
+ * @returns {FailureReason} Reason
+ */
+function failureReason(err) {
+  if (err.code === 'ENOENT') return 'not_found';
+  if (err.name === 'AbortError' || err.code === 'ABORT_ERR') return 'cancelled';
+  if (err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') return 'output_limit';
+  if (err.killed) return 'timeout';
+  return 'failed';
+}
+
+/**
+ * Runs commands and keeps their metrics and recent history
+ */
+export class CommandRunner {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity] - Runs kept in the audit buffer (defaults to limits.commandAudit)
+   */
+  constructor(options = {}) {
+    /** @type {number|undefined} */
+    this.capacity = options.capacity;
+    /** @type {number} */
+    this.seq = 0;
+    /** @type {CommandRun[]} Oldest first */
+    this.recent = [];
+    /** @type {Map<string, {runs: number, failures: number, reasons: Object<string, number>, totalMs: number, maxMs: number, lastMs: number, lastFailure: Object|null}>} */
+    this.stats = new Map();
+  }
+
+  /**
+   * Run a command
+   * @param {string} file - Executable
+   * @param {string[]} [args] - Arguments
+   * @param {RunOptions} [options] - Options
+   * @returns {Promise<import('./data-source.js').CommandResult>} Output
+   * @throws {CommandError} If the command fails
+   */
+  async run(file, args = [], options = {}) {
+    const {
+      cwd,
+      env,
+      signal,
+      timeoutMs = config.get('polling.commandTimeoutMs'),
+      maxOutputBytes = config.get('polling.maxCommandOutputBytes')
+    } = options;
+    const command = commandName(file, args);
+    const startedAt = Date.now();
+
+    try {
+      const result = await execFile(file, args, {
+        ...(cwd && { cwd }),
+        ...(env && { env }),
+        ...(signal && { signal }),
+        timeout: timeoutMs,
+        maxBuffer: maxOutputBytes
+      });
+      this.record({ command, args, cwd, startedAt, result });
+      return result;
+    } catch (err) {
+      const reason = failureReason(err);
+      const message = {
+        not_found: `${file} command not found`,
+        timeout: `${command} timed out after ${timeoutMs}ms`,
+        cancelled: `${command} was cancelled`,
+        output_limit: `${command} wrote more than ${maxOutputBytes} bytes`,
+        failed: String(err.stderr || '').trim() || err.message
+      }[reason];
+      const error = new CommandError(message, {
+        command,
+        reason,
+        code: err.code ?? null,
+        stdout: String(err.stdout || ''),
+        stderr: String(err.stderr || '')
+      });
+      this.record({ command, args, cwd, startedAt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a finished run and add it to the audit buffer
+   * @param {Object} run
+   * @param {string} run.command - Command name
+   * @param {string[]} run.args - Arguments
+   * @param {string} [run.cwd] - Working directory
+   * @param {number} run.startedAt - Start time (ms)
+   * @param {import('./data-source.js').CommandResult} [run.result] - Output, if it succeeded
+   * @param {CommandError} [run.error] - Failure, if it failed
+   */
+  record({ command, args, cwd, startedAt, result, error }) {
+    const durationMs = Date.now() - startedAt;
+    const output = result || error;
+
+    let stats = this.stats.get(command);
+    if (!stats) {
+      stats = { runs: 0, failures: 0, reasons: {}, totalMs: 0, maxMs: 0, lastMs: 0, lastFailure: null };
+      this.stats.set(command, stats);
+    }
+    stats.runs++;
+    stats.totalMs += durationMs;
+    stats.maxMs = Math.max(stats.maxMs, durationMs);
+    stats.lastMs = durationMs;
+    if (error) {
+      stats.failures++;
+      stats.reasons[error.reason] = (stats.reasons[error.reason] || 0) + 1;
+      stats.lastFailure = { at: new Date().toISOString(), reason: error.reason, error: error.message };
+    }
+
+    this.recent.push({
+      id: ++this.seq,
+      command,
+      args: auditArgs(command, args),
+      cwd: cwd || null,
+      source: getDataSource().mode,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs,
+      ok: !error,
+      reason: error?.reason || null,
+      error: error?.message || null,
+      stdoutBytes: String(output.stdout || '').length,
+      stderrBytes: String(output.stderr || '').length
+    });
+    const capacity = this.capacity ?? config.get('limits.commandAudit');
+    if (this.recent.length > capacity) {
+      this.recent.splice(0, this.recent.length - capacity);
+    }
+  }
+
+  /**
+   * Get recent runs, newest first
+   * @param {Object} [filter]
+   * @param {number} [filter.limit] - Most runs to return
+   * @param {string} [filter.command] - Only this command (e.g. "gt hook")
+   * @param {boolean} [filter.failed] - Only failed runs
+   * @returns {CommandRun[]} Runs
+   */
+  getRecent({ limit = Infinity, command, failed = false } = {}) {
+    const runs = [];
+    for (let i = this.recent.length - 1; i >= 0 && runs.length < limit; i--) {
+      const run = this.recent[i];
+      if (command && run.command !== command) continue;
+      if (failed && run.ok) continue;
+      runs.push(run);
+    }
+    return runs;
+  }
+
+  /**
+   * Get totals for every command run so far
+   * @returns {Object<string, CommandStats>} Totals by command name
+   */
+  getStats() {
+    const result = {};
+    for (const [command, { totalMs, ...stats }] of this.stats) {
+      result[command] = { ...stats, avgMs: Math.round(totalMs / stats.runs) };
+    }
+    return result;
+  }
+}
+
+/** Runner shared by the whole server */
+export const commandRunner = new CommandRunner();
+
+/**
+ * Run a command on the shared runner
+ * @param {string} file - Executable
+ * @param {string[]} [args] - Arguments
+ * @param {RunOptions} [options] - Options
+ * @returns {Promise<import('./data-source.js').CommandResult>} Output
+ * @throws {CommandError} If the command fails
+ */
+export function runCommand(file, args, options) {
+  return commandRunner.run(file, args, options);
+}
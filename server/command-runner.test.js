@@ -0,0 +1,101 @@
+/**
+ * Tests for the command runner
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { CommandRunner, CommandError, commandName } from './command-runner.js';
+
+const node = process.execPath;
+
+describe('commandName', () => {
+  it('keeps a subcommand but not flags or paths', () => {
+    assert.strictEqual(commandName('gt', ['hook', '--json']), 'gt hook');
+    assert.strictEqual(commandName('tmux', ['list-panes', '-a']), 'tmux list-panes');
+    assert.strictEqual(commandName('ps', ['-Ao', 'pid=']), 'ps');
+    assert.strictEqual(commandName('ls', ['/gt/api/crew']), 'ls');
+    assert.strictEqual(commandName('ps', []), 'ps');
+  });
+});
+
+describe('CommandRunner', () => {
+  it('passes arguments verbatim and records the run', async () => {
+    const runner = new CommandRunner();
+    const text = 'it\'s "quoted"; $(not run) && more';
+    const { stdout } = await runner.run(node, ['-e', 'process.stdout.write(process.argv[1])', text]);
+
+    assert.strictEqual(stdout, text);
+    const [run] = runner.getRecent();
+    assert.strictEqual(run.ok, true);
+    assert.strictEqual(run.source, 'live');
+    assert.strictEqual(run.stdoutBytes, text.length);
+    assert.strictEqual(runner.getStats()[node].runs, 1);
+  });
+
+  it('names why a command failed', async () => {
+    const runner = new CommandRunner();
+    const cases = [
+      ['not_found', () => runner.run('gtviz-no-such-command', [])],
+      ['failed', () => runner.run(node, ['-e', 'console.error("bad bead"); process.exit(3)'])],
+      ['timeout', () => runner.run(node, ['-e', 'setTimeout(() => {}, 5000)'], { timeoutMs: 200 })],
+      ['output_limit', () => runner.run(node, ['-e', 'process.stdout.write("x".repeat(5000))'], { maxOutputBytes: 100 })]
+    ];
+
+    for (const [reason, run] of cases) {
+      await assert.rejects(run, err => err instanceof CommandError && err.reason === reason);
+    }
+    await assert.rejects(runner.run(node, ['-e', 'process.exit(3)']), /Command failed/);
+    await assert.rejects(runner.run(node, ['-e', 'console.error("bad bead"); process.exit(3)']), { message: 'bad bead' });
+
+    const stats = runner.getStats()[node];
+    assert.strictEqual(stats.failures, 5);
+    assert.deepStrictEqual(stats.reasons, { failed: 3, timeout: 1, output_limit: 1 });
+    assert.strictEqual(stats.lastFailure.error, 'bad bead');
+  });
+
+  it('cancels a command when its signal aborts', async () => {
+    const runner = new CommandRunner();
+    const controller = new AbortController();
+    const pending = runner.run(node, ['-e', 'setTimeout(() => {}, 5000)'], { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(pending, err => err.reason === 'cancelled');
+    assert.ok(runner.getRecent()[0].durationMs < 5000);
+  });
+
+  it('keeps the newest runs up to its capacity and filters them', async () => {
+    const runner = new CommandRunner({ capacity: 2 });
+    const ok = { stdout: '', stderr: '' };
+    runner.record({ command: 'gt hook', args: ['hook'], startedAt: Date.now(), result: ok });
+    runner.record({ command: 'bd list', args: ['list', 'x'.repeat(500)], startedAt: Date.now(), result: ok });
+    runner.record({
+      command: 'gt hook',
+      args: ['hook'],
+      startedAt: Date.now(),
+      error: new CommandError('gt hook timed out after 5ms', { command: 'gt hook', reason: 'timeout' })
+    });
+
+    assert.deepStrictEqual(runner.getRecent().map(run => run.id), [3, 2]);
+    assert.ok(runner.getRecent()[1].args[1].length < 500);
+    assert.deepStrictEqual(runner.getRecent({ command: 'gt hook' }).map(run => run.id), [3]);
+    assert.deepStrictEqual(runner.getRecent({ failed: true }).map(run => run.reason), ['timeout']);
+    assert.strictEqual(runner.getRecent({ limit: 1 }).length, 1);
+    assert.strictEqual(runner.getStats()['gt hook'].runs, 2);
+  });
+
+  it('redacts nudge messages and mail from the audit buffer', () => {
+    const runner = new CommandRunner();
+    const ok = { stdout: '', stderr: '' };
+    runner.record({ command: 'gt nudge', args: ['nudge', 'api/polecats/nux', 'secret plan'], startedAt: Date.now(), result: ok });
+    runner.record({
+      command: 'gt mail',
+      args: ['mail', 'send', 'api/witness', '-s', 'Subject', '-m', 'Body', '--body=Body'],
+      startedAt: Date.now(),
+      result: ok
+    });
+
+    const [mail, nudge] = runner.getRecent();
+    assert.deepStrictEqual(nudge.args, ['nudge', 'api/polecats/nux', '[redacted]']);
+    assert.deepStrictEqual(mail.args, ['mail', 'send', 'api/witness', '-s', '[redacted]', '-m', '[redacted]', '--body=[redacted]']);
+  });
+});
@@ -0,0 +1,480 @@
+/**
+ * Configuration
+ *
+ * Single source for server tunables. Values are resolved in order:
+ * 1. Built-in defaults (constants.js and module defaults)
+ * 2. `gtviz.config.json` (or the file named by GTVIZ_CONFIG)
+ * 3. Environment variables: `GTVIZ_<SECTION>_<KEY>` in upper snake case,
+ *    e.g. GTVIZ_POLLING_INTERVAL_MS, plus a few legacy names such as PORT
+ *
+ * The config file uses nested sections matching the dotted keys below:
+ *
+ *   { "polling": { "intervalMs": 3000 }, "limits": { "events": 200 } }
+ *
+ * Keys marked `reload` are hot-reloaded when the file changes; other keys
+ * are reported as needing a restart. An invalid file is rejected as a
+ * whole: at startup the server refuses to start, on reload the running
+ * configuration is kept.
+ *
+ * @module config
+ */
+
+import { EventEmitter } from 'events';
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import chokidar from 'chokidar';
+import logger from './logger.js';
+import { DEFAULT_THRESHOLDS } from './anomaly-detector.js';
+import { parseTowns } from './towns.js';
+import {
+  DEFAULT_PORT,
+  POLL_INTERVAL_MS,
+  POLL_ACTIVE_INTERVAL_MS,
+  POLL_MAX_BACKOFF_MS,
+  MAX_CONCURRENT_COMMANDS,
+  CIRCUIT_FAILURE_THRESHOLD,
+  CIRCUIT_RESET_TIMEOUT_MS,
+  BEAD_DETAILS_TTL_MS,
+  COMMAND_TIMEOUT_MS,
+  LONG_COMMAND_TIMEOUT_MS,
+  COMMAND_MAX_OUTPUT_BYTES,
+  IDLE_THRESHOLD_MS,
+  METRICS_HISTORY_SIZE,
+  METRICS_BROADCAST_MS,
+  METRICS_RAW_RETENTION_HOURS,
+  METRICS_HOURLY_RETENTION_DAYS,
+  METRICS_DAILY_RETENTION_DAYS,
+  MAX_EVENTS,
+  MAX_MAIL,
+  MAX_LOGS,
+  MAX_ERRORS,
+  MAX_ALERTS,
+  MAX_HISTORY_ENTRIES,
+  MAX_COMPLETIONS,
+  COMMAND_AUDIT_SIZE,
+  ANOMALY_EVALUATION_INTERVAL_MS,
+  ALERT_COOLDOWN_MS,
+  FORECAST_INTERVAL_MS,
+  FORECAST_HISTORY_WINDOW_MS,
+  STATE_PATCH_DEBOUNCE_MS,
+  BROADCAST_BUFFER_SIZE,
+  EVENT_RETENTION_DAYS,
+  EVENT_STORE_MAX_BYTES,
+  EVENT_SEGMENT_MAX_BYTES,
+  STATE_SNAPSHOT_INTERVAL_MS,
+  STATE_HISTORY_RETENTION_DAYS,
+  STATE_BACKUP_COUNT
+} from './constants.js';
+
+/**
+ * Schema entry for one config key
+ * @typedef {Object} ConfigKeySchema
+ * @property {'integer'|'number'|'string'|'boolean'} type - Value type
+ * @property {*} default - Built-in default
+ * @property {number} [min] - Minimum (numbers)
+ * @property {number} [max] - Maximum (numbers)
+ * @property {string[]} [enum] - Allowed values (strings)
+ * @property {boolean} [reload] - True if the key can change without a restart
+ * @property {string} [env] - Legacy environment variable also accepted
+ * @property {boolean} [secret] - Value is masked when the config is described
+ * @property {string} description - What the key controls
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+/**
+ * Schema for every configurable key, by dotted path
+ * @type {Object<string, ConfigKeySchema>}
+ */
+export const CONFIG_SCHEMA = {
+  'server.port': { type: 'integer', default: DEFAULT_PORT, min: 1, max: 65535, env: 'PORT', description: 'HTTP and WebSocket port' },
+  'logLevel': { type: 'string', default: 'info', enum: ['debug', 'info', 'warn', 'error'], env: 'LOG_LEVEL', reload: true, description: 'Minimum server log level' },
+  'towns': { type: 'string', default: '', description: 'Towns to watch as name=path pairs, e.g. "prod=/srv/gt,lab=/srv/gt-lab" (empty: GT_DIR only)' },
+
+  'polling.intervalMs': { type: 'integer', default: POLL_INTERVAL_MS, min: 500, reload: true, description: 'How often to poll gt for state changes' },
+  'polling.activeIntervalMs': { type: 'integer', default: POLL_ACTIVE_INTERVAL_MS, min: 500, reload: true, description: 'Poll interval for rigs with hooked work' },
+  'polling.maxBackoffMs': { type: 'integer', default: POLL_MAX_BACKOFF_MS, min: 1000, reload: true, description: 'Longest delay between polls of a rig that keeps failing' },
+  'polling.maxConcurrentCommands': { type: 'integer', default: MAX_CONCURRENT_COMMANDS, min: 1, max: 64, reload: true, description: 'Child processes the poller runs at once' },
+  'polling.commandTimeoutMs': { type: 'integer', default: COMMAND_TIMEOUT_MS, min: 100, reload: true, description: 'Timeout for shell commands' },
+  'polling.longCommandTimeoutMs': { type: 'integer', default: LONG_COMMAND_TIMEOUT_MS, min: 100, reload: true, description: 'Timeout for slower commands (rig list, bd)' },
+  'polling.maxCommandOutputBytes': { type: 'integer', default: COMMAND_MAX_OUTPUT_BYTES, min: 1024, reload: true, description: 'Output a command may write to stdout or stderr before it is killed' },
+  'polling.circuit.failureThreshold': { type: 'integer', default: CIRCUIT_FAILURE_THRESHOLD, min: 1, reload: true, description: 'Consecutive failed polls of one source (rig and operation) before it is skipped' },
+  'polling.circuit.resetTimeoutMs': { type: 'integer', default: CIRCUIT_RESET_TIMEOUT_MS, min: SECOND, reload: true, description: 'How long a failing source is skipped before one trial poll' },
+  'polling.beadDetailsTtlMs': { type: 'integer', default: BEAD_DETAILS_TTL_MS, min: 0, reload: true, description: 'How long full bead details (bd show) are cached for the bead detail API' },
+  'agents.idleThresholdMs': { type: 'integer', default: IDLE_THRESHOLD_MS, min: SECOND, reload: true, description: 'Agents with no activity for this long are idle' },
+
+  'metrics.historySize': { type: 'integer', default: METRICS_HISTORY_SIZE, min: 1, description: 'In-memory metrics data points' },
+  'metrics.broadcastIntervalMs': { type: 'integer', default: METRICS_BROADCAST_MS, min: 500, reload: true, description: 'How often metrics are pushed to clients' },
+  'metrics.retention.rawHours': { type: 'integer', default: METRICS_RAW_RETENTION_HOURS, min: 1, reload: true, description: 'Hours of minute-level metrics kept on disk' },
+  'metrics.retention.hourlyDays': { type: 'integer', default: METRICS_HOURLY_RETENTION_DAYS, min: 1, reload: true, description: 'Days of hourly metric aggregates kept' },
+  'metrics.retention.dailyDays': { type: 'integer', default: METRICS_DAILY_RETENTION_DAYS, min: 1, reload: true, description: 'Days of daily metric aggregates kept' },
+
+  'limits.events': { type: 'integer', default: MAX_EVENTS, min: 1, reload: true, description: 'Events kept in memory' },
+  'limits.mail': { type: 'integer', default: MAX_MAIL, min: 1, reload: true, description: 'Mail messages kept in memory' },
+  'limits.logs': { type: 'integer', default: MAX_LOGS, min: 1, reload: true, description: 'Log entries kept in memory' },
+  'limits.errors': { type: 'integer', default: MAX_ERRORS, min: 1, reload: true, description: 'Backend errors kept in memory' },
+  'limits.alerts': { type: 'integer', default: MAX_ALERTS, min: 1, reload: true, description: 'Alerts kept in memory' },
+  'limits.historyEntries': { type: 'integer', default: MAX_HISTORY_ENTRIES, min: 1, reload: true, description: 'Status changes kept per agent and per bead' },
+  'limits.completions': { type: 'integer', default: MAX_COMPLETIONS, min: 1, reload: true, description: 'Task completions kept per agent' },
+  'limits.commandAudit': { type: 'integer', default: COMMAND_AUDIT_SIZE, min: 1, reload: true, description: 'Recent command runs kept for /api/commands/recent' },
+
+  'anomaly.evaluationIntervalMs': { type: 'integer', default: ANOMALY_EVALUATION_INTERVAL_MS, min: 500, description: 'How often anomaly rules are evaluated' },
+  'anomaly.alertCooldownMs': { type: 'integer', default: ALERT_COOLDOWN_MS, min: 0, description: 'Minimum time between repeats of the same alert' },
+  'anomaly.thresholds.pollDurationWarning': { type: 'number', default: DEFAULT_THRESHOLDS.pollDurationWarning, min: 0, reload: true, description: 'Average poll duration (ms) that raises a warning' },
+  'anomaly.thresholds.pollDurationCritical': { type: 'number', default: DEFAULT_THRESHOLDS.pollDurationCritical, min: 0, reload: true, description: 'Average poll duration (ms) that raises a critical alert' },
+  'anomaly.thresholds.successRateWarning': { type: 'number', default: DEFAULT_THRESHOLDS.successRateWarning, min: 0, max: 100, reload: true, description: 'Poll success rate (%) below which a warning is raised' },
+  'anomaly.thresholds.successRateCritical': { type: 'number', default: DEFAULT_THRESHOLDS.successRateCritical, min: 0, max: 100, reload: true, description: 'Poll success rate (%) below which a critical alert is raised' },
+  'anomaly.thresholds.minPollsForEvaluation': { type: 'integer', default: DEFAULT_THRESHOLDS.minPollsForEvaluation, min: 0, reload: true, description: 'Polls required before success rate is evaluated' },
+  'anomaly.thresholds.statusChangesWarning': { type: 'integer', default: DEFAULT_THRESHOLDS.statusChangesWarning, min: 1, reload: true, description: 'Status changes within the window that count as flapping' },
+  'anomaly.thresholds.statusChangesEvaluationMs': { type: 'integer', default: DEFAULT_THRESHOLDS.statusChangesEvaluationMs, min: SECOND, reload: true, description: 'Window for flapping detection' },
+  'anomaly.thresholds.errorRateWarning': { type: 'integer', default: DEFAULT_THRESHOLDS.errorRateWarning, min: 1, reload: true, description: 'Error logs per minute that raise a warning' },
+  'anomaly.thresholds.errorRateCritical': { type: 'integer', default: DEFAULT_THRESHOLDS.errorRateCritical, min: 1, reload: true, description: 'Error logs per minute that raise a critical alert' },
+  'anomaly.thresholds.staleDataThreshold': { type: 'integer', default: DEFAULT_THRESHOLDS.staleDataThreshold, min: SECOND, reload: true, description: 'Time without updates before data is stale' },
+
+  'forecast.intervalMs': { type: 'integer', default: FORECAST_INTERVAL_MS, min: SECOND, description: 'How often load forecasts are updated' },
+  'forecast.historyWindowMs': { type: 'integer', default: FORECAST_HISTORY_WINDOW_MS, min: MINUTE, description: 'History used for load forecasts' },
+
+  'sync.patchDebounceMs': { type: 'integer', default: STATE_PATCH_DEBOUNCE_MS, min: 0, description: 'Window for coalescing state changes into one patch' },
+  'sync.broadcastBufferSize': { type: 'integer', default: BROADCAST_BUFFER_SIZE, min: 0, description: 'Broadcast messages retained for reconnect replay' },
+
+  'eventStore.retentionDays': { type: 'integer', default: EVENT_RETENTION_DAYS, min: 1, description: 'Days of event history kept on disk' },
+  'eventStore.maxBytes': { type: 'integer', default: EVENT_STORE_MAX_BYTES, min: 1024 * 1024, description: 'Total size budget for stored events' },
+  'eventStore.segmentMaxBytes': { type: 'integer', default: EVENT_SEGMENT_MAX_BYTES, min: 1024, description: 'Size at which a new event segment starts' },
+
+  'stateHistory.snapshotIntervalMs': { type: 'integer', default: STATE_SNAPSHOT_INTERVAL_MS, min: MINUTE, description: 'Interval between full time-travel snapshots' },
+  'stateHistory.retentionDays': { type: 'integer', default: STATE_HISTORY_RETENTION_DAYS, min: 1, description: 'Days of time-travel history kept' },
+  'state.backupCount': { type: 'integer', default: STATE_BACKUP_COUNT, min: 0, description: 'Previous state snapshots kept as backups' },
+
+  'dataSource.recordPath': { type: 'string', default: '', description: 'Record every gt/bd/ps/tmux call and watched file change to this bundle' },
+  'dataSource.replayPath': { type: 'string', default: '', description: 'Answer gt/bd/ps/tmux calls from this recorded bundle instead of running them' },
+  'dataSource.replaySpeed': { type: 'number', default: 1, min: 0.01, max: 1000, description: 'Playback speed multiplier for replay' },
+
+  'ingest.token': { type: 'string', default: '', secret: true, description: 'Shared secret remote collectors present; empty disables the /ingest endpoint' },
+  'ingest.staleAfterMs': { type: 'integer', default: 30 * SECOND, min: SECOND, reload: true, description: 'Mark a remote collector stale after this long without a message' },
+  'collector.heartbeatMs': { type: 'integer', default: 10 * SECOND, min: SECOND, description: 'How often `gtviz collect` reports in when nothing else is sent' },
+  'collector.queueSize': { type: 'integer', default: 1000, min: 0, description: 'Events `gtviz collect` buffers while disconnected' }
+};
+
+/**
+ * Build the environment variable name for a key
+ * @param {string} key - Dotted key (e.g. 'polling.intervalMs')
+ * @returns {string} Variable name (e.g. 'GTVIZ_POLLING_INTERVAL_MS')
+ */
+export function getEnvName(key) {
+  return 'GTVIZ_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase();
+}
+
+/**
+ * Validate one value against its schema
+ * @param {string} key - Dotted key
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateValue(key, value) {
+  const schema = CONFIG_SCHEMA[key];
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `${key} must be an integer`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${key} must be true or false`;
+      break;
+    default:
+      if (typeof value !== 'string') return `${key} must be a string`;
+  }
+  if (schema.min !== undefined && value < schema.min) return `${key} must be at least ${schema.min}`;
+  if (schema.max !== undefined && value > schema.max) return `${key} must be at most ${schema.max}`;
+  if (schema.enum && !schema.enum.includes(value)) return `${key} must be one of: ${schema.enum.join(', ')}`;
+  return null;
+}
+
+/**
+ * Parse an environment variable string into a typed value
+ * @param {string} key - Dotted key
+ * @param {string} raw - Raw environment value
+ * @returns {*} Parsed value (left as a string if it cannot be parsed, so validation reports it)
+ */
+function parseEnvValue(key, raw) {
+  const { type } = CONFIG_SCHEMA[key];
+  if (type === 'integer' || type === 'number') {
+    return raw.trim() === '' ? raw : Number(raw);
+  }
+  if (type === 'boolean') {
+    if (raw === 'true' || raw === '1') return true;
+    if (raw === 'false' || raw === '0') return false;
+  }
+  return raw;
+}
+
+/**
+ * Flatten a nested config file object into dotted keys
+ * @param {Object} obj - Parsed config file
+ * @param {string} [prefix] - Key prefix
+ * @param {Object} [out] - Accumulator
+ * @returns {Object<string, *>} Flat key/value map
+ */
+function flatten(obj, prefix = '', out = {}) {
+  for (const [name, value] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[key]) {
+      flatten(value, key, out);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Resolve configuration from defaults, a config file and the environment
+ * @param {Object} [options] - Sources
+ * @param {string|null} [options.path] - Config file path (null = no file)
+ * @param {Object} [options.env] - Environment variables
+ * @returns {{values: Object<string, *>, sources: Object<string, string>, problems: string[]}} Resolved config
+ */
+export function resolveConfig({ path = null, env = {} } = {}) {
+  const values = {};
+  const sources = {};
+  const problems = [];
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    values[key] = schema.default;
+    sources[key] = 'default';
+  }
+
+  if (path && existsSync(path)) {
+    let fileValues = {};
+    try {
+      const parsed = JSON.parse(readFileSync(path, 'utf-8'));
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('top level must be an object');
+      }
+      delete parsed.$schema;
+      fileValues = flatten(parsed);
+    } catch (err) {
+      problems.push(`${path}: ${err.message}`);
+    }
+
+    for (const [key, value] of Object.entries(fileValues)) {
+      if (!CONFIG_SCHEMA[key]) {
+        problems.push(`${path}: unknown key ${key}`);
+        continue;
+      }
+      const problem = validateValue(key, value);
+      if (problem) {
+        problems.push(`${path}: ${problem}`);
+        continue;
+      }
+      values[key] = value;
+      sources[key] = 'file';
+    }
+  }
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    const name = [getEnvName(key), schema.env].find(n => n && env[n] !== undefined);
+    if (!name) continue;
+    const value = parseEnvValue(key, env[name]);
+    const problem = validateValue(key, value);
+    if (problem) {
+      problems.push(`${name}: ${problem}`);
+      continue;
+    }
+    values[key] = value;
+    sources[key] = 'env';
+  }
+
+  if (values['dataSource.recordPath'] && values['dataSource.replayPath']) {
+    problems.push('dataSource.recordPath and dataSource.replayPath cannot both be set');
+  }
+  try {
+    parseTowns(values['towns'], '');
+  } catch (err) {
+    problems.push(`towns: ${err.message}`);
+  }
+
+  return { values, sources, problems };
+}
+
+/**
+ * Build a JSON Schema describing the config file
+ * @returns {Object} JSON Schema (draft-07)
+ */
+export function getJsonSchema() {
+  const root = { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object', additionalProperties: false, properties: { $schema: { type: 'string' } } };
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    const parts = key.split('.');
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      node.properties[part] = node.properties[part] || { type: 'object', additionalProperties: false, properties: {} };
+      node = node.properties[part];
+    }
+    const { type, description, min, max, enum: allowed } = schema;
+    node.properties[parts[parts.length - 1]] = {
+      type,
+      description,
+      default: schema.default,
+      ...(min !== undefined && { minimum: min }),
+      ...(max !== undefined && { maximum: max }),
+      ...(allowed && { enum: allowed })
+    };
+  }
+  return root;
+}
+
+/**
+ * ConfigManager - Holds the running configuration and hot-reloads it
+ *
+ * Emits 'change' with the list of keys whose values changed on reload.
+ *
+ * @extends EventEmitter
+ */
+export class ConfigManager extends EventEmitter {
+  /**
+   * Create a config manager. Until load() is called it serves defaults.
+   * @param {Object} [options] - Options
+   * @param {string} [options.path] - Config file path
+   * @param {Object} [options.env] - Environment variables
+   */
+  constructor({ path, env = process.env } = {}) {
+    super();
+    /** @type {string} */
+    this.path = resolve(path || env.GTVIZ_CONFIG || 'gtviz.config.json');
+    /** @type {Object} */
+    this.env = env;
+    const defaults = resolveConfig();
+    /** @type {Object<string, *>} */
+    this.values = defaults.values;
+    /** @type {Object<string, string>} */
+    this.sources = defaults.sources;
+    /** @type {Object<string, *>} Changed values waiting for a restart */
+    this.pendingRestart = {};
+    /** @type {import('chokidar').FSWatcher|null} */
+    this.watcher = null;
+  }
+
+  /**
+   * Load configuration from the file and environment
+   * @returns {string[]} Validation problems (nothing is applied if any)
+   */
+  load() {
+    const { values, sources, problems } = resolveConfig({ path: this.path, env: this.env });
+    if (problems.length === 0) {
+      this.values = values;
+      this.sources = sources;
+      this.pendingRestart = {};
+    }
+    return problems;
+  }
+
+  /**
+   * Re-read configuration and apply keys that support hot reload
+   * @returns {{applied: string[], restartRequired: string[], problems: string[]}} Outcome
+   */
+  reload() {
+    const { values, sources, problems } = resolveConfig({ path: this.path, env: this.env });
+    if (problems.length > 0) {
+      logger.error('config', 'Config reload rejected; keeping current configuration', { problems });
+      return { applied: [], restartRequired: [], problems };
+    }
+
+    const applied = [];
+    this.pendingRestart = {};
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+      if (values[key] === this.values[key]) continue;
+      if (CONFIG_SCHEMA[key].reload) {
+        this.values[key] = values[key];
+        this.sources[key] = sources[key];
+        applied.push(key);
+      } else {
+        this.pendingRestart[key] = values[key];
+      }
+    }
+    const restartRequired = Object.keys(this.pendingRestart);
+
+    if (applied.length > 0) {
+      logger.info('config', 'Configuration reloaded', { keys: applied });
+      this.emit('change', applied);
+    }
+    if (restartRequired.length > 0) {
+      logger.warn('config', 'Configuration changes take effect after a restart', { keys: restartRequired });
+    }
+    return { applied, restartRequired, problems };
+  }
+
+  /**
+   * Get a config value
+   * @param {string} key - Dotted key
+   * @returns {*} Value
+   * @throws {Error} If the key is not in the schema
+   */
+  get(key) {
+    if (!(key in CONFIG_SCHEMA)) {
+      throw new Error(`Unknown config key: ${key}`);
+    }
+    return this.values[key];
+  }
+
+  /**
+   * Get all values under a section as an object with short keys
+   * @param {string} prefix - Section (e.g. 'anomaly.thresholds')
+   * @returns {Object<string, *>} Values keyed by the remainder of the key
+   */
+  getSection(prefix) {
+    const section = {};
+    for (const [key, value] of Object.entries(this.values)) {
+      if (key.startsWith(prefix + '.')) {
+        section[key.slice(prefix.length + 1)] = value;
+      }
+    }
+    return section;
+  }
+
+  /**
+   * Watch the config file and hot-reload on change
+   */
+  watch() {
+    if (this.watcher) return;
+    this.watcher = chokidar.watch(this.path, {
+      ignoreInitial: true,
+      awaitWriteFinish: { stabilityThreshold: 200 }
+    });
+    this.watcher.on('all', () => this.reload());
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Describe the running configuration
+   * @returns {Object} Path, values, value sources, reloadable keys and pending restarts
+   */
+  toJSON() {
+    const mask = values => Object.fromEntries(Object.entries(values).map(([key, value]) =>
+      [key, CONFIG_SCHEMA[key].secret && value ? '********' : value]));
+    return {
+      path: this.path,
+      fileExists: existsSync(this.path),
+      values: mask(this.values),
+      sources: { ...this.sources },
+      reloadable: Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].reload),
+      pendingRestart: mask(this.pendingRestart)
+    };
+  }
+}
+
+/** Shared configuration for the server process */
+export const config = new ConfigManager();
+
+export default config;
@@ -0,0 +1,168 @@
+/**
+ * Tests for the configuration subsystem
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CONFIG_SCHEMA, ConfigManager, getEnvName, getJsonSchema, resolveConfig } from './config.js';
+import { POLL_INTERVAL_MS } from './constants.js';
+
+describe('getEnvName', () => {
+  it('maps dotted camelCase keys to GTVIZ_ variables', () => {
+    assert.strictEqual(getEnvName('polling.intervalMs'), 'GTVIZ_POLLING_INTERVAL_MS');
+    assert.strictEqual(getEnvName('metrics.retention.rawHours'), 'GTVIZ_METRICS_RETENTION_RAW_HOURS');
+  });
+});
+
+describe('resolveConfig', () => {
+  let dir;
+  let path;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gtviz-config-'));
+    path = join(dir, 'gtviz.config.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uses defaults when there is no file or env', () => {
+    const { values, sources, problems } = resolveConfig({ path });
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(values['polling.intervalMs'], POLL_INTERVAL_MS);
+    assert.strictEqual(sources['polling.intervalMs'], 'default');
+  });
+
+  it('applies nested file values and lets env override them', () => {
+    writeFileSync(path, JSON.stringify({ polling: { intervalMs: 3000 }, limits: { events: 200 } }));
+    const { values, sources } = resolveConfig({
+      path,
+      env: { GTVIZ_LIMITS_EVENTS: '300', PORT: '4000' }
+    });
+
+    assert.strictEqual(values['polling.intervalMs'], 3000);
+    assert.strictEqual(sources['polling.intervalMs'], 'file');
+    assert.strictEqual(values['limits.events'], 300);
+    assert.strictEqual(sources['limits.events'], 'env');
+    assert.strictEqual(values['server.port'], 4000);
+  });
+
+  it('reports unknown keys, bad types and out-of-range values', () => {
+    writeFileSync(path, JSON.stringify({
+      polling: { intervalMs: 'fast', bogus: 1 },
+      limits: { events: 0 },
+      logLevel: 'loud'
+    }));
+    const { problems } = resolveConfig({ path, env: { GTVIZ_LIMITS_MAIL: 'many' } });
+
+    assert.ok(problems.some(p => p.includes('unknown key polling.bogus')));
+    assert.ok(problems.some(p => p.includes('polling.intervalMs must be an integer')));
+    assert.ok(problems.some(p => p.includes('limits.events must be at least 1')));
+    assert.ok(problems.some(p => p.includes('logLevel must be one of')));
+    assert.ok(problems.some(p => p.startsWith('GTVIZ_LIMITS_MAIL:')));
+  });
+
+  it('reports unparseable files', () => {
+    writeFileSync(path, '{ not json');
+    const { problems } = resolveConfig({ path });
+    assert.strictEqual(problems.length, 1);
+    assert.ok(problems[0].startsWith(path));
+  });
+
+  it('refuses to record and replay at once', () => {
+    const { problems } = resolveConfig({
+      path,
+      env: { GTVIZ_DATA_SOURCE_RECORD_PATH: 'a.jsonl', GTVIZ_DATA_SOURCE_REPLAY_PATH: 'b.jsonl' }
+    });
+    assert.deepStrictEqual(problems, ['dataSource.recordPath and dataSource.replayPath cannot both be set']);
+  });
+
+  it('reports malformed town lists', () => {
+    const { problems } = resolveConfig({ path, env: { GTVIZ_TOWNS: 'prod=/srv/gt,prod=/srv/other' } });
+    assert.deepStrictEqual(problems, ['towns: town prod is listed twice']);
+  });
+});
+
+describe('ConfigManager', () => {
+  let dir;
+  let path;
+  let manager;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gtviz-config-'));
+    path = join(dir, 'gtviz.config.json');
+    manager = new ConfigManager({ path, env: {} });
+  });
+
+  afterEach(() => {
+    manager.unwatch();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('does not apply an invalid file on load', () => {
+    writeFileSync(path, JSON.stringify({ limits: { events: -1 } }));
+    const problems = manager.load();
+    assert.strictEqual(problems.length, 1);
+    assert.strictEqual(manager.get('limits.events'), CONFIG_SCHEMA['limits.events'].default);
+  });
+
+  it('throws on unknown keys in get()', () => {
+    assert.throws(() => manager.get('nope'), /Unknown config key/);
+  });
+
+  it('returns sections with short keys', () => {
+    const thresholds = manager.getSection('anomaly.thresholds');
+    assert.strictEqual(thresholds.pollDurationWarning, CONFIG_SCHEMA['anomaly.thresholds.pollDurationWarning'].default);
+    assert.ok(!('evaluationIntervalMs' in thresholds));
+  });
+
+  it('hot-reloads safe keys and defers restart-only keys', () => {
+    manager.load();
+    const changes = [];
+    manager.on('change', keys => changes.push(keys));
+
+    writeFileSync(path, JSON.stringify({ limits: { logs: 1000 }, server: { port: 4000 } }));
+    const result = manager.reload();
+
+    assert.deepStrictEqual(result.applied, ['limits.logs']);
+    assert.deepStrictEqual(result.restartRequired, ['server.port']);
+    assert.deepStrictEqual(changes, [['limits.logs']]);
+    assert.strictEqual(manager.get('limits.logs'), 1000);
+    assert.strictEqual(manager.get('server.port'), CONFIG_SCHEMA['server.port'].default);
+    assert.deepStrictEqual(manager.toJSON().pendingRestart, { 'server.port': 4000 });
+  });
+
+  it('masks secrets when describing the config', () => {
+    manager = new ConfigManager({ path, env: { GTVIZ_INGEST_TOKEN: 's3cret' } });
+    manager.load();
+    assert.strictEqual(manager.get('ingest.token'), 's3cret');
+    assert.strictEqual(manager.toJSON().values['ingest.token'], '********');
+  });
+
+  it('keeps the running config when a reload is invalid', () => {
+    writeFileSync(path, JSON.stringify({ limits: { logs: 1000 } }));
+    manager.load();
+
+    writeFileSync(path, JSON.stringify({ limits: { logs: 'lots' } }));
+    const result = manager.reload();
+
+    assert.strictEqual(result.problems.length, 1);
+    assert.deepStrictEqual(result.applied, []);
+    assert.strictEqual(manager.get('limits.logs'), 1000);
+  });
+});
+
+describe('getJsonSchema', () => {
+  it('describes every key as a nested property', () => {
+    const schema = getJsonSchema();
+    const interval = schema.properties.polling.properties.intervalMs;
+    assert.strictEqual(interval.type, 'integer');
+    assert.strictEqual(interval.default, POLL_INTERVAL_MS);
+    assert.deepStrictEqual(schema.properties.logLevel.enum, ['debug', 'info', 'warn', 'error']);
+    assert.strictEqual(schema.properties.anomaly.properties.thresholds.additionalProperties, false);
+  });
+});
@@ -1,18 +1,73 @@
 /**
  * Server-side constants for gtviz
+ *
+ * These are the built-in defaults. Most can be overridden through
+ * gtviz.config.json or environment variables (see config.js).
  */
 
+// Server
+export const DEFAULT_PORT = 3001;            // HTTP and WebSocket port
+
 // Metrics collection
 export const METRICS_HISTORY_SIZE = 60;      // Number of data points to retain (1 hour at 1/min)
 export const METRICS_INTERVAL_MS = 60000;    // 1 minute intervals for historical data
 
+// Metrics storage retention
+export const METRICS_RAW_RETENTION_HOURS = 24;    // Keep raw data for 24 hours
+export const METRICS_HOURLY_RETENTION_DAYS = 30;  // Keep hourly aggregates for 30 days
+export const METRICS_DAILY_RETENTION_DAYS = 365;  // Keep daily aggregates for 1 year
+
 // Polling intervals
 export const POLL_INTERVAL_MS = 5000;        // How often to poll for state changes
 export const METRICS_BROADCAST_MS = 5000;    // How often to broadcast metrics to clients
+export const POLL_ACTIVE_INTERVAL_MS = 2000; // Poll interval for rigs with hooked work
+export const POLL_MAX_BACKOFF_MS = 60000;    // Longest delay between polls of a failing rig
+export const MAX_CONCURRENT_COMMANDS = 4;    // Child processes the poller runs at once
+export const CIRCUIT_FAILURE_THRESHOLD = 3;  // Failed polls of a source before its circuit opens
+export const CIRCUIT_RESET_TIMEOUT_MS = 60000; // How long an open circuit waits before a trial poll
+export const BEAD_DETAILS_TTL_MS = 10000;    // How long `bd show` output for a bead is reused
 
 // Timeouts
 export const COMMAND_TIMEOUT_MS = 5000;      // Timeout for shell commands
 export const LONG_COMMAND_TIMEOUT_MS = 10000; // Timeout for longer operations
+export const COMMAND_MAX_OUTPUT_BYTES = 1024 * 1024; // Output a command may write to stdout or stderr
 
 // Activity detection
 export const IDLE_THRESHOLD_MS = 60000;      // Consider idle if no activity for 60 seconds
+
+// In-memory collection caps (StateManager)
+export const MAX_EVENTS = 100;               // Events kept in state.events
+export const MAX_MAIL = 50;                  // Mail kept in state.mail
+export const MAX_LOGS = 500;                 // Log entries kept in state.logs
+export const MAX_ERRORS = 50;                // Backend errors kept in state.errors
+export const MAX_ALERTS = 100;               // Alerts kept in state.alerts
+export const MAX_HISTORY_ENTRIES = 50;       // Status changes kept per agent and per bead
+export const MAX_COMPLETIONS = 50;           // Completions kept per agent in agentStats
+export const COMMAND_AUDIT_SIZE = 200;       // Recent command runs kept for /api/commands/recent
+
+// Anomaly detection
+export const ANOMALY_EVALUATION_INTERVAL_MS = 5000; // How often anomaly rules are evaluated
+export const ALERT_COOLDOWN_MS = 60000;      // Minimum time between repeats of the same alert
+
+// Load forecasting
+export const FORECAST_INTERVAL_MS = 30000;   // Update forecasts every 30 seconds
+export const FORECAST_HISTORY_WINDOW_MS = 3600000; // Use 1 hour of history
+
+// State sync
+export const STATE_PATCH_DEBOUNCE_MS = 100;  // Coalesce state changes into one patch per window
+export const BROADCAST_BUFFER_SIZE = 1000;   // Broadcast messages retained for replay on reconnect
+
+// Event store
+export const EVENT_RETENTION_DAYS = 30;                 // Delete event segments older than this
+export const EVENT_STORE_MAX_BYTES = 512 * 1024 * 1024; // Delete oldest segments beyond this total size
+export const EVENT_SEGMENT_MAX_BYTES = 16 * 1024 * 1024; // Start a new segment file past this size
+export const EVENT_FLUSH_INTERVAL_MS = 1000;            // How often buffered events are appended to disk
+export const EVENT_QUERY_MAX_LIMIT = 1000;              // Maximum events returned per query page
+export const EVENT_EXPORT_MAX = 10000;                  // Maximum events included in an export
+
+// State history (time travel)
+export const STATE_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000; // Start a new history segment with a full snapshot
+export const STATE_HISTORY_RETENTION_DAYS = 7;            // Delete history segments older than this
+
+// State persistence
+export const STATE_BACKUP_COUNT = 5;         // Previous state snapshots kept in .gtviz/backups
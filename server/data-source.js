@@ -0,0 +1,85 @@
+/**
+ * Data Source
+ *
+ * The single path through which external commands such as gt, bd, ps and
+ * tmux run, whether from the server's command runner (command-runner.js) or
+ * from status-detector.
+ * By default commands run live; recording mode runs them live and also
+ * writes each call to a bundle, and replay mode answers calls from a bundle
+ * instead of running anything (see recording.js).
+ *
+ * @module data-source
+ */
+
+import { execFile as cpExecFile, execFileSync as cpExecFileSync } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(cpExecFile);
+
+/**
+ * Command output
+ * @typedef {Object} CommandResult
+ * @property {string} stdout - Standard output
+ * @property {string} stderr - Standard error
+ */
+
+/**
+ * A source of command output
+ * @typedef {Object} DataSource
+ * @property {string} mode - 'live', 'record' or 'replay'
+ * @property {function(string, string[], Object=): Promise<CommandResult>} execFile - Run a file with arguments
+ * @property {function(string, string[], Object=): string} execFileSync - Run a file synchronously, returning stdout
+ */
+
+/**
+ * Create a source that runs commands on this machine
+ * @returns {DataSource} Live source
+ */
+export function createLiveSource() {
+  return {
+    mode: 'live',
+    execFile: (file, args = [], options = {}) => execFileAsync(file, args, options),
+    execFileSync: (file, args = [], options = {}) => cpExecFileSync(file, args, options)
+  };
+}
+
+/** @type {DataSource} */
+let current = createLiveSource();
+
+/**
+ * Replace the active data source
+ * @param {DataSource} source - New source
+ */
+export function setDataSource(source) {
+  current = source;
+}
+
+/**
+ * Get the active data source
+ * @returns {DataSource} Active source
+ */
+export function getDataSource() {
+  return current;
+}
+
+/**
+ * Run a file with arguments through the active source
+ * @param {string} file - Executable
+ * @param {string[]} [args] - Arguments
+ * @param {Object} [options] - child_process.execFile options
+ * @returns {Promise<CommandResult>} Output
+ */
+export function execFile(file, args, options) {
+  return current.execFile(file, args, options);
+}
+
+/**
+ * Run a file synchronously through the active source
+ * @param {string} file - Executable
+ * @param {string[]} [args] - Arguments
+ * @param {Object} [options] - child_process.execFileSync options
+ * @returns {string} Standard output
+ */
+export function execFileSync(file, args, options) {
+  return current.execFileSync(file, args, options);
+}
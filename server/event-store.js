@@ -0,0 +1,418 @@
+/**
+ * Persistent Event Store
+ *
+ * Append-only history of everything StateManager emits as an event (feed and
+ * gt events, mail, logs, errors). StateManager only keeps the most recent
+ * items in memory; this store keeps them on disk so they can be queried and
+ * exported later.
+ *
+ * Events are appended to JSONL segment files named
+ * `events-<YYYY-MM-DD>-<firstId>.jsonl`. A new segment starts each UTC day
+ * or once the current one exceeds the size limit. Retention is enforced per
+ * segment: segments older than the retention window, or beyond the total
+ * size budget, are deleted oldest first.
+ *
+ * Queries stream segments newest first, one at a time, so a query or export
+ * never blocks the event loop on a whole segment read or holds more than
+ * one segment's matches in memory.
+ *
+ * @module event-store
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, appendFileSync, statSync, unlinkSync, createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import {
+  EVENT_RETENTION_DAYS,
+  EVENT_STORE_MAX_BYTES,
+  EVENT_SEGMENT_MAX_BYTES,
+  EVENT_FLUSH_INTERVAL_MS,
+  EVENT_QUERY_MAX_LIMIT
+} from './constants.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = join(__dirname, '..', 'data', 'events');
+
+const SEGMENT_PATTERN = /^events-(\d{4}-\d{2}-\d{2})-(\d+)\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event fields searched by the text filter
+const TEXT_FIELDS = ['content', 'preview', 'message', 'action', 'from', 'to', 'subject'];
+
+/**
+ * A stored event record
+ * @typedef {Object} EventRecord
+ * @property {number} id - Store-wide sequence number (increasing in append order)
+ * @property {string} timestamp - ISO timestamp of the event
+ * @property {string} type - Event type (feed, gt_event, mail, log, error, ...)
+ * @property {string|null} rig - Rig the event belongs to
+ * @property {string|null} agent - Agent the event belongs to
+ * @property {Object} event - The event as emitted by StateManager
+ */
+
+/**
+ * Event query filters
+ * @typedef {Object} EventQuery
+ * @property {string} [since] - Only events at or after this ISO timestamp
+ * @property {string} [until] - Only events before this ISO timestamp
+ * @property {string} [rig] - Only events for this rig
+ * @property {string} [town] - Only events stamped with this town
+ * @property {string} [agent] - Only events involving this agent
+ * @property {string} [type] - Only events of this type ('all' = any)
+ * @property {string} [text] - Case-insensitive text search
+ * @property {string} [cursor] - Resume after this cursor (from a previous page)
+ * @property {number} [limit] - Page size
+ */
+
+/**
+ * Check whether an event matches a text search
+ * @param {Object} event - Event object
+ * @param {string} text - Search text
+ * @returns {boolean} True if any searchable field contains the text
+ */
+export function matchesEventText(event, text) {
+  if (!text) return true;
+  const search = text.toLowerCase();
+  return TEXT_FIELDS.some(field => String(event[field] || '').toLowerCase().includes(search));
+}
+
+/**
+ * Check whether an agent reference (e.g. 'polecats/nux' or 'nux') names an agent
+ * @param {*} ref - Agent reference from an event
+ * @param {string} agent - Agent to match
+ * @returns {boolean} True if matched
+ */
+function matchesAgent(ref, agent) {
+  if (!ref) return false;
+  const value = String(ref);
+  return value === agent || value.split('/').pop() === agent.split('/').pop();
+}
+
+/**
+ * Build a stored record from an emitted event
+ * @param {number} id - Sequence number
+ * @param {Object} event - Event object
+ * @returns {EventRecord} Record
+ */
+function toRecord(id, event) {
+  const parsed = Date.parse(event.timestamp);
+  return {
+    id,
+    timestamp: Number.isNaN(parsed) ? new Date().toISOString() : new Date(parsed).toISOString(),
+    type: event.type || 'unknown',
+    rig: event.rig || event.source || null,
+    agent: event.agent || null,
+    event
+  };
+}
+
+/**
+ * Check whether a record matches query filters
+ * @param {EventRecord} record - Stored record
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean} True if matched
+ */
+function matchesQuery(record, { sinceMs, untilMs, rig, town, agent, type, text }) {
+  const ts = Date.parse(record.timestamp);
+  if (sinceMs !== null && ts < sinceMs) return false;
+  if (untilMs !== null && ts >= untilMs) return false;
+  if (rig && record.rig !== rig) return false;
+  if (town && record.event.town !== town) return false;
+  if (type && type !== 'all' && record.type !== type) return false;
+  if (agent) {
+    const e = record.event;
+    if (![record.agent, e.from, e.to, e.actor].some(ref => matchesAgent(ref, agent))) return false;
+  }
+  return matchesEventText(record.event, text);
+}
+
+/**
+ * Parse an optional ISO timestamp filter
+ * @param {string|undefined} value - Timestamp
+ * @param {string} name - Parameter name for errors
+ * @returns {number|null} Epoch milliseconds or null
+ * @throws {Error} If the timestamp is invalid
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Invalid ${name} timestamp`);
+  return ms;
+}
+
+/**
+ * Create a persistent event store
+ * @param {Object} [options] - Options
+ * @param {string} [options.dir] - Directory for segment files
+ * @param {number} [options.retentionDays] - Days of history to keep
+ * @param {number} [options.maxBytes] - Total size budget across segments
+ * @param {number} [options.segmentMaxBytes] - Size at which a new segment starts
+ * @param {number} [options.flushIntervalMs] - Buffered write interval
+ * @returns {Object} Event store
+ */
+export function createEventStore(options = {}) {
+  const dir = options.dir || DEFAULT_DIR;
+  const retentionDays = options.retentionDays ?? EVENT_RETENTION_DAYS;
+  const maxBytes = options.maxBytes ?? EVENT_STORE_MAX_BYTES;
+  const segmentMaxBytes = options.segmentMaxBytes ?? EVENT_SEGMENT_MAX_BYTES;
+  const flushIntervalMs = options.flushIntervalMs ?? EVENT_FLUSH_INTERVAL_MS;
+
+  /** @type {{file: string, day: string, firstId: number, bytes: number}[]} Oldest first */
+  let segments = [];
+  /** @type {EventRecord[]} Records not yet written to disk */
+  let pending = [];
+  let lastId = 0;
+  let flushTimer = null;
+
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  /**
+   * Parse a segment line. Unparseable lines (e.g. one cut short by a crash
+   * mid-write) are skipped.
+   * @param {string} line - Line
+   * @returns {EventRecord|null} Record, or null if the line holds none
+   */
+  function parseLine(line) {
+    if (!line) return null;
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stream a segment file and keep the records that pass a filter
+   * @param {string} file - Segment file name
+   * @param {function(EventRecord): boolean} keep - Filter
+   * @returns {Promise<EventRecord[]>} Kept records in append order
+   */
+  async function readSegment(file, keep) {
+    const lines = createInterface({ input: createReadStream(join(dir, file), 'utf8'), crlfDelay: Infinity });
+    const kept = [];
+    try {
+      for await (const line of lines) {
+        const record = parseLine(line);
+        if (record && keep(record)) kept.push(record);
+      }
+    } catch (err) {
+      // Pruned since the query started, or unreadable
+      logger.warn('event-store', 'Failed to read segment', { file, error: err.message });
+    }
+    return kept;
+  }
+
+  /**
+   * Parse query filters and the cursor
+   * @param {EventQuery} query - Query
+   * @returns {{filters: Object, cursor: number}} Normalized filters and the id to resume below
+   * @throws {Error} If a filter or cursor is invalid
+   */
+  function parseQuery(query) {
+    const filters = {
+      sinceMs: parseTime(query.since, 'since'),
+      untilMs: parseTime(query.until, 'until'),
+      rig: query.rig || null,
+      town: query.town || null,
+      agent: query.agent || null,
+      type: query.type || null,
+      text: query.text || ''
+    };
+
+    let cursor = Infinity;
+    if (query.cursor !== undefined && query.cursor !== null && query.cursor !== '') {
+      cursor = Number(query.cursor);
+      if (!Number.isInteger(cursor) || cursor < 0) throw new Error('Invalid cursor');
+    }
+    return { filters, cursor };
+  }
+
+  /**
+   * Yield stored records matching filters, newest first
+   * @param {Object} filters - Normalized filters
+   * @param {number} cursor - Only records with a lower id
+   * @returns {AsyncGenerator<EventRecord>} Records
+   */
+  async function* matching(filters, cursor) {
+    flush();
+
+    // Pruning during the walk must not shift it
+    const walk = [...segments];
+    for (let i = walk.length - 1; i >= 0; i--) {
+      const segment = walk[i];
+      if (segment.firstId >= cursor) continue;
+      // Segments hold events stored on their day; events are never stored before they happen
+      if (filters.sinceMs !== null && Date.parse(segment.day) + DAY_MS <= filters.sinceMs) break;
+
+      const records = await readSegment(segment.file, record => record.id < cursor && matchesQuery(record, filters));
+      for (let j = records.length - 1; j >= 0; j--) {
+        yield records[j];
+      }
+    }
+  }
+
+  /**
+   * Discover existing segments and recover the last sequence number
+   */
+  function load() {
+    segments = readdirSync(dir)
+      .map(file => {
+        const match = file.match(SEGMENT_PATTERN);
+        if (!match) return null;
+        return { file, day: match[1], firstId: Number(match[2]), bytes: statSync(join(dir, file)).size };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.firstId - b.firstId);
+
+    const newest = segments[segments.length - 1];
+    if (newest) {
+      const path = join(dir, newest.file);
+      const records = readFileSync(path, 'utf8').split('\n').map(parseLine).filter(Boolean);
+      lastId = records.length > 0 ? records[records.length - 1].id : newest.firstId - 1;
+
+      // Terminate a partially written line so the next append starts cleanly
+      if (newest.bytes > 0 && !readFileSync(path, 'utf8').endsWith('\n')) {
+        appendFileSync(path, '\n');
+        newest.bytes += 1;
+      }
+    }
+    prune();
+  }
+
+  /**
+   * Delete segments outside the retention window or size budget.
+   * The newest segment is always kept.
+   */
+  function prune() {
+    const cutoffDay = new Date(Date.now() - retentionDays * DAY_MS).toISOString().slice(0, 10);
+    let total = segments.reduce((sum, s) => sum + s.bytes, 0);
+
+    while (segments.length > 1 && (segments[0].day < cutoffDay || total > maxBytes)) {
+      const [oldest] = segments.splice(0, 1);
+      total -= oldest.bytes;
+      try {
+        unlinkSync(join(dir, oldest.file));
+      } catch (err) {
+        logger.warn('event-store', 'Failed to delete segment', { file: oldest.file, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Append buffered records to the current segment
+   */
+  function flush() {
+    if (pending.length === 0) return;
+
+    const day = new Date().toISOString().slice(0, 10);
+    let current = segments[segments.length - 1];
+    if (!current || current.day !== day || current.bytes >= segmentMaxBytes) {
+      current = { file: `events-${day}-${pending[0].id}.jsonl`, day, firstId: pending[0].id, bytes: 0 };
+      segments.push(current);
+    }
+
+    const data = pending.map(record => JSON.stringify(record)).join('\n') + '\n';
+    try {
+      appendFileSync(join(dir, current.file), data);
+      current.bytes += Buffer.byteLength(data);
+      pending = [];
+    } catch (err) {
+      logger.error('event-store', 'Failed to append events', { file: current.file, error: err.message });
+      return;
+    }
+
+    if (current.bytes === Buffer.byteLength(data)) {
+      // Started a new segment: a good time to enforce retention
+      prune();
+    }
+  }
+
+  load();
+
+  return {
+    /**
+     * Record an event
+     * @param {Object} event - Event as emitted by StateManager
+     * @returns {EventRecord} Stored record
+     */
+    append(event) {
+      const record = toRecord(++lastId, event);
+      pending.push(record);
+      return record;
+    },
+
+    /**
+     * Query stored events, newest first
+     * @param {EventQuery} [query] - Filters and pagination
+     * @returns {Promise<{events: EventRecord[], nextCursor: string|null}>} One page of events
+     * @throws {Error} If a filter or cursor is invalid
+     */
+    async query(query = {}) {
+      const { filters, cursor } = parseQuery(query);
+      const limit = Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), EVENT_QUERY_MAX_LIMIT);
+
+      // One past the page tells whether there is another
+      const events = [];
+      for await (const record of matching(filters, cursor)) {
+        events.push(record);
+        if (events.length > limit) break;
+      }
+
+      const hasMore = events.length > limit;
+      const page = events.slice(0, limit);
+      return {
+        events: page,
+        nextCursor: hasMore ? String(page[page.length - 1].id) : null
+      };
+    },
+
+    /**
+     * Stream every stored event matching filters, newest first, e.g. for an
+     * export. Unlike query, there is no page size or cursor.
+     * @param {EventQuery} [query] - Filters
+     * @returns {AsyncGenerator<EventRecord>} Records
+     * @throws {Error} If a filter is invalid
+     */
+    records(query = {}) {
+      const { filters } = parseQuery({ ...query, cursor: null });
+      return matching(filters, Infinity);
+    },
+
+    /**
+     * Get storage statistics
+     * @returns {{segments: number, bytes: number, lastId: number}} Stats
+     */
+    getStats() {
+      return {
+        segments: segments.length,
+        bytes: segments.reduce((sum, s) => sum + s.bytes, 0),
+        lastId
+      };
+    },
+
+    /**
+     * Start periodic flushing of buffered events
+     */
+    start() {
+      if (flushTimer) return;
+      flushTimer = setInterval(flush, flushIntervalMs);
+    },
+
+    /**
+     * Stop periodic flushing and write any buffered events
+     */
+    stop() {
+      if (flushTimer) {
+        clearInterval(flushTimer);
+        flushTimer = null;
+      }
+      flush();
+    },
+
+    flush
+  };
+}
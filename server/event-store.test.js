@@ -0,0 +1,149 @@
+/**
+ * Tests for the persistent event store
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync, appendFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createEventStore, matchesEventText } from './event-store.js';
+
+describe('createEventStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gtviz-events-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('assigns increasing ids and returns events newest first', async () => {
+    const store = createEventStore({ dir });
+    store.append({ type: 'feed', source: 'rig1', message: 'one' });
+    store.append({ type: 'feed', source: 'rig1', message: 'two' });
+
+    const { events, nextCursor } = await store.query();
+    assert.deepStrictEqual(events.map(e => e.id), [2, 1]);
+    assert.strictEqual(events[0].event.message, 'two');
+    assert.strictEqual(events[0].rig, 'rig1');
+    assert.strictEqual(nextCursor, null);
+  });
+
+  it('persists events across instances and continues ids', async () => {
+    const first = createEventStore({ dir });
+    first.append({ type: 'feed', message: 'before restart' });
+    first.stop();
+
+    const second = createEventStore({ dir });
+    const record = second.append({ type: 'feed', message: 'after restart' });
+    assert.strictEqual(record.id, 2);
+    assert.deepStrictEqual((await second.query()).events.map(e => e.event.message), ['after restart', 'before restart']);
+  });
+
+  it('paginates with a cursor', async () => {
+    const store = createEventStore({ dir });
+    for (let i = 1; i <= 5; i++) {
+      store.append({ type: 'feed', message: `event ${i}` });
+    }
+
+    const page1 = await store.query({ limit: 2 });
+    assert.deepStrictEqual(page1.events.map(e => e.id), [5, 4]);
+    assert.strictEqual(page1.nextCursor, '4');
+
+    const page2 = await store.query({ limit: 2, cursor: page1.nextCursor });
+    assert.deepStrictEqual(page2.events.map(e => e.id), [3, 2]);
+
+    const page3 = await store.query({ limit: 2, cursor: page2.nextCursor });
+    assert.deepStrictEqual(page3.events.map(e => e.id), [1]);
+    assert.strictEqual(page3.nextCursor, null);
+  });
+
+  it('filters by rig, agent, type, text and time range', async () => {
+    const store = createEventStore({ dir });
+    store.append({ type: 'feed', source: 'rig1', message: 'build started', timestamp: '2026-01-01T10:00:00Z' });
+    store.append({ type: 'mail', rig: 'rig1', from: 'mayor', to: 'polecats/nux', subject: 'Hello', timestamp: '2026-01-01T11:00:00Z' });
+    store.append({ type: 'log', rig: 'rig2', agent: 'nux', level: 'error', message: 'Build failed', timestamp: '2026-01-01T12:00:00Z' });
+
+    const ids = async query => (await store.query(query)).events.map(e => e.id);
+    assert.deepStrictEqual(await ids({ rig: 'rig1' }), [2, 1]);
+    assert.deepStrictEqual(await ids({ agent: 'nux' }), [3, 2]);
+    assert.deepStrictEqual(await ids({ type: 'mail' }), [2]);
+    assert.deepStrictEqual(await ids({ type: 'all', text: 'BUILD' }), [3, 1]);
+    assert.deepStrictEqual(await ids({ since: '2026-01-01T10:30:00Z', until: '2026-01-01T12:00:00Z' }), [2]);
+  });
+
+  it('filters by town', async () => {
+    const store = createEventStore({ dir });
+    store.append({ type: 'feed', source: 'api', town: 'prod', timestamp: '2026-01-01T10:00:00Z' });
+    store.append({ type: 'feed', source: 'lab.api', town: 'lab', timestamp: '2026-01-01T11:00:00Z' });
+
+    assert.deepStrictEqual((await store.query({ town: 'lab' })).events.map(e => e.rig), ['lab.api']);
+  });
+
+  it('rejects invalid cursors and timestamps', async () => {
+    const store = createEventStore({ dir });
+    await assert.rejects(store.query({ cursor: 'abc' }), /Invalid cursor/);
+    await assert.rejects(store.query({ since: 'yesterday' }), /Invalid since timestamp/);
+    assert.throws(() => store.records({ until: 'later' }), /Invalid until timestamp/);
+  });
+
+  it('starts a new segment when the current one is full', async () => {
+    const store = createEventStore({ dir, segmentMaxBytes: 1 });
+    store.append({ type: 'feed', message: 'a' });
+    store.flush();
+    store.append({ type: 'feed', message: 'b' });
+    store.flush();
+
+    assert.strictEqual(readdirSync(dir).length, 2);
+    assert.deepStrictEqual((await store.query()).events.map(e => e.id), [2, 1]);
+  });
+
+  it('streams every match across segments and skips one deleted mid-query', async () => {
+    const store = createEventStore({ dir, segmentMaxBytes: 1 });
+    for (let i = 1; i <= 3; i++) {
+      store.append({ type: 'feed', message: `event ${i}` });
+      store.flush();
+    }
+
+    const seen = [];
+    for await (const record of store.records({ text: 'event' })) {
+      seen.push(record.id);
+      if (record.id === 3) rmSync(join(dir, readdirSync(dir).sort()[1]));
+    }
+    assert.deepStrictEqual(seen, [3, 1]);
+  });
+
+  it('deletes segments outside the retention window', () => {
+    writeFileSync(join(dir, 'events-2000-01-01-1.jsonl'),
+      JSON.stringify({ id: 1, timestamp: '2000-01-01T00:00:00.000Z', type: 'feed', rig: null, agent: null, event: {} }) + '\n');
+
+    const store = createEventStore({ dir, retentionDays: 30 });
+    const record = store.append({ type: 'feed', message: 'now' });
+    store.flush();
+
+    assert.strictEqual(record.id, 2);
+    assert.deepStrictEqual(readdirSync(dir), [`events-${new Date().toISOString().slice(0, 10)}-2.jsonl`]);
+  });
+
+  it('skips a truncated trailing line', async () => {
+    const file = join(dir, `events-${new Date().toISOString().slice(0, 10)}-1.jsonl`);
+    writeFileSync(file, JSON.stringify({ id: 1, timestamp: new Date().toISOString(), type: 'feed', rig: null, agent: null, event: {} }) + '\n');
+    appendFileSync(file, '{"id":2,"timest');
+
+    const store = createEventStore({ dir });
+    assert.strictEqual(store.getStats().lastId, 1);
+    store.append({ type: 'feed' });
+    assert.deepStrictEqual((await store.query()).events.map(e => e.id), [2, 1]);
+  });
+});
+
+describe('matchesEventText', () => {
+  it('searches message-like fields case-insensitively', () => {
+    assert.strictEqual(matchesEventText({ subject: 'Deploy Done' }, 'deploy'), true);
+    assert.strictEqual(matchesEventText({ type: 'deploy' }, 'deploy'), false);
+    assert.strictEqual(matchesEventText({}, ''), true);
+  });
+});
@@ -10,19 +10,25 @@
  * @module gt-poller
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { readdirSync } from 'fs';
+import { getDataSource } from './data-source.js';
+import { runCommand } from './command-runner.js';
 import { AgentMonitor } from './agent-monitor.js';
+import { BeadsReader } from './beads-reader.js';
+import { PollScheduler, ConcurrencyLimiter } from './poll-scheduler.js';
+import { CircuitBreakerRegistry, CircuitOpenError, CircuitState } from './circuit-breaker.js';
 import logger from './logger.js';
-import { POLL_INTERVAL_MS, COMMAND_TIMEOUT_MS, LONG_COMMAND_TIMEOUT_MS } from './constants.js';
+import { config } from './config.js';
 import {
   parseStatusFromSymbol,
-  normalizePriority,
+  normalizeBead,
   parseBeadHeader,
   parseHookOutput,
   toPollerHookFormat,
   parseMetadataField,
-  parseDependency
+  parseDependency,
+  hookKey,
+  agentPath
 } from './parser-utils.js';
 
 /**
@@ -35,10 +41,10 @@ import {
  * @typedef {import('./types.js').RetryConfig} RetryConfig
  * @typedef {import('./state.js').StateManager} StateManager
  * @typedef {import('./metrics.js').MetricsCollector} MetricsCollector
+ * @typedef {import('./circuit-breaker.js').SourceHealth} SourceHealth
+ * @typedef {import('./circuit-breaker.js').CircuitTransition} CircuitTransition
  */
 
-const execAsync = promisify(exec);
-
 /** @type {RetryConfig} */
 const RETRY_CONFIG = {
   maxRetries: 3,
@@ -73,6 +79,21 @@ async function withRetry(fn, context = 'operation') {
   throw lastError;
 }
 
+/**
+ * List the visible subdirectories of a directory
+ * @param {string} path - Directory
+ * @returns {string[]} Subdirectory names, or none if it cannot be read
+ */
+function listDirs(path) {
+  try {
+    return readdirSync(path, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+  } catch {
+    return [];
+  }
+}
+
 /**
  * GtPoller - Polls Gas Town CLI for state updates
  */
@@ -81,18 +102,40 @@ export class GtPoller {
    * Create a new GtPoller
    * @param {StateManager} state - State manager instance
    * @param {MetricsCollector|null} [metrics=null] - Metrics collector instance
+   * @param {Object} [options]
+   * @param {string} [options.gtDir] - Town directory (defaults to GT_DIR)
+   * @param {ConcurrencyLimiter} [options.limiter] - Limit shared with other towns' pollers (defaults to a new one)
    */
-  constructor(state, metrics = null) {
+  constructor(state, metrics = null, options = {}) {
     /** @type {StateManager} */
     this.state = state;
+    /** @type {string} */
+    this.gtDir = options.gtDir || process.env.GT_DIR || `${process.env.HOME}/gt`;
     /** @type {MetricsCollector|null} */
     this.metrics = metrics;
-    /** @type {NodeJS.Timeout|null} */
-    this.interval = null;
     /** @type {number} */
-    this.pollIntervalMs = POLL_INTERVAL_MS;
+    this.pollIntervalMs = config.get('polling.intervalMs');
+    /** @type {ConcurrencyLimiter} Caps child processes across all rigs */
+    this.limiter = options.limiter || new ConcurrencyLimiter(config.get('polling.maxConcurrentCommands'));
+    /** @type {PollScheduler} */
+    this.scheduler = new PollScheduler({
+      baseIntervalMs: () => this.pollIntervalMs,
+      activeIntervalMs: () => config.get('polling.activeIntervalMs'),
+      maxBackoffMs: () => config.get('polling.maxBackoffMs')
+    });
     /** @type {AgentMonitor} */
-    this.agentMonitor = new AgentMonitor();
+    this.agentMonitor = new AgentMonitor({ limiter: this.limiter, gtDir: this.gtDir });
+    /** @type {BeadsReader} */
+    this.beadsReader = new BeadsReader({ gtDir: this.gtDir });
+    /** @type {CircuitBreakerRegistry} One breaker per (rig, operation) */
+    this.breakers = new CircuitBreakerRegistry({
+      failureThreshold: () => config.get('polling.circuit.failureThreshold'),
+      resetTimeoutMs: () => config.get('polling.circuit.resetTimeoutMs')
+    });
+    this.breakers.on('transition', transition => this.reportTransition(transition));
+    this.breakers.on('health', health => {
+      if (health.rig) this.state.updateSourceHealth(health.rig, health.operation, health);
+    });
     /** @type {Object<string, number>} */
     this.lastSuccessfulPoll = {};
     /** @type {Object<string, number>} */
@@ -101,40 +144,109 @@ export class GtPoller {
     this.taskStartTimes = {};
     /** @type {Object<string, BeadStatus>} */
     this.previousBeadStatus = {};
+    /** @type {Map<string, {fetchedAt: number, details: Promise<Bead|null>}>} `bd show` results by "rig/beadId" */
+    this.beadDetailsCache = new Map();
+    /** @type {AbortController} Cancels this poller's commands when it stops */
+    this.abortController = new AbortController();
   }
 
   /**
-   * Start the polling loop
+   * Start polling. The rig list is polled on the base interval; each rig then
+   * gets its own task so a slow or failing rig never delays the others.
    */
   start() {
-    this.poll();
-    this.interval = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.scheduler.addTask('rigs', () => this.timed(() => this.pollTown()));
+    this.scheduler.start();
     logger.info('poller', 'GT poller started');
   }
 
   /**
-   * Stop the polling loop
+   * Change the base polling interval; waiting tasks are rescheduled
+   * @param {number} ms - New interval in milliseconds
+   */
+  setPollInterval(ms) {
+    this.pollIntervalMs = ms;
+    this.scheduler.reschedule();
+  }
+
+  /**
+   * Stop polling
    */
   stop() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
+    this.scheduler.stop();
+    this.abortController.abort();
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Run a command through the shared concurrency limit. GT_DIR is set to
+   * this poller's town so gt and bd act on the right town; stopping the
+   * poller cancels the command.
+   * @param {string} file - Executable
+   * @param {string[]} args - Arguments
+   * @param {import('./command-runner.js').RunOptions} [options] - Run options
+   * @returns {Promise<{stdout: string, stderr: string}>} Command output
+   */
+  exec(file, args, options = {}) {
+    const env = { ...(options.env || process.env), GT_DIR: this.gtDir };
+    const { signal } = this.abortController;
+    return this.limiter.run(() => runCommand(file, args, { ...options, env, signal }));
+  }
+
+  /**
+   * Run a command, and run a second form of it if the first exits with an
+   * error (e.g. a gt or bd without --json). A timeout or cancellation is
+   * thrown as is: running the command again would only wait again.
+   * @param {string} file - Executable
+   * @param {string[]} args - Arguments
+   * @param {string[]} fallbackArgs - Arguments to try if the first form fails
+   * @param {import('./command-runner.js').RunOptions} [options] - Run options
+   * @returns {Promise<{stdout: string, stderr: string}>} Command output
+   */
+  async execWithFallback(file, args, fallbackArgs, options = {}) {
+    try {
+      return await this.exec(file, args, options);
+    } catch (err) {
+      if (err.reason !== 'failed') throw err;
+      return this.exec(file, fallbackArgs, options);
+    }
+  }
+
+  /**
+   * Run a poll step and record its duration and outcome in metrics
+   * @param {function(): Promise<void>} fn - Poll step
+   * @returns {Promise<void>}
+   */
+  async timed(fn) {
+    const startTime = Date.now();
+    let success = true;
+    try {
+      await fn();
+    } catch (err) {
+      success = false;
+      throw err;
+    } finally {
+      if (this.metrics) {
+        this.metrics.recordPollDuration(Date.now() - startTime, success);
+      }
     }
   }
 
   /**
-   * Execute a single poll cycle
+   * Execute a single poll of everything, outside the scheduler
    * @returns {Promise<void>}
    */
   async poll() {
     const startTime = Date.now();
     let success = true;
+    // Agents in every rig are resolved against one process/tmux snapshot
+    this.agentMonitor.beginCycle();
     try {
       await Promise.all([
         this.pollRigs(),
-        this.pollAgents(),
-        this.pollBeads(),
-        this.pollHooks()
+        // Hooks are polled for the agents just found
+        this.pollAgents().then(() => this.pollHooks()),
+        this.pollBeads()
       ]);
     } catch (err) {
       success = false;
@@ -148,35 +260,166 @@ export class GtPoller {
   }
 
   /**
-   * Poll for rig information
+   * Scheduled town-level poll: refresh the rig list and the per-rig tasks
    * @returns {Promise<void>}
+   * @throws {Error} If the rig list could not be read
+   */
+  async pollTown() {
+    // Rigs polled before the next town poll share one process/tmux snapshot
+    this.agentMonitor.beginCycle();
+    const ok = await this.pollRigs();
+    this.syncRigTasks();
+    if (!ok) {
+      throw new Error('Rig list poll failed');
+    }
+  }
+
+  /**
+   * Add scheduler tasks for new rigs and remove those for rigs that are gone
+   */
+  syncRigTasks() {
+    const rigs = new Set(this.state.getRigs());
+    for (const name of this.scheduler.getTaskNames()) {
+      if (name.startsWith('rig:') && !rigs.has(name.slice(4))) {
+        this.scheduler.removeTask(name);
+        this.breakers.removeRig(name.slice(4));
+      }
+    }
+    for (const rig of rigs) {
+      this.scheduler.addTask(`rig:${rig}`, () => this.timed(() => this.pollRig(rig)), {
+        isActive: () => this.hasActiveHooks(rig),
+        meta: { rig }
+      });
+    }
+  }
+
+  /**
+   * Poll a rig now, through its scheduled task so the poll never overlaps a
+   * scheduled one. If the rig is being polled already, that poll is reused.
+   * @param {string} rig - Rig name
+   * @returns {Promise<void>} Resolves when the poll finishes
+   */
+  pollRigNow(rig) {
+    return this.scheduler.runNow(`rig:${rig}`);
+  }
+
+  /**
+   * Check whether any agent in a rig has hooked work
+   * @param {string} rig - Rig name
+   * @returns {boolean} True if a hook holds a bead
+   */
+  hasActiveHooks(rig) {
+    const hooks = this.state.getHooks(rig);
+    return Object.values(hooks).some(hook => hook && hook.bead);
+  }
+
+  /**
+   * Scheduled per-rig poll: agents, beads and hooks for one rig
+   * @param {string} rig - Rig name
+   * @returns {Promise<void>}
+   * @throws {Error} If any part of the poll failed
+   */
+  async pollRig(rig) {
+    // Hooks are polled for the agents just found
+    const [[agentsOk, hooksOk], beadsOk] = await Promise.all([
+      this.pollRigAgents(rig).then(async ok => [ok, await this.pollRigHooks(rig)]),
+      this.pollRigBeads(rig)
+    ]);
+    this.updateAgentActivityMetrics();
+
+    // Parts whose circuit is open are already backing off on their own
+    const failed = [[agentsOk, 'agents'], [beadsOk, 'beads'], [hooksOk, 'hooks']]
+      .filter(([ok, part]) => !ok && !this.breakers.isOpen(rig, part))
+      .map(([, part]) => part);
+    if (failed.length > 0) {
+      throw new Error(`Failed to poll ${failed.join(', ')} for ${rig}`);
+    }
+  }
+
+  /**
+   * Get scheduler, concurrency and per-task state
+   * @returns {Object} Poller status
+   */
+  getStatus() {
+    return {
+      running: this.scheduler.running,
+      dataSource: getDataSource().mode,
+      intervals: {
+        baseMs: this.pollIntervalMs,
+        activeMs: config.get('polling.activeIntervalMs'),
+        maxBackoffMs: config.get('polling.maxBackoffMs')
+      },
+      commands: this.limiter.getStats(),
+      tasks: this.scheduler.getStatus()
+    };
+  }
+
+  /**
+   * Get freshness and circuit state of every data source
+   * @returns {SourceHealth[]} Health per source
+   */
+  getSources() {
+    return this.breakers.getHealth();
+  }
+
+  /**
+   * Report a circuit transition. Errors are raised only when a source
+   * starts failing, not on every failed poll.
+   * @param {CircuitTransition} transition - Transition
+   */
+  reportTransition({ rig, operation, from, to, error, health }) {
+    const source = rig ? `${operation} for ${rig}` : operation;
+    if (to === CircuitState.OPEN && from === CircuitState.CLOSED) {
+      const skipSeconds = Math.round(config.get('polling.circuit.resetTimeoutMs') / 1000);
+      logger.warn('poller', 'Source failing; circuit opened', { rig, operation, failures: health.failures, error });
+      this.state.addError({
+        component: 'poller',
+        operation: `poll${operation[0].toUpperCase()}${operation.slice(1)}`,
+        ...(rig ? { rig } : {}),
+        severity: 'error',
+        circuit: to,
+        message: `Polling ${source} failed ${health.failures} times; skipping it for ${skipSeconds}s: ${error}`,
+        retryCount: health.failures,
+        lastSuccess: health.lastSuccessAt
+      });
+    } else if (to === CircuitState.CLOSED) {
+      logger.info('poller', 'Source recovered; circuit closed', { rig, operation });
+      this.state.addEvent({
+        type: 'source_recovered',
+        ...(rig ? { rig } : {}),
+        operation,
+        message: `Polling ${source} recovered`,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      logger.debug('poller', 'Circuit state changed', { rig, operation, from, to });
+    }
+  }
+
+  /**
+   * Poll for rig information
+   * @returns {Promise<boolean>} True if the rig list was read
    */
   async pollRigs() {
     try {
-      const rigs = await withRetry(async () => {
-        const { stdout } = await execAsync('gt rig list --json 2>/dev/null || gt rig list', { timeout: LONG_COMMAND_TIMEOUT_MS });
+      const rigs = await this.breakers.run(null, 'rigs', () => withRetry(async () => {
+        const timeoutMs = config.get('polling.longCommandTimeoutMs');
+        const { stdout } = await this.execWithFallback('gt', ['rig', 'list', '--json'], ['rig', 'list'], { timeoutMs });
         return this.parseRigList(stdout);
-      }, 'pollRigs');
+      }, 'pollRigs'));
 
       this.state.updateRigs(rigs);
       this.lastSuccessfulPoll.rigs = Date.now();
       this.failureCount.rigs = 0;
+      return true;
     } catch (err) {
+      if (err instanceof CircuitOpenError) return false;
       this.failureCount.rigs = (this.failureCount.rigs || 0) + 1;
       if (this.failureCount.rigs <= 3) {
         logger.warn('poller', 'Rig poll failed', { attempt: this.failureCount.rigs, error: err.message });
       }
-      // Emit error event for UI visibility
-      this.state.addError({
-        component: 'poller',
-        operation: 'pollRigs',
-        severity: this.failureCount.rigs >= 3 ? 'error' : 'warning',
-        message: `Rig poll failed: ${err.message}`,
-        retryCount: this.failureCount.rigs,
-        maxRetries: RETRY_CONFIG.maxRetries,
-        lastSuccess: this.lastSuccessfulPoll.rigs || null
-      });
       // Graceful degradation: keep last known state
+      return false;
     }
   }
 
@@ -242,45 +485,51 @@ export class GtPoller {
    * @returns {Promise<void>}
    */
   async pollAgents() {
-    const rigs = this.state.getRigs();
-    const allAgents = [];
-    for (const rig of rigs) {
-      try {
-        const agents = await withRetry(
-          () => this.getAgentsFromDir(rig),
-          `pollAgents(${rig})`
-        );
-        this.state.updateAgents(rig, agents);
-        this.failureCount[`agents-${rig}`] = 0;
-        allAgents.push(...agents);
-      } catch (e) {
-        const key = `agents-${rig}`;
-        this.failureCount[key] = (this.failureCount[key] || 0) + 1;
-        if (this.failureCount[key] <= 3) {
-          logger.warn('poller', 'Agent poll failed', { rig, error: e.message });
-        }
-        // Emit error event for UI visibility
-        this.state.addError({
-          component: 'poller',
-          operation: 'pollAgents',
-          rig,
-          severity: this.failureCount[key] >= 3 ? 'error' : 'warning',
-          message: `Agent poll failed for ${rig}: ${e.message}`,
-          retryCount: this.failureCount[key],
-          maxRetries: RETRY_CONFIG.maxRetries
-        });
-        // Graceful degradation: keep last known agent state
-      }
+    for (const rig of this.state.getRigs()) {
+      await this.pollRigAgents(rig);
     }
+    this.updateAgentActivityMetrics();
+  }
 
-    // Update agent activity metrics
-    if (this.metrics && allAgents.length > 0) {
-      const agentMap = {};
-      for (const agent of allAgents) {
-        agentMap[agent.name] = { status: agent.status, beadId: agent.hookBead };
+  /**
+   * Poll agents for one rig
+   * @param {string} rig - Rig name
+   * @returns {Promise<boolean>} True on success
+   */
+  async pollRigAgents(rig) {
+    try {
+      const agents = await this.breakers.run(rig, 'agents', () => withRetry(
+        () => this.getAgentsFromDir(rig),
+        `pollAgents(${rig})`
+      ));
+      this.state.updateAgents(rig, agents);
+      this.failureCount[`agents-${rig}`] = 0;
+      return true;
+    } catch (e) {
+      if (e instanceof CircuitOpenError) return false;
+      const key = `agents-${rig}`;
+      this.failureCount[key] = (this.failureCount[key] || 0) + 1;
+      if (this.failureCount[key] <= 3) {
+        logger.warn('poller', 'Agent poll failed', { rig, error: e.message });
       }
-      this.metrics.updateAgentActivity(agentMap);
+      // Graceful degradation: keep last known agent state
+      return false;
+    }
+  }
+
+  /**
+   * Update agent activity metrics from the agents of every rig
+   */
+  updateAgentActivityMetrics() {
+    if (!this.metrics) return;
+    const allAgents = Object.values(this.state.getState().agents || {}).flat();
+    if (allAgents.length === 0) return;
+
+    const agentMap = {};
+    for (const agent of allAgents) {
+      agentMap[agent.name] = { status: agent.status, beadId: agent.hookBead };
     }
+    this.metrics.updateAgentActivity(agentMap);
   }
 
   /**
@@ -291,52 +540,23 @@ export class GtPoller {
   async getAgentsFromDir(rig) {
     /** @type {Agent[]} */
     const agents = [];
-    const gtDir = process.env.GT_DIR || `${process.env.HOME}/gt`;
-    const rigPath = `${gtDir}/${rig}`;
+    const rigPath = `${this.gtDir}/${rig}`;
 
     // Standard agents
-    const standardAgents = ['witness', 'refinery', 'mayor'];
-    for (const agent of standardAgents) {
-      try {
-        const { stdout } = await execAsync(`ls -d ${rigPath}/${agent} 2>/dev/null`);
-        if (stdout.trim()) {
-          agents.push({
-            name: agent,
-            role: agent,
-            rig: rig,
-            status: 'unknown'
-          });
-        }
-      } catch {}
+    const rigDirs = new Set(listDirs(rigPath));
+    for (const agent of ['witness', 'refinery', 'mayor']) {
+      if (rigDirs.has(agent)) {
+        agents.push({ name: agent, role: agent, rig, status: 'unknown' });
+      }
     }
 
-    // Check crew
-    try {
-      const { stdout } = await execAsync(`ls ${rigPath}/crew 2>/dev/null`);
-      const crewMembers = stdout.split('\n').filter(c => c.trim());
-      for (const crew of crewMembers) {
-        agents.push({
-          name: crew,
-          role: 'crew',
-          rig: rig,
-          status: 'unknown'
-        });
-      }
-    } catch {}
+    for (const name of listDirs(`${rigPath}/crew`)) {
+      agents.push({ name, role: 'crew', rig, status: 'unknown' });
+    }
 
-    // Check polecats
-    try {
-      const { stdout } = await execAsync(`ls ${rigPath}/polecats 2>/dev/null`);
-      const polecats = stdout.split('\n').filter(p => p.trim());
-      for (const polecat of polecats) {
-        agents.push({
-          name: polecat,
-          role: 'polecat',
-          rig: rig,
-          status: 'unknown'
-        });
-      }
-    } catch {}
+    for (const name of listDirs(`${rigPath}/polecats`)) {
+      agents.push({ name, role: 'polecat', rig, status: 'unknown' });
+    }
 
     // Detect actual status for each agent
     const agentsWithStatus = await this.agentMonitor.getAgentStatuses(agents);
@@ -372,56 +592,95 @@ export class GtPoller {
    * @returns {Promise<void>}
    */
   async pollBeads() {
-    const rigs = this.state.getRigs();
-    const gtDir = process.env.GT_DIR || `${process.env.HOME}/gt`;
-
-    for (const rig of rigs) {
-      try {
-        const beads = await withRetry(async () => {
-          try {
-            const { stdout } = await execAsync(`bd list --json 2>/dev/null`, {
-              cwd: `${gtDir}/${rig}`,
-              timeout: LONG_COMMAND_TIMEOUT_MS
-            });
-            return this.parseBeads(stdout);
-          } catch {
-            const { stdout } = await execAsync(`bd list 2>/dev/null || echo ""`, {
-              cwd: `${gtDir}/${rig}`,
-              timeout: LONG_COMMAND_TIMEOUT_MS
-            });
-            return this.parseBeadsText(stdout);
-          }
-        }, `pollBeads(${rig})`);
-
-        // Add rig information to each bead
-        const beadsWithRig = beads.map(bead => ({ ...bead, rig }));
+    for (const rig of this.state.getRigs()) {
+      await this.pollRigBeads(rig);
+    }
+  }
 
-        // Track task completions and durations
-        this.trackTaskCompletions(rig, beadsWithRig);
+  /**
+   * Poll beads for one rig.
+   * Reads `.beads/issues.jsonl` directly and only runs `bd list` when the
+   * rig has no readable issues file.
+   * @param {string} rig - Rig name
+   * @returns {Promise<boolean>} True on success
+   */
+  async pollRigBeads(rig) {
+    try {
+      await this.breakers.run(rig, 'beads', async () => {
+        let result = null;
+        try {
+          result = this.beadsReader.readRig(rig);
+        } catch (e) {
+          logger.debug('poller', 'Issues file unreadable, falling back to bd', { rig, error: e.message });
+        }
 
-        this.state.updateBeads(rig, beadsWithRig);
-        this.failureCount[`beads-${rig}`] = 0;
-      } catch (e) {
-        const key = `beads-${rig}`;
-        this.failureCount[key] = (this.failureCount[key] || 0) + 1;
-        if (this.failureCount[key] <= 3) {
-          logger.warn('poller', 'Bead poll failed', { rig, error: e.message });
+        if (result) {
+          if (result.changed) {
+            this.applyBeads(rig, result.beads);
+          }
+        } else {
+          this.applyBeads(rig, await this.listBeadsWithBd(rig));
         }
-        // Emit error event for UI visibility
-        this.state.addError({
-          component: 'poller',
-          operation: 'pollBeads',
-          rig,
-          severity: this.failureCount[key] >= 3 ? 'error' : 'warning',
-          message: `Bead poll failed for ${rig}: ${e.message}`,
-          retryCount: this.failureCount[key],
-          maxRetries: RETRY_CONFIG.maxRetries
-        });
-        // Graceful degradation: keep last known bead state
+      });
+      this.failureCount[`beads-${rig}`] = 0;
+      return true;
+    } catch (e) {
+      if (e instanceof CircuitOpenError) return false;
+      const key = `beads-${rig}`;
+      this.failureCount[key] = (this.failureCount[key] || 0) + 1;
+      if (this.failureCount[key] <= 3) {
+        logger.warn('poller', 'Bead poll failed', { rig, error: e.message });
+      }
+      // Graceful degradation: keep last known bead state
+      return false;
+    }
+  }
+
+  /**
+   * Re-read a rig's issues file after it changed on disk
+   * @param {string} rig - Rig name
+   */
+  refreshBeads(rig) {
+    try {
+      const result = this.beadsReader.readRig(rig);
+      if (result && result.changed) {
+        this.applyBeads(rig, result.beads);
       }
+    } catch (e) {
+      logger.warn('poller', 'Failed to read issues file', { rig, error: e.message });
     }
   }
 
+  /**
+   * List a rig's beads by running `bd list`
+   * @param {string} rig - Rig name
+   * @returns {Promise<Bead[]>} Beads
+   */
+  async listBeadsWithBd(rig) {
+    return withRetry(async () => {
+      const { stdout } = await this.execWithFallback('bd', ['list', '--json'], ['list'], {
+        cwd: `${this.gtDir}/${rig}`,
+        timeoutMs: config.get('polling.longCommandTimeoutMs')
+      });
+      return this.parseBeads(stdout);
+    }, `pollBeads(${rig})`);
+  }
+
+  /**
+   * Record a rig's current beads in state
+   * @param {string} rig - Rig name
+   * @param {Bead[]} beads - Beads without rig information
+   */
+  applyBeads(rig, beads) {
+    // Add rig information to each bead
+    const beadsWithRig = beads.map(bead => ({ ...bead, rig }));
+
+    // Track task completions and durations
+    this.trackTaskCompletions(rig, beadsWithRig);
+
+    this.state.updateBeads(rig, beadsWithRig);
+  }
+
   /**
    * Track task completions and update agent stats
    * @param {string} rig - Rig name
@@ -444,24 +703,24 @@ export class GtPoller {
         const startTime = this.taskStartTimes[beadKey];
         const duration = startTime ? now - startTime : null;
 
-        // Find which agent completed this (from hooks)
-        const hooks = this.state.getState().hooks[rig] || {};
-        let completingAgent = null;
-        for (const [agent, hookData] of Object.entries(hooks)) {
-          if (hookData && hookData.bead === bead.id) {
-            completingAgent = agent;
-            break;
-          }
-        }
+        // Find which agent completed this: whoever holds it on their hook,
+        // or its last owner if the hook was cleared before the bead was seen done
+        const owners = this.state.getBeadOwnership(rig, bead.id);
+        const holder = this.state.getAgents(rig).find(agent => agent.hookBead === bead.id);
+        const owner = owners.at(-1);
+        const completingAgent = holder?.name || owner?.agent || null;
+        const role = holder ? holder.role : owner?.role;
 
-        if (completingAgent) {
-          const agentKey = `${rig}/${completingAgent}`;
+        // Stats are keyed by role as well as name, as hook history is
+        if (completingAgent && role) {
+          const agentKey = `${rig}/${hookKey(role, completingAgent)}`;
           this.state.updateAgentStats(agentKey, {
             completion: {
               beadId: bead.id,
               title: bead.title || '',
               completedAt: new Date().toISOString(),
-              duration: duration
+              duration: duration,
+              handoffs: owners.filter((owner, i) => i > 0 && owner.agent !== owners[i - 1].agent).length
             }
           });
           logger.info('poller', 'Task completed', {
@@ -488,22 +747,7 @@ export class GtPoller {
     try {
       const data = JSON.parse(output);
       if (Array.isArray(data)) {
-        return data.map(bead => ({
-          id: bead.id,
-          title: bead.title || '',
-          status: bead.status || 'open',
-          priority: normalizePriority(bead.priority),
-          labels: bead.labels || [],
-          owner: bead.owner || null,
-          assignee: bead.assignee || null,
-          type: bead.type || null,
-          description: bead.description || '',
-          notes: bead.notes || [],
-          dependsOn: bead.dependsOn || bead.depends_on || [],
-          createdAt: bead.createdAt || bead.created || null,
-          updatedAt: bead.updatedAt || bead.updated || null,
-          closedAt: bead.closedAt || bead.closed || null
-        }));
+        return data.map(normalizeBead);
       }
       return this.parseBeadsText(output);
     } catch {
@@ -549,6 +793,44 @@ export class GtPoller {
     return beads;
   }
 
+  /**
+   * Full details of one of a rig's beads, reusing a recent `bd show` for up
+   * to polling.beadDetailsTtlMs. Concurrent requests share one command.
+   * @param {string} rig - Rig name
+   * @param {string} beadId - Bead ID (must be validated by the caller)
+   * @returns {Promise<Bead|null>} Bead details or null if bd failed
+   */
+  async getBeadDetails(rig, beadId) {
+    const key = `${rig}/${beadId}`;
+    const now = Date.now();
+    for (const [cachedKey, entry] of this.beadDetailsCache) {
+      if (now - entry.fetchedAt >= config.get('polling.beadDetailsTtlMs')) {
+        this.beadDetailsCache.delete(cachedKey);
+      }
+    }
+
+    let entry = this.beadDetailsCache.get(key);
+    if (!entry) {
+      entry = { fetchedAt: now, details: this.fetchBeadDetails(beadId, `${this.gtDir}/${rig}`) };
+      this.beadDetailsCache.set(key, entry);
+    }
+    const details = await entry.details;
+    // Failures are retried on the next request rather than cached
+    if (!details && this.beadDetailsCache.get(key) === entry) {
+      this.beadDetailsCache.delete(key);
+    }
+    return details;
+  }
+
+  /**
+   * Drop a bead's cached details, so the next request sees an edit
+   * @param {string} rig - Rig name
+   * @param {string} beadId - Bead ID
+   */
+  forgetBeadDetails(rig, beadId) {
+    this.beadDetailsCache.delete(`${rig}/${beadId}`);
+  }
+
   /**
    * Fetch detailed information for a specific bead
    * @param {string} beadId - Bead ID
@@ -557,9 +839,9 @@ export class GtPoller {
    */
   async fetchBeadDetails(beadId, cwd) {
     try {
-      const { stdout } = await execAsync(`bd show ${beadId} --json 2>/dev/null || bd show ${beadId}`, {
+      const { stdout } = await this.execWithFallback('bd', ['show', beadId, '--json'], ['show', beadId], {
         cwd,
-        timeout: COMMAND_TIMEOUT_MS
+        timeoutMs: config.get('polling.commandTimeoutMs')
       });
       return this.parseBeadDetails(stdout, beadId);
     } catch {
@@ -575,23 +857,12 @@ export class GtPoller {
    */
   parseBeadDetails(output, beadId) {
     try {
-      const data = JSON.parse(output);
-      return {
-        id: data.id || beadId,
-        title: data.title || '',
-        description: data.description || '',
-        status: data.status || 'open',
-        priority: normalizePriority(data.priority),
-        labels: data.labels || [],
-        owner: data.owner || null,
-        assignee: data.assignee || null,
-        type: data.type || null,
-        notes: data.notes || [],
-        dependsOn: data.dependsOn || data.depends_on || [],
-        createdAt: data.createdAt || data.created || null,
-        updatedAt: data.updatedAt || data.updated || null,
-        closedAt: data.closedAt || data.closed || null
-      };
+      // `bd show --json` answers with a one-element array
+      const parsed = JSON.parse(output);
+      const data = Array.isArray(parsed) ? parsed[0] : parsed;
+      if (data && typeof data === 'object') {
+        return normalizeBead({ ...data, id: data.id || beadId });
+      }
     } catch {}
 
     // Parse text output
@@ -665,84 +936,68 @@ export class GtPoller {
   }
 
   /**
-   * Poll for hook information across all rigs
+   * Poll hooks across all rigs
    * @returns {Promise<void>}
    */
   async pollHooks() {
-    const rigs = this.state.getRigs();
-    const gtDir = process.env.GT_DIR || `${process.env.HOME}/gt`;
+    for (const rig of this.state.getRigs()) {
+      await this.pollRigHooks(rig);
+    }
+  }
 
-    for (const rig of rigs) {
-      try {
-        const hooks = await withRetry(async () => {
-          const rigHooks = {};
-          const agents = ['mayor', 'witness', 'refinery'];
-
-          for (const agent of agents) {
-            try {
-              const { stdout } = await execAsync(
-                `gt hook --json 2>/dev/null || gt hook`,
-                {
-                  cwd: `${gtDir}/${rig}/${agent}`,
-                  timeout: COMMAND_TIMEOUT_MS,
-                  env: { ...process.env, GT_ROLE: agent }
-                }
-              );
-              const hookData = this.parseHookOutputForPoller(stdout, agent);
-              if (hookData) {
-                rigHooks[agent] = hookData;
-              }
-            } catch {}
+  /**
+   * Poll hooks for every agent known in one rig, whatever its role. Hooks
+   * are keyed by role and name (see hookKey) and joined onto the agents in
+   * state. If any agent's hook cannot be read the poll fails and the rig
+   * keeps its previous hooks, rather than reporting them detached.
+   * @param {string} rig - Rig name
+   * @returns {Promise<boolean>} True on success
+   */
+  async pollRigHooks(rig) {
+    try {
+      const agents = this.state.getAgents(rig);
+      const hooks = await this.breakers.run(rig, 'hooks', () => withRetry(async () => {
+        const rigHooks = {};
+        await Promise.all(agents.map(async agent => {
+          const hookData = await this.getAgentHook(rig, agent);
+          if (hookData) {
+            rigHooks[hookKey(agent.role, agent.name)] = hookData;
           }
+        }));
+        return rigHooks;
+      }, `pollHooks(${rig})`));
 
-          // Also check polecats
-          try {
-            const { stdout: polecatList } = await execAsync(
-              `ls ${gtDir}/${rig}/polecats 2>/dev/null || echo ""`
-            );
-            const polecats = polecatList.split('\n').filter(p => p.trim());
-            for (const polecat of polecats) {
-              try {
-                const { stdout } = await execAsync(
-                  `gt hook --json 2>/dev/null || gt hook`,
-                  {
-                    cwd: `${gtDir}/${rig}/polecats/${polecat}`,
-                    timeout: COMMAND_TIMEOUT_MS
-                  }
-                );
-                const hookData = this.parseHookOutputForPoller(stdout, polecat);
-                if (hookData) {
-                  rigHooks[`polecat/${polecat}`] = hookData;
-                }
-              } catch {}
-            }
-          } catch {}
-
-          return rigHooks;
-        }, `pollHooks(${rig})`);
-
-        this.state.updateHooks(rig, hooks);
-        this.failureCount[`hooks-${rig}`] = 0;
-      } catch (e) {
-        const key = `hooks-${rig}`;
-        this.failureCount[key] = (this.failureCount[key] || 0) + 1;
-        if (this.failureCount[key] <= 3) {
-          logger.warn('poller', 'Hook poll failed', { rig, error: e.message });
-        }
-        // Emit error event for UI visibility
-        this.state.addError({
-          component: 'poller',
-          operation: 'pollHooks',
-          rig,
-          severity: this.failureCount[key] >= 3 ? 'error' : 'warning',
-          message: `Hook poll failed for ${rig}: ${e.message}`,
-          retryCount: this.failureCount[key],
-          maxRetries: RETRY_CONFIG.maxRetries
-        });
+      this.state.updateHooks(rig, hooks);
+      this.failureCount[`hooks-${rig}`] = 0;
+      return true;
+    } catch (e) {
+      if (e instanceof CircuitOpenError) return false;
+      const key = `hooks-${rig}`;
+      this.failureCount[key] = (this.failureCount[key] || 0) + 1;
+      if (this.failureCount[key] <= 3) {
+        logger.warn('poller', 'Hook poll failed', { rig, error: e.message });
       }
+      return false;
     }
   }
 
+  /**
+   * Read one agent's hook by running `gt hook` in its directory
+   * @param {string} rig - Rig name
+   * @param {Agent} agent - Agent
+   * @returns {Promise<HookData|null>} Hook, or null if empty
+   * @throws {Error} If `gt hook` fails; an unreadable hook is not an empty one
+   */
+  async getAgentHook(rig, agent) {
+    const { stdout } = await this.execWithFallback('gt', ['hook', '--json'], ['hook'], {
+      cwd: `${this.gtDir}/${agentPath(rig, agent.role, agent.name)}`,
+      timeoutMs: config.get('polling.commandTimeoutMs'),
+      env: { ...process.env, GT_ROLE: agent.role }
+    });
+    const hookData = this.parseHookOutputForPoller(stdout, agent.name);
+    return hookData && { ...hookData, role: agent.role };
+  }
+
   /**
    * Parse hook output from CLI for poller use
    * @param {string} output - Raw CLI output
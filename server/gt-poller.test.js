@@ -5,6 +5,11 @@
 import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
 import { GtPoller } from './gt-poller.js';
+import { CommandError } from './command-runner.js';
+import { ConcurrencyLimiter } from './poll-scheduler.js';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 // Create mock state object
 function createMockState() {
@@ -14,12 +19,22 @@ function createMockState() {
     beads: {},
     hooks: {},
     agentStats: {},
+    beadOwnership: {},
+    sources: {},
+    errors: [],
+    events: [],
     updateRigs(rigs) { state.rigs = rigs; },
     updateAgents(rig, agents) { state.agents[rig] = agents; },
     updateBeads(rig, beads) { state.beads[rig] = beads; },
     updateHooks(rig, hooks) { state.hooks[rig] = hooks; },
     updateAgentStats(key, stats) { state.agentStats[key] = stats; },
+    updateSourceHealth(rig, operation, health) { state.sources[rig] = { ...state.sources[rig], [operation]: health }; },
+    addError(error) { state.errors.push(error); },
+    addEvent(event) { state.events.push(event); },
     getRigs() { return Object.keys(state.rigs); },
+    getHooks(rig) { return state.hooks[rig] || {}; },
+    getAgents(rig) { return state.agents[rig] || []; },
+    getBeadOwnership(rig, beadId) { return state.beadOwnership[`${rig}/${beadId}`] || []; },
     getState() { return state; }
   };
   return state;
@@ -48,7 +63,7 @@ describe('GtPoller', () => {
 
       assert.strictEqual(poller.state, state);
       assert.strictEqual(poller.metrics, null);
-      assert.strictEqual(poller.interval, null);
+      assert.strictEqual(poller.scheduler.running, false);
       assert.strictEqual(poller.pollIntervalMs, 5000);
       assert.ok(poller.agentMonitor);
       assert.deepStrictEqual(poller.lastSuccessfulPoll, {});
@@ -64,6 +79,15 @@ describe('GtPoller', () => {
 
       assert.strictEqual(poller.metrics, metrics);
     });
+
+    it('shares a concurrency limit passed in by the caller', () => {
+      const limiter = new ConcurrencyLimiter(2);
+      const first = new GtPoller(createMockState(), null, { gtDir: '/a', limiter });
+      const second = new GtPoller(createMockState(), null, { gtDir: '/b', limiter });
+
+      assert.strictEqual(first.limiter, limiter);
+      assert.strictEqual(second.agentMonitor.limiter, limiter);
+    });
   });
 
   describe('start and stop', () => {
@@ -71,14 +95,16 @@ describe('GtPoller', () => {
       const state = createMockState();
       const poller = new GtPoller(state);
 
-      // Mock poll to avoid actual execution
-      poller.poll = mock.fn(() => Promise.resolve());
+      // Mock the town poll to avoid actual execution
+      poller.pollTown = mock.fn(() => Promise.resolve());
 
       poller.start();
-      assert.ok(poller.interval !== null, 'interval should be set');
+      assert.strictEqual(poller.scheduler.running, true, 'scheduler should be running');
+      assert.ok(poller.scheduler.hasTask('rigs'));
 
       poller.stop();
-      assert.strictEqual(poller.interval, null, 'interval should be cleared');
+      assert.strictEqual(poller.scheduler.running, false, 'scheduler should be stopped');
+      assert.strictEqual(poller.getStatus().tasks[0].state, 'stopped');
     });
 
     it('stop is idempotent', () => {
@@ -86,10 +112,10 @@ describe('GtPoller', () => {
       const poller = new GtPoller(state);
 
       poller.stop();
-      assert.strictEqual(poller.interval, null);
+      assert.strictEqual(poller.scheduler.running, false);
 
       poller.stop();
-      assert.strictEqual(poller.interval, null);
+      assert.strictEqual(poller.scheduler.running, false);
     });
   });
 
@@ -211,6 +237,26 @@ mayor agent stopped`;
     });
   });
 
+  describe('getAgentsFromDir', () => {
+    it('lists agents from the rig directories', async () => {
+      const gtDir = mkdtempSync(join(tmpdir(), 'gtviz-poller-'));
+      try {
+        for (const dir of ['witness', 'crew/max', 'polecats/nux', 'polecats/.cache']) {
+          mkdirSync(join(gtDir, 'rig1', dir), { recursive: true });
+        }
+        writeFileSync(join(gtDir, 'rig1', 'polecats', 'README'), '');
+        const poller = new GtPoller(createMockState(), null, { gtDir });
+        poller.agentMonitor.getAgentStatuses = async agents => agents;
+
+        const agents = await poller.getAgentsFromDir('rig1');
+        assert.deepStrictEqual(agents.map(a => `${a.role}/${a.name}`), ['witness/witness', 'crew/max', 'polecat/nux']);
+        assert.deepStrictEqual(await poller.getAgentsFromDir('missing'), []);
+      } finally {
+        rmSync(gtDir, { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('parseBeads', () => {
     it('parses JSON bead list', () => {
       const state = createMockState();
@@ -503,6 +549,71 @@ DEPENDENCIES`;
       assert.strictEqual(result.id, 'gt-fallback');
       assert.strictEqual(result.status, 'open');
     });
+
+    it('unwraps the array bd show --json returns', () => {
+      const poller = new GtPoller(createMockState());
+
+      const result = poller.parseBeadDetails(JSON.stringify([{ id: 'gt-abc', title: 'Fix', created_at: '2024-01-01' }]), 'gt-abc');
+
+      assert.strictEqual(result.title, 'Fix');
+      assert.strictEqual(result.createdAt, '2024-01-01');
+    });
+  });
+
+  describe('pollRigNow', () => {
+    it('runs the rig through its scheduled task, reusing a poll in progress', async () => {
+      const state = createMockState();
+      state.rigs = { api: {} };
+      const poller = new GtPoller(state);
+      let polls = 0;
+      poller.pollRig = async () => { polls++; };
+      poller.syncRigTasks();
+
+      await Promise.all([poller.pollRigNow('api'), poller.pollRigNow('api')]);
+      assert.strictEqual(polls, 1);
+      assert.strictEqual(poller.scheduler.getStatus().find(task => task.name === 'rig:api').runs, 1);
+    });
+  });
+
+  describe('execWithFallback', () => {
+    it('runs the fallback only when the first form exits with an error', async () => {
+      const poller = new GtPoller(createMockState(), null, { gtDir: '/gt' });
+      const calls = [];
+      let reason = 'failed';
+      poller.exec = async (file, args) => {
+        calls.push(args.join(' '));
+        if (args.includes('--json')) throw new CommandError('no', { command: 'bd list', reason });
+        return { stdout: 'fallback', stderr: '' };
+      };
+
+      assert.strictEqual((await poller.execWithFallback('bd', ['list', '--json'], ['list'])).stdout, 'fallback');
+      reason = 'timeout';
+      await assert.rejects(poller.execWithFallback('bd', ['list', '--json'], ['list']), { reason: 'timeout' });
+      assert.deepStrictEqual(calls, ['list --json', 'list', 'list --json']);
+    });
+  });
+
+  describe('getBeadDetails', () => {
+    it('reuses one bd show per bead until it fails', async () => {
+      const poller = new GtPoller(createMockState(), null, { gtDir: '/gt' });
+      const calls = [];
+      let fail = false;
+      poller.exec = async (file, args, options) => {
+        calls.push(options.cwd);
+        if (fail) throw new Error('bd down');
+        return { stdout: JSON.stringify([{ id: 'gt-1', title: 'Fix' }]), stderr: '' };
+      };
+
+      const [first, second] = await Promise.all([poller.getBeadDetails('api', 'gt-1'), poller.getBeadDetails('api', 'gt-1')]);
+      assert.strictEqual(first.title, 'Fix');
+      assert.strictEqual(second, first);
+      assert.deepStrictEqual(calls, ['/gt/api']);
+
+      poller.beadDetailsCache.clear();
+      fail = true;
+      assert.strictEqual(await poller.getBeadDetails('api', 'gt-1'), null);
+      assert.strictEqual(poller.beadDetailsCache.size, 0);
+    });
   });
 
   describe('parseHookOutput', () => {
@@ -631,6 +742,30 @@ Hooked: gt-abc123: Test task`;
       assert.ok(!('gtviz/gt-abc' in poller.taskStartTimes));
     });
 
+    it('attributes completions to crew through the hook joined onto the agent', () => {
+      const state = createMockState();
+      state.agents = { gtviz: [{ name: 'max', role: 'crew', hookBead: 'gt-abc' }] };
+      const poller = new GtPoller(state);
+
+      poller.trackTaskCompletions('gtviz', [{ id: 'gt-abc', status: 'in_progress', title: 'Test' }]);
+      poller.trackTaskCompletions('gtviz', [{ id: 'gt-abc', status: 'done', title: 'Test' }]);
+
+      assert.strictEqual(state.agentStats['gtviz/crew/max'].completion.beadId, 'gt-abc');
+    });
+
+    it('falls back to the bead\'s last owner and counts its handoffs', () => {
+      const state = createMockState();
+      state.beadOwnership['gtviz/gt-abc'] = [
+        { agent: 'furiosa', role: 'polecat', outcome: 'released' },
+        { agent: 'nux', role: 'polecat', outcome: 'unhooked' }
+      ];
+      const poller = new GtPoller(state);
+
+      poller.trackTaskCompletions('gtviz', [{ id: 'gt-abc', status: 'done', title: 'Test' }]);
+
+      assert.strictEqual(state.agentStats['gtviz/polecat/nux'].completion.handoffs, 1);
+    });
+
     it('does not track if already in same status', () => {
       const state = createMockState();
       const poller = new GtPoller(state);
@@ -651,6 +786,80 @@ Hooked: gt-abc123: Test task`;
     });
   });
 
+  describe('rig scheduling', () => {
+    it('adds and removes a task per rig', () => {
+      const state = createMockState();
+      state.rigs = { alpha: {}, beta: {} };
+      const poller = new GtPoller(state);
+
+      poller.syncRigTasks();
+      assert.deepStrictEqual(poller.scheduler.getTaskNames().sort(), ['rig:alpha', 'rig:beta']);
+
+      state.rigs = { beta: {} };
+      poller.syncRigTasks();
+      assert.deepStrictEqual(poller.scheduler.getTaskNames(), ['rig:beta']);
+    });
+
+    it('treats rigs with hooked beads as active', () => {
+      const state = createMockState();
+      state.hooks = { alpha: { witness: { bead: 'gt-1' } }, beta: { witness: null } };
+      const poller = new GtPoller(state);
+
+      assert.strictEqual(poller.hasActiveHooks('alpha'), true);
+      assert.strictEqual(poller.hasActiveHooks('beta'), false);
+      assert.strictEqual(poller.hasActiveHooks('gamma'), false);
+    });
+
+    it('fails the rig task when any part of the rig poll fails', async () => {
+      const state = createMockState();
+      const poller = new GtPoller(state);
+      poller.pollRigAgents = async () => true;
+      poller.pollRigBeads = async () => false;
+      poller.pollRigHooks = async () => true;
+
+      await assert.rejects(poller.pollRig('alpha'), /Failed to poll beads for alpha/);
+    });
+  });
+
+  describe('pollBeads', () => {
+    it('uses the issues file and skips bd when it is readable', async () => {
+      const state = createMockState();
+      state.rigs = { gtviz: { name: 'gtviz' } };
+      const poller = new GtPoller(state);
+      let bdCalls = 0;
+      poller.listBeadsWithBd = async () => { bdCalls++; return []; };
+      poller.beadsReader.readRig = () => ({ beads: [{ id: 'gt-1', status: 'open' }], changed: true });
+
+      await poller.pollBeads();
+
+      assert.strictEqual(bdCalls, 0);
+      assert.deepStrictEqual(state.beads.gtviz, [{ id: 'gt-1', status: 'open', rig: 'gtviz' }]);
+    });
+
+    it('does not re-apply beads when the issues file is unchanged', async () => {
+      const state = createMockState();
+      state.rigs = { gtviz: { name: 'gtviz' } };
+      const poller = new GtPoller(state);
+      poller.beadsReader.readRig = () => ({ beads: [{ id: 'gt-1', status: 'open' }], changed: false });
+
+      await poller.pollBeads();
+
+      assert.strictEqual(state.beads.gtviz, undefined);
+    });
+
+    it('falls back to bd when there is no issues file', async () => {
+      const state = createMockState();
+      state.rigs = { gtviz: { name: 'gtviz' } };
+      const poller = new GtPoller(state);
+      poller.beadsReader.readRig = () => null;
+      poller.listBeadsWithBd = async () => [{ id: 'gt-2', status: 'done' }];
+
+      await poller.pollBeads();
+
+      assert.deepStrictEqual(state.beads.gtviz, [{ id: 'gt-2', status: 'done', rig: 'gtviz' }]);
+    });
+  });
+
   describe('poll error handling', () => {
     it('records failed poll in metrics', async () => {
       const state = createMockState();
@@ -688,6 +897,85 @@ Hooked: gt-abc123: Test task`;
     });
   });
 
+  describe('pollRigHooks', () => {
+    it('polls the hook of every known agent, keyed by role and name', async () => {
+      const state = createMockState();
+      state.agents = {
+        gtviz: [
+          { name: 'witness', role: 'witness' },
+          { name: 'max', role: 'crew' },
+          { name: 'nux', role: 'polecat' }
+        ]
+      };
+      const poller = new GtPoller(state, null, { gtDir: '/gt' });
+      const calls = [];
+      poller.exec = async (file, args, options) => {
+        calls.push([options.cwd, options.env.GT_ROLE]);
+        const stdout = options.cwd === '/gt/gtviz/crew/max' ? JSON.stringify({ bead: 'gt-1', title: 'Fix' }) : '{}';
+        return { stdout, stderr: '' };
+      };
+
+      assert.strictEqual(await poller.pollRigHooks('gtviz'), true);
+
+      assert.deepStrictEqual(calls.sort(), [
+        ['/gt/gtviz/crew/max', 'crew'],
+        ['/gt/gtviz/polecats/nux', 'polecat'],
+        ['/gt/gtviz/witness', 'witness']
+      ]);
+      assert.deepStrictEqual(Object.keys(state.hooks.gtviz), ['crew/max']);
+      assert.strictEqual(state.hooks.gtviz['crew/max'].role, 'crew');
+    });
+
+    it('keeps the previous hooks when a hook cannot be read', async () => {
+      const state = createMockState();
+      state.agents = { gtviz: [{ name: 'max', role: 'crew' }, { name: 'nux', role: 'polecat' }] };
+      const previous = { 'crew/max': { bead: 'gt-1', role: 'crew' } };
+      state.hooks = { gtviz: previous };
+      const poller = new GtPoller(state, null, { gtDir: '/gt' });
+      poller.exec = async (file, args, options) => {
+        if (options.cwd === '/gt/gtviz/crew/max') {
+          throw new CommandError('gt hook timed out after 5000ms', { command: 'gt hook', reason: 'timeout' });
+        }
+        return { stdout: '{}', stderr: '' };
+      };
+
+      assert.strictEqual(await poller.pollRigHooks('gtviz'), false);
+      assert.strictEqual(state.hooks.gtviz, previous);
+      assert.strictEqual(state.sources.gtviz.hooks.failures, 1);
+    });
+  });
+
+  describe('circuit breakers', () => {
+    it('raises one error when a source starts failing, then skips it', async () => {
+      const state = createMockState();
+      const poller = new GtPoller(state);
+      let bdCalls = 0;
+      poller.beadsReader.readRig = () => null;
+      poller.listBeadsWithBd = async () => { bdCalls++; throw new Error('bd hung'); };
+
+      for (let i = 0; i < 5; i++) {
+        assert.strictEqual(await poller.pollRigBeads('gtviz'), false);
+      }
+
+      assert.strictEqual(bdCalls, 3);
+      assert.strictEqual(state.errors.length, 1);
+      assert.match(state.errors[0].message, /beads for gtviz failed 3 times/);
+      assert.strictEqual(state.sources.gtviz.beads.state, 'open');
+      assert.strictEqual(poller.getSources()[0].lastError, 'bd hung');
+    });
+
+    it('does not back off the rig task for a source whose circuit is open', async () => {
+      const state = createMockState();
+      const poller = new GtPoller(state);
+      poller.pollRigAgents = async () => true;
+      poller.pollRigBeads = async () => false;
+      poller.pollRigHooks = async () => true;
+      poller.breakers.get('alpha', 'beads').state = 'open';
+
+      await poller.pollRig('alpha');
+    });
+  });
+
   describe('failure counting', () => {
     it('increments failure count on poll failure', async () => {
       const state = createMockState();
@@ -4,8 +4,10 @@ import { WebSocketServer } from 'ws';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { StateManager } from './state.js';
+import { getStatePath } from './state-snapshot.js';
 import { FileWatcher } from './watchers.js';
 import { GtPoller } from './gt-poller.js';
+import { ConcurrencyLimiter } from './poll-scheduler.js';
 import { createMetricsCollector } from './metrics.js';
 import { createHealthCalculator } from './health-calculator.js';
 import { createMetricsStorage } from './metrics-storage.js';
@@ -16,54 +18,176 @@ import { RulesStore } from './rules-store.js';
 import { createLoadForecaster } from './load-forecaster.js';
 import { createTaskReplayManager } from './task-replay.js';
 import { SessionManager } from './session-manager.js';
+import { StateSync } from './state-sync.js';
+import { BroadcastLog } from './broadcast-log.js';
+import { SubscriptionManager } from './subscriptions.js';
+import { createEventStore } from './event-store.js';
+import { createStateHistory } from './state-history.js';
+import { startRecording, startReplay } from './recording.js';
+import { IngestServer, INGEST_PATH } from './ingest.js';
+import { agentPath } from './parser-utils.js';
+import { buildAgentProfile } from './agent-profile.js';
+import { buildBeadDetails } from './bead-details.js';
+import { validateAction, validateMail, runAgentAction, slingBead, sendMail, recordAction } from './agent-actions.js';
+import { BEAD_ID_PATTERN, validateBeadFields, createBeadArgs, updateBeadCommands, runBd, showBead, parseCreatedId } from './bd.js';
+import { commandRunner } from './command-runner.js';
+import { parseTowns, rigKey, splitRigKey, isKnownRig, rigList, filterStateByTown, TownStateView } from './towns.js';
 import logger from './logger.js';
-import { METRICS_HISTORY_SIZE, METRICS_BROADCAST_MS } from './constants.js';
+import { config, getJsonSchema } from './config.js';
+import { METRICS_INTERVAL_MS, EVENT_EXPORT_MAX } from './constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Load configuration before anything reads it; refuse to start on bad config
+const configProblems = config.load();
+if (configProblems.length > 0) {
+  for (const problem of configProblems) {
+    logger.error('config', problem);
+  }
+  logger.error('config', 'Invalid configuration; fix the problems above and restart', { path: config.path });
+  process.exit(1);
+}
+logger.setLevel(config.get('logLevel'));
+
+// Towns to watch; the first is primary and defaults to GT_DIR
+const towns = parseTowns(config.get('towns'), process.env.GT_DIR || `${process.env.HOME}/gt`);
+const primaryTown = towns[0].name;
+
+// Record or replay gt/bd/ps/tmux output before any collector runs. Replay
+// re-enacts file changes into GT_DIR, which must be a sandbox directory.
+const gtDir = towns[0].gtDir;
+const replaying = Boolean(config.get('dataSource.replayPath'));
+let dataSession = null;
+try {
+  if ((replaying || config.get('dataSource.recordPath')) && towns.length > 1) {
+    throw new Error('Recording and replay cover a single town; unset GTVIZ_TOWNS');
+  }
+  if (replaying) {
+    dataSession = startReplay({
+      path: config.get('dataSource.replayPath'),
+      speed: config.get('dataSource.replaySpeed'),
+      gtDir
+    });
+  } else if (config.get('dataSource.recordPath')) {
+    dataSession = await startRecording({ path: config.get('dataSource.recordPath'), gtDir });
+  }
+} catch (err) {
+  logger.error('recording', 'Could not start data source', { error: err.message });
+  process.exit(1);
+}
+
 const app = express();
 const server = createServer(app);
-const wss = new WebSocketServer({ server, path: '/ws' });
+const wss = new WebSocketServer({ noServer: true });
 
-const state = new StateManager();
-const metrics = createMetricsCollector(METRICS_HISTORY_SIZE);
-const healthCalculator = createHealthCalculator(METRICS_HISTORY_SIZE);
+const state = new StateManager({ statePath: getStatePath(gtDir) });
+const metrics = createMetricsCollector(config.get('metrics.historySize'));
+const healthCalculator = createHealthCalculator(config.get('metrics.historySize'));
 const metricsStorage = createMetricsStorage();
 const anomalyDetector = createAnomalyDetector({
-  evaluationIntervalMs: 5000,
-  alertCooldownMs: 60000
+  evaluationIntervalMs: config.get('anomaly.evaluationIntervalMs'),
+  alertCooldownMs: config.get('anomaly.alertCooldownMs'),
+  thresholds: config.getSection('anomaly.thresholds')
 });
-const gtPoller = new GtPoller(state, metrics);
-const fileWatcher = new FileWatcher(state);
-const logsWatcher = new LogsWatcher(state);
+
+/** Caps gt, bd, ps and tmux processes across every town's poller */
+const commandLimiter = new ConcurrencyLimiter(config.get('polling.maxConcurrentCommands'));
+
+/**
+ * Poller and watchers for one town, writing through a view that keys its rigs
+ * @param {import('./towns.js').TownConfig} town - Town
+ * @returns {{town: Object, view: TownStateView, poller: GtPoller, fileWatcher: FileWatcher, logsWatcher: LogsWatcher}} Collectors
+ */
+function createTownCollectors(town) {
+  const view = new TownStateView(state, town);
+  const poller = new GtPoller(view, metrics, { gtDir: town.gtDir, limiter: commandLimiter });
+  return {
+    town,
+    view,
+    poller,
+    fileWatcher: new FileWatcher(view, {
+      gtDir: town.gtDir,
+      onBeadsChange: rig => poller.refreshBeads(rig)
+    }),
+    logsWatcher: new LogsWatcher(view, { gtDir: town.gtDir })
+  };
+}
+const townCollectors = new Map(towns.map(town => [town.name, createTownCollectors(town)]));
 const rulesStore = new RulesStore();
 const alertingEngine = new AlertingEngine(state, rulesStore);
 const loadForecaster = createLoadForecaster({
-  forecastIntervalMs: 30000,  // Update forecasts every 30 seconds
-  historyWindowMs: 3600000    // Use 1 hour of history
+  forecastIntervalMs: config.get('forecast.intervalMs'),
+  historyWindowMs: config.get('forecast.historyWindowMs')
 });
 const taskReplayManager = createTaskReplayManager(state);
 const sessionManager = new SessionManager();
+const stateSync = new StateSync(state, { debounceMs: config.get('sync.patchDebounceMs') });
+const broadcastLog = new BroadcastLog({ capacity: config.get('sync.broadcastBufferSize') });
+const subscriptions = new SubscriptionManager({ primaryTown });
+const ingest = new IngestServer(state, { reservedTowns: towns.map(town => town.name) });
+
+// Browsers connect on /ws, remote collectors on /ingest
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/ws') {
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  } else if (pathname === INGEST_PATH) {
+    ingest.handleUpgrade(req, socket, head);
+  } else {
+    socket.destroy();
+  }
+});
+// Keep replayed history out of the live data directory
+const eventStore = createEventStore({
+  dir: replaying ? join(gtDir, '.gtviz', 'events') : undefined,
+  retentionDays: config.get('eventStore.retentionDays'),
+  maxBytes: config.get('eventStore.maxBytes'),
+  segmentMaxBytes: config.get('eventStore.segmentMaxBytes')
+});
+const stateHistory = createStateHistory(stateSync, {
+  dir: replaying ? join(gtDir, '.gtviz', 'state-history') : undefined,
+  snapshotIntervalMs: config.get('stateHistory.snapshotIntervalMs'),
+  retentionDays: config.get('stateHistory.retentionDays')
+});
 
 // Track intervals for cleanup
 let metricsInterval = null;
 let isShuttingDown = false;
 
 /**
- * Broadcast a message to all connected WebSocket clients
+ * Broadcast a message to all connected WebSocket clients subscribed to it.
+ * The message is stamped with a sequence number and retained for replay.
  * @param {object} message - Message object to stringify and send
  * @param {WebSocket} [excludeWs] - Optional WebSocket to exclude from broadcast
  */
 function broadcast(message, excludeWs = null) {
-  const data = JSON.stringify(message);
+  const sequenced = broadcastLog.record(message);
+  const data = JSON.stringify(sequenced);
   wss.clients.forEach(client => {
     if (client.readyState === 1 && client !== excludeWs) {
-      client.send(data);
+      const outgoing = subscriptions.prepare(client, sequenced);
+      if (outgoing) {
+        client.send(outgoing === sequenced ? data : JSON.stringify(outgoing));
+      }
     }
   });
 }
 
+/**
+ * Send the full state to one client, filtered by its subscriptions
+ * @param {WebSocket} ws - Client socket
+ */
+function sendFullState(ws) {
+  const fullState = stateSync.getFullState();
+  subscriptions.setStateVersion(ws, fullState.version);
+  ws.send(JSON.stringify({
+    type: 'state',
+    version: fullState.version,
+    data: subscriptions.filterState(ws, fullState.data)
+  }));
+}
+
 /**
  * Graceful shutdown handler
  * Saves state, closes watchers, and terminates cleanly
@@ -83,18 +207,31 @@ async function gracefulShutdown(signal) {
   });
 
   // Stop polling and watchers
-  gtPoller.stop();
-  logger.info('shutdown', 'GtPoller stopped');
-
-  fileWatcher.stop();
-  logger.info('shutdown', 'FileWatcher stopped');
+  for (const { town, poller, fileWatcher, logsWatcher } of townCollectors.values()) {
+    poller.stop();
+    fileWatcher.stop();
+    logsWatcher.stop();
+    logger.info('shutdown', 'GtPoller and watchers stopped', { town: town.name });
+  }
 
-  logsWatcher.stop();
-  logger.info('shutdown', 'LogsWatcher stopped');
+  ingest.stop();
+  logger.info('shutdown', 'Collector ingest stopped');
 
   loadForecaster.stop();
   logger.info('shutdown', 'LoadForecaster stopped');
 
+  stateSync.stop();
+  stateHistory.stop();
+
+  eventStore.stop();
+  logger.info('shutdown', 'Event store flushed');
+
+  config.unwatch();
+
+  if (dataSession) {
+    await dataSession.stop();
+  }
+
   // Clear metrics broadcast interval
   if (metricsInterval) {
     clearInterval(metricsInterval);
@@ -128,7 +265,7 @@ async function gracefulShutdown(signal) {
   // Save state to disk
   const saved = state.saveState();
   if (saved) {
-    logger.info('shutdown', 'State persisted to disk', { path: StateManager.getStatePath() });
+    logger.info('shutdown', 'State persisted to disk', { path: state.statePath });
   } else {
     logger.warn('shutdown', 'Failed to persist state');
   }
@@ -146,41 +283,33 @@ process.on('SIGHUP', () => gracefulShutdown('SIGHUP'));
 anomalyDetector.on('alert', (alert) => {
   state.addAlert(alert);
   // Broadcast alert to all clients
-  const message = JSON.stringify({ type: 'alert', alert });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'alert', alert });
 });
 
 anomalyDetector.on('alertUpdated', (alert) => {
   state.updateAlert(alert.id, alert);
-  const message = JSON.stringify({ type: 'alertUpdated', alert });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'alertUpdated', alert });
 });
 
 anomalyDetector.on('alertDismissed', (alert) => {
   state.removeAlert(alert.id);
-  const message = JSON.stringify({ type: 'alertDismissed', alertId: alert.id });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'alertDismissed', alertId: alert.id });
 });
 
 // Start metrics persistence
 metricsStorage.start();
 
+// Persist every event beyond the in-memory window
+state.on('event', (event) => eventStore.append(event));
+eventStore.start();
+
 // Initialize load forecaster with data sources
 loadForecaster.initialize(metricsStorage, state);
 
 // Connect load forecaster to state and WebSocket broadcast
 loadForecaster.on('update', (predictions) => {
   state.updatePredictions(predictions);
-  const message = JSON.stringify({ type: 'predictions', data: predictions });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'predictions', data: predictions });
 });
 
 // Session manager events for real-time collaboration
@@ -227,96 +356,105 @@ sessionManager.on('usernameChanged', (session) => {
   });
 });
 
-// Broadcast state changes to all connected clients
-state.on('update', (data) => {
-  const message = JSON.stringify({ type: 'state', data });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+// Broadcast state changes to all connected clients as versioned patches
+stateSync.on('patch', (patch) => {
+  broadcast({ type: 'statePatch', version: patch.version, ops: patch.ops });
 });
 
 // Broadcast events (mail, logs, errors) to all clients
 state.on('event', (event) => {
-  const message = JSON.stringify({ type: 'event', event });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'event', event });
 });
 
 // Broadcast error events to all clients
 state.on('error', (error) => {
-  const message = JSON.stringify({ type: 'error', error });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'error', error });
 });
 
 // Broadcast alerts from alerting engine to all clients
 alertingEngine.on('alert', (alert) => {
-  const message = JSON.stringify({ type: 'alert', alert });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'alert', alert });
 });
 
 // Broadcast error pattern updates to all clients
 state.on('errorPatterns', (errorPatterns) => {
-  const message = JSON.stringify({ type: 'errorPatterns', data: errorPatterns });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'errorPatterns', data: errorPatterns });
 });
 
 // Broadcast replay job events to all clients
 taskReplayManager.on('jobCreated', (job) => {
-  const message = JSON.stringify({ type: 'replayJobCreated', job });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'replayJobCreated', job });
 });
 
 taskReplayManager.on('jobStarted', (job) => {
-  const message = JSON.stringify({ type: 'replayJobStarted', job });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'replayJobStarted', job });
 });
 
 taskReplayManager.on('jobCompleted', (job) => {
-  const message = JSON.stringify({ type: 'replayJobCompleted', job });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'replayJobCompleted', job });
 });
 
 taskReplayManager.on('taskStarted', (job, task) => {
-  const message = JSON.stringify({ type: 'replayTaskStarted', jobId: job.id, task });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'replayTaskStarted', jobId: job.id, task });
 });
 
 taskReplayManager.on('taskCompleted', (job, task) => {
-  const message = JSON.stringify({ type: 'replayTaskCompleted', jobId: job.id, task });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'replayTaskCompleted', jobId: job.id, task });
 });
 
 wss.on('connection', (ws, req) => {
   logger.info('websocket', 'Client connected');
   metrics.recordWsConnection();
 
-  // Parse username from query string if provided
+  // Parse username, topics and resume cursor from query string if provided
   const url = new URL(req.url, `http://${req.headers.host}`);
   const username = url.searchParams.get('username');
+  const cursor = url.searchParams.get('cursor');
+  const epoch = url.searchParams.get('epoch');
+  const version = url.searchParams.get('version');
+  const topicsParam = url.searchParams.get('topics');
+  const topics = topicsParam !== null ? topicsParam.split(',').filter(t => t) : null;
+
+  // Resume from the client's cursor if the missed messages are still buffered,
+  // otherwise send the full state (subsequent changes arrive as patches)
+  const resume = cursor !== null
+    ? broadcastLog.getMissedSince(Number(cursor), epoch)
+    : { resumable: false, reason: null };
+
+  if (resume.resumable) {
+    subscriptions.add(ws, { topics, stateVersion: version !== null ? Number(version) : null });
+    ws.send(JSON.stringify({
+      type: 'session',
+      epoch: broadcastLog.epoch,
+      head: broadcastLog.seq,
+      resumed: true,
+      replayed: resume.messages.length
+    }));
+    for (const message of resume.messages) {
+      const outgoing = subscriptions.prepare(ws, message);
+      if (outgoing) ws.send(JSON.stringify(outgoing));
+    }
+    logger.info('websocket', 'Client resumed session', { cursor: Number(cursor), replayed: resume.messages.length });
+  } else {
+    // Flush pending changes before registering, so this client's state starts after them
+    stateSync.flush();
+    subscriptions.add(ws, { topics });
+    ws.send(JSON.stringify({
+      type: 'session',
+      epoch: broadcastLog.epoch,
+      head: broadcastLog.seq,
+      resumed: false,
+      reason: resume.reason
+    }));
+    sendFullState(ws);
+    if (resume.reason) {
+      logger.info('websocket', 'Client cursor not resumable, sent full state', { cursor, reason: resume.reason });
+    }
+  }
 
-  // Create session for this connection
+  // Create session for this connection (after replay, so userJoined follows it)
   const session = sessionManager.createSession(ws, username);
 
-  // Send current state on connect
-  ws.send(JSON.stringify({ type: 'state', data: state.getState() }));
-
   // Send presence info: their session ID and all online users
   ws.send(JSON.stringify({
     type: 'presence',
@@ -335,6 +473,27 @@ wss.on('connection', (ws, req) => {
         sessionManager.updateView(ws, msg.view);
       } else if (msg.type === 'setUsername') {
         sessionManager.setUsername(ws, msg.username);
+      } else if (msg.type === 'resync') {
+        // Client missed a patch or failed to apply one
+        sendFullState(ws);
+      } else if (msg.type === 'subscribe' || msg.type === 'unsubscribe') {
+        // Deliver pending changes under the old topics before switching
+        stateSync.flush();
+        const previousTopics = subscriptions.getTopics(ws);
+        let rejected = [];
+        if (msg.type === 'subscribe') {
+          ({ rejected } = subscriptions.subscribe(ws, msg.topics));
+        } else {
+          subscriptions.unsubscribe(ws, msg.topics);
+        }
+
+        // Bring the client up to date on anything that just became visible
+        const ops = subscriptions.getNewlyVisibleOps(ws, state.getState(), previousTopics);
+        if (ops.length > 0) {
+          const outgoing = subscriptions.prepare(ws, { type: 'statePatch', version: stateSync.version, ops });
+          if (outgoing) ws.send(JSON.stringify(outgoing));
+        }
+        ws.send(JSON.stringify({ type: 'subscribed', topics: subscriptions.getTopics(ws), rejected }));
       }
     } catch (err) {
       // Not all messages are JSON (e.g., heartbeats)
@@ -345,12 +504,13 @@ wss.on('connection', (ws, req) => {
     logger.info('websocket', 'Client disconnected');
     metrics.recordWsDisconnection();
     sessionManager.removeSession(ws);
+    subscriptions.remove(ws);
   });
 });
 
 // Broadcast metrics, health score, and feed to anomaly detector
-let metricsRecordCounter = 0;
-metricsInterval = setInterval(() => {
+let lastMetricsRecord = Date.now();
+function broadcastMetrics() {
   const metricsData = metrics.getMetrics();
   const healthScore = healthCalculator.calculate(metricsData);
   const healthHistory = healthCalculator.getHistory();
@@ -363,18 +523,43 @@ metricsInterval = setInterval(() => {
 
   state.updateMetrics(metricsData);
   anomalyDetector.processMetrics(metricsData);
-  const message = JSON.stringify({ type: 'metrics', data: metricsData });
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) client.send(message);
-  });
+  broadcast({ type: 'metrics', data: metricsData });
 
-  // Record to persistent storage every minute (12 * 5 seconds)
-  metricsRecordCounter++;
-  if (metricsRecordCounter >= 12) {
+  // Record to persistent storage once per metrics interval
+  if (Date.now() - lastMetricsRecord >= METRICS_INTERVAL_MS) {
     metricsStorage.recordMetrics(metricsData);
-    metricsRecordCounter = 0;
+    lastMetricsRecord = Date.now();
+  }
+}
+metricsInterval = setInterval(broadcastMetrics, config.get('metrics.broadcastIntervalMs'));
+
+// Apply hot-reloaded configuration to running components
+config.on('change', (keys) => {
+  if (keys.includes('logLevel')) {
+    logger.setLevel(config.get('logLevel'));
+  }
+  if (keys.includes('polling.maxConcurrentCommands')) {
+    commandLimiter.setLimit(config.get('polling.maxConcurrentCommands'));
+  }
+  for (const { poller } of townCollectors.values()) {
+    if (keys.includes('polling.intervalMs')) {
+      poller.setPollInterval(config.get('polling.intervalMs'));
+    }
+    if (keys.includes('polling.activeIntervalMs') || keys.includes('polling.maxBackoffMs')) {
+      poller.scheduler.reschedule();
+    }
+    if (keys.includes('agents.idleThresholdMs')) {
+      poller.agentMonitor.idleThresholdMs = config.get('agents.idleThresholdMs');
+    }
+  }
+  if (keys.includes('metrics.broadcastIntervalMs') && metricsInterval) {
+    clearInterval(metricsInterval);
+    metricsInterval = setInterval(broadcastMetrics, config.get('metrics.broadcastIntervalMs'));
+  }
+  if (keys.some(key => key.startsWith('anomaly.thresholds.'))) {
+    anomalyDetector.updateThresholds(config.getSection('anomaly.thresholds'));
   }
-}, METRICS_BROADCAST_MS);
+});
 
 // Feed log events to anomaly detector
 state.on('event', (event) => {
@@ -383,60 +568,183 @@ state.on('event', (event) => {
   }
 });
 
+// Running configuration, where each value came from, and pending restarts
+app.get('/api/config', (req, res) => {
+  res.json(config.toJSON());
+});
+
+// JSON Schema for gtviz.config.json
+app.get('/api/config/schema', (req, res) => {
+  res.json(getJsonSchema());
+});
+
+/**
+ * Reject a ?town= filter naming a town that is not watched
+ * @param {string|undefined} town - Requested town
+ * @param {express.Response} res - Response to send the 404 on
+ * @returns {boolean} True if the request was rejected
+ */
+function rejectUnknownTown(town, res) {
+  const known = Object.keys(state.getState().towns);
+  if (town === undefined || known.includes(town)) return false;
+  res.status(404).json({ error: `Unknown town: ${town}`, towns: known });
+  return true;
+}
+
+// Watched towns with their rig keys, then towns pushed by remote collectors
+app.get('/api/towns', (req, res) => {
+  const local = towns.map(town => ({
+    name: town.name,
+    gtDir: town.gtDir,
+    primary: town.primary,
+    rigs: state.getTownRigs(town.name),
+    polling: townCollectors.get(town.name).poller.scheduler.running
+  }));
+  const remote = ingest.getStatus().map(collector => ({
+    ...collector,
+    primary: false,
+    remote: true,
+    rigs: state.getTownRigs(collector.name)
+  }));
+  res.json([...local, ...remote]);
+});
+
+// Remote collectors: connectivity, freshness and message counts
+app.get('/api/collectors', (req, res) => {
+  res.json(ingest.getStatus());
+});
+
 // REST API for initial data
 app.get('/api/state', (req, res) => {
-  res.json(state.getState());
+  const { town } = req.query;
+  if (rejectUnknownTown(town, res)) return;
+  res.json(town ? filterStateByTown(state.getState(), town, primaryTown) : state.getState());
+});
+
+// Poll scheduler state: per-rig timing, backoff and command concurrency
+app.get('/api/poller/status', (req, res) => {
+  const { town = primaryTown } = req.query;
+  if (rejectUnknownTown(town, res)) return;
+  if (!townCollectors.has(town)) {
+    return res.status(404).json({ error: `Town ${town} is polled by a remote collector; see /api/collectors` });
+  }
+  res.json(townCollectors.get(town).poller.getStatus());
+});
+
+// Freshness and circuit state of every data source, with the age of its data
+app.get('/api/sources', (req, res) => {
+  const { town, rig } = req.query;
+  if (rejectUnknownTown(town, res)) return;
+  const sources = [];
+  for (const { town: local, poller } of townCollectors.values()) {
+    for (const health of poller.getSources()) {
+      sources.push({ ...health, town: local.name, rig: health.rig && rigKey(local, health.rig) });
+    }
+  }
+  // Remote towns only report their per-rig sources, through mirrored state
+  for (const [key, operations] of Object.entries(state.getState().sources || {})) {
+    const keyTown = state.getRigTown(key);
+    if (townCollectors.has(keyTown)) continue;
+    for (const health of Object.values(operations)) {
+      sources.push({ ...health, town: keyTown, rig: key });
+    }
+  }
+  const now = Date.now();
+  res.json(sources
+    .filter(source => (!town || source.town === town) && (!rig || source.rig === rig))
+    .map(source => ({ ...source, ageMs: source.lastSuccessAt ? now - Date.parse(source.lastSuccessAt) : null })));
+});
+
+// External commands this server ran (gt, bd, ls, ps, tmux), newest first,
+// with run, failure and latency totals per command
+app.get('/api/commands/recent', (req, res) => {
+  const { command, failed, limit } = req.query;
+  const max = limit === undefined ? Infinity : parseInt(limit, 10);
+  if (!(max > 0)) {
+    return res.status(400).json({ error: `Invalid limit: ${limit}` });
+  }
+  res.json({
+    commands: commandRunner.getRecent({ limit: max, command, failed: failed === 'true' }),
+    stats: commandRunner.getStats()
+  });
+});
+
+// Hook attach/detach intervals, newest first
+app.get('/api/hooks/history', (req, res) => {
+  const { town, rig, agent, bead, since, until, limit } = req.query;
+  if (rejectUnknownTown(town, res)) return;
+  const max = limit === undefined ? Infinity : parseInt(limit, 10);
+  if (!(max > 0)) {
+    return res.status(400).json({ error: `Invalid limit: ${limit}` });
+  }
+  const now = Date.now();
+  const intervals = state.getHookHistory({ town, rig, agent, bead, since, until })
+    .slice(0, max)
+    .map(interval => ({
+      ...interval,
+      town: state.getRigTown(interval.rig),
+      durationMs: (interval.detachedAt ? Date.parse(interval.detachedAt) : now) - Date.parse(interval.attachedAt)
+    }));
+  res.json({ count: intervals.length, intervals });
+});
+
+// Time range covered by state history
+app.get('/api/state/range', (req, res) => {
+  res.json(stateHistory.getRange());
+});
+
+// Reconstruct rigs, agents, beads and hooks at a past instant
+app.get('/api/state/at', (req, res) => {
+  const { ts } = req.query;
+  if (!ts || Number.isNaN(Date.parse(ts))) {
+    return res.status(400).json({ error: 'ts must be an ISO timestamp' });
+  }
+  try {
+    const historical = stateHistory.stateAt(ts);
+    if (!historical) {
+      return res.status(404).json({ error: 'No state history at that time', range: stateHistory.getRange() });
+    }
+    res.json(historical);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 app.get('/api/rigs', (req, res) => {
-  res.json(state.getRigs());
+  const { town } = req.query;
+  if (rejectUnknownTown(town, res)) return;
+  res.json(town ? state.getTownRigs(town) : state.getRigs());
 });
 
 app.get('/api/error-patterns', (req, res) => {
   res.json(state.getErrorPatterns());
 });
 
+// Query persisted event history (newest first, cursor pagination)
+app.get('/api/events', async (req, res) => {
+  const { since, until, rig, town, agent, type, q, cursor, limit } = req.query;
+  if (rejectUnknownTown(town, res)) return;
+  try {
+    res.json(await eventStore.query({ since, until, rig, town, agent, type, text: q, cursor, limit }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Export events as JSON or CSV
-app.get('/api/events/export', (req, res) => {
-  const { format = 'json', rig, type, search } = req.query;
-  const currentState = state.getState();
-
-  // Combine events and mail into a single list
-  let allEvents = [
-    ...currentState.events,
-    ...currentState.mail.map(m => ({ type: 'mail', ...m }))
-  ];
-
-  // Sort by timestamp (newest first)
-  allEvents.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-  // Apply filters
-  if (rig) {
-    allEvents = allEvents.filter(e => !e.source || e.source === rig);
-  }
-
-  if (type && type !== 'all') {
-    allEvents = allEvents.filter(e => e.type === type);
-  }
-
-  if (search) {
-    const searchLower = search.toLowerCase();
-    allEvents = allEvents.filter(e => {
-      const content = (e.content || '').toLowerCase();
-      const preview = (e.preview || '').toLowerCase();
-      const message = (e.message || '').toLowerCase();
-      const action = (e.action || '').toLowerCase();
-      const from = (e.from || '').toLowerCase();
-      const to = (e.to || '').toLowerCase();
-      const subject = (e.subject || '').toLowerCase();
-      return content.includes(searchLower) ||
-             preview.includes(searchLower) ||
-             message.includes(searchLower) ||
-             action.includes(searchLower) ||
-             from.includes(searchLower) ||
-             to.includes(searchLower) ||
-             subject.includes(searchLower);
-    });
+app.get('/api/events/export', async (req, res) => {
+  const { format = 'json', rig, town, type, search, since, until } = req.query;
+  if (rejectUnknownTown(town, res)) return;
+
+  // Stream the event store, newest first
+  const allEvents = [];
+  try {
+    for await (const record of eventStore.records({ since, until, rig, town, type, text: search })) {
+      allEvents.push(record.event);
+      if (allEvents.length >= EVENT_EXPORT_MAX) break;
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
   if (format === 'csv') {
@@ -817,7 +1125,269 @@ app.post('/api/predictions/refresh', (req, res) => {
 });
 
 // ============================================================================
-// Agent Peek API - Live CLI output
+// Bead API - Full details, editing and slinging
+// ============================================================================
+
+// Full bead record from bd show (cached briefly), with its status and hook
+// history, owners, and mail and log lines mentioning it
+app.get('/api/beads/:rig/:id', async (req, res, next) => {
+  const { rig, id } = req.params;
+  const { town, rig: rigName } = splitRigKey(rig, primaryTown);
+  if (!BEAD_ID_PATTERN.test(id) || !isValidAgentName(rigName)) {
+    return res.status(400).json({ error: 'Invalid rig or bead ID' });
+  }
+  if (rejectUnknownTown(town, res)) return;
+  if (!isKnownRig(state.getState(), rig)) {
+    return res.status(404).json({ error: `Unknown rig: ${rig}` });
+  }
+
+  try {
+    // Remote towns have no local bd; they get the summary from mirrored state
+    const poller = townCollectors.get(town)?.poller;
+    const details = poller ? await poller.getBeadDetails(rigName, id) : null;
+    const bead = buildBeadDetails(state.getState(), { rig, id }, details);
+    if (!bead) {
+      return res.status(404).json({ error: `Unknown bead: ${rig}/${id}` });
+    }
+    res.json(bead);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Check whether an Origin header names the host a request was sent to
+ * @param {string} origin - Origin header ("null" for opaque origins)
+ * @param {string} host - Host header
+ * @returns {boolean} True if they match
+ */
+function isSameHost(origin, host) {
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Guard for the endpoints that run gt or bd on an operator's behalf. A page
+ * on another site can post a form here, but it cannot send a JSON body or
+ * a same-site Origin, and it does not know a presence session ID. The
+ * session, named by the X-Gtviz-Session header, also names the operator.
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response
+ * @param {function(): void} next - Next handler
+ */
+function requireOperator(req, res, next) {
+  if (!req.is('application/json')) {
+    return res.status(415).json({ error: 'Request body must be application/json' });
+  }
+  const origin = req.get('Origin');
+  if (origin !== undefined && !isSameHost(origin, req.get('Host'))) {
+    return res.status(403).json({ error: `Requests from ${origin} are not allowed` });
+  }
+  if (!sessionManager.getSession(req.get('X-Gtviz-Session'))) {
+    return res.status(401).json({ error: 'No dashboard session; reconnect and try again' });
+  }
+  next();
+}
+
+/**
+ * Name of the operator behind a request that passed requireOperator
+ * @param {import('express').Request} req - Request
+ * @returns {string} Username
+ */
+function requestActor(req) {
+  return sessionManager.getSession(req.get('X-Gtviz-Session')).username;
+}
+
+/**
+ * Resolve a rig key to the directory bd runs in, for the endpoints that edit
+ * beads
+ * @param {string} rig - Rig key
+ * @returns {{status: number, error: string}|{town: string, rigName: string, cwd: string}} Problem, or the rig
+ */
+function resolveBeadRig(rig) {
+  const { town, rig: rigName } = splitRigKey(rig, primaryTown);
+  if (!isValidAgentName(rigName)) {
+    return { status: 400, error: 'Invalid rig' };
+  }
+  if (!townCollectors.has(town) || !state.getState().rigs[rig]) {
+    return { status: 404, error: `Unknown rig: ${rig}` };
+  }
+  return { town, rigName, cwd: `${townCollectors.get(town).town.gtDir}/${rigName}` };
+}
+
+/** Bead fields the create and update endpoints take from the body */
+const BEAD_FIELDS = ['title', 'description', 'type', 'status', 'priority', 'assignee', 'labels', 'dependsOn'];
+
+/**
+ * Pick the bead fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {import('./bd.js').BeadFields} Fields
+ */
+function beadFields(body = {}) {
+  return Object.fromEntries(BEAD_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+// Create a bead in a rig
+app.post('/api/beads/:rig', requireOperator, async (req, res) => {
+  const { rig } = req.params;
+  const target = resolveBeadRig(rig);
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
+  }
+  const fields = beadFields(req.body);
+  const problem = validateBeadFields(fields, { creating: true });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  const audit = { actor: requestActor(req), event: { rig }, state };
+  let id;
+  try {
+    id = parseCreatedId(await runBd(createBeadArgs(fields), target.cwd));
+  } catch (err) {
+    recordAction('create', `a bead in ${rig}`, { ok: false, output: '', error: err.message }, audit);
+    return res.status(502).json({ error: err.message });
+  }
+  recordAction('create', `${rig}/${id}`, { ok: true, output: '', error: null }, audit, { bead: id });
+  townCollectors.get(target.town).poller.refreshBeads(target.rigName);
+  res.status(201).json({ id, rig, actor: audit.actor });
+});
+
+/** @type {Map<string, Promise<void>>} Latest edit queued per "rig/beadId" */
+const beadEdits = new Map();
+
+/**
+ * Run edits of one bead one after another, so each reads, checks and writes
+ * the bead without another edit through this server interleaving
+ * @param {string} key - "rig/beadId"
+ * @param {function(): Promise<void>} edit - Edit
+ * @returns {Promise<void>} Resolves when the edit is done
+ */
+function queueBeadEdit(key, edit) {
+  const done = (beadEdits.get(key) || Promise.resolve()).catch(() => {}).then(edit);
+  beadEdits.set(key, done);
+  return done.finally(() => {
+    if (beadEdits.get(key) === done) beadEdits.delete(key);
+  });
+}
+
+// Edit a bead. Sending the updatedAt the bead was loaded with makes the edit
+// fail with 409 if bd has a newer version, rather than overwrite it. An edit
+// is several bd commands; if one fails, the answer carries the bead as bd has
+// it after the ones that ran.
+app.patch('/api/beads/:rig/:id', requireOperator, async (req, res) => {
+  const { rig, id } = req.params;
+  if (!BEAD_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid rig or bead ID' });
+  }
+  const target = resolveBeadRig(rig);
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
+  }
+  const fields = beadFields(req.body);
+  const problem = validateBeadFields(fields);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  await queueBeadEdit(`${rig}/${id}`, () => editBead(req, res, target, fields));
+});
+
+/**
+ * Apply a validated bead edit and answer the request
+ * @param {import('express').Request} req - Request
+ * @param {import('express').Response} res - Response
+ * @param {{town: string, rigName: string, cwd: string}} target - Bead's rig
+ * @param {import('./bd.js').BeadFields} fields - Fields to change
+ * @returns {Promise<void>}
+ */
+async function editBead(req, res, target, fields) {
+  const { rig, id } = req.params;
+  let current;
+  try {
+    current = await showBead(target.cwd, id);
+  } catch (err) {
+    return res.status(502).json({ error: `Could not read bead: ${err.message}` });
+  }
+  const expected = req.body.expectedUpdatedAt;
+  if (expected && current.updatedAt && current.updatedAt !== expected) {
+    return res.status(409).json({ error: 'The bead changed since it was loaded', bead: current });
+  }
+
+  const commands = updateBeadCommands(current, fields);
+  if (commands.length === 0) {
+    return res.json({ bead: current, applied: 0 });
+  }
+
+  const { poller } = townCollectors.get(target.town);
+  const audit = { actor: requestActor(req), event: { rig, bead: id }, state };
+  let applied = 0;
+  let error = null;
+  try {
+    for (const args of commands) {
+      await runBd(args, target.cwd);
+      applied++;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+  recordAction('update', `${rig}/${id}`, { ok: !error, output: '', error }, audit, { fields: Object.keys(fields) });
+  poller.forgetBeadDetails(target.rigName, id);
+  if (applied > 0) poller.refreshBeads(target.rigName);
+
+  // Answer with bd's new version, so the next edit checks against it and a
+  // failed one shows what was applied
+  const bead = await showBead(target.cwd, id).catch(() => null);
+  if (error) {
+    res.status(502).json({ error, applied, total: commands.length, bead });
+  } else {
+    res.json({ bead, applied, actor: audit.actor });
+  }
+}
+
+// Sling a bead onto an agent's hook. The hook change shows up with the rig's
+// next poll, which the scheduler runs right away on success.
+app.post('/api/beads/:rig/:id/sling', requireOperator, async (req, res, next) => {
+  const { rig, id } = req.params;
+  const { role, name } = req.body || {};
+  if (!BEAD_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid rig or bead ID' });
+  }
+  const target = resolveAgentTarget({ rig, role, name });
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
+  }
+  const current = state.getState();
+  if (!isKnownRig(current, rig)) {
+    return res.status(404).json({ error: `Unknown rig: ${rig}` });
+  }
+  if (!rigList(current.agents, rig).some(agent => agent.role === role && agent.name === name)) {
+    return res.status(400).json({ error: `Unknown agent: ${rig}/${role}/${name}` });
+  }
+  if (!rigList(current.beads, rig).some(bead => bead.id === id)) {
+    return res.status(404).json({ error: `Unknown bead: ${rig}/${id}` });
+  }
+
+  try {
+    const actor = requestActor(req);
+    const result = await slingBead(
+      { beadId: id, target: target.path, gtDir: target.gtDir },
+      { actor, event: { rig, role, agent: name }, state }
+    );
+    if (result.ok) {
+      const { town, rig: rigName } = splitRigKey(rig, primaryTown);
+      townCollectors.get(town).poller.pollRigNow(rigName);
+    }
+    res.status(result.ok ? 200 : 502).json({ ...result, bead: id, actor, rig, role, agent: name });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ============================================================================
+// Agent API - Profiles and live CLI output
 // ============================================================================
 
 /**
@@ -826,41 +1396,55 @@ app.post('/api/predictions/refresh', (req, res) => {
  * @returns {boolean} True if valid
  */
 function isValidAgentName(name) {
-  return typeof name === 'string' && /^[a-zA-Z0-9_\-]+$/.test(name);
+  return typeof name === 'string' && /^[a-zA-Z0-9_][a-zA-Z0-9_\-]*$/.test(name);
 }
 
+const AGENT_ROLES = ['polecat', 'crew', 'witness', 'refinery', 'mayor'];
+
 /**
- * Get the gt peek path for an agent based on role
- * @param {string} rig - Rig name
- * @param {string} role - Agent role
- * @param {string} name - Agent name
- * @returns {string} Path for gt peek command
+ * Resolve route params to an agent gt can reach, for the endpoints that run
+ * gt against an agent
+ * @param {{rig: string, role: string, name: string}} params - Route params
+ * @returns {{status: number, error: string}|{gtDir: string, path: string}} Problem, or the agent's town root and path
  */
-function getAgentPeekPath(rig, role, name) {
-  if (role === 'polecat') {
-    return `${rig}/polecats/${name}`;
-  } else if (role === 'crew') {
-    return `${rig}/crew/${name}`;
-  } else {
-    // witness, refinery, mayor - direct under rig
-    return `${rig}/${name}`;
+function resolveAgentTarget({ rig, role, name }) {
+  // The rig may be keyed by town (lab.api); gt itself only knows the bare name
+  const { town, rig: rigName } = splitRigKey(rig, primaryTown);
+
+  // Validate inputs to prevent injection
+  if (!isValidAgentName(rigName) || !isValidAgentName(role) || !isValidAgentName(name)) {
+    return { status: 400, error: 'Invalid rig, role, or agent name' };
   }
+  if (!townCollectors.has(town)) {
+    return { status: 404, error: `Unknown town: ${town}` };
+  }
+  if (!AGENT_ROLES.includes(role)) {
+    return { status: 400, error: 'Invalid role' };
+  }
+  return { gtDir: townCollectors.get(town).town.gtDir, path: agentPath(rigName, role, name) };
 }
 
+// Everything known about one agent: status, hook and its history, completions,
+// logs, mail and error patterns
+app.get('/api/agents/:rig/:role/:name', (req, res) => {
+  const { rig, role, name } = req.params;
+  if (!AGENT_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
+  }
+  const profile = buildAgentProfile(state.getState(), { rig, role, name });
+  if (!profile) {
+    return res.status(404).json({ error: `Unknown agent: ${rig}/${role}/${name}` });
+  }
+  res.json({ ...profile, town: state.getRigTown(rig) });
+});
+
 // Get live CLI output for an agent (similar to gt peek)
 app.get('/api/agents/:rig/:role/:name/peek', async (req, res) => {
   const { rig, role, name } = req.params;
   const lines = parseInt(req.query.lines, 10) || 100;
-
-  // Validate inputs to prevent injection
-  if (!isValidAgentName(rig) || !isValidAgentName(role) || !isValidAgentName(name)) {
-    return res.status(400).json({ error: 'Invalid rig, role, or agent name' });
-  }
-
-  // Validate role
-  const validRoles = ['polecat', 'crew', 'witness', 'refinery', 'mayor'];
-  if (!validRoles.includes(role)) {
-    return res.status(400).json({ error: 'Invalid role' });
+  const target = resolveAgentTarget(req.params);
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
   }
 
   // Validate lines parameter
@@ -868,18 +1452,10 @@ app.get('/api/agents/:rig/:role/:name/peek', async (req, res) => {
     return res.status(400).json({ error: 'Lines must be between 1 and 1000' });
   }
 
-  const agentPath = getAgentPeekPath(rig, role, name);
-
   try {
-    const { execFile } = await import('child_process');
-    const { promisify } = await import('util');
-    const execFileAsync = promisify(execFile);
-
-    // Execute gt peek with safe parameters
-    const { stdout, stderr } = await execFileAsync('gt', ['peek', agentPath, '-n', String(lines)], {
-      timeout: 10000,
-      maxBuffer: 1024 * 1024, // 1MB
-      env: { ...process.env }
+    const { stdout, stderr } = await commandRunner.run('gt', ['peek', target.path, '-n', String(lines)], {
+      timeoutMs: config.get('polling.longCommandTimeoutMs'),
+      env: { ...process.env, GT_DIR: target.gtDir }
     });
 
     res.json({
@@ -893,11 +1469,11 @@ app.get('/api/agents/:rig/:role/:name/peek', async (req, res) => {
     });
   } catch (err) {
     // Handle specific error cases
-    if (err.code === 'ENOENT') {
+    if (err.reason === 'not_found') {
       return res.status(500).json({ error: 'gt command not found. Is Gas Town installed?' });
     }
-    if (err.killed) {
-      return res.status(504).json({ error: 'Command timed out' });
+    if (err.reason === 'timeout') {
+      return res.status(504).json({ error: err.message });
     }
     // gt peek returns non-zero if no session, but may still have useful stderr
     if (err.stderr) {
@@ -911,6 +1487,84 @@ app.get('/api/agents/:rig/:role/:name/peek', async (req, res) => {
   }
 });
 
+// Operator actions: nudge an agent, stop or restart its session. Each run is
+// audited as an operator_action event; the X-Gtviz-Session header names the
+// operator.
+app.post('/api/agents/:rig/:role/:name/:action', requireOperator, async (req, res) => {
+  const { rig, role, name, action } = req.params;
+  const target = resolveAgentTarget(req.params);
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
+  }
+  const message = req.body?.message;
+  const problem = validateAction(action, message);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  const actor = requestActor(req);
+  const result = await runAgentAction(
+    { action, target: target.path, gtDir: target.gtDir, message },
+    { actor, event: { rig, role, agent: name }, state }
+  );
+  res.status(result.ok ? 200 : 502).json({ ...result, action, actor, rig, role, agent: name });
+});
+
+// ============================================================================
+// Mail API - Sending
+// ============================================================================
+
+// Send mail to an agent through gt. It shows in the mail stream right away,
+// marked outgoing until the watcher picks up the delivered file.
+app.post('/api/mail', requireOperator, async (req, res, next) => {
+  const { rig, to, from, subject, body } = req.body || {};
+  if (typeof rig !== 'string') {
+    return res.status(400).json({ error: 'rig must be a string' });
+  }
+  if (!isKnownRig(state.getState(), rig)) {
+    return res.status(400).json({ error: `Unknown rig: ${rig}` });
+  }
+  const recipient = rigList(state.getState().agents, rig).find(agent => agent.name === to);
+  if (!recipient) {
+    return res.status(400).json({ error: `Unknown recipient: ${rig}/${to}` });
+  }
+  const target = resolveAgentTarget({ rig, role: recipient.role, name: recipient.name });
+  if (target.error) {
+    return res.status(target.status).json({ error: target.error });
+  }
+  const problem = validateMail({ from, subject, body });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const actor = requestActor(req);
+    const result = await sendMail(
+      { address: target.path, from, subject, body, gtDir: target.gtDir },
+      { actor, event: { rig, role: recipient.role, agent: recipient.name }, state }
+    );
+    if (!result.ok) {
+      return res.status(502).json({ ...result, actor, rig, to });
+    }
+
+    // The view keys the rig and stamps the town, like the watcher's records
+    const { town, rig: rigName } = splitRigKey(rig, primaryTown);
+    townCollectors.get(town).view.addMail({
+      rig: rigName,
+      to: target.path.slice(rigName.length + 1),
+      from,
+      subject: subject.trim(),
+      preview: body.split('\n')[0].slice(0, 100),
+      content: body,
+      outgoing: true,
+      timestamp: new Date().toISOString()
+    });
+    res.json({ ...result, actor, rig, to });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Presence API for real-time collaboration
 app.get('/api/presence', (req, res) => {
   res.json(sessionManager.getPresenceSummary());
@@ -929,7 +1583,7 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-const PORT = process.env.PORT || 3001;
+const PORT = config.get('server.port');
 
 server.on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
@@ -944,15 +1598,30 @@ server.listen(PORT, async () => {
   // Restore state from disk if available
   const restored = state.loadState();
   if (restored) {
-    logger.info('server', 'State restored from disk', { path: StateManager.getStatePath() });
+    logger.info('server', 'State restored from disk', { path: state.statePath });
+  } else if (state.lastLoadError) {
+    logger.warn('server', 'Could not restore state; run `gtviz state verify` to inspect backups', {
+      path: state.statePath,
+      error: state.lastLoadError
+    });
   }
+  state.setTowns(towns);
+  stateSync.start();
+  ingest.start();
+  stateHistory.start();
 
   logger.info('server', 'gtviz server started', { port: PORT, url: `http://localhost:${PORT}` });
   await alertingEngine.initialize();
-  gtPoller.start();
-  fileWatcher.start();
-  logsWatcher.start();
+  for (const { poller, fileWatcher, logsWatcher } of townCollectors.values()) {
+    poller.start();
+    fileWatcher.start();
+    logsWatcher.start();
+  }
+  if (towns.length > 1) {
+    logger.info('server', 'Watching towns', { towns: towns.map(town => `${town.name}=${town.gtDir}`) });
+  }
   anomalyDetector.start();
   loadForecaster.start();
   logger.info('server', 'LoadForecaster started');
+  config.watch();
 });
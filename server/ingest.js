@@ -0,0 +1,407 @@
+/**
+ * Remote Collector Ingest
+ *
+ * Central side of `gtviz collect --push`. Collectors on other machines run
+ * the usual poller and watchers against their own town and stream it here
+ * over an authenticated WebSocket at `/ingest`:
+ *
+ *   ws://central:3001/ingest?name=<town>&host=<hostname>
+ *   Authorization: Bearer <ingest.token>
+ *
+ * Collector → server messages:
+ * - `{type: 'state', version, data}`  - Full snapshot of COLLECTED_KEYS
+ * - `{type: 'patch', version, ops}`   - JSON-patch delta (state-sync.js)
+ *   (both also carry `lastPollAt`)
+ * - `{type: 'event', event}`          - Event, mail, log or error
+ * - `{type: 'heartbeat', lastPollAt}` - Liveness and data freshness
+ *
+ * Server → collector messages:
+ * - `{type: 'welcome', town}` - Accepted
+ * - `{type: 'resync'}`        - Version gap; send a full snapshot
+ *
+ * Each collector becomes a town of its own (see towns.js), so its rigs show
+ * up as `<name>.<rig>`. Connectivity and freshness are kept on the town's
+ * entry in `state.towns`.
+ *
+ * @module ingest
+ */
+
+import { EventEmitter } from 'events';
+import { STATUS_CODES } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { applyPatch, deepEqual } from './state-sync.js';
+import { TownStateView, isValidTownName } from './towns.js';
+import { config } from './config.js';
+import logger from './logger.js';
+
+/**
+ * @typedef {import('./state.js').StateManager} StateManager
+ */
+
+/** Path of the ingest WebSocket endpoint */
+export const INGEST_PATH = '/ingest';
+
+/** State keys a collector mirrors to the central server */
+export const COLLECTED_KEYS = ['rigs', 'agents', 'beads', 'hooks', 'sources', 'agentStats'];
+
+// Per-rig state keys and the view method that writes each
+const RIG_UPDATES = { agents: 'updateAgents', beads: 'updateBeads', hooks: 'updateHooks' };
+
+// Per-rig state keys cleared when a rig leaves the collector's snapshot
+const RIG_KEYS = [...Object.keys(RIG_UPDATES), 'sources'];
+
+// Events the central server derives itself from mirrored state
+const DERIVED_EVENT_TYPES = ['bead_status_change'];
+
+/**
+ * Connection state for one remote collector
+ * @typedef {Object} RemoteCollector
+ * @property {string} name - Town name the collector reports as
+ * @property {string|null} host - Collector's hostname
+ * @property {WebSocket|null} ws - Socket, or null while disconnected
+ * @property {TownStateView} view - Where its state is written
+ * @property {Object} shadow - Last mirrored snapshot of COLLECTED_KEYS
+ * @property {number} version - Collector state version of the shadow
+ * @property {number} connectedAt - When the current connection opened
+ * @property {number|null} disconnectedAt - When the last connection closed
+ * @property {number} lastSeenAt - Last message of any kind
+ * @property {number|null} lastPollAt - Collector's last successful rig poll
+ * @property {boolean} stale - No message within ingest.staleAfterMs
+ * @property {{patches: number, events: number, resyncs: number}} received - Counters
+ */
+
+/**
+ * Check a bearer token against the configured one in constant time
+ * @param {string|undefined} header - Authorization header
+ * @param {string} token - Expected token
+ * @returns {boolean} True if it matches
+ */
+export function isAuthorized(header, token) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match || !token) return false;
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * End an upgrade request with an HTTP error
+ * @param {import('net').Socket} socket - Upgrade socket
+ * @param {number} code - HTTP status
+ */
+function rejectUpgrade(socket, code) {
+  socket.write(`HTTP/1.1 ${code} ${STATUS_CODES[code]}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * IngestServer - Accepts collector connections and mirrors their towns
+ * into the shared StateManager
+ *
+ * @extends EventEmitter
+ */
+export class IngestServer extends EventEmitter {
+  /**
+   * @param {StateManager} state - Shared state manager
+   * @param {Object} [options] - Options
+   * @param {function(): string} [options.token] - Current ingest token (default: ingest.token)
+   * @param {string[]} [options.reservedTowns] - Local town names collectors may not use
+   */
+  constructor(state, options = {}) {
+    super();
+    /** @type {StateManager} */
+    this.state = state;
+    /** @type {function(): string} */
+    this.token = options.token || (() => config.get('ingest.token'));
+    /** @type {Set<string>} */
+    this.reservedTowns = new Set(options.reservedTowns || []);
+    /** @type {Map<string, RemoteCollector>} */
+    this.collectors = new Map();
+    /** @type {WebSocketServer} */
+    this.wss = new WebSocketServer({ noServer: true });
+    /** @type {NodeJS.Timeout|null} */
+    this.staleTimer = null;
+  }
+
+  /**
+   * Start checking collectors for staleness
+   */
+  start() {
+    this.staleTimer = setInterval(() => this.checkStale(), 1000);
+  }
+
+  /**
+   * Stop checking and close every collector connection
+   */
+  stop() {
+    if (this.staleTimer) {
+      clearInterval(this.staleTimer);
+      this.staleTimer = null;
+    }
+    for (const collector of this.collectors.values()) {
+      collector.ws?.close(1001, 'Server shutting down');
+    }
+    this.wss.close();
+  }
+
+  /**
+   * Handle an HTTP upgrade to the ingest endpoint
+   * @param {import('http').IncomingMessage} req - Upgrade request
+   * @param {import('net').Socket} socket - Socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const name = url.searchParams.get('name');
+    const token = this.token();
+
+    if (!token) {
+      logger.warn('ingest', 'Collector connection refused: ingest.token is not set', { name });
+      return rejectUpgrade(socket, 403);
+    }
+    if (!isAuthorized(req.headers.authorization, token)) {
+      logger.warn('ingest', 'Collector connection refused: bad token', { name, address: socket.remoteAddress });
+      return rejectUpgrade(socket, 401);
+    }
+    if (!isValidTownName(name)) {
+      return rejectUpgrade(socket, 400);
+    }
+    if (this.reservedTowns.has(name) || this.collectors.get(name)?.ws) {
+      logger.warn('ingest', 'Collector connection refused: town name in use', { name });
+      return rejectUpgrade(socket, 409);
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => this.accept(ws, name, url.searchParams.get('host')));
+  }
+
+  /**
+   * Register an accepted collector connection
+   * @param {WebSocket} ws - Socket
+   * @param {string} name - Town name
+   * @param {string|null} host - Collector hostname
+   */
+  accept(ws, name, host) {
+    const now = Date.now();
+    const previous = this.collectors.get(name);
+    /** @type {RemoteCollector} */
+    const collector = {
+      name,
+      host,
+      ws,
+      view: previous?.view || new TownStateView(this.state, { name, gtDir: null, primary: false }),
+      shadow: previous?.shadow || {},
+      version: 0,
+      connectedAt: now,
+      disconnectedAt: null,
+      lastSeenAt: now,
+      lastPollAt: previous?.lastPollAt || null,
+      stale: false,
+      received: { patches: 0, events: 0, resyncs: 0 }
+    };
+    this.collectors.set(name, collector);
+    this.publish(collector);
+    logger.info('ingest', 'Collector connected', { name, host });
+    this.emit('connected', collector);
+
+    ws.on('message', data => {
+      try {
+        this.handleMessage(collector, JSON.parse(data.toString()));
+      } catch (err) {
+        logger.warn('ingest', 'Bad collector message', { name, error: err.message });
+      }
+    });
+    ws.on('close', () => {
+      collector.ws = null;
+      collector.disconnectedAt = Date.now();
+      this.publish(collector);
+      logger.warn('ingest', 'Collector disconnected', { name });
+      this.emit('disconnected', collector);
+    });
+    ws.on('error', err => {
+      logger.warn('ingest', 'Collector socket error', { name, error: err.message });
+    });
+    ws.send(JSON.stringify({ type: 'welcome', town: name }));
+  }
+
+  /**
+   * Handle one message from a collector
+   * @param {RemoteCollector} collector - Sender
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(collector, message) {
+    collector.lastSeenAt = Date.now();
+    collector.lastPollAt = message.lastPollAt || collector.lastPollAt;
+    if (collector.stale) {
+      collector.stale = false;
+      this.publish(collector);
+    }
+
+    switch (message.type) {
+      case 'state':
+        collector.version = message.version;
+        this.mirror(collector, message.data || {});
+        break;
+      case 'patch': {
+        if (message.version !== collector.version + 1) {
+          this.resync(collector);
+          return;
+        }
+        // The version only advances once the patch applies, so a patch that
+        // does not fit the shadow is retried from a full snapshot
+        let next;
+        try {
+          next = applyPatch(collector.shadow, message.ops);
+        } catch (err) {
+          logger.warn('ingest', 'Collector patch did not apply; requesting full state', {
+            name: collector.name,
+            version: message.version,
+            error: err.message
+          });
+          this.resync(collector);
+          return;
+        }
+        collector.version = message.version;
+        collector.received.patches++;
+        this.mirror(collector, next);
+        break;
+      }
+      case 'event':
+        collector.received.events++;
+        this.addEvent(collector, message.event || {});
+        break;
+      case 'heartbeat':
+        this.publish(collector);
+        break;
+    }
+  }
+
+  /**
+   * Ask a collector to send its full state again
+   * @param {RemoteCollector} collector - Collector
+   */
+  resync(collector) {
+    collector.received.resyncs++;
+    collector.ws?.send(JSON.stringify({ type: 'resync' }));
+  }
+
+  /**
+   * Write the parts of a collector's snapshot that changed into the shared
+   * state. Only rigs in its rig list are mirrored; a rig that leaves the
+   * list, or one of its entries that leaves the snapshot, is cleared.
+   * @param {RemoteCollector} collector - Collector
+   * @param {Object} next - New snapshot of COLLECTED_KEYS
+   */
+  mirror(collector, next) {
+    const prev = collector.shadow;
+    const { view } = collector;
+    const listed = rig => Boolean(next.rigs?.[rig]);
+    // A rig that was just (re)listed is written in full
+    const changed = (rig, before, after) => !prev.rigs?.[rig] || !deepEqual(before, after);
+    collector.shadow = next;
+
+    if (!deepEqual(prev.rigs, next.rigs)) {
+      view.updateRigs(next.rigs || {});
+    }
+    for (const rig of Object.keys(prev.rigs || {})) {
+      if (!listed(rig)) view.clearRig(rig, RIG_KEYS);
+    }
+    for (const key of RIG_KEYS) {
+      for (const rig of Object.keys(prev[key] || {})) {
+        if (listed(rig) && !next[key]?.[rig]) view.clearRig(rig, [key]);
+      }
+    }
+    for (const [key, method] of Object.entries(RIG_UPDATES)) {
+      for (const [rig, value] of Object.entries(next[key] || {})) {
+        if (listed(rig) && changed(rig, prev[key]?.[rig], value)) view[method](rig, value);
+      }
+    }
+    for (const [rig, sources] of Object.entries(next.sources || {})) {
+      if (!listed(rig)) continue;
+      for (const [operation, health] of Object.entries(sources)) {
+        if (changed(rig, prev.sources?.[rig]?.[operation], health)) view.updateSourceHealth(rig, operation, health);
+      }
+    }
+    for (const [agentKey, stats] of Object.entries(next.agentStats || {})) {
+      if (!deepEqual(prev.agentStats?.[agentKey], stats)) view.setAgentStats(agentKey, stats);
+    }
+  }
+
+  /**
+   * Add a forwarded event through the collector's town view
+   * @param {RemoteCollector} collector - Collector
+   * @param {Object} event - Event as emitted by the collector's StateManager
+   */
+  addEvent(collector, event) {
+    const { type, ...record } = event;
+    if (DERIVED_EVENT_TYPES.includes(type)) return;
+    if (type === 'mail') {
+      collector.view.addMail(record);
+    } else if (type === 'log') {
+      collector.view.addLog(record);
+    } else if (type === 'error') {
+      collector.view.addError(record);
+    } else {
+      collector.view.addEvent(event);
+    }
+  }
+
+  /**
+   * Mark collectors stale once they have been quiet for ingest.staleAfterMs
+   */
+  checkStale() {
+    const cutoff = Date.now() - config.get('ingest.staleAfterMs');
+    for (const collector of this.collectors.values()) {
+      const stale = collector.lastSeenAt < cutoff;
+      if (stale !== collector.stale) {
+        collector.stale = stale;
+        this.publish(collector);
+        if (stale) {
+          logger.warn('ingest', 'Collector is stale', { name: collector.name, lastSeenAt: new Date(collector.lastSeenAt).toISOString() });
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy a collector's connectivity onto its town entry
+   * @param {RemoteCollector} collector - Collector
+   */
+  publish(collector) {
+    this.state.updateTown(collector.name, {
+      primary: false,
+      remote: true,
+      ...this.describe(collector)
+    });
+  }
+
+  /**
+   * Describe a collector's connectivity and freshness
+   * @param {RemoteCollector} collector - Collector
+   * @returns {Object} Status
+   */
+  describe(collector) {
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+    return {
+      host: collector.host,
+      connected: Boolean(collector.ws),
+      stale: collector.stale,
+      connectedAt: iso(collector.connectedAt),
+      disconnectedAt: iso(collector.disconnectedAt),
+      lastSeenAt: iso(collector.lastSeenAt),
+      lastPollAt: iso(collector.lastPollAt)
+    };
+  }
+
+  /**
+   * List every collector seen since startup
+   * @returns {Object[]} Status per collector
+   */
+  getStatus() {
+    return [...this.collectors.values()].map(collector => ({
+      name: collector.name,
+      ...this.describe(collector),
+      version: collector.version,
+      received: { ...collector.received }
+    }));
+  }
+}
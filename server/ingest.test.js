@@ -0,0 +1,156 @@
+/**
+ * Tests for remote collector ingest and the collector agent
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { once } from 'events';
+import { StateManager } from './state.js';
+import { parseTowns } from './towns.js';
+import { IngestServer, isAuthorized } from './ingest.js';
+import { CollectorAgent, toIngestUrl, defaultCollectorName } from './collector.js';
+
+const TOKEN = 'sekrit';
+
+/**
+ * Poll until a condition holds
+ * @param {function(): boolean} check - Condition
+ * @param {number} [timeoutMs] - Give up after this long
+ */
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('isAuthorized', () => {
+  it('accepts only the exact bearer token', () => {
+    assert.strictEqual(isAuthorized(`Bearer ${TOKEN}`, TOKEN), true);
+    assert.strictEqual(isAuthorized('Bearer nope', TOKEN), false);
+    assert.strictEqual(isAuthorized(TOKEN, TOKEN), false);
+    assert.strictEqual(isAuthorized(undefined, TOKEN), false);
+    assert.strictEqual(isAuthorized(`Bearer ${TOKEN}`, ''), false);
+  });
+});
+
+describe('toIngestUrl', () => {
+  it('maps http to ws and defaults the path to /ingest', () => {
+    assert.strictEqual(toIngestUrl('http://central:3001', 'lab', 'box'), 'ws://central:3001/ingest?name=lab&host=box');
+    assert.strictEqual(toIngestUrl('https://central/gtviz/ingest', 'lab', 'box'), 'wss://central/gtviz/ingest?name=lab&host=box');
+  });
+
+  it('derives a town name from the hostname', () => {
+    assert.strictEqual(defaultCollectorName('build-01.example.com'), 'build-01');
+  });
+});
+
+describe('IngestServer', () => {
+  let central;
+  let ingest;
+  let server;
+  let url;
+  let local;
+  let agent;
+
+  beforeEach(async () => {
+    central = new StateManager();
+    central.setTowns(parseTowns('', '/gt'));
+    central.on('error', () => {});
+    ingest = new IngestServer(central, { token: () => TOKEN, reservedTowns: ['default'] });
+    server = createServer();
+    server.on('upgrade', (req, socket, head) => ingest.handleUpgrade(req, socket, head));
+    server.listen(0);
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}`;
+    local = new StateManager();
+    agent = null;
+  });
+
+  afterEach(async () => {
+    agent?.stop();
+    ingest.stop();
+    server.close();
+  });
+
+  const connect = (options = {}) => {
+    agent = new CollectorAgent(local, { url, token: TOKEN, name: 'lab', host: 'box', ...options });
+    agent.start();
+    return agent;
+  };
+
+  it('refuses a bad token and reserved town names', async () => {
+    connect({ token: 'wrong' });
+    const [, badToken] = await once(agent.ws, 'unexpected-response');
+    assert.strictEqual(badToken.statusCode, 401);
+    agent.stop();
+
+    connect({ name: 'default' });
+    const [, reserved] = await once(agent.ws, 'unexpected-response');
+    assert.strictEqual(reserved.statusCode, 409);
+  });
+
+  it('mirrors the collector\'s rigs, agents and events as its own town', async () => {
+    local.updateRigs({ api: { polecats: 1 } });
+    connect();
+    await waitFor(() => central.getState().rigs['lab.api']);
+
+    assert.deepStrictEqual(central.getState().rigs['lab.api'], { polecats: 1, name: 'api', town: 'lab' });
+    assert.strictEqual(central.getState().towns.lab.connected, true);
+    assert.strictEqual(central.getState().towns.lab.host, 'box');
+
+    local.updateAgents('api', [{ name: 'nux', rig: 'api', status: 'running' }]);
+    local.addEvent({ type: 'feed', source: 'api', message: 'hello' });
+    await waitFor(() => central.getState().agents['lab.api'] && central.getState().events.length > 0);
+
+    assert.strictEqual(central.getState().agents['lab.api'][0].rig, 'lab.api');
+    assert.deepStrictEqual(central.getState().events[0], { type: 'feed', source: 'lab.api', message: 'hello', town: 'lab' });
+  });
+
+  it('clears a rig the collector stops reporting and restores it when it returns', async () => {
+    local.updateRigs({ api: { polecats: 1 }, web: { polecats: 1 } });
+    local.updateAgents('api', [{ name: 'nux', rig: 'api', status: 'running' }]);
+    local.updateBeads('web', [{ id: 'gt-1', status: 'open' }]);
+    connect();
+    await waitFor(() => central.getState().agents['lab.api'] && central.getState().beads['lab.web']);
+
+    local.updateRigs({ web: { polecats: 1 } });
+    await waitFor(() => !central.getState().rigs['lab.api']);
+    assert.strictEqual(central.getState().agents['lab.api'], undefined);
+    assert.strictEqual(central.getState().beads['lab.web'].length, 1);
+
+    local.updateRigs({ api: { polecats: 1 }, web: { polecats: 1 } });
+    await waitFor(() => central.getState().agents['lab.api']);
+    assert.strictEqual(central.getState().agents['lab.api'][0].name, 'nux');
+  });
+
+  it('keeps its version and asks for full state when a patch does not apply', async () => {
+    local.updateRigs({ api: { polecats: 1 } });
+    connect();
+    await waitFor(() => central.getState().rigs['lab.api']);
+    const collector = ingest.collectors.get('lab');
+    const { version } = collector;
+
+    agent.ws.send(JSON.stringify({ type: 'patch', version: version + 1, ops: [{ op: 'replace', path: '/agents/missing/0', value: 1 }] }));
+    await waitFor(() => collector.received.resyncs === 1);
+    assert.strictEqual(collector.received.patches, 0);
+
+    // The collector answers with its full state and later patches apply again
+    local.updateAgents('api', [{ name: 'nux', rig: 'api', status: 'running' }]);
+    await waitFor(() => central.getState().agents['lab.api']);
+    assert.ok(collector.received.patches > 0);
+  });
+
+  it('marks the town offline when the collector disconnects', async () => {
+    connect();
+    await waitFor(() => central.getState().towns.lab?.connected);
+    agent.stop();
+    await waitFor(() => central.getState().towns.lab.connected === false);
+
+    const [status] = ingest.getStatus();
+    assert.strictEqual(status.name, 'lab');
+    assert.ok(status.disconnectedAt);
+  });
+});
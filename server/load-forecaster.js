@@ -9,6 +9,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { hookKey } from './parser-utils.js';
 
 // Forecasting constants
 const FORECAST_HORIZONS = [5, 15, 30, 60]; // Minutes ahead to predict
@@ -390,7 +391,7 @@ export function createLoadForecaster(options = {}) {
         analysis.summary.totalAgents++;
 
         const key = `${rigName}/${agent.name}`;
-        const stats = agentStats[key] || { completions: [], avgDuration: 0 };
+        const stats = agentStats[`${rigName}/${hookKey(agent.role, agent.name)}`] || { completions: [], avgDuration: 0 };
 
         const isActive = agent.status === 'running' && (agent.hasWork || agent.currentBead);
         const isIdle = agent.status === 'idle' || (agent.status === 'running' && !agent.hasWork);
@@ -84,8 +84,8 @@ describe('createLoadForecaster', () => {
       mockStateManager.getState = mock.fn(() => ({
         agents: {
           'test-rig': [
-            { name: 'agent1', status: 'running', hasWork: true, currentBead: 'bead-1' },
-            { name: 'agent2', status: 'idle', hasWork: false }
+            { name: 'agent1', role: 'polecat', status: 'running', hasWork: true, currentBead: 'bead-1' },
+            { name: 'agent2', role: 'polecat', status: 'idle', hasWork: false }
           ]
         },
         beads: {
@@ -97,7 +97,7 @@ describe('createLoadForecaster', () => {
         },
         hooks: {},
         agentStats: {
-          'test-rig/agent1': {
+          'test-rig/polecat/agent1': {
             completions: [
               { beadId: 'old-1', completedAt: new Date().toISOString(), duration: 1800000 },
               { beadId: 'old-2', completedAt: new Date().toISOString(), duration: 2100000 }
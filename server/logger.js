@@ -10,7 +10,7 @@ const LOG_LEVELS = {
   error: 3
 };
 
-const currentLevel = LOG_LEVELS[process.env.LOG_LEVEL || 'info'];
+let currentLevel = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
 
 function formatTimestamp() {
   return new Date().toISOString();
@@ -45,6 +45,14 @@ export const logger = {
   info: (component, message, data) => log('info', component, message, data),
   warn: (component, message, data) => log('warn', component, message, data),
   error: (component, message, data) => log('error', component, message, data),
+
+  /**
+   * Change the minimum level that is logged
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   */
+  setLevel: (level) => {
+    if (level in LOG_LEVELS) currentLevel = LOG_LEVELS[level];
+  },
 };
 
 export default logger;
@@ -25,14 +25,16 @@ export class LogsWatcher {
   /**
    * Create a new LogsWatcher
    * @param {StateManager} state - State manager instance
+   * @param {Object} [options] - Options
+   * @param {string} [options.gtDir] - Town directory (defaults to GT_DIR)
    */
-  constructor(state) {
+  constructor(state, options = {}) {
     /** @type {StateManager} */
     this.state = state;
     /** @type {import('chokidar').FSWatcher[]} */
     this.watchers = [];
     /** @type {string} */
-    this.gtDir = process.env.GT_DIR || `${process.env.HOME}/gt`;
+    this.gtDir = options.gtDir || process.env.GT_DIR || `${process.env.HOME}/gt`;
     /** @type {Object<string, number>} */
     this.filePositions = {};
   }
@@ -10,16 +10,12 @@
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { config } from './config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = join(__dirname, '..', 'data');
 const METRICS_FILE = join(DATA_DIR, 'metrics-history.json');
 
-// Retention periods
-const RAW_RETENTION_HOURS = 24;      // Keep raw data for 24 hours
-const HOURLY_RETENTION_DAYS = 30;    // Keep hourly aggregates for 30 days
-const DAILY_RETENTION_DAYS = 365;    // Keep daily aggregates for 1 year
-
 // Save interval (every 5 minutes)
 const SAVE_INTERVAL_MS = 5 * 60 * 1000;
 
@@ -89,9 +85,9 @@ export function createMetricsStorage() {
    */
   function cleanup() {
     const now = Date.now();
-    const rawCutoff = now - (RAW_RETENTION_HOURS * 60 * 60 * 1000);
-    const hourlyCutoff = now - (HOURLY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
-    const dailyCutoff = now - (DAILY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const rawCutoff = now - (config.get('metrics.retention.rawHours') * 60 * 60 * 1000);
+    const hourlyCutoff = now - (config.get('metrics.retention.hourlyDays') * 24 * 60 * 60 * 1000);
+    const dailyCutoff = now - (config.get('metrics.retention.dailyDays') * 24 * 60 * 60 * 1000);
 
     // Filter out old raw metrics
     const rawBefore = rawMetrics.length;
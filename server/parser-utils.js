@@ -26,15 +26,45 @@ export function parseStatusFromSymbol(symbol) {
  * @returns {string|null} Normalized priority (critical, high, normal, low)
  */
 export function normalizePriority(p) {
-  if (!p) return null;
-  const lower = p.toLowerCase();
-  if (lower === 'p1' || lower === 'critical') return 'critical';
+  if (p === null || p === undefined || p === '') return null;
+  // bd stores priority as a number (0-4) in JSON output
+  const lower = typeof p === 'number' ? `p${p}` : String(p).toLowerCase();
+  if (lower === 'p0' || lower === 'p1' || lower === 'critical') return 'critical';
   if (lower === 'p2' || lower === 'high') return 'high';
   if (lower === 'p3' || lower === 'normal') return 'normal';
   if (lower === 'p4' || lower === 'low') return 'low';
   return lower;
 }
 
+/**
+ * Convert a raw bead record (from `bd list --json` or `.beads/issues.jsonl`)
+ * to the Bead shape. Accepts both camelCase and bd's snake_case fields.
+ * @param {Object} bead - Raw bead record
+ * @returns {import('./types.js').Bead} Normalized bead
+ */
+export function normalizeBead(bead) {
+  const dependsOn = bead.dependsOn || bead.depends_on ||
+    (Array.isArray(bead.dependencies) ? bead.dependencies.map(d => d.depends_on_id || d.dependsOn).filter(Boolean) : []);
+  const notes = Array.isArray(bead.notes) ? bead.notes : (bead.notes ? [bead.notes] : []);
+
+  return {
+    id: bead.id,
+    title: bead.title || '',
+    status: bead.status || 'open',
+    priority: normalizePriority(bead.priority),
+    labels: bead.labels || [],
+    owner: bead.owner || bead.created_by || null,
+    assignee: bead.assignee || null,
+    type: bead.type || bead.issue_type || null,
+    description: bead.description || '',
+    notes,
+    dependsOn,
+    createdAt: bead.createdAt || bead.created_at || bead.created || null,
+    updatedAt: bead.updatedAt || bead.updated_at || bead.updated || null,
+    closedAt: bead.closedAt || bead.closed_at || bead.closed || null
+  };
+}
+
 /**
  * Parse a bead header line
  * Handles formats like:
@@ -173,6 +203,44 @@ export function toPollerHookFormat(hookData, agent) {
   };
 }
 
+/**
+ * Key of an agent's entry in a rig's hooks: role and name for every role,
+ * so a crew member and a polecat with the same name never collide
+ *
+ * @param {string} role - Agent role (polecat, crew, witness, ...)
+ * @param {string} name - Agent name
+ * @returns {string} Hook key (e.g. 'polecat/nux', 'crew/max', 'witness/witness')
+ */
+export function hookKey(role, name) {
+  return `${role}/${name}`;
+}
+
+/**
+ * Path of an agent's directory relative to the town root
+ *
+ * @param {string} rig - Rig name
+ * @param {string} role - Agent role
+ * @param {string} name - Agent name
+ * @returns {string} Path (e.g. 'api/polecats/nux', 'api/crew/max', 'api/witness')
+ */
+export function agentPath(rig, role, name) {
+  if (role === 'polecat') return `${rig}/polecats/${name}`;
+  if (role === 'crew') return `${rig}/crew/${name}`;
+  // witness, refinery, mayor - direct under rig
+  return `${rig}/${name}`;
+}
+
+/**
+ * Agent name from a bead assignee
+ *
+ * @param {string|null} assignee - Assignee (e.g. 'api/nux', 'api/polecats/nux', 'nux')
+ * @returns {string|null} Agent name, or null if unassigned
+ */
+export function assigneeAgent(assignee) {
+  if (!assignee) return null;
+  return assignee.split('/').filter(Boolean).pop() || null;
+}
+
 /**
  * Parse metadata fields from bead detail lines
  * Handles fields like "Owner: mayor", "Type: bug", etc.
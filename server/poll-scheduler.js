@@ -0,0 +1,334 @@
+/**
+ * Poll Scheduler
+ *
+ * Runs named polling tasks on their own timers. A task is rescheduled only
+ * after its previous run finishes, so runs of the same task never overlap
+ * however long they take. Each task's interval adapts:
+ *
+ * - Tasks that keep failing back off exponentially up to a ceiling
+ * - Tasks reporting activity (e.g. a rig with hooked work) poll faster
+ *
+ * ConcurrencyLimiter caps how many child processes run at once across all
+ * tasks; callers wrap each command in `limiter.run()`.
+ *
+ * @module poll-scheduler
+ */
+
+import logger from './logger.js';
+
+/**
+ * Limits how many async operations run at once. Extra callers wait in FIFO order.
+ */
+export class ConcurrencyLimiter {
+  /**
+   * @param {number} limit - Maximum concurrent operations
+   */
+  constructor(limit) {
+    /** @type {number} */
+    this.limit = limit;
+    /** @type {number} */
+    this.active = 0;
+    /** @type {Array<function(): void>} */
+    this.queue = [];
+    /** @type {number} Highest concurrency seen */
+    this.peak = 0;
+  }
+
+  /**
+   * Run an operation once a slot is free
+   * @template T
+   * @param {function(): Promise<T>} fn - Operation
+   * @returns {Promise<T>} Operation result
+   */
+  async run(fn) {
+    if (this.active < this.limit) {
+      this.active++;
+    } else {
+      // The finishing operation hands its slot over, so active stays counted
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+    this.peak = Math.max(this.peak, this.active);
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Free a slot, handing it to the next waiting operation if the limit allows
+   */
+  release() {
+    if (this.queue.length > 0 && this.active <= this.limit) {
+      this.queue.shift()();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Change the limit; waiting operations start if slots opened up
+   * @param {number} limit - New maximum
+   */
+  setLimit(limit) {
+    this.limit = limit;
+    while (this.queue.length > 0 && this.active < this.limit) {
+      this.active++;
+      this.queue.shift()();
+    }
+  }
+
+  /**
+   * Get limiter counters
+   * @returns {{limit: number, active: number, queued: number, peak: number}} Counters
+   */
+  getStats() {
+    return { limit: this.limit, active: this.active, queued: this.queue.length, peak: this.peak };
+  }
+}
+
+/**
+ * Options for a scheduled task
+ * @typedef {Object} TaskOptions
+ * @property {function(): boolean} [isActive] - True if the task should use the active interval
+ * @property {Object} [meta] - Extra fields included in status output (e.g. rig name)
+ */
+
+/**
+ * Scheduler state for one task, as reported by getStatus()
+ * @typedef {Object} TaskStatus
+ * @property {string} name - Task name
+ * @property {'scheduled'|'running'|'stopped'} state - Current state
+ * @property {boolean} active - Whether the task is using the active interval
+ * @property {number} intervalMs - Delay before the next run
+ * @property {string|null} nextRunAt - ISO time of the next run
+ * @property {string|null} lastStartedAt - ISO time the last run started
+ * @property {number|null} lastDurationMs - Duration of the last run
+ * @property {string|null} lastSuccessAt - ISO time of the last successful run
+ * @property {string|null} lastError - Error from the last run, if it failed
+ * @property {number} consecutiveFailures - Failed runs since the last success
+ * @property {number} runs - Total runs
+ * @property {number} failures - Total failed runs
+ */
+
+export class PollScheduler {
+  /**
+   * @param {Object} options - Interval sources, read each time a task is scheduled
+   * @param {function(): number} options.baseIntervalMs - Normal interval
+   * @param {function(): number} options.activeIntervalMs - Interval for active tasks
+   * @param {function(): number} options.maxBackoffMs - Ceiling for failure backoff
+   */
+  constructor(options) {
+    /** @type {Object} */
+    this.options = options;
+    /** @type {Map<string, Object>} */
+    this.tasks = new Map();
+    /** @type {boolean} */
+    this.running = false;
+  }
+
+  /**
+   * Register a task. If the scheduler is running it is run immediately.
+   * @param {string} name - Unique task name
+   * @param {function(): Promise<void>} fn - Task body; throwing counts as a failure
+   * @param {TaskOptions} [options] - Task options
+   */
+  addTask(name, fn, options = {}) {
+    if (this.tasks.has(name)) return;
+    this.tasks.set(name, {
+      name,
+      fn,
+      isActive: options.isActive || (() => false),
+      meta: options.meta || {},
+      timer: null,
+      runningPromise: null,
+      removed: false,
+      intervalMs: null,
+      nextRunAt: null,
+      lastStartedAt: null,
+      lastDurationMs: null,
+      lastSuccessAt: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      runs: 0,
+      failures: 0
+    });
+    if (this.running) {
+      this.schedule(this.tasks.get(name), 0);
+    }
+  }
+
+  /**
+   * Remove a task. A run in progress finishes but is not rescheduled.
+   * @param {string} name - Task name
+   */
+  removeTask(name) {
+    const task = this.tasks.get(name);
+    if (!task) return;
+    clearTimeout(task.timer);
+    task.removed = true;
+    this.tasks.delete(name);
+  }
+
+  /**
+   * Check whether a task is registered
+   * @param {string} name - Task name
+   * @returns {boolean} True if registered
+   */
+  hasTask(name) {
+    return this.tasks.has(name);
+  }
+
+  /**
+   * Get registered task names
+   * @returns {string[]} Task names
+   */
+  getTaskNames() {
+    return [...this.tasks.keys()];
+  }
+
+  /**
+   * Start running every task
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    for (const task of this.tasks.values()) {
+      this.schedule(task, 0);
+    }
+  }
+
+  /**
+   * Stop scheduling. Runs in progress finish but are not rescheduled.
+   */
+  stop() {
+    this.running = false;
+    for (const task of this.tasks.values()) {
+      clearTimeout(task.timer);
+      task.timer = null;
+      task.nextRunAt = null;
+    }
+  }
+
+  /**
+   * Run a task immediately unless it is already running, then continue its schedule
+   * @param {string} name - Task name
+   * @returns {Promise<void>} Resolves when the run (or the run in progress) finishes
+   */
+  runNow(name) {
+    const task = this.tasks.get(name);
+    if (!task) return Promise.resolve();
+    if (task.runningPromise) return task.runningPromise;
+    clearTimeout(task.timer);
+    return this.runTask(task);
+  }
+
+  /**
+   * Recompute waiting timers, e.g. after the configured intervals change
+   */
+  reschedule() {
+    if (!this.running) return;
+    for (const task of this.tasks.values()) {
+      if (task.runningPromise) continue;
+      const intervalMs = this.getIntervalMs(task);
+      const elapsed = task.lastStartedAt ? Date.now() - task.lastStartedAt : intervalMs;
+      this.schedule(task, Math.max(0, intervalMs - elapsed));
+    }
+  }
+
+  /**
+   * Compute a task's next interval
+   * @param {Object} task - Task record
+   * @returns {number} Interval in milliseconds
+   */
+  getIntervalMs(task) {
+    const base = this.options.baseIntervalMs();
+    if (task.consecutiveFailures > 0) {
+      return Math.min(base * 2 ** task.consecutiveFailures, Math.max(base, this.options.maxBackoffMs()));
+    }
+    return this.isActive(task) ? Math.min(base, this.options.activeIntervalMs()) : base;
+  }
+
+  /**
+   * Evaluate a task's activity check without letting it throw
+   * @param {Object} task - Task record
+   * @returns {boolean} True if active
+   */
+  isActive(task) {
+    try {
+      return Boolean(task.isActive());
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Set a task's timer
+   * @param {Object} task - Task record
+   * @param {number} delayMs - Delay before running
+   */
+  schedule(task, delayMs) {
+    clearTimeout(task.timer);
+    task.intervalMs = delayMs;
+    task.nextRunAt = Date.now() + delayMs;
+    task.timer = setTimeout(() => this.runTask(task), delayMs);
+  }
+
+  /**
+   * Run a task and schedule its next run when it finishes
+   * @param {Object} task - Task record
+   * @returns {Promise<void>} Resolves when the run finishes
+   */
+  runTask(task) {
+    task.timer = null;
+    task.nextRunAt = null;
+    task.lastStartedAt = Date.now();
+    task.runs++;
+
+    task.runningPromise = (async () => {
+      try {
+        await task.fn();
+        task.consecutiveFailures = 0;
+        task.lastError = null;
+        task.lastSuccessAt = Date.now();
+      } catch (err) {
+        task.consecutiveFailures++;
+        task.failures++;
+        task.lastError = err.message;
+        if (task.consecutiveFailures === 1) {
+          logger.warn('scheduler', 'Poll task failed; backing off', { task: task.name, error: err.message });
+        }
+      } finally {
+        task.lastDurationMs = Date.now() - task.lastStartedAt;
+        task.runningPromise = null;
+        if (this.running && !task.removed) {
+          this.schedule(task, this.getIntervalMs(task));
+        }
+      }
+    })();
+    return task.runningPromise;
+  }
+
+  /**
+   * Describe every task
+   * @returns {TaskStatus[]} Task states
+   */
+  getStatus() {
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+    return [...this.tasks.values()].map(task => ({
+      name: task.name,
+      ...task.meta,
+      state: task.runningPromise ? 'running' : (task.timer ? 'scheduled' : 'stopped'),
+      active: this.isActive(task),
+      intervalMs: task.intervalMs,
+      nextRunAt: iso(task.nextRunAt),
+      lastStartedAt: iso(task.lastStartedAt),
+      lastDurationMs: task.lastDurationMs,
+      lastSuccessAt: iso(task.lastSuccessAt),
+      lastError: task.lastError,
+      consecutiveFailures: task.consecutiveFailures,
+      runs: task.runs,
+      failures: task.failures
+    }));
+  }
+}
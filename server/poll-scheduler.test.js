@@ -0,0 +1,144 @@
+/**
+ * Tests for the poll scheduler and concurrency limiter
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { ConcurrencyLimiter, PollScheduler } from './poll-scheduler.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ConcurrencyLimiter', () => {
+  it('never runs more than the limit at once', async () => {
+    const limiter = new ConcurrencyLimiter(2);
+    let running = 0;
+    let maxRunning = 0;
+    const job = () => limiter.run(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(5);
+      running--;
+    });
+
+    await Promise.all(Array.from({ length: 6 }, job));
+
+    assert.strictEqual(maxRunning, 2);
+    assert.deepStrictEqual(limiter.getStats(), { limit: 2, active: 0, queued: 0, peak: 2 });
+  });
+
+  it('releases the slot when an operation throws', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(await limiter.run(async () => 'ok'), 'ok');
+    assert.strictEqual(limiter.getStats().active, 0);
+  });
+
+  it('starts waiting operations when the limit is raised', async () => {
+    const limiter = new ConcurrencyLimiter(1);
+    let release;
+    const first = limiter.run(() => new Promise(resolve => { release = resolve; }));
+    let secondStarted = false;
+    const second = limiter.run(async () => { secondStarted = true; });
+
+    await sleep(1);
+    assert.strictEqual(secondStarted, false);
+    limiter.setLimit(2);
+    await second;
+    assert.strictEqual(secondStarted, true);
+
+    release();
+    await first;
+    assert.strictEqual(limiter.getStats().active, 0);
+  });
+});
+
+describe('PollScheduler', () => {
+  let scheduler;
+  const intervals = { base: 20, active: 5, maxBackoff: 80 };
+
+  const createScheduler = () => new PollScheduler({
+    baseIntervalMs: () => intervals.base,
+    activeIntervalMs: () => intervals.active,
+    maxBackoffMs: () => intervals.maxBackoff
+  });
+
+  afterEach(() => {
+    if (scheduler) scheduler.stop();
+  });
+
+  it('never overlaps runs of the same task', async () => {
+    scheduler = createScheduler();
+    let running = 0;
+    let overlapped = false;
+    let runs = 0;
+    scheduler.addTask('slow', async () => {
+      if (running > 0) overlapped = true;
+      running++;
+      runs++;
+      await sleep(50); // Longer than the base interval
+      running--;
+    });
+
+    scheduler.start();
+    await sleep(130);
+    scheduler.stop();
+
+    assert.strictEqual(overlapped, false);
+    assert.ok(runs >= 2, `expected repeated runs, got ${runs}`);
+  });
+
+  it('backs off exponentially on failure and resets on success', () => {
+    scheduler = createScheduler();
+    scheduler.addTask('flaky', async () => {});
+    const task = scheduler.tasks.get('flaky');
+
+    task.consecutiveFailures = 1;
+    assert.strictEqual(scheduler.getIntervalMs(task), 40);
+    task.consecutiveFailures = 2;
+    assert.strictEqual(scheduler.getIntervalMs(task), 80);
+    task.consecutiveFailures = 5;
+    assert.strictEqual(scheduler.getIntervalMs(task), 80);
+    task.consecutiveFailures = 0;
+    assert.strictEqual(scheduler.getIntervalMs(task), 20);
+  });
+
+  it('uses the active interval for active tasks', () => {
+    scheduler = createScheduler();
+    let active = false;
+    scheduler.addTask('rig', async () => {}, { isActive: () => active });
+    const task = scheduler.tasks.get('rig');
+
+    assert.strictEqual(scheduler.getIntervalMs(task), 20);
+    active = true;
+    assert.strictEqual(scheduler.getIntervalMs(task), 5);
+  });
+
+  it('records failures in status', async () => {
+    scheduler = createScheduler();
+    scheduler.addTask('broken', async () => { throw new Error('gt not found'); }, { meta: { rig: 'alpha' } });
+
+    await scheduler.runNow('broken');
+    const [status] = scheduler.getStatus();
+
+    assert.strictEqual(status.name, 'broken');
+    assert.strictEqual(status.rig, 'alpha');
+    assert.strictEqual(status.lastError, 'gt not found');
+    assert.strictEqual(status.consecutiveFailures, 1);
+    assert.strictEqual(status.runs, 1);
+    assert.strictEqual(status.failures, 1);
+    assert.strictEqual(status.state, 'stopped');
+  });
+
+  it('does not reschedule removed tasks', async () => {
+    scheduler = createScheduler();
+    let runs = 0;
+    scheduler.addTask('gone', async () => { runs++; await sleep(10); });
+    scheduler.start();
+    await sleep(2);
+    scheduler.removeTask('gone');
+    await sleep(60);
+
+    assert.strictEqual(runs, 1);
+    assert.deepStrictEqual(scheduler.getTaskNames(), []);
+  });
+});
@@ -0,0 +1,651 @@
+/**
+ * Session Recording
+ *
+ * Captures a live session into a bundle and plays it back offline. A bundle
+ * is a JSONL file:
+ *
+ *   {"type":"header","version":1,"startedAt":"...","gtDir":"/home/me/gt",...}
+ *   {"type":"command","t":120,"kind":"execFile","cmd":"gt","args":["rig","list"],"durationMs":85,"stdout":"..."}
+ *   {"type":"file","t":300,"op":"append","path":"rig1/.beads/issues.jsonl","data":"..."}
+ *
+ * `t` is milliseconds since the recording started. Paths under the town
+ * directory are stored as {{GT_DIR}} so a bundle can be replayed into a
+ * different directory.
+ *
+ * During replay, each command gets the most recent recorded output for the
+ * same invocation as of the replay clock. Recorded file changes are applied
+ * to a sandbox town directory so the real file watchers and beads reader
+ * pick them up as they would live.
+ *
+ * @module recording
+ */
+
+import chokidar from 'chokidar';
+import { EventEmitter } from 'events';
+import {
+  createWriteStream,
+  readFileSync,
+  writeFileSync,
+  appendFileSync,
+  mkdirSync,
+  readdirSync,
+  rmSync,
+  existsSync
+} from 'fs';
+import { hostname } from 'os';
+import { join, relative, resolve, dirname, sep } from 'path';
+import { createLiveSource, setDataSource } from './data-source.js';
+import { getWatchPatterns } from './watchers.js';
+import logger from './logger.js';
+
+/** Current bundle format version */
+export const BUNDLE_VERSION = 1;
+
+/** Placeholder for the town directory inside a bundle */
+export const GT_DIR_TOKEN = '{{GT_DIR}}';
+
+/** File marking a directory as safe for replay to overwrite */
+const SANDBOX_MARKER = '.gtviz-replay';
+
+/**
+ * Recorded command invocation
+ * @typedef {Object} CommandRecord
+ * @property {'command'} type - Record type
+ * @property {number} t - Start time, ms since recording began
+ * @property {'execFile'|'execFileSync'} kind - How the command was run
+ * @property {string} cmd - Executable
+ * @property {string[]} args - Arguments
+ * @property {string|null} cwd - Working directory
+ * @property {string|null} role - GT_ROLE passed in the environment
+ * @property {number} durationMs - Run time
+ * @property {string} stdout - Standard output
+ * @property {string} stderr - Standard error
+ * @property {{message: string, code: (string|number|null)}|null} error - Failure, if any
+ */
+
+/**
+ * Recorded file change
+ * @typedef {Object} FileRecord
+ * @property {'file'} type - Record type
+ * @property {number} t - Time, ms since recording began
+ * @property {'write'|'append'|'unlink'} op - Change
+ * @property {string} path - Path relative to the town directory
+ * @property {string} [data] - Written or appended content
+ */
+
+/**
+ * Loaded bundle
+ * @typedef {Object} Bundle
+ * @property {Object} header - Header record
+ * @property {Map<string, CommandRecord[]>} commands - Records by invocation key, oldest first
+ * @property {FileRecord[]} files - File changes, oldest first
+ * @property {number} durationMs - Time of the last record
+ */
+
+/**
+ * Replace the town directory with the bundle placeholder
+ * @param {*} value - String to convert (other values pass through)
+ * @param {string} gtDir - Town directory
+ * @returns {*} Portable value
+ */
+export function toPortable(value, gtDir) {
+  return typeof value === 'string' && gtDir ? value.replaceAll(gtDir, GT_DIR_TOKEN) : value;
+}
+
+/**
+ * Replace the bundle placeholder with a town directory
+ * @param {*} value - String to convert (other values pass through)
+ * @param {string} gtDir - Town directory
+ * @returns {*} Local value
+ */
+export function fromPortable(value, gtDir) {
+  return typeof value === 'string' && gtDir ? value.replaceAll(GT_DIR_TOKEN, gtDir) : value;
+}
+
+/**
+ * Build the key identifying an invocation. Output and timing are not part of it.
+ * @param {Object} invocation - Portable invocation fields
+ * @returns {string} Key
+ */
+export function commandKey({ cmd, args = null, cwd = null, role = null }) {
+  // Sync and async calls run the same command, so kind is not part of the key
+  return JSON.stringify([cmd, args, cwd, role]);
+}
+
+/**
+ * Writes records to a bundle file
+ */
+export class BundleWriter {
+  /**
+   * @param {string} path - Bundle file path
+   * @param {Object} options - Options
+   * @param {string} options.gtDir - Town directory being recorded
+   */
+  constructor(path, { gtDir }) {
+    this.path = path;
+    this.gtDir = gtDir;
+    this.startedAt = Date.now();
+    this.records = 0;
+    this.stream = null;
+  }
+
+  /**
+   * Create the file and write the header
+   */
+  open() {
+    mkdirSync(dirname(resolve(this.path)), { recursive: true });
+    this.stream = createWriteStream(this.path, { flags: 'w' });
+    this.stream.on('error', err => {
+      logger.error('recording', 'Failed to write bundle', { path: this.path, error: err.message });
+    });
+    this.stream.write(JSON.stringify({
+      type: 'header',
+      version: BUNDLE_VERSION,
+      startedAt: new Date(this.startedAt).toISOString(),
+      gtDir: this.gtDir,
+      host: hostname()
+    }) + '\n');
+  }
+
+  /**
+   * Milliseconds since the recording started
+   * @returns {number} Elapsed time
+   */
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  /**
+   * Append a record
+   * @param {CommandRecord|FileRecord} record - Record
+   */
+  write(record) {
+    if (!this.stream) return;
+    this.stream.write(JSON.stringify(record) + '\n');
+    this.records++;
+  }
+
+  /**
+   * Flush and close the file
+   * @returns {Promise<void>} Resolves when closed
+   */
+  close() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise(done => stream.end(done));
+  }
+}
+
+/**
+ * Read a bundle file
+ * @param {string} path - Bundle file path
+ * @returns {Bundle} Parsed bundle
+ * @throws {Error} If the file has no valid header
+ */
+export function loadBundle(path) {
+  const lines = readFileSync(path, 'utf-8').split('\n').filter(line => line.trim());
+  const parse = line => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  };
+
+  const header = parse(lines[0] || '');
+  if (!header || header.type !== 'header') {
+    throw new Error(`${path} is not a gtviz recording`);
+  }
+  if (header.version > BUNDLE_VERSION) {
+    throw new Error(`${path} is bundle version ${header.version}; this gtviz reads up to version ${BUNDLE_VERSION}`);
+  }
+
+  const commands = new Map();
+  const files = [];
+  let durationMs = 0;
+  for (const line of lines.slice(1)) {
+    const record = parse(line);
+    if (!record || typeof record.t !== 'number') continue;
+    durationMs = Math.max(durationMs, record.t);
+    if (record.type === 'command') {
+      const key = commandKey(record);
+      if (!commands.has(key)) commands.set(key, []);
+      commands.get(key).push(record);
+    } else if (record.type === 'file') {
+      files.push(record);
+    }
+  }
+
+  for (const records of commands.values()) {
+    records.sort((a, b) => a.t - b.t);
+  }
+  files.sort((a, b) => a.t - b.t);
+
+  return { header, commands, files, durationMs };
+}
+
+/**
+ * Describe an invocation in portable form
+ * @param {string} kind - execFile or execFileSync
+ * @param {string} cmd - Command or executable
+ * @param {string[]|null} args - Arguments
+ * @param {Object} options - child_process options
+ * @param {string} gtDir - Town directory
+ * @returns {Object} Invocation fields
+ */
+function describeInvocation(kind, cmd, args, options, gtDir) {
+  return {
+    kind,
+    cmd: toPortable(cmd, gtDir),
+    args: args ? args.map(arg => toPortable(arg, gtDir)) : null,
+    cwd: toPortable(options?.cwd || null, gtDir),
+    role: options?.env?.GT_ROLE || null
+  };
+}
+
+/**
+ * Create a source that runs commands through another source and records them
+ * @param {import('./data-source.js').DataSource} inner - Source that runs the commands
+ * @param {BundleWriter} writer - Bundle to record into
+ * @returns {import('./data-source.js').DataSource} Recording source
+ */
+export function createRecordingSource(inner, writer) {
+  const gtDir = writer.gtDir;
+  const text = value => toPortable(value == null ? '' : String(value), gtDir);
+
+  const record = (invocation, t, result, error) => {
+    writer.write({
+      type: 'command',
+      t,
+      ...invocation,
+      durationMs: writer.elapsed() - t,
+      stdout: text(error ? error.stdout : result.stdout),
+      stderr: text(error ? error.stderr : result.stderr),
+      error: error ? { message: text(error.message), code: error.code ?? null } : null
+    });
+  };
+
+  const run = async (invocation, fn) => {
+    const t = writer.elapsed();
+    try {
+      const result = await fn();
+      record(invocation, t, result, null);
+      return result;
+    } catch (err) {
+      record(invocation, t, null, err);
+      throw err;
+    }
+  };
+
+  return {
+    mode: 'record',
+    execFile: (file, args = [], options = {}) =>
+      run(describeInvocation('execFile', file, args, options, gtDir), () => inner.execFile(file, args, options)),
+    execFileSync: (file, args = [], options = {}) => {
+      const invocation = describeInvocation('execFileSync', file, args, options, gtDir);
+      const t = writer.elapsed();
+      try {
+        const stdout = inner.execFileSync(file, args, options);
+        record(invocation, t, { stdout, stderr: '' }, null);
+        return stdout;
+      } catch (err) {
+        record(invocation, t, null, err);
+        throw err;
+      }
+    }
+  };
+}
+
+/**
+ * Maps wall-clock time onto recording time at a playback speed
+ */
+export class ReplayClock {
+  /**
+   * @param {number} [speed=1] - Playback speed multiplier
+   */
+  constructor(speed = 1) {
+    this.speed = speed > 0 ? speed : 1;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Current position in the recording
+   * @returns {number} Milliseconds since the recording began
+   */
+  now() {
+    return (Date.now() - this.startedAt) * this.speed;
+  }
+
+  /**
+   * Convert a recording duration to wall-clock time
+   * @param {number} ms - Recording milliseconds
+   * @returns {number} Wall-clock milliseconds
+   */
+  toWallMs(ms) {
+    return Math.max(0, ms / this.speed);
+  }
+}
+
+/**
+ * Create a source that answers commands from a bundle
+ * @param {Bundle} bundle - Loaded bundle
+ * @param {Object} options - Options
+ * @param {ReplayClock} options.clock - Playback clock
+ * @param {string} [options.gtDir] - Town directory to substitute into paths
+ * @returns {import('./data-source.js').DataSource} Replay source
+ */
+export function createReplaySource(bundle, { clock, gtDir = '' }) {
+  const missing = new Set();
+
+  const lookup = (kind, cmd, args, options) => {
+    const key = commandKey(describeInvocation(kind, cmd, args, options, gtDir));
+    const records = bundle.commands.get(key);
+    if (!records) {
+      if (!missing.has(key)) {
+        missing.add(key);
+        logger.debug('recording', 'Command not in recording', { cmd, args });
+      }
+      const err = new Error(`Command not in recording: ${[cmd, ...(args || [])].join(' ')}`);
+      err.code = 'ENOTRECORDED';
+      throw err;
+    }
+
+    // Latest output as of the replay clock, or the first if the clock has not reached it yet
+    const now = clock.now();
+    let match = records[0];
+    for (const record of records) {
+      if (record.t > now) break;
+      match = record;
+    }
+    return match;
+  };
+
+  const respond = record => {
+    const stdout = fromPortable(record.stdout, gtDir);
+    const stderr = fromPortable(record.stderr, gtDir);
+    if (record.error) {
+      const err = new Error(fromPortable(record.error.message, gtDir));
+      err.code = record.error.code;
+      err.stdout = stdout;
+      err.stderr = stderr;
+      throw err;
+    }
+    return { stdout, stderr };
+  };
+
+  const replay = async (kind, cmd, args, options) => {
+    const record = lookup(kind, cmd, args, options);
+    await new Promise(done => setTimeout(done, clock.toWallMs(record.durationMs)));
+    return respond(record);
+  };
+
+  return {
+    mode: 'replay',
+    execFile: (file, args = [], options = {}) => replay('execFile', file, args, options),
+    execFileSync: (file, args = [], options = {}) => {
+      const { stdout } = respond(lookup('execFileSync', file, args, options));
+      return options.encoding ? stdout : Buffer.from(stdout);
+    }
+  };
+}
+
+/**
+ * Records changes to the files the server watches
+ */
+export class FileRecorder {
+  /**
+   * @param {BundleWriter} writer - Bundle to record into
+   */
+  constructor(writer) {
+    this.writer = writer;
+    this.gtDir = writer.gtDir;
+    /** @type {Map<string, string>} Last recorded content by relative path */
+    this.contents = new Map();
+    this.watcher = null;
+  }
+
+  /**
+   * Start watching. Existing files are recorded first as the initial state.
+   * @returns {Promise<void>} Resolves once the initial state is recorded
+   */
+  start() {
+    this.watcher = chokidar.watch(getWatchPatterns(this.gtDir), {
+      persistent: true,
+      ignoreInitial: false,
+      followSymlinks: true,
+      awaitWriteFinish: {
+        stabilityThreshold: 100,
+        pollInterval: 50
+      }
+    });
+
+    this.watcher.on('add', path => this.capture(path));
+    this.watcher.on('change', path => this.capture(path));
+    this.watcher.on('unlink', path => this.remove(path));
+    this.watcher.on('error', err => {
+      logger.error('recording', 'File recorder error', { error: err.message });
+    });
+
+    return new Promise(done => this.watcher.once('ready', done));
+  }
+
+  /**
+   * Stop watching
+   * @returns {Promise<void>} Resolves when the watcher is closed
+   */
+  async stop() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Record a file's new content, as an append when only new data was added
+   * @param {string} path - Absolute path
+   */
+  capture(path) {
+    let content;
+    try {
+      content = readFileSync(path, 'utf-8');
+    } catch {
+      return;
+    }
+
+    const rel = relative(this.gtDir, path);
+    const previous = this.contents.get(rel);
+    if (content === previous) return;
+
+    const appended = previous !== undefined && content.startsWith(previous);
+    this.writer.write({
+      type: 'file',
+      t: this.writer.elapsed(),
+      op: appended ? 'append' : 'write',
+      path: rel,
+      data: toPortable(appended ? content.slice(previous.length) : content, this.gtDir)
+    });
+    this.contents.set(rel, content);
+  }
+
+  /**
+   * Record a file removal
+   * @param {string} path - Absolute path
+   */
+  remove(path) {
+    const rel = relative(this.gtDir, path);
+    this.contents.delete(rel);
+    this.writer.write({ type: 'file', t: this.writer.elapsed(), op: 'unlink', path: rel });
+  }
+}
+
+/**
+ * Applies recorded file changes to a sandbox directory on the replay clock
+ */
+export class FileReplayer extends EventEmitter {
+  /**
+   * @param {Bundle} bundle - Loaded bundle
+   * @param {Object} options - Options
+   * @param {string} options.gtDir - Sandbox town directory
+   * @param {ReplayClock} options.clock - Playback clock
+   */
+  constructor(bundle, { gtDir, clock }) {
+    super();
+    this.files = bundle.files;
+    this.gtDir = resolve(gtDir);
+    this.clock = clock;
+    this.index = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Apply changes that are due and schedule the rest
+   */
+  start() {
+    this.advance();
+  }
+
+  /**
+   * Stop applying changes
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Apply every change up to the clock, then wait for the next one
+   */
+  advance() {
+    const now = this.clock.now();
+    while (this.index < this.files.length && this.files[this.index].t <= now) {
+      this.apply(this.files[this.index++]);
+    }
+
+    if (this.index < this.files.length) {
+      const waitMs = this.clock.toWallMs(this.files[this.index].t - now);
+      this.timer = setTimeout(() => this.advance(), waitMs);
+    } else {
+      this.timer = null;
+      this.emit('end');
+    }
+  }
+
+  /**
+   * Apply one change
+   * @param {FileRecord} record - File change
+   */
+  apply(record) {
+    const path = resolve(this.gtDir, record.path);
+    if (!path.startsWith(this.gtDir + sep)) {
+      logger.warn('recording', 'Skipping file outside the town directory', { path: record.path });
+      return;
+    }
+
+    try {
+      if (record.op === 'unlink') {
+        rmSync(path, { force: true });
+        return;
+      }
+      mkdirSync(dirname(path), { recursive: true });
+      const data = fromPortable(record.data || '', this.gtDir);
+      if (record.op === 'append') {
+        appendFileSync(path, data);
+      } else {
+        writeFileSync(path, data);
+      }
+    } catch (err) {
+      logger.warn('recording', 'Failed to apply recorded file change', { path: record.path, error: err.message });
+    }
+  }
+}
+
+/**
+ * Prepare a directory for replay. Refuses directories replay did not create,
+ * so a misconfigured GT_DIR never has a real town overwritten.
+ * @param {string} gtDir - Sandbox directory
+ * @throws {Error} If the directory has other content
+ */
+export function prepareSandbox(gtDir) {
+  if (existsSync(gtDir)) {
+    const entries = readdirSync(gtDir);
+    if (entries.length > 0 && !entries.includes(SANDBOX_MARKER)) {
+      throw new Error(`Refusing to replay into ${gtDir}: it is not empty and was not created for replay`);
+    }
+    for (const entry of entries) {
+      if (entry !== SANDBOX_MARKER) {
+        rmSync(join(gtDir, entry), { recursive: true, force: true });
+      }
+    }
+  }
+  mkdirSync(gtDir, { recursive: true });
+  writeFileSync(join(gtDir, SANDBOX_MARKER), '');
+}
+
+/**
+ * Route commands through a recording source and record watched files
+ * @param {Object} options - Options
+ * @param {string} options.path - Bundle file to create
+ * @param {string} options.gtDir - Town directory
+ * @param {boolean} [options.files=true] - Also record watched files
+ * @returns {Promise<{writer: BundleWriter, stop: function(): Promise<void>}>} Session handle
+ */
+export async function startRecording({ path, gtDir, files = true }) {
+  const writer = new BundleWriter(path, { gtDir });
+  writer.open();
+  setDataSource(createRecordingSource(createLiveSource(), writer));
+
+  const fileRecorder = files ? new FileRecorder(writer) : null;
+  if (fileRecorder) await fileRecorder.start();
+  logger.info('recording', 'Recording session', { path, gtDir });
+
+  return {
+    writer,
+    async stop() {
+      setDataSource(createLiveSource());
+      if (fileRecorder) await fileRecorder.stop();
+      await writer.close();
+      logger.info('recording', 'Recording saved', { path, records: writer.records, durationMs: writer.elapsed() });
+    }
+  };
+}
+
+/**
+ * Answer commands from a bundle and re-enact its file changes
+ * @param {Object} options - Options
+ * @param {string} options.path - Bundle file
+ * @param {number} [options.speed=1] - Playback speed multiplier
+ * @param {string} [options.gtDir] - Sandbox town directory; file changes are skipped without one
+ * @returns {{bundle: Bundle, clock: ReplayClock, stop: function(): void}} Session handle
+ */
+export function startReplay({ path, speed = 1, gtDir }) {
+  const bundle = loadBundle(path);
+  if (gtDir) prepareSandbox(gtDir);
+
+  const clock = new ReplayClock(speed);
+  setDataSource(createReplaySource(bundle, { clock, gtDir }));
+
+  let fileReplayer = null;
+  if (gtDir) {
+    fileReplayer = new FileReplayer(bundle, { gtDir, clock });
+    fileReplayer.once('end', () => {
+      logger.info('recording', 'Replayed all recorded file changes');
+    });
+    fileReplayer.start();
+  }
+  logger.info('recording', 'Replaying session', {
+    path,
+    speed: clock.speed,
+    recordedAt: bundle.header.startedAt,
+    durationMs: bundle.durationMs
+  });
+
+  return {
+    bundle,
+    clock,
+    stop() {
+      if (fileReplayer) fileReplayer.stop();
+      setDataSource(createLiveSource());
+    }
+  };
+}
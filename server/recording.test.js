@@ -0,0 +1,207 @@
+/**
+ * Tests for session recording and replay
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, appendFileSync, readFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  BundleWriter,
+  FileRecorder,
+  FileReplayer,
+  loadBundle,
+  createRecordingSource,
+  createReplaySource,
+  prepareSandbox,
+  GT_DIR_TOKEN
+} from './recording.js';
+
+/**
+ * Clock fixed at a position in the recording, with no replay delays
+ * @param {number} at - Recording milliseconds
+ */
+const fixedClock = at => ({ now: () => at, toWallMs: () => 0 });
+
+/**
+ * Source returning canned output, counting calls
+ * @param {Object<string, string>} outputs - stdout by command
+ */
+function createFakeSource(outputs) {
+  const run = cmd => {
+    if (!(cmd in outputs)) {
+      const err = new Error(`Command failed: ${cmd}`);
+      err.code = 127;
+      err.stdout = '';
+      err.stderr = 'not found';
+      throw err;
+    }
+    return { stdout: outputs[cmd], stderr: '' };
+  };
+  return {
+    mode: 'live',
+    execFile: async (file, args) => run([file, ...args].join(' ')),
+    execFileSync: (file, args) => run([file, ...args].join(' ')).stdout
+  };
+}
+
+describe('recording', () => {
+  let dir;
+  let gtDir;
+  let bundlePath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gtviz-recording-'));
+    gtDir = join(dir, 'town');
+    mkdirSync(join(gtDir, 'rig1', '.beads'), { recursive: true });
+    bundlePath = join(dir, 'session.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Record calls against a fake source and load the result
+   * @param {function(Object): Promise<void>} calls - Makes calls on the recording source
+   * @param {Object<string, string>} outputs - Fake command output
+   */
+  async function record(calls, outputs) {
+    const writer = new BundleWriter(bundlePath, { gtDir });
+    writer.open();
+    await calls(createRecordingSource(createFakeSource(outputs), writer));
+    await writer.close();
+    return loadBundle(bundlePath);
+  }
+
+  it('round-trips command output with the town directory made portable', async () => {
+    const bundle = await record(async source => {
+      await source.execFile('ls', [`${gtDir}/rig1/polecats`], { cwd: `${gtDir}/rig1` });
+      await source.execFile('ps', ['-A']);
+      source.execFileSync('gt', ['rig', 'ls'], { encoding: 'utf-8' });
+    }, {
+      [`ls ${gtDir}/rig1/polecats`]: 'nux\n',
+      'ps -A': `1 claude ${gtDir}/rig1\n`,
+      'gt rig ls': 'rig1\n'
+    });
+
+    assert.strictEqual(bundle.header.gtDir, gtDir);
+    const raw = readFileSync(bundlePath, 'utf-8').split('\n')[1];
+    assert.ok(raw.includes(`${GT_DIR_TOKEN}/rig1/polecats`));
+    assert.ok(!raw.includes(gtDir));
+
+    const sandbox = join(dir, 'sandbox');
+    const replay = createReplaySource(bundle, { clock: fixedClock(0), gtDir: sandbox });
+    const ls = await replay.execFile('ls', [`${sandbox}/rig1/polecats`], { cwd: `${sandbox}/rig1` });
+    assert.strictEqual(ls.stdout, 'nux\n');
+    const ps = await replay.execFile('ps', ['-A']);
+    assert.strictEqual(ps.stdout, `1 claude ${sandbox}/rig1\n`);
+    assert.strictEqual(replay.execFileSync('gt', ['rig', 'ls'], { encoding: 'utf-8' }), 'rig1\n');
+  });
+
+  it('replays failures with their output', async () => {
+    const bundle = await record(async source => {
+      await assert.rejects(source.execFile('bd', ['list']));
+    }, {});
+
+    const replay = createReplaySource(bundle, { clock: fixedClock(0) });
+    await assert.rejects(replay.execFile('bd', ['list']), err => {
+      assert.strictEqual(err.code, 127);
+      assert.strictEqual(err.stderr, 'not found');
+      return true;
+    });
+  });
+
+  it('rejects commands that were never recorded', async () => {
+    const bundle = await record(async () => {}, {});
+    const replay = createReplaySource(bundle, { clock: fixedClock(0) });
+    await assert.rejects(replay.execFile('gt', ['hook']), { code: 'ENOTRECORDED' });
+  });
+
+  it('distinguishes invocations by working directory and role', async () => {
+    const bundle = await record(async source => {
+      await source.execFile('gt', ['hook'], { cwd: `${gtDir}/rig1/witness`, env: { GT_ROLE: 'witness' } });
+    }, { 'gt hook': 'witness hook' });
+
+    const replay = createReplaySource(bundle, { clock: fixedClock(0), gtDir });
+    const hook = await replay.execFile('gt', ['hook'], { cwd: `${gtDir}/rig1/witness`, env: { GT_ROLE: 'witness' } });
+    assert.strictEqual(hook.stdout, 'witness hook');
+    await assert.rejects(replay.execFile('gt', ['hook'], { cwd: `${gtDir}/rig1/refinery` }), { code: 'ENOTRECORDED' });
+  });
+
+  it('answers with the latest output as of the replay clock', async () => {
+    writeFileSync(bundlePath, [
+      { type: 'header', version: 1, startedAt: '2026-01-01T00:00:00Z', gtDir: '/gt' },
+      { type: 'command', t: 1000, kind: 'execFile', cmd: 'gt', args: ['rig', 'list'], cwd: null, role: null, durationMs: 5, stdout: 'one', stderr: '', error: null },
+      { type: 'command', t: 5000, kind: 'execFile', cmd: 'gt', args: ['rig', 'list'], cwd: null, role: null, durationMs: 5, stdout: 'two', stderr: '', error: null }
+    ].map(r => JSON.stringify(r)).join('\n') + '\n');
+    const bundle = loadBundle(bundlePath);
+
+    const at = async ms => (await createReplaySource(bundle, { clock: fixedClock(ms) }).execFile('gt', ['rig', 'list'])).stdout;
+    assert.strictEqual(await at(0), 'one');
+    assert.strictEqual(await at(4999), 'one');
+    assert.strictEqual(await at(5000), 'two');
+    assert.strictEqual(await at(60000), 'two');
+    assert.strictEqual(bundle.durationMs, 5000);
+  });
+
+  it('refuses files that are not recordings', () => {
+    writeFileSync(bundlePath, '{"id":"gt-1"}\n');
+    assert.throws(() => loadBundle(bundlePath), /not a gtviz recording/);
+  });
+
+  it('records watched files as writes, then appends', async () => {
+    const issues = join(gtDir, 'rig1', '.beads', 'issues.jsonl');
+    const writer = new BundleWriter(bundlePath, { gtDir });
+    writer.open();
+    const recorder = new FileRecorder(writer);
+
+    writeFileSync(issues, '{"id":"gt-1"}\n');
+    recorder.capture(issues);
+    appendFileSync(issues, '{"id":"gt-2"}\n');
+    recorder.capture(issues);
+    recorder.capture(issues);
+    writeFileSync(issues, '{"id":"gt-3"}\n');
+    recorder.capture(issues);
+    recorder.remove(issues);
+    await writer.close();
+
+    const { files } = loadBundle(bundlePath);
+    assert.deepStrictEqual(files.map(f => [f.op, f.path, f.data]), [
+      ['write', 'rig1/.beads/issues.jsonl', '{"id":"gt-1"}\n'],
+      ['append', 'rig1/.beads/issues.jsonl', '{"id":"gt-2"}\n'],
+      ['write', 'rig1/.beads/issues.jsonl', '{"id":"gt-3"}\n'],
+      ['unlink', 'rig1/.beads/issues.jsonl', undefined]
+    ]);
+  });
+
+  it('applies file changes that are due and skips paths outside the sandbox', () => {
+    const sandbox = join(dir, 'sandbox');
+    const bundle = {
+      files: [
+        { type: 'file', t: 0, op: 'write', path: 'rig1/.beads/issues.jsonl', data: '{"id":"gt-1"}\n' },
+        { type: 'file', t: 10, op: 'append', path: 'rig1/.beads/issues.jsonl', data: '{"id":"gt-2"}\n' },
+        { type: 'file', t: 20, op: 'write', path: '../escape.txt', data: 'x' },
+        { type: 'file', t: 999999, op: 'unlink', path: 'rig1/.beads/issues.jsonl' }
+      ]
+    };
+
+    const replayer = new FileReplayer(bundle, { gtDir: sandbox, clock: fixedClock(100) });
+    replayer.start();
+    replayer.stop();
+
+    assert.strictEqual(readFileSync(join(sandbox, 'rig1', '.beads', 'issues.jsonl'), 'utf-8'), '{"id":"gt-1"}\n{"id":"gt-2"}\n');
+    assert.strictEqual(existsSync(join(dir, 'escape.txt')), false);
+  });
+
+  it('only prepares empty or previously used sandboxes', () => {
+    assert.throws(() => prepareSandbox(gtDir), /Refusing to replay/);
+
+    const sandbox = join(dir, 'sandbox');
+    prepareSandbox(sandbox);
+    writeFileSync(join(sandbox, 'leftover'), '');
+    prepareSandbox(sandbox);
+    assert.strictEqual(existsSync(join(sandbox, 'leftover')), false);
+  });
+});
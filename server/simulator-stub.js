@@ -0,0 +1,195 @@
+/**
+ * Simulator Stub Executables
+ *
+ * Stand-in for the gt, bd and tmux commands inside a simulated town. The
+ * simulator writes wrapper scripts that run:
+ *
+ *   node simulator-stub.js <gt|bd|tmux> <state.json> [args...]
+ *
+ * Answers come from the state file the simulator publishes each tick and
+ * from the town's files, in the same formats the real tools print.
+ *
+ * @module simulator-stub
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, relative } from 'path';
+
+/** Thrown by reply() to end the command once output is written */
+class Replied extends Error {}
+
+/**
+ * Print output and end the command. Exit happens once output is flushed,
+ * so large replies are not cut short when stdout is a pipe.
+ * @param {string|Object} output - Text, or a value printed as JSON
+ * @param {number} [code=0] - Exit code
+ * @throws {Replied} Always
+ */
+function reply(output, code = 0) {
+  const text = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+  (code === 0 ? process.stdout : process.stderr).write(text.endsWith('\n') ? text : text + '\n');
+  process.exitCode = code;
+  throw new Replied();
+}
+
+/**
+ * Read the latest version of each bead from a rig's issues file
+ * @param {string} rigPath - Rig directory
+ * @returns {Object[]} Raw bead records
+ */
+function readBeads(rigPath) {
+  const path = join(rigPath, '.beads', 'issues.jsonl');
+  if (!existsSync(path)) return [];
+  const beads = new Map();
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const bead = JSON.parse(line);
+      beads.set(bead.id, bead);
+    } catch {}
+  }
+  return [...beads.values()].filter(bead => bead.status !== 'tombstone');
+}
+
+/**
+ * Find the agent whose directory contains the working directory
+ * @param {Object} state - Published simulator state
+ * @returns {Object|null} Agent state
+ */
+function agentForCwd(state) {
+  const rel = relative(state.gtDir, process.cwd()).split('/');
+  const [rig, first, second] = rel;
+  const key = first === 'polecats' || first === 'crew' ? `${rig}/${first}/${second}` : `${rig}/${first}`;
+  return state.agents[key] || null;
+}
+
+/**
+ * Describe a polecat the way `gt polecat list --json` does
+ * @param {Object} agent - Agent state
+ * @returns {Object} Polecat record
+ */
+function polecatRecord(agent) {
+  return { rig: agent.rig, name: agent.name, state: agent.state, session_running: agent.session };
+}
+
+/**
+ * Handle a gt invocation
+ * @param {Object} state - Published simulator state
+ * @param {string[]} args - Arguments
+ */
+function gt(state, args) {
+  if (state.outage) {
+    reply('Error: town daemon not responding (simulated outage)', 1);
+  }
+  const json = args.includes('--json');
+  const [command, sub, target] = args.filter(arg => arg !== '--json');
+  const agents = Object.values(state.agents);
+  const polecats = agents.filter(agent => agent.role === 'polecat');
+
+  if (command === 'rig' && (sub === 'list' || sub === 'ls')) {
+    if (sub === 'ls' || !json) reply(Object.keys(state.rigs).join('\n'));
+    const rigs = {};
+    for (const [name, rig] of Object.entries(state.rigs)) {
+      rigs[name] = { name, polecats: rig.polecats.length, crew: rig.crew.length, agents: rig.agents, status: rig.status };
+    }
+    reply(rigs);
+  }
+
+  if (command === 'hook') {
+    const agent = agentForCwd(state);
+    if (!agent || !agent.hook) reply(json ? {} : 'No work on hook');
+    reply(json ? agent.hook : `Hooked: ${agent.hook.bead} - ${agent.hook.title}`);
+  }
+
+  if (command === 'session' && sub === 'list') {
+    reply(polecats.filter(agent => agent.session).map(agent => ({
+      rig: agent.rig,
+      polecat: agent.name,
+      session_id: `gt-${agent.rig}-${agent.name}`
+    })));
+  }
+
+  if (command === 'polecat' && sub === 'list') {
+    reply(polecats.filter(agent => agent.rig === target).map(polecatRecord));
+  }
+
+  if (command === 'polecat' && sub === 'status') {
+    const agent = state.agents[target?.replace('/', '/polecats/')];
+    if (!agent) reply(`Error: polecat ${target} not found`, 1);
+    reply(polecatRecord(agent));
+  }
+
+  if (command === 'bd' && sub === 'show') {
+    // Agent beads: gt-<rig>-polecat-<name>
+    const agent = polecats.find(a => target === `gt-${a.rig}-polecat-${a.name}`);
+    if (!agent) reply(`Error: no issue found: ${target}`, 1);
+    reply([{ id: target, hook_bead: agent.hook?.bead || null, description: `agent_state: ${agent.state}` }]);
+  }
+
+  reply(`Error: unknown command "${args.join(' ')}" (simulated gt)`, 1);
+}
+
+/**
+ * Handle a bd invocation (run from a rig directory)
+ * @param {Object} state - Published simulator state
+ * @param {string[]} args - Arguments
+ */
+function bd(state, args) {
+  const json = args.includes('--json');
+  const [command, id] = args.filter(arg => arg !== '--json');
+  const beads = readBeads(process.cwd());
+
+  if (command === 'list') {
+    const open = beads.filter(bead => bead.status !== 'closed');
+    reply(json ? open : open.map(bead => `${bead.id} [${bead.status}] ${bead.title}`).join('\n'));
+  }
+
+  if (command === 'show') {
+    const bead = beads.find(b => b.id === id);
+    if (!bead) reply(`Error: no issue found: ${id}`, 1);
+    reply(json ? [bead] : `${bead.id}: ${bead.title}\nStatus: ${bead.status}\n`);
+  }
+
+  reply(`Error: unknown command "${args.join(' ')}" (simulated bd)`, 1);
+}
+
+/**
+ * Handle a tmux invocation. Only `list-panes -a` is supported; each running
+ * session reports the simulator process as its pane.
+ * @param {Object} state - Published simulator state
+ * @param {string[]} args - Arguments
+ */
+function tmux(state, args) {
+  if (args[0] !== 'list-panes') {
+    reply('no server running (simulated tmux)', 1);
+  }
+  const lines = Object.values(state.agents)
+    .filter(agent => agent.session)
+    .map(agent => `gt-${agent.rig}-${agent.name}\t${Math.floor(agent.sessionStartedAt / 1000)}\t${state.pid}`);
+  reply(lines.join('\n'));
+}
+
+/**
+ * Run the tool named on the command line
+ */
+function main() {
+  const [tool, statePath, ...args] = process.argv.slice(2);
+  const tools = { gt, bd, tmux };
+  if (!tools[tool]) {
+    reply(`simulator-stub: unknown tool ${tool}`, 1);
+  }
+
+  let state;
+  try {
+    state = JSON.parse(readFileSync(statePath, 'utf-8'));
+  } catch (err) {
+    reply(`simulated ${tool}: cannot read simulator state: ${err.message}`, 1);
+  }
+  tools[tool](state, args);
+}
+
+try {
+  main();
+} catch (err) {
+  if (!(err instanceof Replied)) throw err;
+}
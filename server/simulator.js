@@ -0,0 +1,624 @@
+/**
+ * Town Simulator
+ *
+ * Builds a synthetic Gas Town under a scratch GT_DIR and keeps it changing.
+ * Polecats hook, work on and close beads. Sessions crash and restart, agents
+ * exchange mail, and the town occasionally becomes unreachable. Events,
+ * feed entries, logs and bead updates are written to the same files a real
+ * town uses. Stand-in gt, bd and tmux executables (simulator-stub.js) answer
+ * the poller's commands from the simulated state, so the whole server runs
+ * end-to-end without a real town.
+ *
+ * The same seed and options always produce the same sequence of changes.
+ *
+ * @module simulator
+ */
+
+import { EventEmitter } from 'events';
+import {
+  appendFileSync,
+  chmodSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  realpathSync,
+  renameSync,
+  rmSync,
+  writeFileSync
+} from 'fs';
+import { delimiter, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const STUB_PATH = join(dirname(fileURLToPath(import.meta.url)), 'simulator-stub.js');
+
+/** Directory inside the simulated town holding the stubs and published state */
+export const SIM_DIR = '.gtviz-sim';
+
+/** Bead writes between rewrites of issues.jsonl, as bd does when it compacts */
+const COMPACT_EVERY = 40;
+
+/** Mail files kept per mailbox */
+const MAILBOX_SIZE = 50;
+
+const RIG_NAMES = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel'];
+const POLECAT_NAMES = ['nux', 'slit', 'furiosa', 'toast', 'capable', 'dag', 'ace', 'rictus', 'morsov', 'keeper', 'valkyrie', 'cheedo'];
+const CREW_NAMES = ['max', 'angharad', 'joe', 'miss', 'organic'];
+const AREAS = ['poller', 'dashboard', 'mail router', 'merge queue', 'feed', 'config loader', 'websocket layer', 'auth'];
+const BEAD_TEMPLATES = [
+  ['bug', 'Fix crash in {area} on empty input'],
+  ['bug', 'Race condition in {area} shutdown'],
+  ['feature', 'Add retry support to {area}'],
+  ['feature', 'Expose {area} metrics'],
+  ['task', 'Refactor {area} error handling'],
+  ['task', 'Write integration tests for {area}'],
+  ['chore', 'Bump dependencies used by {area}']
+];
+const FAILURES = ['tests failed', 'merge conflict', 'context window exhausted', 'tool call timed out', 'lint errors'];
+const WORK_LOG_LINES = ['Reading files', 'Running tests', 'Editing source', 'Running linter', 'Committing changes'];
+
+/**
+ * Seeded random number source (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {{next: function(): number, int: function(number, number): number, pick: function(Array): *, chance: function(number): boolean}} Generator
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: items => items[Math.floor(next() * items.length)],
+    chance: p => next() < p
+  };
+}
+
+/**
+ * Simulator options
+ * @typedef {Object} SimulatorOptions
+ * @property {string} gtDir - Scratch town directory (created if missing)
+ * @property {number|string[]} [rigs=2] - Rig count or rig names
+ * @property {number} [polecats=3] - Polecats per rig
+ * @property {number} [crew=1] - Crew members per rig
+ * @property {number} [tickMs=2000] - Time between simulation steps
+ * @property {number} [seed] - Random seed (defaults to the current time)
+ * @property {number} [errorRate=0.05] - Chance per working polecat per tick that its work fails
+ * @property {number} [beadRate=0.3] - Chance per rig per tick that a new bead is filed
+ */
+
+export class TownSimulator extends EventEmitter {
+  /**
+   * @param {SimulatorOptions} options - Options
+   */
+  constructor(options) {
+    super();
+    this.gtDir = resolve(options.gtDir);
+    this.rigNames = Array.isArray(options.rigs)
+      ? options.rigs
+      : RIG_NAMES.slice(0, Math.min(options.rigs ?? 2, RIG_NAMES.length));
+    this.polecatCount = Math.min(options.polecats ?? 3, POLECAT_NAMES.length);
+    this.crewCount = Math.min(options.crew ?? 1, CREW_NAMES.length);
+    this.tickMs = options.tickMs ?? 2000;
+    this.errorRate = options.errorRate ?? 0.05;
+    this.beadRate = options.beadRate ?? 0.3;
+    this.seed = options.seed ?? Date.now();
+    this.random = createRandom(this.seed);
+
+    for (const name of this.rigNames) {
+      if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+        throw new Error(`Invalid rig name: ${name}`);
+      }
+    }
+
+    /** @type {Map<string, Object>} Rigs by name */
+    this.rigs = new Map();
+    /** @type {Map<string, Object>} Agents by path key (rig/witness, rig/polecats/nux) */
+    this.agents = new Map();
+    /** @type {Map<string, string[]>} Mail files by mailbox directory, oldest first */
+    this.mailboxes = new Map();
+    this.tickCount = 0;
+    this.beadSeq = 0;
+    this.mailSeq = 0;
+    this.outageTicks = 0;
+    this.timer = null;
+  }
+
+  /** @returns {string} Directory holding the stubs and published state */
+  get simDir() {
+    return join(this.gtDir, SIM_DIR);
+  }
+
+  /** @returns {string} Directory to put first on PATH */
+  get binDir() {
+    return join(this.simDir, 'bin');
+  }
+
+  /** @returns {string} State file read by the stubs */
+  get statePath() {
+    return join(this.simDir, 'state.json');
+  }
+
+  /**
+   * Create the town tree, stubs and initial beads. A directory with other
+   * content is refused so a real town is never overwritten.
+   * @throws {Error} If gtDir holds something other than a previous simulation
+   */
+  init() {
+    if (existsSync(this.gtDir)) {
+      const entries = readdirSync(this.gtDir);
+      if (entries.length > 0 && !entries.includes(SIM_DIR)) {
+        throw new Error(`Refusing to simulate in ${this.gtDir}: it is not empty and was not created by the simulator`);
+      }
+      for (const entry of entries) {
+        rmSync(join(this.gtDir, entry), { recursive: true, force: true });
+      }
+    }
+    mkdirSync(this.binDir, { recursive: true });
+    // Stubs match agents by comparing against their real working directory
+    this.gtDir = realpathSync(this.gtDir);
+
+    // A stub run for another simulated town (GT_DIR set by a multi-town
+    // server) answers from that town's state
+    for (const tool of ['gt', 'bd', 'tmux']) {
+      const path = join(this.binDir, tool);
+      writeFileSync(path, [
+        '#!/bin/sh',
+        `state="${this.statePath}"`,
+        `if [ -n "$GT_DIR" ] && [ -f "$GT_DIR/${SIM_DIR}/state.json" ]; then state="$GT_DIR/${SIM_DIR}/state.json"; fi`,
+        `exec "${process.execPath}" "${STUB_PATH}" ${tool} "$state" "$@"`,
+        ''
+      ].join('\n'));
+      chmodSync(path, 0o755);
+    }
+
+    this.rigNames.forEach((name, index) => this.createRig(name, index === 0));
+    for (const rig of this.rigs.values()) {
+      for (let i = 0; i < this.polecatCount * 2; i++) {
+        this.createBead(rig);
+      }
+      this.log(rig, 'INFO', `Rig ${rig.name} online (simulated, seed ${this.seed})`);
+    }
+    this.publish();
+    logger.info('simulator', 'Simulated town created', { gtDir: this.gtDir, rigs: this.rigNames, seed: this.seed });
+  }
+
+  /**
+   * Create a rig's directories and agents
+   * @param {string} name - Rig name
+   * @param {boolean} withMayor - Whether the mayor lives in this rig
+   */
+  createRig(name, withMayor) {
+    const rig = {
+      name,
+      path: join(this.gtDir, name),
+      beads: new Map(),
+      writes: 0,
+      polecats: POLECAT_NAMES.slice(0, this.polecatCount),
+      crew: CREW_NAMES.slice(0, this.crewCount),
+      roles: withMayor ? ['witness', 'refinery', 'mayor'] : ['witness', 'refinery']
+    };
+    this.rigs.set(name, rig);
+    mkdirSync(join(rig.path, '.beads'), { recursive: true });
+    writeFileSync(join(rig.path, '.beads', 'issues.jsonl'), '');
+
+    const addAgent = (key, agentName, role) => {
+      mkdirSync(join(this.gtDir, key, 'mail'), { recursive: true });
+      this.agents.set(key, {
+        rig: name,
+        name: agentName,
+        role,
+        session: true,
+        sessionStartedAt: Date.now(),
+        state: 'idle',
+        hook: null,
+        workLeft: 0,
+        downTicks: 0
+      });
+    };
+    for (const role of rig.roles) addAgent(`${name}/${role}`, role, role);
+    for (const polecat of rig.polecats) addAgent(`${name}/polecats/${polecat}`, polecat, 'polecat');
+    for (const member of rig.crew) addAgent(`${name}/crew/${member}`, member, 'crew');
+  }
+
+  /**
+   * Start ticking
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      try {
+        this.tick();
+      } catch (err) {
+        logger.warn('simulator', 'Simulation step failed', { error: err.message });
+      }
+    }, this.tickMs);
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Advance the simulation one step
+   */
+  tick() {
+    this.tickCount++;
+    this.stepOutage();
+
+    for (const rig of this.rigs.values()) {
+      if (this.random.chance(this.beadRate)) {
+        this.createBead(rig);
+      }
+      for (const polecat of rig.polecats) {
+        this.stepPolecat(rig, this.agents.get(`${rig.name}/polecats/${polecat}`));
+      }
+      for (const member of rig.crew) {
+        this.stepCrew(rig, this.agents.get(`${rig.name}/crew/${member}`));
+      }
+      if (this.random.chance(0.1)) {
+        const working = rig.polecats.filter(p => this.agents.get(`${rig.name}/polecats/${p}`).state === 'working');
+        this.log(rig, 'INFO', `Witness patrol: ${working.length}/${rig.polecats.length} polecats working`);
+      }
+      if (rig.writes >= COMPACT_EVERY) {
+        this.compactBeads(rig);
+      }
+    }
+
+    this.publish();
+    this.emit('tick', this.getStats());
+  }
+
+  /**
+   * Start or end a town-wide outage during which gt fails
+   */
+  stepOutage() {
+    const rig = this.rigs.values().next().value;
+    if (this.outageTicks > 0) {
+      this.outageTicks--;
+      if (this.outageTicks === 0) {
+        this.log(rig, 'INFO', 'Town daemon reachable again');
+      }
+    } else if (this.random.chance(this.errorRate / 5)) {
+      this.outageTicks = this.random.int(2, 6);
+      this.log(rig, 'ERROR', 'Town daemon not responding; gt commands failing');
+    }
+  }
+
+  /**
+   * Advance one polecat
+   * @param {Object} rig - Rig
+   * @param {Object} agent - Polecat
+   */
+  stepPolecat(rig, agent) {
+    if (!agent.session) {
+      agent.downTicks--;
+      if (agent.downTicks <= 0) {
+        agent.session = true;
+        agent.sessionStartedAt = Date.now();
+        agent.state = 'idle';
+        this.event(rig, 'session_start', `${rig.name}/witness`, `Restarted ${agent.name}`, { target: agent.name });
+        this.log(rig, 'INFO', `Session gt-${rig.name}-${agent.name} started`);
+      }
+      return;
+    }
+
+    switch (agent.state) {
+      case 'idle': {
+        const bead = this.nextOpenBead(rig);
+        if (bead && this.random.chance(0.5)) {
+          this.hookBead(rig, agent, bead);
+        }
+        break;
+      }
+      case 'working': {
+        const bead = rig.beads.get(agent.hook.bead);
+        if (this.random.chance(this.errorRate)) {
+          this.failWork(rig, agent, bead);
+          break;
+        }
+        if (bead.status === 'hooked') {
+          this.updateBead(rig, bead, { status: 'in_progress' });
+        }
+        if (this.random.chance(0.3)) {
+          this.agentLog(agent, `${this.random.pick(WORK_LOG_LINES)} for ${bead.id}`);
+        }
+        if (this.random.chance(0.05)) {
+          this.mail(rig, `polecats/${agent.name}`, 'witness', `NUDGE: status check on ${bead.id}`, 'Still making progress? Reply if blocked.');
+        }
+        agent.workLeft--;
+        if (agent.workLeft <= 0) {
+          this.completeWork(rig, agent, bead);
+        }
+        break;
+      }
+      default:
+        // Finished work last tick; ready for more
+        agent.state = 'idle';
+    }
+  }
+
+  /**
+   * Advance one crew member
+   * @param {Object} rig - Rig
+   * @param {Object} agent - Crew member
+   */
+  stepCrew(rig, agent) {
+    if (this.random.chance(0.15)) {
+      const to = rig.roles.includes('mayor') ? 'mayor' : 'witness';
+      this.mail(rig, to, agent.name, `Question about ${this.random.pick(AREAS)}`, 'Can someone take a look when there is a free polecat?');
+    }
+    if (this.random.chance(0.2)) {
+      this.agentLog(agent, `Reviewing ${this.random.pick(AREAS)}`);
+    }
+  }
+
+  /**
+   * File a new bead
+   * @param {Object} rig - Rig
+   * @returns {Object} Bead record
+   */
+  createBead(rig) {
+    const [type, template] = this.random.pick(BEAD_TEMPLATES);
+    const now = new Date().toISOString();
+    const bead = {
+      id: `${rig.name.slice(0, 2)}-${(++this.beadSeq).toString(36)}`,
+      title: template.replace('{area}', this.random.pick(AREAS)),
+      description: '',
+      status: 'open',
+      priority: this.random.int(0, 4),
+      issue_type: type,
+      assignee: null,
+      labels: [rig.name],
+      notes: '',
+      created_at: now,
+      updated_at: now,
+      closed_at: null
+    };
+    rig.beads.set(bead.id, bead);
+    this.writeBead(rig, bead);
+    this.feed(rig, 'create', `${rig.name}/witness`, `Filed ${bead.id}: ${bead.title}`);
+    return bead;
+  }
+
+  /**
+   * Change a bead and append the new version
+   * @param {Object} rig - Rig
+   * @param {Object} bead - Bead record
+   * @param {Object} changes - Fields to change
+   */
+  updateBead(rig, bead, changes) {
+    Object.assign(bead, changes, { updated_at: new Date().toISOString() });
+    this.writeBead(rig, bead);
+  }
+
+  /**
+   * Pick the highest-priority open bead
+   * @param {Object} rig - Rig
+   * @returns {Object|null} Bead record
+   */
+  nextOpenBead(rig) {
+    let best = null;
+    for (const bead of rig.beads.values()) {
+      if (bead.status === 'open' && (!best || bead.priority < best.priority)) {
+        best = bead;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Sling a bead to a polecat
+   * @param {Object} rig - Rig
+   * @param {Object} agent - Polecat
+   * @param {Object} bead - Bead record
+   */
+  hookBead(rig, agent, bead) {
+    this.updateBead(rig, bead, { status: 'hooked', assignee: `${rig.name}/${agent.name}` });
+    agent.state = 'working';
+    agent.workLeft = this.random.int(3, 10);
+    agent.hook = {
+      bead: bead.id,
+      title: bead.title,
+      molecule: null,
+      autonomousMode: true,
+      attachedAt: new Date().toISOString()
+    };
+    this.event(rig, 'sling', `${rig.name}/witness`, `Slung ${bead.id} to ${agent.name}`, { bead: bead.id, target: agent.name });
+    this.feed(rig, 'hook', `${rig.name}/${agent.name}`, `${agent.name} hooked ${bead.id}: ${bead.title}`);
+  }
+
+  /**
+   * Close a polecat's bead and hand it to the refinery
+   * @param {Object} rig - Rig
+   * @param {Object} agent - Polecat
+   * @param {Object} bead - Bead record
+   */
+  completeWork(rig, agent, bead) {
+    const now = new Date().toISOString();
+    this.updateBead(rig, bead, { status: 'closed', closed_at: now });
+    agent.hook = null;
+    agent.state = 'done';
+    this.event(rig, 'done', `${rig.name}/${agent.name}`, `${agent.name} finished ${bead.id}`, { bead: bead.id });
+    this.feed(rig, 'done', `${rig.name}/${agent.name}`, `${agent.name} closed ${bead.id}`);
+    this.mail(rig, 'witness', agent.name, `POLECAT_DONE ${bead.id}`, `Work on ${bead.id} is complete.`);
+    this.mail(rig, 'refinery', agent.name, `MERGE_READY ${bead.id}`, `Branch polecat/${agent.name}/${bead.id} is ready to merge.`);
+    this.agentLog(this.agents.get(`${rig.name}/refinery`), `Merged polecat/${agent.name}/${bead.id}`);
+  }
+
+  /**
+   * Fail a polecat's work, returning the bead to the queue. Sometimes the
+   * session dies with it.
+   * @param {Object} rig - Rig
+   * @param {Object} agent - Polecat
+   * @param {Object} bead - Bead record
+   */
+  failWork(rig, agent, bead) {
+    const reason = this.random.pick(FAILURES);
+    this.updateBead(rig, bead, { status: 'open', assignee: null, notes: `${agent.name}: ${reason}` });
+    agent.hook = null;
+    agent.state = 'idle';
+    this.log(rig, 'ERROR', `${agent.name} failed on ${bead.id}: ${reason}`);
+    this.event(rig, 'error', `${rig.name}/${agent.name}`, `${agent.name} failed on ${bead.id}: ${reason}`, { bead: bead.id });
+
+    if (this.random.chance(0.4)) {
+      agent.session = false;
+      agent.state = 'stopped';
+      agent.downTicks = this.random.int(2, 5);
+      this.log(rig, 'ERROR', `Session gt-${rig.name}-${agent.name} died`);
+      this.event(rig, 'session_death', `${rig.name}/${agent.name}`, `Session for ${agent.name} died`, { target: agent.name });
+    }
+  }
+
+  /**
+   * Append a bead version to issues.jsonl
+   * @param {Object} rig - Rig
+   * @param {Object} bead - Bead record
+   */
+  writeBead(rig, bead) {
+    appendFileSync(join(rig.path, '.beads', 'issues.jsonl'), JSON.stringify(bead) + '\n');
+    rig.writes++;
+  }
+
+  /**
+   * Rewrite issues.jsonl with one line per bead
+   * @param {Object} rig - Rig
+   */
+  compactBeads(rig) {
+    const path = join(rig.path, '.beads', 'issues.jsonl');
+    const lines = [...rig.beads.values()].map(bead => JSON.stringify(bead) + '\n').join('');
+    writeFileSync(`${path}.tmp`, lines);
+    renameSync(`${path}.tmp`, path);
+    rig.writes = 0;
+  }
+
+  /**
+   * Deliver a mail file
+   * @param {Object} rig - Rig
+   * @param {string} to - Mailbox owner relative to the rig (e.g. witness, polecats/nux)
+   * @param {string} from - Sender name
+   * @param {string} subject - Subject
+   * @param {string} body - Body
+   */
+  mail(rig, to, from, subject, body) {
+    const dir = join(rig.path, to, 'mail');
+    // The watcher takes the sender from the file name up to the first dash
+    const file = join(dir, `${from}-${Date.now()}-${++this.mailSeq}.md`);
+    writeFileSync(file, `From: ${from}\nTo: ${rig.name}/${to}\nSubject: ${subject}\nDate: ${new Date().toISOString()}\n\n${body}\n`);
+
+    const files = this.mailboxes.get(dir) || [];
+    files.push(file);
+    while (files.length > MAILBOX_SIZE) {
+      rmSync(files.shift(), { force: true });
+    }
+    this.mailboxes.set(dir, files);
+    this.feed(rig, 'mail', from, `${from} → ${to}: ${subject}`);
+  }
+
+  /**
+   * Append to a rig's .events.jsonl
+   * @param {Object} rig - Rig
+   * @param {string} type - Event type
+   * @param {string} actor - Acting agent
+   * @param {string} message - Summary
+   * @param {Object} [payload] - Event details
+   */
+  event(rig, type, actor, message, payload = {}) {
+    const line = { ts: new Date().toISOString(), source: 'gt', type, actor, message, payload };
+    appendFileSync(join(rig.path, '.events.jsonl'), JSON.stringify(line) + '\n');
+  }
+
+  /**
+   * Append to a rig's .feed.jsonl
+   * @param {Object} rig - Rig
+   * @param {string} type - Entry type
+   * @param {string} actor - Acting agent
+   * @param {string} message - Summary
+   */
+  feed(rig, type, actor, message) {
+    const line = { ts: new Date().toISOString(), type, actor, message };
+    appendFileSync(join(rig.path, '.feed.jsonl'), JSON.stringify(line) + '\n');
+  }
+
+  /**
+   * Append to a rig's town.log
+   * @param {Object} rig - Rig
+   * @param {string} level - INFO, WARN or ERROR
+   * @param {string} message - Message
+   */
+  log(rig, level, message) {
+    appendFileSync(join(rig.path, 'town.log'), `[${new Date().toISOString()}] [${level}] ${message}\n`);
+  }
+
+  /**
+   * Append to an agent's session log
+   * @param {Object} agent - Agent
+   * @param {string} message - Message
+   */
+  agentLog(agent, message) {
+    const dir = agent.role === 'polecat' ? `polecats/${agent.name}` : (agent.role === 'crew' ? `crew/${agent.name}` : agent.role);
+    appendFileSync(join(this.gtDir, agent.rig, dir, 'session.log'), `[${new Date().toISOString()}] [INFO] ${message}\n`);
+  }
+
+  /**
+   * Write the state the stubs answer from, atomically
+   */
+  publish() {
+    const rigs = {};
+    for (const rig of this.rigs.values()) {
+      const working = rig.polecats.some(p => this.agents.get(`${rig.name}/polecats/${p}`).state === 'working');
+      rigs[rig.name] = {
+        polecats: rig.polecats,
+        crew: rig.crew,
+        agents: rig.roles,
+        status: working ? 'active' : 'idle'
+      };
+    }
+
+    const agents = {};
+    for (const [key, agent] of this.agents) {
+      const { rig, name, role, session, sessionStartedAt, state, hook } = agent;
+      agents[key] = { rig, name, role, session, sessionStartedAt, state, hook };
+    }
+
+    const state = { gtDir: this.gtDir, pid: process.pid, tick: this.tickCount, outage: this.outageTicks > 0, rigs, agents };
+    writeFileSync(`${this.statePath}.tmp`, JSON.stringify(state));
+    renameSync(`${this.statePath}.tmp`, this.statePath);
+  }
+
+  /**
+   * Environment for processes that should see the simulated town
+   * @param {Object} [baseEnv=process.env] - Environment to extend
+   * @returns {Object} Environment with GT_DIR set and the stubs first on PATH
+   */
+  getEnv(baseEnv = process.env) {
+    return { ...baseEnv, GT_DIR: this.gtDir, PATH: `${this.binDir}${delimiter}${baseEnv.PATH || ''}` };
+  }
+
+  /**
+   * Summarize the simulation
+   * @returns {{tick: number, outage: boolean, beads: Object<string, number>, agents: Object<string, number>}} Counts
+   */
+  getStats() {
+    const beads = { open: 0, hooked: 0, in_progress: 0, closed: 0 };
+    for (const rig of this.rigs.values()) {
+      for (const bead of rig.beads.values()) {
+        beads[bead.status] = (beads[bead.status] || 0) + 1;
+      }
+    }
+    const agents = { idle: 0, working: 0, done: 0, stopped: 0 };
+    for (const agent of this.agents.values()) {
+      if (agent.role === 'polecat') agents[agent.state]++;
+    }
+    return { tick: this.tickCount, outage: this.outageTicks > 0, beads, agents };
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Tests for the town simulator and its stub executables
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TownSimulator, createRandom } from './simulator.js';
+
+describe('createRandom', () => {
+  it('repeats its sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const seq = r => Array.from({ length: 5 }, () => r.int(0, 1000));
+    assert.deepStrictEqual(seq(a), seq(b));
+  });
+});
+
+describe('TownSimulator', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gtviz-sim-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Create and initialize a simulator in a subdirectory
+   * @param {string} name - Subdirectory
+   * @param {Object} [options] - Extra simulator options
+   */
+  const createSimulator = (name, options = {}) => {
+    const simulator = new TownSimulator({ gtDir: join(dir, name), rigs: 2, polecats: 2, crew: 1, seed: 7, ...options });
+    simulator.init();
+    return simulator;
+  };
+
+  /**
+   * Latest status of each bead in a rig's issues file
+   * @param {TownSimulator} simulator - Simulator
+   * @param {string} rig - Rig name
+   */
+  const beadStatuses = (simulator, rig) => {
+    const latest = {};
+    for (const line of readFileSync(join(simulator.gtDir, rig, '.beads', 'issues.jsonl'), 'utf-8').split('\n')) {
+      if (line) {
+        const bead = JSON.parse(line);
+        latest[bead.id] = bead.status;
+      }
+    }
+    return latest;
+  };
+
+  /**
+   * Run a stub executable
+   * @param {TownSimulator} simulator - Simulator
+   * @param {string} tool - gt, bd or tmux
+   * @param {string[]} args - Arguments
+   * @param {string} [cwd] - Working directory
+   */
+  const runStub = (simulator, tool, args, cwd) =>
+    execFileSync(join(simulator.binDir, tool), args, { cwd: cwd || simulator.gtDir, encoding: 'utf-8', stdio: 'pipe' });
+
+  it('creates the town tree, agents and initial beads', () => {
+    const simulator = createSimulator('town');
+
+    assert.deepStrictEqual([...simulator.rigs.keys()], ['alpha', 'bravo']);
+    for (const path of ['alpha/witness/mail', 'alpha/refinery/mail', 'alpha/mayor/mail', 'alpha/polecats/nux/mail', 'bravo/crew/max/mail', 'alpha/town.log']) {
+      assert.ok(existsSync(join(simulator.gtDir, path)), `${path} missing`);
+    }
+    assert.strictEqual(existsSync(join(simulator.gtDir, 'bravo', 'mayor')), false);
+    assert.strictEqual(Object.keys(beadStatuses(simulator, 'alpha')).length, 4);
+  });
+
+  it('refuses a directory it did not create', () => {
+    writeFileSync(join(dir, 'notes.txt'), 'mine');
+    assert.throws(() => new TownSimulator({ gtDir: dir }).init(), /Refusing to simulate/);
+    assert.ok(existsSync(join(dir, 'notes.txt')));
+  });
+
+  it('produces the same bead history for the same seed', () => {
+    const first = createSimulator('one');
+    const second = createSimulator('two');
+    for (let i = 0; i < 30; i++) {
+      first.tick();
+      second.tick();
+    }
+    assert.deepStrictEqual(beadStatuses(first, 'alpha'), beadStatuses(second, 'alpha'));
+    assert.deepStrictEqual(first.getStats(), second.getStats());
+  });
+
+  it('moves beads through hook, work and close', () => {
+    const simulator = createSimulator('town', { errorRate: 0 });
+    for (let i = 0; i < 40; i++) simulator.tick();
+
+    const stats = simulator.getStats();
+    assert.ok(stats.beads.closed > 0, 'expected closed beads');
+    const events = readFileSync(join(simulator.gtDir, 'alpha', '.events.jsonl'), 'utf-8');
+    assert.match(events, /"type":"sling"/);
+    assert.match(events, /"type":"done"/);
+    const mail = readdirSync(join(simulator.gtDir, 'alpha', 'witness', 'mail'));
+    assert.ok(mail.some(file => /^(nux|slit)-/.test(file)), 'expected POLECAT_DONE mail from a polecat');
+  });
+
+  it('records failures in town.log when work fails', () => {
+    const simulator = createSimulator('town', { errorRate: 1 });
+    for (let i = 0; i < 10; i++) simulator.tick();
+    assert.match(readFileSync(join(simulator.gtDir, 'alpha', 'town.log'), 'utf-8'), /\[ERROR\]/);
+  });
+
+  it('answers gt, bd and tmux from the simulated state', () => {
+    const simulator = createSimulator('town', { errorRate: 0 });
+    let working;
+    for (let i = 0; i < 20 && !working; i++) {
+      simulator.tick();
+      working = [...simulator.agents.values()].find(agent => agent.state === 'working' && agent.rig === 'alpha');
+    }
+    assert.ok(working, 'expected a working polecat');
+
+    const rigs = JSON.parse(runStub(simulator, 'gt', ['rig', 'list', '--json']));
+    assert.deepStrictEqual(Object.keys(rigs), ['alpha', 'bravo']);
+    assert.strictEqual(rigs.alpha.polecats, 2);
+
+    const hook = JSON.parse(runStub(simulator, 'gt', ['hook', '--json'], join(simulator.gtDir, 'alpha', 'polecats', working.name)));
+    assert.strictEqual(hook.bead, working.hook.bead);
+    assert.deepStrictEqual(JSON.parse(runStub(simulator, 'gt', ['hook', '--json'], join(simulator.gtDir, 'alpha', 'witness'))), {});
+
+    const beads = JSON.parse(runStub(simulator, 'bd', ['list', '--json'], join(simulator.gtDir, 'alpha')));
+    assert.ok(beads.some(bead => bead.id === working.hook.bead));
+
+    const panes = runStub(simulator, 'tmux', ['list-panes', '-a', '-F', 'x']).trim().split('\n');
+    assert.ok(panes.some(line => line.startsWith(`gt-alpha-${working.name}\t`)));
+  });
+
+  it('fails gt commands during an outage', () => {
+    const simulator = createSimulator('town');
+    simulator.outageTicks = 3;
+    simulator.publish();
+    assert.throws(() => runStub(simulator, 'gt', ['rig', 'list', '--json']), /not responding/);
+  });
+});
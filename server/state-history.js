@@ -0,0 +1,245 @@
+/**
+ * State History
+ *
+ * Records how the town's structural state (rigs, agents, beads, hooks)
+ * changes over time so it can be reconstructed at any past instant.
+ *
+ * History is kept as JSONL segment files named `state-<startMs>.jsonl`.
+ * Each segment begins with a full snapshot followed by the state patches
+ * emitted by StateSync after it. A new segment (and snapshot) starts every
+ * snapshot interval and on every server start, so rebuilding a point in
+ * time only replays patches from the nearest preceding snapshot.
+ *
+ * @module state-history
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, appendFileSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { applyPatch } from './state-sync.js';
+import { STATE_SNAPSHOT_INTERVAL_MS, STATE_HISTORY_RETENTION_DAYS } from './constants.js';
+
+/**
+ * @typedef {import('./state-sync.js').StateSync} StateSync
+ * @typedef {import('./state-sync.js').StatePatch} StatePatch
+ */
+
+/**
+ * Reconstructed state at a point in time
+ * @typedef {Object} HistoricalState
+ * @property {string} timestamp - Requested instant
+ * @property {string} snapshotAt - Snapshot the state was rebuilt from
+ * @property {number} patchesApplied - Patches replayed on top of the snapshot
+ * @property {{rigs: Object, agents: Object, beads: Object, hooks: Object}} data - State at that instant
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = join(__dirname, '..', 'data', 'state-history');
+
+const SEGMENT_PATTERN = /^state-(\d+)\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** State keys recorded in history */
+export const HISTORY_KEYS = ['rigs', 'agents', 'beads', 'hooks'];
+
+/**
+ * Pick the recorded keys out of a state snapshot
+ * @param {Object} snapshot - StateSync snapshot
+ * @returns {Object} Recorded subset
+ */
+function pickHistoryKeys(snapshot) {
+  const data = {};
+  for (const key of HISTORY_KEYS) {
+    data[key] = snapshot?.[key] || {};
+  }
+  return data;
+}
+
+/**
+ * Create a state history recorder
+ * @param {StateSync} stateSync - State sync instance whose patches are recorded
+ * @param {Object} [options] - Options
+ * @param {string} [options.dir] - Directory for segment files
+ * @param {number} [options.snapshotIntervalMs] - Interval between full snapshots
+ * @param {number} [options.retentionDays] - Days of history to keep
+ * @returns {Object} State history
+ */
+export function createStateHistory(stateSync, options = {}) {
+  const dir = options.dir || DEFAULT_DIR;
+  const snapshotIntervalMs = options.snapshotIntervalMs ?? STATE_SNAPSHOT_INTERVAL_MS;
+  const retentionDays = options.retentionDays ?? STATE_HISTORY_RETENTION_DAYS;
+
+  /** @type {{file: string, start: number}[]} Oldest first */
+  let segments = [];
+  let recording = false;
+
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  segments = readdirSync(dir)
+    .map(file => {
+      const match = file.match(SEGMENT_PATTERN);
+      return match ? { file, start: Number(match[1]) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  /**
+   * Delete segments older than the retention window (the newest is always kept)
+   */
+  function prune() {
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    // A segment covers time until the next one starts
+    while (segments.length > 1 && segments[1].start <= cutoff) {
+      const [oldest] = segments.splice(0, 1);
+      try {
+        unlinkSync(join(dir, oldest.file));
+      } catch (err) {
+        logger.warn('state-history', 'Failed to delete segment', { file: oldest.file, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Start a new segment with a snapshot of the current synced state
+   */
+  function startSegment() {
+    const last = segments[segments.length - 1];
+    const start = Math.max(Date.now(), last ? last.start + 1 : 0);
+    const segment = { file: `state-${start}.jsonl`, start };
+    const line = JSON.stringify({
+      type: 'snapshot',
+      timestamp: new Date(start).toISOString(),
+      data: pickHistoryKeys(stateSync.snapshot)
+    });
+
+    try {
+      writeFileSync(join(dir, segment.file), line + '\n');
+      segments.push(segment);
+    } catch (err) {
+      logger.error('state-history', 'Failed to write snapshot', { file: segment.file, error: err.message });
+      return;
+    }
+    prune();
+  }
+
+  /**
+   * Record the part of a patch that touches history keys
+   * @param {StatePatch} patch - Patch emitted by StateSync
+   */
+  function handlePatch(patch) {
+    const current = segments[segments.length - 1];
+    if (!current) {
+      startSegment();
+      return;
+    }
+
+    const ops = patch.ops.filter(op => HISTORY_KEYS.includes(op.path.split('/')[1]));
+    if (ops.length > 0) {
+      const line = JSON.stringify({ type: 'patch', timestamp: new Date().toISOString(), version: patch.version, ops });
+      try {
+        appendFileSync(join(dir, current.file), line + '\n');
+      } catch (err) {
+        logger.error('state-history', 'Failed to append patch', { file: current.file, error: err.message });
+      }
+    }
+
+    if (Date.now() - current.start >= snapshotIntervalMs) {
+      startSegment();
+    }
+  }
+
+  return {
+    /**
+     * Start recording. Always begins a fresh segment: patches from a previous
+     * run do not continue from the state restored at startup.
+     */
+    start() {
+      if (recording) return;
+      recording = true;
+      startSegment();
+      stateSync.on('patch', handlePatch);
+    },
+
+    /**
+     * Stop recording
+     */
+    stop() {
+      if (!recording) return;
+      recording = false;
+      stateSync.off('patch', handlePatch);
+    },
+
+    /**
+     * Get the time range covered by history
+     * @returns {{earliest: string|null, latest: string}} ISO timestamps
+     */
+    getRange() {
+      return {
+        earliest: segments.length > 0 ? new Date(segments[0].start).toISOString() : null,
+        latest: new Date().toISOString()
+      };
+    },
+
+    /**
+     * Rebuild state at an instant
+     * @param {string|number} ts - ISO timestamp or epoch milliseconds
+     * @returns {HistoricalState|null} State, or null if no history covers that instant
+     * @throws {Error} If the timestamp is invalid
+     */
+    stateAt(ts) {
+      const target = typeof ts === 'number' ? ts : Date.parse(ts);
+      if (Number.isNaN(target)) throw new Error('Invalid timestamp');
+
+      let segment = null;
+      for (let i = segments.length - 1; i >= 0; i--) {
+        if (segments[i].start <= target) {
+          segment = segments[i];
+          break;
+        }
+      }
+      if (!segment) return null;
+
+      let content;
+      try {
+        content = readFileSync(join(dir, segment.file), 'utf8');
+      } catch (err) {
+        logger.warn('state-history', 'Failed to read segment', { file: segment.file, error: err.message });
+        return null;
+      }
+
+      let snapshot = null;
+      let data = null;
+      let patchesApplied = 0;
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+
+        if (entry.type === 'snapshot') {
+          snapshot = entry;
+          data = entry.data;
+        } else if (data && Date.parse(entry.timestamp) <= target) {
+          data = applyPatch(data, entry.ops);
+          patchesApplied++;
+        } else if (data) {
+          break;
+        }
+      }
+      if (!snapshot) return null;
+
+      return {
+        timestamp: new Date(target).toISOString(),
+        snapshotAt: snapshot.timestamp,
+        patchesApplied,
+        data
+      };
+    }
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Tests for state history (time travel)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StateSync } from './state-sync.js';
+import { createStateHistory } from './state-history.js';
+
+// Minimal stand-in for StateManager
+function createMockState(initial) {
+  const emitter = new EventEmitter();
+  emitter.state = initial;
+  emitter.getState = () => emitter.state;
+  return emitter;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+describe('createStateHistory', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gtviz-history-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rebuilds state at past instants from snapshot and patches', async () => {
+    const state = createMockState({ rigs: { rig1: {} }, agents: { rig1: [{ name: 'nux', status: 'idle' }] }, beads: {}, hooks: {} });
+    const sync = new StateSync(state);
+    const history = createStateHistory(sync, { dir });
+    sync.start();
+    history.start();
+
+    const t0 = Date.now();
+    await sleep(5);
+    state.state.agents.rig1[0].status = 'running';
+    sync.flush();
+    await sleep(5);
+    const t1 = Date.now();
+    await sleep(5);
+    state.state.beads.rig1 = [{ id: 'gt-1', status: 'open' }];
+    sync.flush();
+    history.stop();
+    sync.stop();
+
+    const atStart = history.stateAt(t0);
+    assert.strictEqual(atStart.data.agents.rig1[0].status, 'idle');
+    assert.strictEqual(atStart.patchesApplied, 0);
+
+    const atT1 = history.stateAt(new Date(t1).toISOString());
+    assert.strictEqual(atT1.data.agents.rig1[0].status, 'running');
+    assert.deepStrictEqual(atT1.data.beads, {});
+    assert.strictEqual(atT1.patchesApplied, 1);
+
+    const latest = history.stateAt(Date.now() + 1000);
+    assert.deepStrictEqual(latest.data.beads.rig1, [{ id: 'gt-1', status: 'open' }]);
+  });
+
+  it('ignores changes outside the recorded keys', () => {
+    const state = createMockState({ rigs: {}, agents: {}, beads: {}, hooks: {}, events: [] });
+    const sync = new StateSync(state);
+    const history = createStateHistory(sync, { dir });
+    sync.start();
+    history.start();
+
+    state.state.events.unshift({ type: 'feed' });
+    sync.flush();
+    history.stop();
+    sync.stop();
+
+    const result = history.stateAt(Date.now());
+    assert.strictEqual(result.patchesApplied, 0);
+    assert.deepStrictEqual(Object.keys(result.data), ['rigs', 'agents', 'beads', 'hooks']);
+  });
+
+  it('starts a new snapshot segment after the interval', async () => {
+    const state = createMockState({ rigs: {}, agents: {}, beads: {}, hooks: {} });
+    const sync = new StateSync(state);
+    const history = createStateHistory(sync, { dir, snapshotIntervalMs: 1 });
+    sync.start();
+    history.start();
+
+    await sleep(5);
+    state.state.rigs.rig1 = { name: 'rig1' };
+    sync.flush();
+    history.stop();
+    sync.stop();
+
+    assert.strictEqual(readdirSync(dir).length, 2);
+    assert.deepStrictEqual(history.stateAt(Date.now()).data.rigs, { rig1: { name: 'rig1' } });
+  });
+
+  it('returns null before recorded history and rejects invalid timestamps', () => {
+    const sync = new StateSync(createMockState({ rigs: {} }));
+    const history = createStateHistory(sync, { dir });
+    sync.start();
+    history.start();
+
+    assert.strictEqual(history.stateAt('2000-01-01T00:00:00Z'), null);
+    assert.throws(() => history.stateAt('not a time'), /Invalid timestamp/);
+    assert.ok(history.getRange().earliest);
+    history.stop();
+    sync.stop();
+  });
+
+  it('deletes segments outside the retention window', () => {
+    const old = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    writeFileSync(join(dir, `state-${old}.jsonl`), JSON.stringify({ type: 'snapshot', timestamp: new Date(old).toISOString(), data: {} }) + '\n');
+    writeFileSync(join(dir, `state-${old + 1000}.jsonl`), JSON.stringify({ type: 'snapshot', timestamp: new Date(old + 1000).toISOString(), data: {} }) + '\n');
+
+    const sync = new StateSync(createMockState({ rigs: {} }));
+    const history = createStateHistory(sync, { dir, retentionDays: 7 });
+    sync.start();
+    history.start();
+    history.stop();
+    sync.stop();
+
+    // The second old segment still covers time up to the new one
+    const files = readdirSync(dir);
+    assert.strictEqual(files.length, 2);
+    assert.ok(!files.includes(`state-${old}.jsonl`));
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * State Snapshot Persistence
+ *
+ * Reads and writes the `.gtviz/state.json` snapshot in the primary town
+ * that lets the server keep agent and bead history across restarts. The
+ * town is chosen by the caller (see getStatePath); nothing here reads the
+ * environment.
+ *
+ * - Snapshots carry a format version. Older versions are upgraded one step
+ *   at a time through the migration registry, so a new gtviz release never
+ *   has to discard history written by an older one.
+ * - Writes are atomic: the snapshot goes to a temp file that is fsynced and
+ *   renamed over the old one, so a crash mid-write leaves the previous file.
+ * - Before each write the existing snapshot is copied into a rotating set of
+ *   backups that the `gtviz state` CLI can verify and restore.
+ *
+ * @module state-snapshot
+ */
+
+import {
+  existsSync, mkdirSync, readFileSync, writeFileSync, readdirSync, statSync,
+  copyFileSync, renameSync, unlinkSync, openSync, fsyncSync, closeSync
+} from 'fs';
+import { join, dirname, basename } from 'path';
+import { createHash } from 'crypto';
+import { STATE_BACKUP_COUNT } from './constants.js';
+
+/** Current snapshot format version */
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * Persisted snapshot
+ * @typedef {Object} Snapshot
+ * @property {number} version - Snapshot format version
+ * @property {string} savedAt - ISO timestamp of the write
+ * @property {string} checksum - SHA-256 of the serialized state (v2+)
+ * @property {import('./types.js').State} state - Application state
+ * @property {Object<string, string>} previousStatus - Last seen agent statuses
+ * @property {Object<string, string>} previousBeadStatus - Last seen bead statuses
+ */
+
+/**
+ * Snapshot backup file
+ * @typedef {Object} BackupInfo
+ * @property {string} name - File name (pass to restoreBackup)
+ * @property {string} path - Absolute path
+ * @property {string} savedAt - ISO timestamp the backup was taken
+ * @property {number} size - Size in bytes
+ */
+
+/**
+ * Get the path of a town's live state snapshot
+ * @param {string} gtDir - Town directory
+ * @returns {string} Snapshot path (`<gtDir>/.gtviz/state.json`)
+ */
+export function getStatePath(gtDir) {
+  return join(gtDir, '.gtviz', 'state.json');
+}
+
+/**
+ * Compute the checksum stored with a snapshot
+ * @param {Object} state - Snapshot state
+ * @returns {string} Hex SHA-256 digest
+ */
+export function computeChecksum(state) {
+  return createHash('sha256').update(JSON.stringify(state)).digest('hex');
+}
+
+/**
+ * Migration registry, keyed by the version each step upgrades from.
+ * Every step must return a snapshot at exactly `from + 1`.
+ * @type {Object<number, {description: string, up: function(Object): Object}>}
+ */
+export const MIGRATIONS = {
+  1: {
+    description: 'Add state checksum',
+    up: snapshot => ({
+      ...snapshot,
+      version: 2,
+      checksum: computeChecksum(snapshot.state)
+    })
+  }
+};
+
+/**
+ * Upgrade a snapshot to the current version, one step at a time
+ * @param {Object} snapshot - Parsed snapshot
+ * @returns {{snapshot: Snapshot, applied: string[]}} Upgraded snapshot and applied step descriptions
+ * @throws {Error} If the version is missing, newer than supported, or has no migration path
+ */
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || !Number.isInteger(snapshot.version)) {
+    throw new Error('Snapshot has no format version');
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+  }
+
+  let current = snapshot;
+  const applied = [];
+  while (current.version < SNAPSHOT_VERSION) {
+    const migration = MIGRATIONS[current.version];
+    if (!migration) {
+      throw new Error(`No migration from snapshot version ${current.version}`);
+    }
+    const next = migration.up(current);
+    if (next.version !== current.version + 1) {
+      throw new Error(`Migration from version ${current.version} produced version ${next.version}`);
+    }
+    applied.push(`v${current.version} → v${next.version}: ${migration.description}`);
+    current = next;
+  }
+  return { snapshot: current, applied };
+}
+
+/**
+ * Check a current-version snapshot for structural problems
+ * @param {Snapshot} snapshot - Snapshot at SNAPSHOT_VERSION
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function validateSnapshot(snapshot) {
+  const problems = [];
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    problems.push(`Expected version ${SNAPSHOT_VERSION}, found ${snapshot.version}`);
+  }
+  if (!snapshot.state || typeof snapshot.state !== 'object' || Array.isArray(snapshot.state)) {
+    problems.push('Missing state object');
+    return problems;
+  }
+  if (snapshot.checksum !== computeChecksum(snapshot.state)) {
+    problems.push('Checksum mismatch: state was modified or truncated');
+  }
+  for (const key of ['rigs', 'agents', 'beads', 'hooks', 'agentHistory', 'beadHistory', 'hookHistory', 'beadOwnership']) {
+    const value = snapshot.state[key];
+    if (value !== undefined && (typeof value !== 'object' || Array.isArray(value) || value === null)) {
+      problems.push(`state.${key} should be an object`);
+    }
+  }
+  for (const key of ['events', 'mail', 'errors']) {
+    const value = snapshot.state[key];
+    if (value !== undefined && !Array.isArray(value)) {
+      problems.push(`state.${key} should be an array`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Read and parse a snapshot file (without migrating it)
+ * @param {string} path - Snapshot path
+ * @returns {Object} Parsed snapshot
+ * @throws {Error} If the file is missing or not valid JSON
+ */
+export function readSnapshotFile(path) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Read, migrate and validate a snapshot file
+ * @param {string} path - Snapshot path
+ * @returns {{snapshot: Snapshot, applied: string[], problems: string[]}} Loaded snapshot
+ * @throws {Error} If the file cannot be read, parsed or migrated
+ */
+export function loadSnapshotFile(path) {
+  const { snapshot, applied } = migrateSnapshot(readSnapshotFile(path));
+  return { snapshot, applied, problems: validateSnapshot(snapshot) };
+}
+
+/**
+ * Get the backup directory for a snapshot path
+ * @param {string} path - Snapshot path
+ * @returns {string} Backup directory
+ */
+function getBackupDir(path) {
+  return join(dirname(path), 'backups');
+}
+
+/**
+ * List backups of a snapshot, newest first
+ * @param {string} path - Snapshot path
+ * @returns {BackupInfo[]} Backups
+ */
+export function listBackups(path) {
+  const dir = getBackupDir(path);
+  if (!existsSync(dir)) return [];
+  const prefix = basename(path, '.json') + '-';
+
+  return readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(name => {
+      const file = join(dir, name);
+      const stats = statSync(file);
+      return { name, path: file, savedAt: stats.mtime.toISOString(), size: stats.size };
+    });
+}
+
+/**
+ * Copy the current snapshot into the backup set and drop the oldest backups
+ * @param {string} path - Snapshot path
+ * @param {number} keep - Backups to keep
+ */
+function rotateBackups(path, keep) {
+  if (keep <= 0 || !existsSync(path)) return;
+  const dir = getBackupDir(path);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+
+  // Names sort chronologically; bump the time on a collision to keep that order
+  const backupName = ms => `${basename(path, '.json')}-${new Date(ms).toISOString().replace(/[:.]/g, '-')}.json`;
+  let ms = Date.now();
+  while (existsSync(join(dir, backupName(ms)))) ms++;
+  copyFileSync(path, join(dir, backupName(ms)));
+
+  for (const backup of listBackups(path).slice(keep)) {
+    unlinkSync(backup.path);
+  }
+}
+
+/**
+ * Atomically write a file: temp file, fsync, rename
+ * @param {string} path - Destination path
+ * @param {string} data - File contents
+ */
+function writeFileAtomic(path, data) {
+  const tmp = `${path}.tmp-${process.pid}`;
+  try {
+    writeFileSync(tmp, data);
+    const fd = openSync(tmp, 'r');
+    try {
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmp, path);
+  } catch (err) {
+    if (existsSync(tmp)) unlinkSync(tmp);
+    throw err;
+  }
+}
+
+/**
+ * Write a snapshot atomically, backing up the previous one first
+ * @param {Object} snapshot - Snapshot to write
+ * @param {Object} options - Options
+ * @param {string} options.path - Snapshot path
+ * @param {number} [options.backups] - Backups to keep
+ * @throws {Error} If the write fails
+ */
+export function writeSnapshotFile(snapshot, { path, backups = STATE_BACKUP_COUNT }) {
+  if (!existsSync(dirname(path))) {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+  rotateBackups(path, backups);
+  writeFileAtomic(path, JSON.stringify(snapshot, null, 2));
+}
+
+/**
+ * Build a current-version snapshot
+ * @param {Object} state - Application state
+ * @param {Object<string, string>} previousStatus - Last seen agent statuses
+ * @param {Object<string, string>} previousBeadStatus - Last seen bead statuses
+ * @returns {Snapshot} Snapshot
+ */
+export function createSnapshot(state, previousStatus, previousBeadStatus) {
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    checksum: computeChecksum(state),
+    state,
+    previousStatus,
+    previousBeadStatus
+  };
+}
+
+/**
+ * Restore a backup over the live snapshot. The backup is migrated and
+ * validated first; the live snapshot is itself backed up before replacing it.
+ * @param {string} name - Backup file name (from listBackups)
+ * @param {Object} options - Options
+ * @param {string} options.path - Snapshot path
+ * @returns {{snapshot: Snapshot, applied: string[]}} Restored snapshot
+ * @throws {Error} If the backup does not exist or is invalid
+ */
+export function restoreBackup(name, { path }) {
+  const backup = listBackups(path).find(b => b.name === name);
+  if (!backup) {
+    throw new Error(`Backup not found: ${name}`);
+  }
+
+  const { snapshot, applied, problems } = loadSnapshotFile(backup.path);
+  if (problems.length > 0) {
+    throw new Error(`Backup is invalid: ${problems.join('; ')}`);
+  }
+  writeSnapshotFile(snapshot, { path });
+  return { snapshot, applied };
+}
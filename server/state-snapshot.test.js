@@ -0,0 +1,128 @@
+/**
+ * Tests for state snapshot persistence (migrations, atomic writes, backups)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  SNAPSHOT_VERSION,
+  computeChecksum,
+  createSnapshot,
+  migrateSnapshot,
+  validateSnapshot,
+  loadSnapshotFile,
+  writeSnapshotFile,
+  listBackups,
+  restoreBackup
+} from './state-snapshot.js';
+
+const v1Snapshot = () => ({
+  version: 1,
+  savedAt: '2026-01-01T00:00:00.000Z',
+  state: { rigs: { rig1: { name: 'rig1' } }, agentHistory: { 'rig1/nux': [{ status: 'running' }] } },
+  previousStatus: { 'rig1/nux': 'running' },
+  previousBeadStatus: {}
+});
+
+describe('migrateSnapshot', () => {
+  it('upgrades version 1 snapshots step by step', () => {
+    const { snapshot, applied } = migrateSnapshot(v1Snapshot());
+    assert.strictEqual(snapshot.version, SNAPSHOT_VERSION);
+    assert.strictEqual(applied.length, SNAPSHOT_VERSION - 1);
+    assert.strictEqual(snapshot.checksum, computeChecksum(snapshot.state));
+    assert.deepStrictEqual(snapshot.state.agentHistory, v1Snapshot().state.agentHistory);
+  });
+
+  it('leaves current snapshots unchanged', () => {
+    const current = createSnapshot({ rigs: {} }, {}, {});
+    const { snapshot, applied } = migrateSnapshot(current);
+    assert.strictEqual(snapshot, current);
+    assert.deepStrictEqual(applied, []);
+  });
+
+  it('rejects snapshots it cannot upgrade', () => {
+    assert.throws(() => migrateSnapshot({ state: {} }), /no format version/);
+    assert.throws(() => migrateSnapshot({ version: SNAPSHOT_VERSION + 1, state: {} }), /newer than supported/);
+    assert.throws(() => migrateSnapshot({ version: 0, state: {} }), /No migration from snapshot version 0/);
+  });
+});
+
+describe('validateSnapshot', () => {
+  it('accepts a fresh snapshot', () => {
+    assert.deepStrictEqual(validateSnapshot(createSnapshot({ rigs: {}, events: [] }, {}, {})), []);
+  });
+
+  it('detects modified state and wrong shapes', () => {
+    const snapshot = createSnapshot({ rigs: {}, events: [] }, {}, {});
+    snapshot.state.events = 'oops';
+    const problems = validateSnapshot(snapshot);
+    assert.ok(problems.some(p => p.includes('Checksum mismatch')));
+    assert.ok(problems.some(p => p.includes('state.events should be an array')));
+  });
+});
+
+describe('snapshot files', () => {
+  let dir;
+  let path;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gtviz-state-'));
+    path = join(dir, 'state.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes atomically without leaving temp files', () => {
+    writeSnapshotFile(createSnapshot({ rigs: {} }, {}, {}), { path });
+    assert.deepStrictEqual(readdirSync(dir), ['state.json']);
+    assert.strictEqual(JSON.parse(readFileSync(path, 'utf-8')).version, SNAPSHOT_VERSION);
+  });
+
+  it('keeps a rotating set of backups', () => {
+    for (let i = 0; i < 4; i++) {
+      writeSnapshotFile(createSnapshot({ rigs: { [`rig${i}`]: {} } }, {}, {}), { path, backups: 2 });
+    }
+    const backups = listBackups(path);
+    assert.strictEqual(backups.length, 2);
+
+    // Newest backup holds the snapshot before the last write
+    const { snapshot } = loadSnapshotFile(backups[0].path);
+    assert.deepStrictEqual(snapshot.state.rigs, { rig2: {} });
+  });
+
+  it('loads and migrates a version 1 file', () => {
+    writeFileSync(path, JSON.stringify(v1Snapshot()));
+    const { snapshot, applied, problems } = loadSnapshotFile(path);
+    assert.strictEqual(snapshot.version, SNAPSHOT_VERSION);
+    assert.ok(applied.length > 0);
+    assert.deepStrictEqual(problems, []);
+  });
+
+  it('restores a backup and backs up the replaced snapshot', () => {
+    writeSnapshotFile(createSnapshot({ rigs: { good: {} } }, {}, {}), { path });
+    writeSnapshotFile(createSnapshot({ rigs: { bad: {} } }, {}, {}), { path });
+    const [backup] = listBackups(path);
+
+    restoreBackup(backup.name, { path });
+
+    assert.deepStrictEqual(loadSnapshotFile(path).snapshot.state.rigs, { good: {} });
+    const backups = listBackups(path);
+    assert.strictEqual(backups.length, 2);
+    assert.deepStrictEqual(loadSnapshotFile(backups[0].path).snapshot.state.rigs, { bad: {} });
+  });
+
+  it('refuses to restore missing or invalid backups', () => {
+    assert.throws(() => restoreBackup('state-nope.json', { path }), /Backup not found/);
+
+    writeSnapshotFile(createSnapshot({ rigs: {} }, {}, {}), { path });
+    writeSnapshotFile(createSnapshot({ rigs: {} }, {}, {}), { path });
+    const [backup] = listBackups(path);
+    writeFileSync(backup.path, '{"version": 2, "state": {"rigs": {}}, "checksum": "bad"}');
+    assert.throws(() => restoreBackup(backup.name, { path }), /Backup is invalid/);
+  });
+});
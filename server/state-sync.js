@@ -0,0 +1,402 @@
+/**
+ * State Sync
+ *
+ * Computes JSON-patch style deltas between successive state snapshots so the
+ * server can broadcast incremental updates instead of the full state tree.
+ * Every patch carries a monotonically increasing state version; clients
+ * apply patches in order and request a full resync when they detect a gap.
+ *
+ * @module state-sync
+ */
+
+import { EventEmitter } from 'events';
+import { STATE_PATCH_DEBOUNCE_MS } from './constants.js';
+
+/**
+ * @typedef {import('./types.js').State} State
+ * @typedef {import('./state.js').StateManager} StateManager
+ */
+
+/**
+ * A single JSON-patch operation (subset of RFC 6902)
+ * @typedef {Object} PatchOperation
+ * @property {'add' | 'remove' | 'replace'} op - Operation type
+ * @property {string} path - JSON pointer to the target location
+ * @property {*} [value] - New value (add/replace only)
+ */
+
+/**
+ * A versioned state patch
+ * @typedef {Object} StatePatch
+ * @property {number} version - State version this patch produces
+ * @property {PatchOperation[]} ops - Operations to apply in order
+ */
+
+/**
+ * State keys that are excluded from patches because they already have
+ * dedicated broadcast messages (metrics, predictions, alerts, errorPatterns).
+ * They are still included in full state snapshots.
+ */
+export const PATCH_EXCLUDED_KEYS = ['metrics', 'predictions', 'alerts', 'errorPatterns'];
+
+// How far ahead to look for a prepended run in list-style arrays (events, logs)
+const MAX_PREPEND_SCAN = 100;
+
+/**
+ * Escape a key for use as a JSON pointer segment
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Escaped segment
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Split a JSON pointer into unescaped segments
+ * @param {string} path - JSON pointer (e.g. '/hooks/rig1/polecat~1nux')
+ * @returns {string[]} Path segments
+ */
+function parsePointer(path) {
+  if (path === '') return [];
+  return path.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Structural equality for JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+export function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    if (!Array.isArray(b) || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (!deepEqual(a[i], b[i])) return false;
+    }
+    return true;
+  }
+  if (isPlainObject(a)) {
+    if (!isPlainObject(b)) return false;
+    const aKeys = Object.keys(a);
+    if (aKeys.length !== Object.keys(b).length) return false;
+    for (const key of aKeys) {
+      if (!Object.prototype.hasOwnProperty.call(b, key) || !deepEqual(a[key], b[key])) return false;
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Find how many items were prepended to an array (unshift + truncate pattern)
+ * @param {Array} prev - Previous array
+ * @param {Array} next - Next array
+ * @returns {number} Number of prepended items, or 0 if not a pure prepend
+ */
+function findPrependShift(prev, next) {
+  if (prev.length === 0 || next.length === 0) return 0;
+  const maxShift = Math.min(next.length - 1, MAX_PREPEND_SCAN);
+
+  for (let shift = 1; shift <= maxShift; shift++) {
+    const kept = next.length - shift;
+    if (prev.length < kept) break;
+    if (!deepEqual(next[shift], prev[0])) continue;
+
+    let matches = true;
+    for (let i = 1; i < kept; i++) {
+      if (!deepEqual(next[shift + i], prev[i])) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) return shift;
+  }
+  return 0;
+}
+
+/**
+ * Diff two arrays, preferring prepend operations for list-style arrays
+ * @param {Array} prev - Previous array
+ * @param {Array} next - Next array
+ * @param {string} path - JSON pointer of the array
+ * @param {PatchOperation[]} ops - Accumulated operations
+ */
+function diffArrays(prev, next, path, ops) {
+  const shift = findPrependShift(prev, next);
+  if (shift > 0) {
+    const kept = next.length - shift;
+    for (let i = prev.length - 1; i >= kept; i--) {
+      ops.push({ op: 'remove', path: `${path}/${i}` });
+    }
+    for (let i = shift - 1; i >= 0; i--) {
+      ops.push({ op: 'add', path: `${path}/0`, value: next[i] });
+    }
+    return;
+  }
+
+  const common = Math.min(prev.length, next.length);
+  for (let i = 0; i < common; i++) {
+    diffValues(prev[i], next[i], `${path}/${i}`, ops);
+  }
+  for (let i = prev.length - 1; i >= next.length; i--) {
+    ops.push({ op: 'remove', path: `${path}/${i}` });
+  }
+  for (let i = prev.length; i < next.length; i++) {
+    ops.push({ op: 'add', path: `${path}/-`, value: next[i] });
+  }
+}
+
+/**
+ * Recursively diff two JSON values
+ * @param {*} prev - Previous value
+ * @param {*} next - Next value
+ * @param {string} path - JSON pointer of the value
+ * @param {PatchOperation[]} ops - Accumulated operations
+ */
+function diffValues(prev, next, path, ops) {
+  if (prev === next) return;
+
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    diffArrays(prev, next, path, ops);
+    return;
+  }
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (!Object.prototype.hasOwnProperty.call(next, key)) {
+        ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+      }
+    }
+    for (const key of Object.keys(next)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!Object.prototype.hasOwnProperty.call(prev, key)) {
+        ops.push({ op: 'add', path: childPath, value: next[key] });
+      } else {
+        diffValues(prev[key], next[key], childPath, ops);
+      }
+    }
+    return;
+  }
+
+  if (!deepEqual(prev, next)) {
+    ops.push({ op: 'replace', path, value: next });
+  }
+}
+
+/**
+ * Compute the patch operations that turn one JSON document into another
+ * @param {*} prev - Previous document
+ * @param {*} next - Next document
+ * @returns {PatchOperation[]} Operations to apply in order
+ */
+export function diffState(prev, next) {
+  const ops = [];
+  diffValues(prev, next, '', ops);
+  return ops;
+}
+
+/**
+ * Shallow-copy a container so it can be modified without touching the original
+ * @param {Object|Array} value - Container to copy
+ * @param {string} path - Path for error reporting
+ * @returns {Object|Array} Copy
+ */
+function copyContainer(value, path) {
+  if (Array.isArray(value)) return value.slice();
+  if (isPlainObject(value)) return { ...value };
+  throw new Error(`Invalid patch path: ${path}`);
+}
+
+/**
+ * Apply a single operation, copying containers along the path
+ * @param {*} root - Document root
+ * @param {PatchOperation} operation - Operation to apply
+ * @returns {*} New document root
+ */
+function applyOperation(root, { op, path, value }) {
+  const keys = parsePointer(path);
+  if (keys.length === 0) {
+    return op === 'remove' ? null : value;
+  }
+
+  const newRoot = copyContainer(root, path);
+  let parent = newRoot;
+  for (let i = 0; i < keys.length - 1; i++) {
+    const child = copyContainer(parent[keys[i]], path);
+    parent[keys[i]] = child;
+    parent = child;
+  }
+
+  const key = keys[keys.length - 1];
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : Number(key);
+    if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+      throw new Error(`Invalid patch path: ${path}`);
+    }
+    if (op === 'add') {
+      parent.splice(index, 0, value);
+    } else if (op === 'remove') {
+      parent.splice(index, 1);
+    } else {
+      parent[index] = value;
+    }
+  } else if (op === 'remove') {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+
+  return newRoot;
+}
+
+/**
+ * Apply patch operations to a document without mutating it. The dashboard
+ * has its own copy (client/src/lib/json-patch.js), tested against the same
+ * fixtures.
+ * @param {*} doc - Document to patch
+ * @param {PatchOperation[]} ops - Operations to apply in order
+ * @returns {*} Patched document
+ * @throws {Error} If an operation targets a path that does not exist
+ */
+export function applyPatch(doc, ops) {
+  let result = doc;
+  for (const operation of ops) {
+    result = applyOperation(result, operation);
+  }
+  return result;
+}
+
+/**
+ * StateSync - Turns StateManager changes into versioned patches
+ *
+ * Changes are coalesced for `debounceMs` so a poll cycle that calls
+ * updateAgents/updateBeads/updateHooks for every rig produces one patch.
+ *
+ * @extends EventEmitter
+ */
+export class StateSync extends EventEmitter {
+  /**
+   * Create a new StateSync
+   * @param {StateManager} state - State manager instance
+   * @param {Object} [options] - Options
+   * @param {number} [options.debounceMs] - Coalescing window for changes
+   * @param {string[]} [options.keys] - Only track these state keys (default: all but PATCH_EXCLUDED_KEYS)
+   */
+  constructor(state, options = {}) {
+    super();
+    /** @type {StateManager} */
+    this.state = state;
+    /** @type {number} */
+    this.debounceMs = options.debounceMs ?? STATE_PATCH_DEBOUNCE_MS;
+    /** @type {string[]|null} */
+    this.keys = options.keys || null;
+    /** @type {number} */
+    this.version = 0;
+    /** @type {Object|null} */
+    this.snapshot = null;
+    /** @type {NodeJS.Timeout|null} */
+    this.timer = null;
+
+    this.handleChange = () => this.schedule();
+  }
+
+  /**
+   * Start tracking state changes
+   */
+  start() {
+    this.snapshot = this.takeSnapshot();
+    this.state.on('update', this.handleChange);
+    this.state.on('event', this.handleChange);
+    this.state.on('error', this.handleChange);
+  }
+
+  /**
+   * Stop tracking state changes
+   */
+  stop() {
+    this.state.off('update', this.handleChange);
+    this.state.off('event', this.handleChange);
+    this.state.off('error', this.handleChange);
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Take a JSON-normalized copy of the patchable part of the state
+   * @returns {Object} Snapshot
+   */
+  takeSnapshot() {
+    return JSON.parse(JSON.stringify(this.getTrackedState()));
+  }
+
+  /**
+   * Get the tracked part of the live state (not copied)
+   * @returns {Object} Tracked keys and their values
+   */
+  getTrackedState() {
+    const current = this.state.getState();
+    const tracked = {};
+    for (const key of this.keys || Object.keys(current)) {
+      if (this.keys ? key in current : !PATCH_EXCLUDED_KEYS.includes(key)) {
+        tracked[key] = current[key];
+      }
+    }
+    return tracked;
+  }
+
+  /**
+   * Schedule a flush after the debounce window
+   */
+  schedule() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Diff the current state against the last snapshot and emit a patch
+   * @returns {StatePatch|null} Emitted patch, or null if nothing changed
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const next = this.takeSnapshot();
+    const ops = diffState(this.snapshot || {}, next);
+    this.snapshot = next;
+    if (ops.length === 0) return null;
+
+    this.version++;
+    /** @type {StatePatch} */
+    const patch = { version: this.version, ops };
+    this.emit('patch', patch);
+    return patch;
+  }
+
+  /**
+   * Get the full state tagged with the version it corresponds to (only the
+   * tracked keys when `keys` is set). Pending changes are flushed first so
+   * the snapshot and version agree.
+   * @returns {{version: number, data: State}} Full state and its version
+   */
+  getFullState() {
+    this.flush();
+    return { version: this.version, data: this.keys ? this.getTrackedState() : this.state.getState() };
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Tests for state sync (JSON-patch deltas)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { diffState, applyPatch, deepEqual, StateSync } from './state-sync.js';
+import { applyPatch as applyClientPatch } from '../client/src/lib/json-patch.js';
+
+// Minimal stand-in for StateManager
+function createMockState(initial) {
+  const emitter = new EventEmitter();
+  emitter.state = initial;
+  emitter.getState = () => emitter.state;
+  return emitter;
+}
+
+function roundTrip(prev, next) {
+  const ops = diffState(prev, next);
+  return { ops, result: applyPatch(prev, ops) };
+}
+
+describe('diffState', () => {
+  it('returns no operations for equal documents', () => {
+    const doc = { rigs: { a: { name: 'a' } }, events: [1, 2, 3] };
+    assert.deepStrictEqual(diffState(doc, JSON.parse(JSON.stringify(doc))), []);
+  });
+
+  it('emits add, remove and replace for object keys', () => {
+    const prev = { agents: { rig1: [], rig2: [] }, rigs: { rig1: { status: 'idle' } } };
+    const next = { agents: { rig1: [], rig3: [] }, rigs: { rig1: { status: 'active' } } };
+    const { ops, result } = roundTrip(prev, next);
+
+    assert.deepStrictEqual(ops, [
+      { op: 'remove', path: '/agents/rig2' },
+      { op: 'add', path: '/agents/rig3', value: [] },
+      { op: 'replace', path: '/rigs/rig1/status', value: 'active' }
+    ]);
+    assert.deepStrictEqual(result, next);
+  });
+
+  it('escapes slashes and tildes in keys', () => {
+    const prev = { hooks: { rig1: {} } };
+    const next = { hooks: { rig1: { 'polecat/nux': { bead: 'gt-1' }, 'a~b': 1 } } };
+    const { ops, result } = roundTrip(prev, next);
+
+    assert.strictEqual(ops[0].path, '/hooks/rig1/polecat~1nux');
+    assert.strictEqual(ops[1].path, '/hooks/rig1/a~0b');
+    assert.deepStrictEqual(result, next);
+  });
+
+  it('encodes prepended items without resending the whole list', () => {
+    const prev = { events: [{ id: 3 }, { id: 2 }, { id: 1 }] };
+    const next = { events: [{ id: 5 }, { id: 4 }, { id: 3 }, { id: 2 }] };
+    const { ops, result } = roundTrip(prev, next);
+
+    assert.deepStrictEqual(ops, [
+      { op: 'remove', path: '/events/2' },
+      { op: 'add', path: '/events/0', value: { id: 4 } },
+      { op: 'add', path: '/events/0', value: { id: 5 } }
+    ]);
+    assert.deepStrictEqual(result, next);
+  });
+
+  it('diffs arrays element-wise when not a prepend', () => {
+    const prev = { beads: [{ id: 'a', status: 'open' }, { id: 'b', status: 'open' }] };
+    const next = { beads: [{ id: 'a', status: 'done' }, { id: 'b', status: 'open' }, { id: 'c', status: 'open' }] };
+    const { ops, result } = roundTrip(prev, next);
+
+    assert.deepStrictEqual(ops, [
+      { op: 'replace', path: '/beads/0/status', value: 'done' },
+      { op: 'add', path: '/beads/-', value: { id: 'c', status: 'open' } }
+    ]);
+    assert.deepStrictEqual(result, next);
+  });
+
+  it('removes trailing array items from the end', () => {
+    const prev = { list: ['a', 'b', 'c', 'd'] };
+    const next = { list: ['x', 'b'] };
+    const { result } = roundTrip(prev, next);
+    assert.deepStrictEqual(result, next);
+  });
+
+  it('replaces values whose type changes', () => {
+    const prev = { metrics: { history: [1, 2] } };
+    const next = { metrics: { history: null } };
+    const { ops, result } = roundTrip(prev, next);
+    assert.deepStrictEqual(ops, [{ op: 'replace', path: '/metrics/history', value: null }]);
+    assert.deepStrictEqual(result, next);
+  });
+});
+
+// The dashboard applies the same patches with its own copy of applyPatch;
+// both run against these fixtures so they cannot drift apart
+const PATCH_FIXTURES = [
+  ['object keys', { agents: { rig1: [], rig2: [] }, rigs: { rig1: { status: 'idle' } } }, { agents: { rig1: [], rig3: [] }, rigs: { rig1: { status: 'active' } } }],
+  ['escaped keys', { hooks: { rig1: {} } }, { hooks: { rig1: { 'polecat/nux': { bead: 'gt-1' }, 'a~b': 1 } } }],
+  ['prepended items', { events: [{ id: 3 }, { id: 2 }, { id: 1 }] }, { events: [{ id: 5 }, { id: 4 }, { id: 3 }, { id: 2 }] }],
+  ['appended items', { beads: [{ id: 'a', status: 'open' }] }, { beads: [{ id: 'a', status: 'done' }, { id: 'c', status: 'open' }] }],
+  ['trailing removals', { list: ['a', 'b', 'c', 'd'] }, { list: ['x', 'b'] }],
+  ['type changes', { metrics: { history: [1, 2] } }, { metrics: { history: null } }],
+  ['the whole document', [1, 2], { rigs: {} }]
+];
+
+for (const [side, apply] of [['server', applyPatch], ['client', applyClientPatch]]) {
+  describe(`applyPatch (${side})`, () => {
+    it('turns each fixture into its target', () => {
+      for (const [name, prev, next] of PATCH_FIXTURES) {
+        assert.deepStrictEqual(apply(prev, diffState(prev, next)), next, name);
+      }
+    });
+
+    it('does not mutate the input document', () => {
+      const doc = { agents: { rig1: [{ name: 'a', status: 'idle' }] } };
+      const frozen = JSON.parse(JSON.stringify(doc));
+      const result = apply(doc, [{ op: 'replace', path: '/agents/rig1/0/status', value: 'running' }]);
+
+      assert.deepStrictEqual(doc, frozen);
+      assert.strictEqual(result.agents.rig1[0].status, 'running');
+      assert.notStrictEqual(result.agents, doc.agents);
+    });
+
+    it('throws on paths that do not exist', () => {
+      for (const op of [
+        { op: 'replace', path: '/agents/missing/0', value: 1 },
+        { op: 'add', path: '/events/5', value: 1 }
+      ]) {
+        assert.throws(() => apply({ agents: {}, events: [] }, [op]), /Invalid patch path/, op.path);
+      }
+    });
+  });
+}
+
+describe('deepEqual', () => {
+  it('compares nested structures', () => {
+    assert.strictEqual(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), true);
+    assert.strictEqual(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] }), false);
+    assert.strictEqual(deepEqual({ a: 1 }, { a: 1, b: undefined }), false);
+    assert.strictEqual(deepEqual([], {}), false);
+  });
+});
+
+describe('StateSync', () => {
+  it('emits patches with increasing versions', () => {
+    const state = createMockState({ rigs: {}, events: [] });
+    const sync = new StateSync(state);
+    const patches = [];
+    sync.on('patch', p => patches.push(p));
+    sync.start();
+
+    state.state.rigs.rig1 = { name: 'rig1' };
+    sync.flush();
+    state.state.events.unshift({ type: 'test' });
+    sync.flush();
+    sync.stop();
+
+    assert.deepStrictEqual(patches.map(p => p.version), [1, 2]);
+    assert.deepStrictEqual(patches[0].ops, [{ op: 'add', path: '/rigs/rig1', value: { name: 'rig1' } }]);
+  });
+
+  it('does not emit a patch when nothing changed', () => {
+    const state = createMockState({ rigs: {} });
+    const sync = new StateSync(state);
+    sync.start();
+    assert.strictEqual(sync.flush(), null);
+    assert.strictEqual(sync.version, 0);
+    sync.stop();
+  });
+
+  it('excludes keys that have dedicated broadcasts', () => {
+    const state = createMockState({ rigs: {}, metrics: {}, alerts: [] });
+    const sync = new StateSync(state);
+    sync.start();
+
+    state.state.metrics = { pollDuration: 12 };
+    state.state.alerts = [{ id: 'a1' }];
+    assert.strictEqual(sync.flush(), null);
+    sync.stop();
+  });
+
+  it('tracks only the given keys', () => {
+    const state = createMockState({ rigs: {}, events: [] });
+    const sync = new StateSync(state, { keys: ['rigs', 'hooks'] });
+    sync.start();
+
+    state.state.events.unshift({ type: 'test' });
+    assert.strictEqual(sync.flush(), null);
+    state.state.rigs.rig1 = { name: 'rig1' };
+    assert.deepStrictEqual(sync.flush().ops, [{ op: 'add', path: '/rigs/rig1', value: { name: 'rig1' } }]);
+    assert.deepStrictEqual(sync.getFullState(), { version: 1, data: { rigs: { rig1: { name: 'rig1' } } } });
+    sync.stop();
+  });
+
+  it('coalesces changes within the debounce window', async () => {
+    const state = createMockState({ agents: {} });
+    const sync = new StateSync(state, { debounceMs: 10 });
+    const patches = [];
+    sync.on('patch', p => patches.push(p));
+    sync.start();
+
+    state.state.agents.rig1 = [];
+    state.emit('update', state.state);
+    state.state.agents.rig2 = [];
+    state.emit('update', state.state);
+
+    await new Promise(r => setTimeout(r, 30));
+    sync.stop();
+
+    assert.strictEqual(patches.length, 1);
+    assert.strictEqual(patches[0].ops.length, 2);
+  });
+
+  it('flushes pending changes before returning full state', () => {
+    const state = createMockState({ rigs: {} });
+    const sync = new StateSync(state, { debounceMs: 1000 });
+    sync.start();
+
+    state.state.rigs.rig1 = { name: 'rig1' };
+    state.emit('update', state.state);
+    const full = sync.getFullState();
+    sync.stop();
+
+    assert.strictEqual(full.version, 1);
+    assert.deepStrictEqual(full.data.rigs, { rig1: { name: 'rig1' } });
+  });
+});
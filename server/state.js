@@ -1,12 +1,10 @@
 import { EventEmitter } from 'events';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { homedir } from 'os';
+import { existsSync } from 'fs';
 import { ErrorPatternAnalyzer } from './error-patterns.js';
-
-const GT_DIR = process.env.GT_DIR || join(homedir(), 'gt');
-const STATE_DIR = join(GT_DIR, '.gtviz');
-const STATE_FILE = join(STATE_DIR, 'state.json');
+import { createSnapshot, loadSnapshotFile, writeSnapshotFile } from './state-snapshot.js';
+import { config } from './config.js';
+import { DEFAULT_TOWN, rigKey, splitRigKey } from './towns.js';
+import { hookKey, assigneeAgent } from './parser-utils.js';
 
 /**
  * @typedef {import('./types.js').State} State
@@ -19,7 +17,10 @@ const STATE_FILE = join(STATE_DIR, 'state.json');
  * @typedef {import('./types.js').AgentStats} AgentStats
  * @typedef {import('./types.js').AgentCompletion} AgentCompletion
  * @typedef {import('./types.js').HookData} HookData
+ * @typedef {import('./types.js').HookInterval} HookInterval
+ * @typedef {import('./types.js').BeadOwner} BeadOwner
  * @typedef {import('./types.js').Forecasts} Forecasts
+ * @typedef {import('./circuit-breaker.js').SourceHealth} SourceHealth
  */
 
 /**
@@ -31,14 +32,22 @@ const STATE_FILE = join(STATE_DIR, 'state.json');
  * @extends EventEmitter
  */
 export class StateManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.statePath] - Snapshot file to save to and load from (see getStatePath); without one state is not persisted
+   */
+  constructor(options = {}) {
     super();
+    /** @type {string|null} */
+    this.statePath = options.statePath || null;
     /** @type {State} */
     this.state = {
+      towns: {},         // Watched towns by name
       rigs: {},
       agents: {},
       beads: {},
       hooks: {},
+      sources: {},       // Freshness and circuit state per rig and poll operation
       mail: [],
       events: [],
       errors: [],        // Backend errors (poll failures, file watcher errors)
@@ -47,6 +56,8 @@ export class StateManager extends EventEmitter {
       beadHistory: {},   // Track status changes per bead
       logs: [],          // Log entries from town.log, daemon.log
       agentStats: {},    // Performance stats per agent: completions, durations
+      hookHistory: {},   // Hook attach/detach intervals per agent ("rig/role/agent")
+      beadOwnership: {}, // Ownership chain per bead ("rig/beadId"), oldest first
       alerts: [],        // Active alerts from anomaly detector
       errorPatterns: {   // Error pattern analysis
         patterns: [],
@@ -77,25 +88,24 @@ export class StateManager extends EventEmitter {
     this.previousBeadStatus = {};
     /** @type {ErrorPatternAnalyzer} */
     this.errorPatternAnalyzer = new ErrorPatternAnalyzer();
+    /** @type {string|null} Why the last loadState failed */
+    this.lastLoadError = null;
+    /** @type {string} Town whose rigs are keyed by bare name */
+    this.primaryTown = DEFAULT_TOWN;
   }
 
   /**
-   * Save current state to disk for persistence across restarts
+   * Save current state to disk for persistence across restarts.
+   * The write is atomic and the previous snapshot is kept as a backup.
    * @returns {boolean} True if save succeeded, false otherwise
    */
   saveState() {
+    if (!this.statePath) return false;
     try {
-      if (!existsSync(STATE_DIR)) {
-        mkdirSync(STATE_DIR, { recursive: true });
-      }
-      const snapshot = {
-        version: 1,
-        savedAt: new Date().toISOString(),
-        state: this.state,
-        previousStatus: this.previousStatus,
-        previousBeadStatus: this.previousBeadStatus
-      };
-      writeFileSync(STATE_FILE, JSON.stringify(snapshot, null, 2));
+      writeSnapshotFile(createSnapshot(this.state, this.previousStatus, this.previousBeadStatus), {
+        path: this.statePath,
+        backups: config.get('state.backupCount')
+      });
       return true;
     } catch (err) {
       return false;
@@ -103,40 +113,35 @@ export class StateManager extends EventEmitter {
   }
 
   /**
-   * Load state from disk if available
+   * Load state from disk if available, migrating older snapshot versions.
+   * On failure the reason is kept in `lastLoadError` and the file is left
+   * untouched (the next save backs it up before replacing it).
    * @returns {boolean} True if state was restored, false otherwise
    */
   loadState() {
+    this.lastLoadError = null;
     try {
-      if (!existsSync(STATE_FILE)) {
+      if (!this.statePath || !existsSync(this.statePath)) {
         return false;
       }
-      const data = readFileSync(STATE_FILE, 'utf-8');
-      const snapshot = JSON.parse(data);
-
-      if (snapshot.version !== 1) {
+      const { snapshot, problems } = loadSnapshotFile(this.statePath);
+      if (problems.length > 0) {
+        this.lastLoadError = problems.join('; ');
         return false;
       }
 
-      // Restore state
-      this.state = snapshot.state;
+      // Restore state, keeping defaults for keys added since the snapshot was written
+      this.state = { ...this.state, ...snapshot.state };
       this.previousStatus = snapshot.previousStatus || {};
       this.previousBeadStatus = snapshot.previousBeadStatus || {};
 
       return true;
     } catch (err) {
+      this.lastLoadError = err.message;
       return false;
     }
   }
 
-  /**
-   * Get the path to the state file (for logging)
-   * @returns {string} Path to state file
-   */
-  static getStatePath() {
-    return STATE_FILE;
-  }
-
   /**
    * Get the current application state
    * @returns {State} Current state
@@ -162,6 +167,100 @@ export class StateManager extends EventEmitter {
     this.emit('update', this.state);
   }
 
+  /**
+   * Set the watched towns. Rigs of towns that are no longer configured
+   * (e.g. restored from an older snapshot) are dropped.
+   * @param {import('./towns.js').TownConfig[]} towns - Configured towns
+   */
+  setTowns(towns) {
+    this.primaryTown = towns.find(town => town.primary)?.name || DEFAULT_TOWN;
+    this.state.towns = Object.fromEntries(towns.map(town => [town.name, { name: town.name, primary: town.primary }]));
+    this.state.rigs = Object.fromEntries(
+      Object.entries(this.state.rigs).filter(([key]) => this.state.towns[this.getRigTown(key)])
+    );
+    this.emit('update', this.state);
+  }
+
+  /**
+   * Add or update a town's entry, e.g. a remote collector's connectivity
+   * @param {string} name - Town name
+   * @param {Object} info - Fields to merge into the entry
+   */
+  updateTown(name, info) {
+    this.state.towns[name] = { ...this.state.towns[name], name, ...info };
+    this.emit('update', this.state);
+  }
+
+  /**
+   * Get the town a rig key belongs to
+   * @param {string} key - Rig key
+   * @returns {string} Town name
+   */
+  getRigTown(key) {
+    return splitRigKey(key, this.primaryTown).town;
+  }
+
+  /**
+   * Get the rig keys of one town
+   * @param {string} town - Town name
+   * @returns {string[]} Rig keys
+   */
+  getTownRigs(town) {
+    return this.getRigs().filter(key => this.getRigTown(key) === town);
+  }
+
+  /**
+   * Replace one town's rigs, leaving other towns' rigs alone
+   * @param {string} town - Town name
+   * @param {Object<string, Rig>} rigs - Rigs by bare name
+   * @throws {Error} If the town is not registered
+   */
+  updateTownRigs(town, rigs) {
+    const info = this.state.towns[town];
+    if (!info) {
+      throw new Error(`Unknown town: ${town}`);
+    }
+    const next = {};
+    for (const [key, rig] of Object.entries(this.state.rigs)) {
+      if (this.getRigTown(key) !== town) next[key] = rig;
+    }
+    for (const [name, rig] of Object.entries(rigs)) {
+      next[rigKey(info, name)] = { ...rig, name: rig.name || name, town };
+    }
+    this.updateRigs(next);
+  }
+
+  /**
+   * Get hook data for a rig
+   * @param {string} rigName - Rig key
+   * @returns {Object<string, HookData>} Hooks by role and agent name
+   */
+  getHooks(rigName) {
+    return this.state.hooks[rigName] || {};
+  }
+
+  /**
+   * Get a rig's agents
+   * @param {string} rigName - Rig key
+   * @returns {Agent[]} Agents
+   */
+  getAgents(rigName) {
+    return this.state.agents[rigName] || [];
+  }
+
+  /**
+   * Copy each agent's hook onto it (hookBead, currentBead, hasWork)
+   * @param {Agent[]} agents - Agents of one rig
+   * @param {Object<string, HookData>} hooks - That rig's hooks
+   * @returns {Agent[]} Agents with their hooks joined
+   */
+  joinHooks(agents, hooks) {
+    return agents.map(agent => {
+      const bead = hooks[hookKey(agent.role, agent.name)]?.bead || null;
+      return { ...agent, hookBead: bead, currentBead: bead, hasWork: Boolean(bead) };
+    });
+  }
+
   /**
    * Update agents for a rig, tracking status changes in history
    * @param {string} rigName - Rig name
@@ -184,15 +283,16 @@ export class StateManager extends EventEmitter {
           agent: agent.name,
           rig: rigName
         });
-        // Keep last 50 entries per agent
-        if (this.state.agentHistory[key].length > 50) {
-          this.state.agentHistory[key] = this.state.agentHistory[key].slice(0, 50);
+        // Keep the most recent entries per agent
+        const maxEntries = config.get('limits.historyEntries');
+        if (this.state.agentHistory[key].length > maxEntries) {
+          this.state.agentHistory[key] = this.state.agentHistory[key].slice(0, maxEntries);
         }
         this.previousStatus[key] = agent.status;
       }
     }
 
-    this.state.agents[rigName] = agents;
+    this.state.agents[rigName] = this.joinHooks(agents, this.getHooks(rigName));
     this.emit('update', this.state);
   }
 
@@ -202,11 +302,21 @@ export class StateManager extends EventEmitter {
    * @param {Bead[]} beads - Array of bead objects
    */
   updateBeads(rigName, beads) {
+    const prevAssignees = new Map((this.state.beads[rigName] || []).map(bead => [bead.id, bead.assignee]));
+    const now = new Date().toISOString();
+
     // Track status changes in history
     for (const bead of beads) {
       const key = `${rigName}/${bead.id}`;
       const prevStatus = this.previousBeadStatus[key];
 
+      const assignee = assigneeAgent(bead.assignee);
+      if (assignee && assignee !== assigneeAgent(prevAssignees.get(bead.id))) {
+        this.recordBeadOwner(rigName, bead.id, assignee, this.assigneeRole(rigName, bead.assignee), 'assignee', now);
+      } else if (!assignee && prevAssignees.get(bead.id)) {
+        this.releaseBeadOwner(rigName, bead.id, assigneeAgent(prevAssignees.get(bead.id)), bead.status === 'open' ? 'released' : 'unhooked', now);
+      }
+
       if (prevStatus !== bead.status) {
         // Status changed - record in history
         if (!this.state.beadHistory[key]) {
@@ -218,12 +328,17 @@ export class StateManager extends EventEmitter {
           beadId: bead.id,
           rig: rigName
         });
-        // Keep last 50 entries per bead
-        if (this.state.beadHistory[key].length > 50) {
-          this.state.beadHistory[key] = this.state.beadHistory[key].slice(0, 50);
+        // Keep the most recent entries per bead
+        const maxEntries = config.get('limits.historyEntries');
+        if (this.state.beadHistory[key].length > maxEntries) {
+          this.state.beadHistory[key] = this.state.beadHistory[key].slice(0, maxEntries);
         }
         this.previousBeadStatus[key] = bead.status;
 
+        if (bead.status === 'done' || bead.status === 'closed') {
+          this.settleHookOutcomes(rigName, bead.id);
+        }
+
         // Add event for status change
         if (prevStatus) {
           this.addEvent({
@@ -237,8 +352,9 @@ export class StateManager extends EventEmitter {
         }
       }
 
-      // Attach status history to bead for display in modal
+      // Attach status history and owners to bead for display in modal
       bead.statusHistory = this.state.beadHistory[key] || [];
+      bead.ownership = this.getBeadOwnership(rigName, bead.id);
     }
 
     this.state.beads[rigName] = beads;
@@ -246,12 +362,262 @@ export class StateManager extends EventEmitter {
   }
 
   /**
-   * Update hook data for a rig
+   * Update hook data for a rig and join it onto the rig's agents
    * @param {string} rigName - Rig name
-   * @param {Object<string, HookData>} hooks - Hooks by agent name
+   * @param {Object<string, HookData>} hooks - Hooks by role and agent name (see hookKey)
    */
   updateHooks(rigName, hooks) {
+    this.trackHookHistory(rigName, this.getHooks(rigName), hooks);
     this.state.hooks[rigName] = hooks;
+    if (this.state.agents[rigName]) {
+      this.state.agents[rigName] = this.joinHooks(this.state.agents[rigName], hooks);
+    }
+    this.emit('update', this.state);
+  }
+
+  /**
+   * Close intervals for hooks that were cleared or replaced, and open one
+   * for each newly hooked bead
+   * @param {string} rigName - Rig name
+   * @param {Object<string, HookData>} prevHooks - The rig's previous hooks
+   * @param {Object<string, HookData>} hooks - Its new hooks
+   */
+  trackHookHistory(rigName, prevHooks, hooks) {
+    const now = new Date().toISOString();
+    const held = new Set(Object.values(hooks).map(hook => hook?.bead).filter(Boolean));
+    const agentOf = (key, hook) => hook.agent || key.split('/').pop();
+    const roleOf = (key, hook) => hook.role || (key.includes('/') ? key.split('/')[0] : null);
+    // Keyed like the hooks themselves, so namesakes in two roles stay apart
+    const historyKey = (key, hook) => `${rigName}/${hook.role ? hookKey(hook.role, agentOf(key, hook)) : key}`;
+
+    for (const [key, prev] of Object.entries(prevHooks)) {
+      if (!prev?.bead || hooks[key]?.bead === prev.bead) continue;
+      const interval = this.findOpenHookInterval(historyKey(key, prev), prev.bead);
+      const outcome = this.hookOutcome(rigName, prev.bead, held);
+      if (interval) {
+        interval.detachedAt = now;
+        interval.outcome = outcome;
+      }
+      // A handoff is closed by the new holder's attach below
+      if (outcome !== 'handed_off') {
+        this.releaseBeadOwner(rigName, prev.bead, agentOf(key, prev), outcome, now);
+      }
+    }
+
+    for (const [key, hook] of Object.entries(hooks)) {
+      if (!hook?.bead) continue;
+      const agentKey = historyKey(key, hook);
+      const open = this.findOpenHookInterval(agentKey, hook.bead);
+      if (open) {
+        // A molecule can be attached after the bead was hooked
+        open.molecule = hook.molecule || open.molecule;
+        continue;
+      }
+      this.recordBeadOwner(rigName, hook.bead, agentOf(key, hook), roleOf(key, hook), 'hook', hook.attachedAt || now);
+      const intervals = this.state.hookHistory[agentKey] || [];
+      intervals.unshift({
+        agent: agentOf(key, hook),
+        role: hook.role || null,
+        rig: rigName,
+        bead: hook.bead,
+        title: hook.title || '',
+        molecule: hook.molecule || null,
+        attachedAt: hook.attachedAt || now,
+        detachedAt: null,
+        outcome: null
+      });
+      this.state.hookHistory[agentKey] = intervals.slice(0, config.get('limits.historyEntries'));
+    }
+  }
+
+  /**
+   * Find an agent's interval for a bead that is still attached
+   * @param {string} agentKey - "rig/role/agent"
+   * @param {string} beadId - Bead ID
+   * @returns {HookInterval|undefined} Open interval
+   */
+  findOpenHookInterval(agentKey, beadId) {
+    return (this.state.hookHistory[agentKey] || []).find(interval => interval.bead === beadId && !interval.detachedAt);
+  }
+
+  /**
+   * Decide why a bead left an agent's hook
+   * @param {string} rigName - Rig name
+   * @param {string} beadId - Bead ID
+   * @param {Set<string>} held - Beads on some hook in the rig now
+   * @returns {'handed_off'|'completed'|'released'|'unhooked'} Outcome
+   */
+  hookOutcome(rigName, beadId, held) {
+    if (held.has(beadId)) return 'handed_off';
+    const status = (this.state.beads[rigName] || []).find(bead => bead.id === beadId)?.status;
+    if (status === 'done' || status === 'closed') return 'completed';
+    if (status === 'open') return 'released';
+    // Still hooked or in progress: settled once the bead's next status is seen
+    return 'unhooked';
+  }
+
+  /**
+   * Mark intervals and owners of a bead as completed when the bead closes,
+   * including those already unhooked (hooks and beads are polled separately)
+   * @param {string} rigName - Rig name
+   * @param {string} beadId - Bead ID
+   */
+  settleHookOutcomes(rigName, beadId) {
+    for (const [agentKey, intervals] of Object.entries(this.state.hookHistory)) {
+      if (!agentKey.startsWith(`${rigName}/`)) continue;
+      for (const interval of intervals) {
+        if (interval.bead === beadId && interval.outcome === 'unhooked') {
+          interval.outcome = 'completed';
+        }
+      }
+    }
+
+    const last = this.getBeadOwnership(rigName, beadId).at(-1);
+    if (last && !last.until) {
+      last.until = new Date().toISOString();
+      last.outcome = 'completed';
+    } else if (last?.outcome === 'unhooked') {
+      last.outcome = 'completed';
+    }
+  }
+
+  /**
+   * Note that an agent owns a bead. A different agent taking it over ends
+   * the previous owner's stint and counts as a handoff for both.
+   * @param {string} rigName - Rig name
+   * @param {string} beadId - Bead ID
+   * @param {string} agent - Agent name
+   * @param {string|null} role - Agent role, if known
+   * @param {'hook'|'assignee'} via - Where the ownership was seen
+   * @param {string} at - ISO time
+   */
+  recordBeadOwner(rigName, beadId, agent, role, via, at) {
+    const key = `${rigName}/${beadId}`;
+    const chain = this.state.beadOwnership[key] || (this.state.beadOwnership[key] = []);
+    const last = chain.at(-1);
+    // An assignee may not say which role it means; the hook does
+    const same = owner => owner.agent === agent && (!owner.role || !role || owner.role === role);
+    if (last && !last.until && same(last)) {
+      if (!last.via.includes(via)) last.via.push(via);
+      last.role = last.role || role;
+      return;
+    }
+    if (last && !last.until) {
+      last.until = at;
+      last.outcome = 'handed_off';
+    }
+    if (last && !same(last)) {
+      this.updateOwnerStats(rigName, last, { handoff: 'out' });
+      this.updateOwnerStats(rigName, { agent, role }, { handoff: 'in' });
+    }
+    chain.push({ agent, role, rig: rigName, via: [via], since: at, until: null, outcome: null });
+    // Trim in place: beads hold a reference to their chain
+    const maxEntries = config.get('limits.historyEntries');
+    if (chain.length > maxEntries) {
+      chain.splice(0, chain.length - maxEntries);
+    }
+  }
+
+  /**
+   * Work out which agent role a bead assignee means: from its path
+   * ('api/polecats/nux'), the rig's agent of that name, or the name of a
+   * role the rig has one of ('api/witness')
+   * @param {string} rigName - Rig name
+   * @param {string} assignee - Assignee
+   * @returns {string|null} Role, or null if it cannot be told
+   */
+  assigneeRole(rigName, assignee) {
+    const parts = assignee.split('/').filter(Boolean);
+    if (parts.includes('polecats')) return 'polecat';
+    if (parts.includes('crew')) return 'crew';
+    const name = parts.at(-1);
+    const agent = (this.state.agents[rigName] || []).find(candidate => candidate.name === name);
+    if (agent) return agent.role;
+    return ['mayor', 'witness', 'refinery'].includes(name) ? name : null;
+  }
+
+  /**
+   * Update the stats of a bead owner. Stats are keyed "rig/role/agent", so
+   * an owner whose role is not known has none.
+   * @param {string} rigName - Rig name
+   * @param {{agent: string, role: string|null}} owner - Owner
+   * @param {Object} stats - Stats update (see updateAgentStats)
+   */
+  updateOwnerStats(rigName, { agent, role }, stats) {
+    if (role) this.updateAgentStats(`${rigName}/${hookKey(role, agent)}`, stats);
+  }
+
+  /**
+   * End an agent's ownership of a bead without a new owner
+   * @param {string} rigName - Rig name
+   * @param {string} beadId - Bead ID
+   * @param {string} agent - Agent that let go
+   * @param {'completed'|'released'|'unhooked'} outcome - Why
+   * @param {string} at - ISO time
+   */
+  releaseBeadOwner(rigName, beadId, agent, outcome, at) {
+    const last = this.getBeadOwnership(rigName, beadId).at(-1);
+    if (last && !last.until && last.agent === agent) {
+      last.until = at;
+      last.outcome = outcome;
+    }
+  }
+
+  /**
+   * Get the agents that owned a bead
+   * @param {string} rigName - Rig key
+   * @param {string} beadId - Bead ID
+   * @returns {BeadOwner[]} Owners, oldest first
+   */
+  getBeadOwnership(rigName, beadId) {
+    return this.state.beadOwnership[`${rigName}/${beadId}`] || [];
+  }
+
+  /**
+   * List hook intervals, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.rig] - Rig key
+   * @param {string} [filters.agent] - Agent name
+   * @param {string} [filters.bead] - Bead ID
+   * @param {string} [filters.town] - Town name
+   * @param {string} [filters.since] - Intervals still attached at or after this ISO time
+   * @param {string} [filters.until] - Intervals attached at or before this ISO time
+   * @returns {HookInterval[]} Intervals
+   */
+  getHookHistory({ rig, agent, bead, town, since, until } = {}) {
+    return Object.values(this.state.hookHistory)
+      .flat()
+      .filter(interval =>
+        (!rig || interval.rig === rig) &&
+        (!agent || interval.agent === agent) &&
+        (!bead || interval.bead === bead) &&
+        (!town || this.getRigTown(interval.rig) === town) &&
+        (!since || !interval.detachedAt || interval.detachedAt >= since) &&
+        (!until || interval.attachedAt <= until))
+      .sort((a, b) => b.attachedAt.localeCompare(a.attachedAt));
+  }
+
+  /**
+   * Drop a rig's current data, e.g. once a remote town stops reporting the
+   * rig. Its history is kept.
+   * @param {string} rigName - Rig name
+   * @param {string[]} [keys] - State keys to clear (default: agents, beads, hooks and sources)
+   */
+  clearRig(rigName, keys = ['agents', 'beads', 'hooks', 'sources']) {
+    for (const key of keys) {
+      delete this.state[key][rigName];
+    }
+    this.emit('update', this.state);
+  }
+
+  /**
+   * Record the freshness and circuit state of one of a rig's data sources
+   * @param {string} rigName - Rig name
+   * @param {string} operation - Poll operation (agents, beads, hooks)
+   * @param {SourceHealth} health - Source health
+   */
+  updateSourceHealth(rigName, operation, health) {
+    this.state.sources[rigName] = { ...this.state.sources[rigName], [operation]: health };
     this.emit('update', this.state);
   }
 
@@ -261,8 +627,9 @@ export class StateManager extends EventEmitter {
    */
   addEvent(event) {
     this.state.events.unshift(event);
-    if (this.state.events.length > 100) {
-      this.state.events = this.state.events.slice(0, 100);
+    const maxEvents = config.get('limits.events');
+    if (this.state.events.length > maxEvents) {
+      this.state.events = this.state.events.slice(0, maxEvents);
     }
     this.emit('event', event);
   }
@@ -272,9 +639,17 @@ export class StateManager extends EventEmitter {
    * @param {Object} mail - Mail object with from, to, subject, etc.
    */
   addMail(mail) {
+    // The watcher's copy of mail sent from the dashboard replaces the copy
+    // shown when it was sent
+    if (!mail.outgoing) {
+      const sent = this.state.mail.findIndex(m => m.outgoing &&
+        m.rig === mail.rig && m.to === mail.to && m.subject === mail.subject);
+      if (sent !== -1) this.state.mail.splice(sent, 1);
+    }
     this.state.mail.unshift(mail);
-    if (this.state.mail.length > 50) {
-      this.state.mail = this.state.mail.slice(0, 50);
+    const maxMail = config.get('limits.mail');
+    if (this.state.mail.length > maxMail) {
+      this.state.mail = this.state.mail.slice(0, maxMail);
     }
     this.emit('event', { type: 'mail', ...mail });
   }
@@ -294,8 +669,9 @@ export class StateManager extends EventEmitter {
    */
   addLog(log) {
     this.state.logs.unshift(log);
-    if (this.state.logs.length > 500) {
-      this.state.logs = this.state.logs.slice(0, 500);
+    const maxLogs = config.get('limits.logs');
+    if (this.state.logs.length > maxLogs) {
+      this.state.logs = this.state.logs.slice(0, maxLogs);
     }
     this.emit('event', { type: 'log', ...log });
 
@@ -329,9 +705,10 @@ export class StateManager extends EventEmitter {
       ...error
     };
     this.state.errors.unshift(errorEvent);
-    // Keep only last 50 errors
-    if (this.state.errors.length > 50) {
-      this.state.errors = this.state.errors.slice(0, 50);
+    // Keep only the most recent errors
+    const maxErrors = config.get('limits.errors');
+    if (this.state.errors.length > maxErrors) {
+      this.state.errors = this.state.errors.slice(0, maxErrors);
     }
     this.emit('error', errorEvent);
     // Also emit as event so it shows in the event log
@@ -357,24 +734,34 @@ export class StateManager extends EventEmitter {
 
   /**
    * Update agent statistics for performance tracking
-   * @param {string} agentKey - Agent key (rig/agentName)
+   * @param {string} agentKey - Agent key (rig/role/agentName)
    * @param {Object} stats - Stats update
    * @param {AgentCompletion} [stats.completion] - Completion to record
+   * @param {'in'|'out'} [stats.handoff] - Handoff to count
    */
   updateAgentStats(agentKey, stats) {
     if (!this.state.agentStats[agentKey]) {
       this.state.agentStats[agentKey] = {
         completions: [],
         totalCompleted: 0,
-        avgDuration: 0
+        avgDuration: 0,
+        handoffsIn: 0,
+        handoffsOut: 0
       };
     }
     const agentStats = this.state.agentStats[agentKey];
 
+    if (stats.handoff === 'in') {
+      agentStats.handoffsIn = (agentStats.handoffsIn || 0) + 1;
+    } else if (stats.handoff === 'out') {
+      agentStats.handoffsOut = (agentStats.handoffsOut || 0) + 1;
+    }
+
     if (stats.completion) {
       agentStats.completions.unshift(stats.completion);
-      if (agentStats.completions.length > 50) {
-        agentStats.completions = agentStats.completions.slice(0, 50);
+      const maxCompletions = config.get('limits.completions');
+      if (agentStats.completions.length > maxCompletions) {
+        agentStats.completions = agentStats.completions.slice(0, maxCompletions);
       }
       agentStats.totalCompleted = agentStats.completions.length;
 
@@ -392,9 +779,19 @@ export class StateManager extends EventEmitter {
     this.emit('update', this.state);
   }
 
+  /**
+   * Replace an agent's statistics, e.g. with stats computed by a remote collector
+   * @param {string} agentKey - Agent key (rig/role/agentName)
+   * @param {AgentStats} stats - Stats
+   */
+  setAgentStats(agentKey, stats) {
+    this.state.agentStats[agentKey] = stats;
+    this.emit('update', this.state);
+  }
+
   /**
    * Get statistics for a specific agent
-   * @param {string} agentKey - Agent key (rig/agentName)
+   * @param {string} agentKey - Agent key (rig/role/agentName)
    * @returns {AgentStats|null} Agent stats or null if not found
    */
   getAgentStats(agentKey) {
@@ -403,8 +800,9 @@ export class StateManager extends EventEmitter {
 
   addAlert(alert) {
     this.state.alerts.unshift(alert);
-    if (this.state.alerts.length > 100) {
-      this.state.alerts = this.state.alerts.slice(0, 100);
+    const maxAlerts = config.get('limits.alerts');
+    if (this.state.alerts.length > maxAlerts) {
+      this.state.alerts = this.state.alerts.slice(0, maxAlerts);
     }
     this.emit('alert', alert);
   }
@@ -1,30 +1,26 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { StateManager } from './state.js';
-import { existsSync, unlinkSync, mkdirSync, rmSync } from 'fs';
-import { join } from 'path';
-import { homedir } from 'os';
-
-const GT_DIR = process.env.GT_DIR || join(homedir(), 'gt');
-const STATE_DIR = join(GT_DIR, '.gtviz');
-const STATE_FILE = join(STATE_DIR, 'state.json');
+import { existsSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { tmpdir } from 'os';
+import { getStatePath } from './state-snapshot.js';
 
 describe('StateManager persistence', () => {
+  let gtDir;
+  let STATE_FILE;
+  let STATE_DIR;
   let state;
 
   beforeEach(() => {
-    state = new StateManager();
-    // Clean up any existing state file
-    if (existsSync(STATE_FILE)) {
-      unlinkSync(STATE_FILE);
-    }
+    gtDir = mkdtempSync(join(tmpdir(), 'gtviz-state-'));
+    STATE_FILE = getStatePath(gtDir);
+    STATE_DIR = dirname(STATE_FILE);
+    state = new StateManager({ statePath: STATE_FILE });
   });
 
   afterEach(() => {
-    // Clean up test state file
-    if (existsSync(STATE_FILE)) {
-      unlinkSync(STATE_FILE);
-    }
+    rmSync(gtDir, { recursive: true, force: true });
   });
 
   it('saveState creates state file', () => {
@@ -49,7 +45,7 @@ describe('StateManager persistence', () => {
     state.saveState();
 
     // Create new StateManager and load
-    const state2 = new StateManager();
+    const state2 = new StateManager({ statePath: STATE_FILE });
     const loaded = state2.loadState();
 
     assert.strictEqual(loaded, true);
@@ -64,15 +60,170 @@ describe('StateManager persistence', () => {
     state.updateAgents('rig1', [{ name: 'agent1', status: 'active' }]);
     state.saveState();
 
-    const state2 = new StateManager();
+    const state2 = new StateManager({ statePath: STATE_FILE });
     state2.loadState();
 
     // previousStatus should be restored
     assert.strictEqual(state2.previousStatus['rig1/agent1'], 'active');
   });
 
-  it('getStatePath returns correct path', () => {
-    const path = StateManager.getStatePath();
-    assert.strictEqual(path, STATE_FILE);
+  it('loadState migrates a version 1 snapshot', () => {
+    mkdirSync(STATE_DIR, { recursive: true });
+    writeFileSync(STATE_FILE, JSON.stringify({
+      version: 1,
+      savedAt: new Date().toISOString(),
+      state: { rigs: { rig1: { name: 'rig1' } }, agentHistory: { 'rig1/agent1': [{ status: 'active' }] } },
+      previousStatus: { 'rig1/agent1': 'active' }
+    }));
+
+    const loaded = state.loadState();
+
+    assert.strictEqual(loaded, true);
+    assert.deepStrictEqual(state.getState().agentHistory['rig1/agent1'], [{ status: 'active' }]);
+    // Keys missing from the old snapshot keep their defaults
+    assert.deepStrictEqual(state.getState().logs, []);
+  });
+
+  it('loadState keeps the reason when a snapshot cannot be restored', () => {
+    mkdirSync(STATE_DIR, { recursive: true });
+    writeFileSync(STATE_FILE, JSON.stringify({ version: 99, state: {} }));
+
+    assert.strictEqual(state.loadState(), false);
+    assert.match(state.lastLoadError, /newer than supported/);
+  });
+
+  it('saves to the town it is given and not without one', () => {
+    assert.strictEqual(STATE_FILE, join(gtDir, '.gtviz', 'state.json'));
+    assert.strictEqual(new StateManager().saveState(), false);
+    assert.strictEqual(new StateManager().loadState(), false);
+  });
+});
+
+describe('StateManager hooks', () => {
+  it('joins each agent\'s hook onto it, whatever its role', () => {
+    const state = new StateManager();
+    state.updateAgents('api', [
+      { name: 'max', role: 'crew', status: 'running' },
+      { name: 'max', role: 'polecat', status: 'idle' }
+    ]);
+    state.updateHooks('api', { 'crew/max': { agent: 'max', role: 'crew', bead: 'gt-1' } });
+
+    const [crew, polecat] = state.getAgents('api');
+    assert.strictEqual(crew.hookBead, 'gt-1');
+    assert.strictEqual(crew.hasWork, true);
+    assert.strictEqual(polecat.hookBead, null);
+    assert.strictEqual(polecat.hasWork, false);
+
+    // A fresh agent list keeps the hooks already known
+    state.updateAgents('api', [{ name: 'max', role: 'crew', status: 'idle' }]);
+    assert.strictEqual(state.getAgents('api')[0].currentBead, 'gt-1');
+  });
+});
+
+describe('StateManager hook history', () => {
+  const hook = (agent, bead, extra = {}) => ({ [`polecat/${agent}`]: { agent, role: 'polecat', bead, molecule: null, ...extra } });
+
+  it('records an interval per attach and closes it on detach', () => {
+    const state = new StateManager();
+    state.updateHooks('api', hook('nux', 'gt-1', { attachedAt: '2026-01-01T00:00:00.000Z' }));
+    state.updateHooks('api', hook('nux', 'gt-1', { molecule: 'mol-1' }));
+
+    let [interval] = state.getHookHistory({ agent: 'nux' });
+    assert.strictEqual(interval.attachedAt, '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(interval.molecule, 'mol-1');
+    assert.strictEqual(interval.detachedAt, null);
+
+    state.updateBeads('api', [{ id: 'gt-1', status: 'open' }]);
+    state.updateHooks('api', {});
+    [interval] = state.getHookHistory({ agent: 'nux' });
+    assert.ok(interval.detachedAt);
+    assert.strictEqual(interval.outcome, 'released');
+  });
+
+  it('tells a handoff from a completion', () => {
+    const state = new StateManager();
+    state.updateHooks('api', hook('nux', 'gt-1'));
+    state.updateHooks('api', hook('max', 'gt-1'));
+    assert.strictEqual(state.getHookHistory({ agent: 'nux' })[0].outcome, 'handed_off');
+    assert.strictEqual(state.getHookHistory({ agent: 'max' })[0].detachedAt, null);
+
+    // The bead closes only after hooks were polled without it
+    state.updateBeads('api', [{ id: 'gt-1', status: 'hooked' }]);
+    state.updateHooks('api', {});
+    assert.strictEqual(state.getHookHistory({ agent: 'max' })[0].outcome, 'unhooked');
+    state.updateBeads('api', [{ id: 'gt-1', status: 'closed' }]);
+    assert.strictEqual(state.getHookHistory({ agent: 'max' })[0].outcome, 'completed');
+
+    assert.deepStrictEqual(state.getHookHistory({ bead: 'gt-1' }).map(i => i.agent).sort(), ['max', 'nux']);
+  });
+
+  it('keeps a crew member\'s history apart from a polecat of the same name', () => {
+    const state = new StateManager();
+    state.updateHooks('api', {
+      'crew/max': { agent: 'max', role: 'crew', bead: 'gt-1' },
+      'polecat/max': { agent: 'max', role: 'polecat', bead: 'gt-2' }
+    });
+    state.updateBeads('api', [{ id: 'gt-1', status: 'open' }, { id: 'gt-2', status: 'hooked' }]);
+    state.updateHooks('api', { 'polecat/max': { agent: 'max', role: 'polecat', bead: 'gt-2' } });
+
+    const { hookHistory } = state.getState();
+    assert.deepStrictEqual(Object.keys(hookHistory).sort(), ['api/crew/max', 'api/polecat/max']);
+    assert.strictEqual(hookHistory['api/crew/max'][0].outcome, 'released');
+    assert.strictEqual(hookHistory['api/polecat/max'][0].detachedAt, null);
+  });
+});
+
+describe('StateManager bead ownership', () => {
+  it('chains owners from hooks and assignees and counts handoffs', () => {
+    const state = new StateManager();
+    state.updateBeads('api', [{ id: 'gt-1', status: 'hooked', assignee: 'api/nux' }]);
+    state.updateHooks('api', { 'polecat/nux': { agent: 'nux', role: 'polecat', bead: 'gt-1' } });
+
+    // nux gives up; the witness takes it back, then max picks it up and finishes
+    state.updateHooks('api', {});
+    state.updateBeads('api', [{ id: 'gt-1', status: 'open', assignee: 'api/witness' }]);
+    state.updateHooks('api', { 'crew/max': { agent: 'max', role: 'crew', bead: 'gt-1' } });
+    state.updateBeads('api', [{ id: 'gt-1', status: 'done', assignee: 'api/max' }]);
+
+    const chain = state.getBeadOwnership('api', 'gt-1');
+    assert.deepStrictEqual(chain.map(owner => [owner.agent, owner.outcome]), [
+      ['nux', 'unhooked'],
+      ['witness', 'handed_off'],
+      ['max', 'completed']
+    ]);
+    assert.deepStrictEqual(chain[0].via, ['assignee', 'hook']);
+    assert.deepStrictEqual(chain[2].via, ['hook', 'assignee']);
+    assert.strictEqual(state.getState().beads.api[0].ownership, chain);
+
+    assert.deepStrictEqual(chain.map(owner => owner.role), ['polecat', 'witness', 'crew']);
+    assert.strictEqual(state.getAgentStats('api/polecat/nux').handoffsOut, 1);
+    assert.strictEqual(state.getAgentStats('api/witness/witness').handoffsIn, 1);
+    assert.strictEqual(state.getAgentStats('api/witness/witness').handoffsOut, 1);
+    assert.strictEqual(state.getAgentStats('api/crew/max').handoffsIn, 1);
+  });
+
+  it('keeps stats apart for namesakes in two roles', () => {
+    const state = new StateManager();
+    state.updateHooks('api', { 'polecat/max': { agent: 'max', role: 'polecat', bead: 'gt-1' } });
+    state.updateHooks('api', { 'crew/max': { agent: 'max', role: 'crew', bead: 'gt-1' } });
+
+    assert.deepStrictEqual(state.getBeadOwnership('api', 'gt-1').map(owner => owner.role), ['polecat', 'crew']);
+    assert.strictEqual(state.getAgentStats('api/polecat/max').handoffsOut, 1);
+    assert.strictEqual(state.getAgentStats('api/crew/max').handoffsIn, 1);
+    assert.strictEqual(state.getAgentStats('api/max'), null);
+  });
+});
+
+describe('StateManager mail', () => {
+  it('replaces mail sent from the dashboard with the watcher\'s copy', () => {
+    const state = new StateManager();
+    state.addMail({ rig: 'api', to: 'witness', from: 'alice', subject: 'Status?', outgoing: true });
+    state.addMail({ rig: 'api', to: 'witness', from: 'alice', subject: 'Other' });
+    state.addMail({ rig: 'api', to: 'witness', from: 'alice', subject: 'Status?', path: '/gt/api/witness/mail/alice-1.md' });
+
+    const mail = state.getState().mail;
+    assert.strictEqual(mail.length, 2);
+    assert.strictEqual(mail[0].outgoing, undefined);
+    assert.strictEqual(mail[0].subject, 'Status?');
   });
 });
@@ -0,0 +1,377 @@
+/**
+ * WebSocket Topic Subscriptions
+ *
+ * Lets clients narrow what the server pushes to them. Supported topics:
+ * - `rig:<name>` / `rig:*`     - Agents, beads, hooks and events for a rig
+ * - `agent:<rig>/<name>`       - History, stats and events for one agent
+ * - `town:<name>` / `town:*`   - Everything rig-scoped in a town
+ * - `metrics`                  - Metrics and predictions broadcasts
+ * - `alerts`                   - Alerts and error pattern updates
+ * - `replay`                   - Task replay job progress
+ * - `logs:<level>` / `logs:*`  - Log events at a level (and the logs list)
+ *
+ * A client receives everything until its first `subscribe`; from then on it
+ * only receives messages whose topics it has subscribed to. Messages that
+ * carry no topic (presence, session, town-wide events) always go through.
+ *
+ * State patches are filtered per operation. Per-rig subtrees (agents, beads,
+ * hooks, histories, stats) are independent, so dropping their operations is
+ * safe. List-valued keys (events, mail, errors) are town-wide and always sent;
+ * the logs list is sent whole to anyone subscribed to any log level.
+ *
+ * Rigs of secondary towns are named by their `<town>.<rig>` key (see
+ * towns.js), so `rig:lab.api` scopes to one rig and `town:lab` to all of them.
+ *
+ * @module subscriptions
+ */
+
+import { DEFAULT_TOWN, splitRigKey } from './towns.js';
+
+/**
+ * @typedef {import('./state-sync.js').PatchOperation} PatchOperation
+ */
+
+/**
+ * Topic requirements: every group must be matched by at least one subscribed topic.
+ * An empty list means the message is not topic-scoped and is always delivered.
+ * @typedef {string[][]} TopicRequirements
+ */
+
+/**
+ * Per-connection subscription state
+ * @typedef {Object} Subscriber
+ * @property {Set<string>|null} topics - Subscribed topics, or null for everything
+ * @property {number|null} stateVersion - Last state version delivered to this client
+ */
+
+const TOPIC_PATTERN = /^(rig:([a-zA-Z0-9_.-]+|\*)|agent:[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_-]+|town:([a-zA-Z0-9_-]+|\*)|metrics|alerts|replay|logs:(debug|info|warn|error|\*))$/;
+
+// Maximum topics a single client may hold
+const MAX_TOPICS = 100;
+
+// State keys whose children are keyed by rig name
+const RIG_KEYED = ['agents', 'beads', 'hooks', 'sources', 'beadHistory', 'beadOwnership'];
+
+// State keys whose children are keyed by "rig/agent" (agentStats and hookHistory: "rig/role/agent")
+const AGENT_KEYED = ['agentHistory', 'agentStats', 'hookHistory'];
+
+// State keys gated as a whole by a topic
+const TOPIC_GATED = {
+  logs: [['logs:*']],
+  metrics: [['metrics']],
+  predictions: [['metrics']],
+  alerts: [['alerts']],
+  errorPatterns: [['alerts']]
+};
+
+/**
+ * Check whether a topic string is valid
+ * @param {string} topic - Topic to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidTopic(topic) {
+  return typeof topic === 'string' && TOPIC_PATTERN.test(topic);
+}
+
+/**
+ * Check whether a subscribed topic satisfies a required topic (wildcards on either side)
+ * @param {string} subscribed - Topic the client subscribed to
+ * @param {string} required - Topic the message requires
+ * @returns {boolean} True if matched
+ */
+function topicMatches(subscribed, required) {
+  if (subscribed === required) return true;
+  if (subscribed.endsWith(':*') && required.startsWith(subscribed.slice(0, -1))) return true;
+  if (required.endsWith(':*') && subscribed.startsWith(required.slice(0, -1))) return true;
+  return false;
+}
+
+/**
+ * Check whether a set of topics satisfies topic requirements
+ * @param {Set<string>|null} topics - Subscribed topics (null = everything)
+ * @param {TopicRequirements} requirements - Requirements to satisfy
+ * @returns {boolean} True if visible
+ */
+export function isVisible(topics, requirements) {
+  if (topics === null || requirements.length === 0) return true;
+  return requirements.every(group =>
+    group.some(required => {
+      for (const subscribed of topics) {
+        if (topicMatches(subscribed, required)) return true;
+      }
+      return false;
+    })
+  );
+}
+
+/**
+ * Build the requirement group for something scoped to a rig and optionally an agent
+ * @param {string|undefined} rig - Rig key
+ * @param {string|undefined} [agent] - Agent name or path (e.g. 'polecats/nux')
+ * @param {string} [town] - Town the rig belongs to
+ * @returns {TopicRequirements} Requirements (empty if not rig-scoped)
+ */
+function rigRequirements(rig, agent, town) {
+  if (!rig || rig === 'unknown') return [];
+  const group = [`rig:${rig}`, `town:${town}`];
+  if (agent) {
+    group.push(`agent:${rig}/${String(agent).split('/').pop()}`);
+  }
+  return [group];
+}
+
+/**
+ * Get topic requirements for a child of a top-level state key
+ * @param {string} key - Top-level state key
+ * @param {string} [childKey] - Child key under it
+ * @param {string} [primaryTown] - Town that bare rig keys belong to
+ * @returns {TopicRequirements} Requirements
+ */
+export function getStateKeyTopics(key, childKey, primaryTown = DEFAULT_TOWN) {
+  if (TOPIC_GATED[key]) return TOPIC_GATED[key];
+  if (childKey === undefined) return [];
+  if (RIG_KEYED.includes(key)) {
+    // beadHistory and beadOwnership children are "rig/beadId"
+    const rig = childKey.split('/')[0];
+    return rigRequirements(rig, undefined, splitRigKey(rig, primaryTown).town);
+  }
+  if (AGENT_KEYED.includes(key)) {
+    const [rig, ...rest] = childKey.split('/');
+    return rigRequirements(rig, rest.join('/'), splitRigKey(rig, primaryTown).town);
+  }
+  return [];
+}
+
+/**
+ * Get topic requirements for a JSON pointer into the state
+ * @param {string} path - JSON pointer (e.g. '/agents/rig1/0/status')
+ * @param {string} [primaryTown] - Town that bare rig keys belong to
+ * @returns {TopicRequirements} Requirements
+ */
+export function getPathTopics(path, primaryTown = DEFAULT_TOWN) {
+  const [key, childKey] = path.slice(1).split('/', 2)
+    .map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  return getStateKeyTopics(key, childKey, primaryTown);
+}
+
+/**
+ * Get topic requirements for a broadcast message
+ * @param {Object} message - Message about to be broadcast
+ * @param {string} [primaryTown] - Town that bare rig keys belong to
+ * @returns {TopicRequirements} Requirements
+ */
+export function getMessageTopics(message, primaryTown = DEFAULT_TOWN) {
+  const townOf = (record, rig) => record?.town || (rig ? splitRigKey(rig, primaryTown).town : primaryTown);
+  switch (message.type) {
+    case 'event': {
+      const event = message.event || {};
+      const rig = event.rig || event.source;
+      const scope = rigRequirements(rig, event.agent, townOf(event, rig));
+      if (event.type === 'log') {
+        return [[`logs:${event.level || 'info'}`], ...scope];
+      }
+      return scope;
+    }
+    case 'error':
+      return rigRequirements(message.error?.rig, undefined, townOf(message.error, message.error?.rig));
+    case 'metrics':
+    case 'predictions':
+      return [['metrics']];
+    case 'alert':
+    case 'alertUpdated':
+    case 'alertDismissed':
+    case 'errorPatterns':
+      return [['alerts']];
+    default:
+      if (message.type?.startsWith('replay')) return [['replay']];
+      return [];
+  }
+}
+
+/**
+ * SubscriptionManager - Tracks topics per WebSocket and filters outgoing messages
+ */
+export class SubscriptionManager {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.primaryTown] - Town that bare rig keys belong to
+   */
+  constructor(options = {}) {
+    /** @type {Map<WebSocket, Subscriber>} */
+    this.subscribers = new Map();
+    /** @type {string} */
+    this.primaryTown = options.primaryTown || DEFAULT_TOWN;
+  }
+
+  /**
+   * Register a connection
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} [options] - Initial subscription
+   * @param {string[]|null} [options.topics] - Initial topics (null = everything)
+   * @param {number|null} [options.stateVersion] - State version the client holds
+   * @returns {Subscriber} Subscriber record
+   */
+  add(ws, { topics = null, stateVersion = null } = {}) {
+    const subscriber = {
+      topics: topics === null ? null : new Set(topics.filter(isValidTopic).slice(0, MAX_TOPICS)),
+      stateVersion
+    };
+    this.subscribers.set(ws, subscriber);
+    return subscriber;
+  }
+
+  /**
+   * Unregister a connection
+   * @param {WebSocket} ws - Client socket
+   */
+  remove(ws) {
+    this.subscribers.delete(ws);
+  }
+
+  /**
+   * Get a client's current topics
+   * @param {WebSocket} ws - Client socket
+   * @returns {string[]|null} Topics, or null if subscribed to everything
+   */
+  getTopics(ws) {
+    const subscriber = this.subscribers.get(ws);
+    if (!subscriber || subscriber.topics === null) return null;
+    return [...subscriber.topics];
+  }
+
+  /**
+   * Record the state version a client now holds (after a full state send)
+   * @param {WebSocket} ws - Client socket
+   * @param {number} version - State version
+   */
+  setStateVersion(ws, version) {
+    const subscriber = this.subscribers.get(ws);
+    if (subscriber) subscriber.stateVersion = version;
+  }
+
+  /**
+   * Add topics to a client's subscription
+   * @param {WebSocket} ws - Client socket
+   * @param {string[]} topics - Topics to add
+   * @returns {{accepted: string[], rejected: string[]}} Validation result
+   */
+  subscribe(ws, topics) {
+    const subscriber = this.subscribers.get(ws);
+    const list = Array.isArray(topics) ? topics : [];
+    const accepted = list.filter(isValidTopic);
+    const rejected = list.filter(t => !isValidTopic(t));
+    if (!subscriber) return { accepted: [], rejected: list };
+
+    // First subscribe narrows from "everything" to the given topics
+    if (subscriber.topics === null) {
+      subscriber.topics = new Set();
+    }
+    for (const topic of accepted) {
+      if (subscriber.topics.size >= MAX_TOPICS) {
+        rejected.push(topic);
+        continue;
+      }
+      subscriber.topics.add(topic);
+    }
+    return { accepted: accepted.filter(t => !rejected.includes(t)), rejected };
+  }
+
+  /**
+   * Remove topics from a client's subscription
+   * @param {WebSocket} ws - Client socket
+   * @param {string[]} topics - Topics to remove
+   */
+  unsubscribe(ws, topics) {
+    const subscriber = this.subscribers.get(ws);
+    if (!subscriber || subscriber.topics === null || !Array.isArray(topics)) return;
+    for (const topic of topics) {
+      subscriber.topics.delete(topic);
+    }
+  }
+
+  /**
+   * Prepare a broadcast message for one client
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} message - Message being broadcast
+   * @returns {Object|null} Message to send (possibly filtered), or null to skip
+   */
+  prepare(ws, message) {
+    const subscriber = this.subscribers.get(ws);
+    // Connections are registered once their initial sync has been sent
+    if (!subscriber) return null;
+
+    if (message.type === 'statePatch') {
+      const ops = subscriber.topics === null
+        ? message.ops
+        : message.ops.filter(op => isVisible(subscriber.topics, getPathTopics(op.path, this.primaryTown)));
+      if (ops.length === 0) return null;
+
+      const prepared = { ...message, ops, prevVersion: subscriber.stateVersion };
+      subscriber.stateVersion = message.version;
+      return prepared;
+    }
+
+    return isVisible(subscriber.topics, getMessageTopics(message, this.primaryTown)) ? message : null;
+  }
+
+  /**
+   * Filter a full state object down to what a client is subscribed to
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} state - Full state
+   * @returns {Object} Filtered state (shallow copy; unchanged if unfiltered)
+   */
+  filterState(ws, state) {
+    const topics = this.subscribers.get(ws)?.topics ?? null;
+    if (topics === null) return state;
+
+    const filtered = {};
+    for (const [key, value] of Object.entries(state)) {
+      if (TOPIC_GATED[key]) {
+        if (isVisible(topics, TOPIC_GATED[key])) filtered[key] = value;
+      } else if ((RIG_KEYED.includes(key) || AGENT_KEYED.includes(key)) && value && typeof value === 'object') {
+        filtered[key] = {};
+        for (const [childKey, childValue] of Object.entries(value)) {
+          if (isVisible(topics, getStateKeyTopics(key, childKey, this.primaryTown))) {
+            filtered[key][childKey] = childValue;
+          }
+        }
+      } else {
+        filtered[key] = value;
+      }
+    }
+    return filtered;
+  }
+
+  /**
+   * Build patch operations that bring a client up to date on parts of the
+   * state that became visible after a subscription change
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} state - Full state
+   * @param {string[]|null} previousTopics - Topics before the change
+   * @returns {PatchOperation[]} Operations adding the newly visible values
+   */
+  getNewlyVisibleOps(ws, state, previousTopics) {
+    const topics = this.subscribers.get(ws)?.topics ?? null;
+    if (previousTopics === null) return [];
+    const before = new Set(previousTopics);
+    const escape = key => key.replace(/~/g, '~0').replace(/\//g, '~1');
+    const ops = [];
+
+    for (const [key, value] of Object.entries(state)) {
+      if (TOPIC_GATED[key]) {
+        const requirements = TOPIC_GATED[key];
+        if (isVisible(topics, requirements) && !isVisible(before, requirements)) {
+          ops.push({ op: 'add', path: `/${key}`, value });
+        }
+      } else if ((RIG_KEYED.includes(key) || AGENT_KEYED.includes(key)) && value && typeof value === 'object') {
+        for (const [childKey, childValue] of Object.entries(value)) {
+          const requirements = getStateKeyTopics(key, childKey, this.primaryTown);
+          if (isVisible(topics, requirements) && !isVisible(before, requirements)) {
+            ops.push({ op: 'add', path: `/${key}/${escape(childKey)}`, value: childValue });
+          }
+        }
+      }
+    }
+    return ops;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Tests for WebSocket topic subscriptions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  SubscriptionManager,
+  isValidTopic,
+  isVisible,
+  getPathTopics,
+  getMessageTopics
+} from './subscriptions.js';
+
+describe('isValidTopic', () => {
+  it('accepts supported topics', () => {
+    for (const topic of ['rig:gtviz', 'rig:*', 'rig:lab.api', 'agent:gtviz/nux', 'agent:lab.api/nux', 'town:lab', 'town:*', 'metrics', 'alerts', 'replay', 'logs:error', 'logs:*']) {
+      assert.strictEqual(isValidTopic(topic), true, topic);
+    }
+  });
+
+  it('rejects malformed topics', () => {
+    for (const topic of ['rig:', 'rig:a b', 'agent:nux', 'town:lab.api', 'logs:trace', 'everything', 42, null]) {
+      assert.strictEqual(isValidTopic(topic), false, String(topic));
+    }
+  });
+});
+
+describe('isVisible', () => {
+  it('treats null topics as subscribed to everything', () => {
+    assert.strictEqual(isVisible(null, [['rig:a']]), true);
+  });
+
+  it('always delivers messages without requirements', () => {
+    assert.strictEqual(isVisible(new Set(), []), true);
+  });
+
+  it('matches wildcards on either side', () => {
+    assert.strictEqual(isVisible(new Set(['rig:*']), [['rig:a']]), true);
+    assert.strictEqual(isVisible(new Set(['logs:warn']), [['logs:*']]), true);
+    assert.strictEqual(isVisible(new Set(['metrics']), [['logs:*']]), false);
+  });
+
+  it('requires every group to match', () => {
+    const requirements = [['logs:error'], ['rig:a', 'agent:a/nux']];
+    assert.strictEqual(isVisible(new Set(['logs:error', 'agent:a/nux']), requirements), true);
+    assert.strictEqual(isVisible(new Set(['logs:error', 'rig:b']), requirements), false);
+    assert.strictEqual(isVisible(new Set(['rig:a']), requirements), false);
+  });
+});
+
+describe('getPathTopics', () => {
+  it('scopes rig-keyed state to the rig', () => {
+    assert.deepStrictEqual(getPathTopics('/agents/rig1/0/status'), [['rig:rig1', 'town:default']]);
+    assert.deepStrictEqual(getPathTopics('/beadHistory/rig1~1gt-1/0'), [['rig:rig1', 'town:default']]);
+  });
+
+  it('scopes agent-keyed state to the rig or agent', () => {
+    assert.deepStrictEqual(getPathTopics('/agentHistory/rig1~1nux/0'), [['rig:rig1', 'town:default', 'agent:rig1/nux']]);
+  });
+
+  it('scopes rigs of other towns to their town', () => {
+    assert.deepStrictEqual(getPathTopics('/hooks/lab.api', 'prod'), [['rig:lab.api', 'town:lab']]);
+    assert.deepStrictEqual(getPathTopics('/hooks/api', 'prod'), [['rig:api', 'town:prod']]);
+  });
+
+  it('gates the logs list on any log level', () => {
+    assert.deepStrictEqual(getPathTopics('/logs/0'), [['logs:*']]);
+  });
+
+  it('leaves town-wide state unscoped', () => {
+    assert.deepStrictEqual(getPathTopics('/rigs/rig1'), []);
+    assert.deepStrictEqual(getPathTopics('/mail/0'), []);
+  });
+});
+
+describe('getMessageTopics', () => {
+  it('scopes log events by level and rig', () => {
+    const topics = getMessageTopics({ type: 'event', event: { type: 'log', level: 'warn', rig: 'r', agent: 'polecats/nux' } });
+    assert.deepStrictEqual(topics, [['logs:warn'], ['rig:r', 'town:default', 'agent:r/nux']]);
+  });
+
+  it('scopes other events by rig or source', () => {
+    assert.deepStrictEqual(getMessageTopics({ type: 'event', event: { type: 'feed', source: 'r' } }), [['rig:r', 'town:default']]);
+    assert.deepStrictEqual(
+      getMessageTopics({ type: 'event', event: { type: 'feed', source: 'lab.r', town: 'lab' } }),
+      [['rig:lab.r', 'town:lab']]
+    );
+    assert.deepStrictEqual(getMessageTopics({ type: 'event', event: { type: 'gt_event', source: 'unknown' } }), []);
+  });
+
+  it('maps broadcast types to topics', () => {
+    assert.deepStrictEqual(getMessageTopics({ type: 'metrics' }), [['metrics']]);
+    assert.deepStrictEqual(getMessageTopics({ type: 'alertDismissed' }), [['alerts']]);
+    assert.deepStrictEqual(getMessageTopics({ type: 'replayJobCreated' }), [['replay']]);
+    assert.deepStrictEqual(getMessageTopics({ type: 'userJoined' }), []);
+  });
+});
+
+describe('SubscriptionManager', () => {
+  const ws = {};
+
+  it('skips connections that are not registered yet', () => {
+    const manager = new SubscriptionManager();
+    assert.strictEqual(manager.prepare(ws, { type: 'event', event: {} }), null);
+  });
+
+  it('delivers everything until the first subscribe', () => {
+    const manager = new SubscriptionManager();
+    manager.add(ws);
+    const message = { type: 'metrics', data: {} };
+    assert.strictEqual(manager.prepare(ws, message), message);
+
+    manager.subscribe(ws, ['rig:a']);
+    assert.strictEqual(manager.prepare(ws, message), null);
+  });
+
+  it('reports rejected topics', () => {
+    const manager = new SubscriptionManager();
+    manager.add(ws);
+    const result = manager.subscribe(ws, ['rig:a', 'bogus']);
+    assert.deepStrictEqual(result, { accepted: ['rig:a'], rejected: ['bogus'] });
+    assert.deepStrictEqual(manager.getTopics(ws), ['rig:a']);
+  });
+
+  it('unsubscribes topics', () => {
+    const manager = new SubscriptionManager();
+    manager.add(ws, { topics: ['rig:a', 'metrics'] });
+    manager.unsubscribe(ws, ['metrics']);
+    assert.deepStrictEqual(manager.getTopics(ws), ['rig:a']);
+  });
+
+  it('filters patch operations and chains state versions', () => {
+    const manager = new SubscriptionManager();
+    manager.add(ws, { topics: ['rig:a'], stateVersion: 4 });
+
+    const first = manager.prepare(ws, {
+      type: 'statePatch',
+      version: 5,
+      ops: [
+        { op: 'replace', path: '/agents/a/0/status', value: 'running' },
+        { op: 'replace', path: '/agents/b/0/status', value: 'idle' }
+      ]
+    });
+    assert.deepStrictEqual(first.ops, [{ op: 'replace', path: '/agents/a/0/status', value: 'running' }]);
+    assert.strictEqual(first.prevVersion, 4);
+
+    // Entirely filtered out: skipped, version chain unchanged
+    assert.strictEqual(manager.prepare(ws, {
+      type: 'statePatch',
+      version: 6,
+      ops: [{ op: 'replace', path: '/beads/b/0/status', value: 'done' }]
+    }), null);
+
+    const third = manager.prepare(ws, {
+      type: 'statePatch',
+      version: 7,
+      ops: [{ op: 'add', path: '/mail/0', value: {} }]
+    });
+    assert.strictEqual(third.prevVersion, 5);
+  });
+
+  it('filters full state by topics', () => {
+    const manager = new SubscriptionManager();
+    manager.add(ws, { topics: ['rig:a', 'alerts'] });
+    const filtered = manager.filterState(ws, {
+      rigs: { a: {}, b: {} },
+      agents: { a: [1], b: [2] },
+      agentHistory: { 'a/nux': [], 'b/max': [] },
+      logs: [{ level: 'info' }],
+      alerts: [],
+      metrics: {}
+    });
+
+    assert.deepStrictEqual(filtered, {
+      rigs: { a: {}, b: {} },
+      agents: { a: [1] },
+      agentHistory: { 'a/nux': [] },
+      alerts: []
+    });
+  });
+
+  it('scopes state to a town by rig key', () => {
+    const manager = new SubscriptionManager({ primaryTown: 'prod' });
+    manager.add(ws, { topics: ['town:lab'] });
+    const filtered = manager.filterState(ws, {
+      hooks: { api: {}, 'lab.api': {}, 'lab.web': {} }
+    });
+    assert.deepStrictEqual(Object.keys(filtered.hooks), ['lab.api', 'lab.web']);
+    assert.strictEqual(manager.prepare(ws, { type: 'event', event: { type: 'feed', source: 'api', town: 'prod' } }), null);
+  });
+
+  it('builds snapshot operations for newly visible state', () => {
+    const manager = new SubscriptionManager();
+    manager.add(ws, { topics: ['rig:a'] });
+    const previous = manager.getTopics(ws);
+    manager.subscribe(ws, ['rig:b', 'logs:error']);
+
+    const ops = manager.getNewlyVisibleOps(ws, {
+      agents: { a: [1], b: [2] },
+      agentHistory: { 'b/max': [] },
+      logs: []
+    }, previous);
+
+    assert.deepStrictEqual(ops, [
+      { op: 'add', path: '/agents/b', value: [2] },
+      { op: 'add', path: '/agentHistory/b~1max', value: [] },
+      { op: 'add', path: '/logs', value: [] }
+    ]);
+  });
+});
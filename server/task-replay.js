@@ -7,10 +7,13 @@
  */
 
 import { EventEmitter } from 'events';
-import { execSync, spawn } from 'child_process';
 import { randomBytes } from 'crypto';
+import { runBd, createBeadArgs, parseCreatedId } from './bd.js';
 import logger from './logger.js';
 
+/** How long `bd create` may take for a replay bead */
+const REPLAY_CREATE_TIMEOUT_MS = 30000;
+
 /**
  * @typedef {Object} CompletedTask
  * @property {string} beadId - Original bead ID
@@ -91,8 +94,8 @@ export class TaskReplayManager extends EventEmitter {
 
     // Iterate through agent stats to collect completions
     for (const [agentKey, stats] of Object.entries(currentState.agentStats || {})) {
-      // agentKey format: "rig/agentName"
-      const [agentRig, agentName] = agentKey.split('/');
+      // agentKey format: "rig/role/agentName"
+      const [agentRig, , agentName] = agentKey.split('/');
 
       // Apply rig filter
       if (rig && agentRig !== rig) continue;
@@ -417,18 +420,12 @@ export class TaskReplayManager extends EventEmitter {
       `Replay job: ${job.id}`;
 
     try {
-      // Use bd create to create a new bead
-      const cmd = `bd create --title "${title.replace(/"/g, '\\"')}" --type task -d "${description.replace(/"/g, '\\"')}"`;
-      const output = execSync(cmd, {
-        encoding: 'utf-8',
-        timeout: 30000
+      const output = await runBd(createBeadArgs({ title, description, type: 'task' }), process.cwd(), {
+        timeoutMs: REPLAY_CREATE_TIMEOUT_MS
       });
-
-      // Parse the bead ID from output
-      // Expected format: "✓ Created issue: gt-xyz123"
-      const match = output.match(/Created issue:\s*(\S+)/);
-      if (match) {
-        return match[1];
+      const beadId = parseCreatedId(output);
+      if (beadId) {
+        return beadId;
       }
 
       throw new Error('Could not parse bead ID from bd create output');
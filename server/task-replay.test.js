@@ -23,7 +23,7 @@ describe('TaskReplayManager', () => {
 
     it('collects tasks from agent stats', () => {
       const state = createMockState({
-        'testrig/agent1': {
+        'testrig/polecat/agent1': {
           completions: [
             { beadId: 'gt-abc', title: 'Task 1', completedAt: '2026-01-28T10:00:00Z', duration: 5000 },
             { beadId: 'gt-def', title: 'Task 2', completedAt: '2026-01-28T09:00:00Z', duration: 3000 }
@@ -41,10 +41,10 @@ describe('TaskReplayManager', () => {
 
     it('filters by rig', () => {
       const state = createMockState({
-        'rig1/agent1': {
+        'rig1/polecat/agent1': {
           completions: [{ beadId: 'gt-1', title: 'T1', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         },
-        'rig2/agent2': {
+        'rig2/polecat/agent2': {
           completions: [{ beadId: 'gt-2', title: 'T2', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -57,10 +57,10 @@ describe('TaskReplayManager', () => {
 
     it('filters by agent', () => {
       const state = createMockState({
-        'rig1/agent1': {
+        'rig1/polecat/agent1': {
           completions: [{ beadId: 'gt-1', title: 'T1', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         },
-        'rig1/agent2': {
+        'rig1/polecat/agent2': {
           completions: [{ beadId: 'gt-2', title: 'T2', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -73,7 +73,7 @@ describe('TaskReplayManager', () => {
 
     it('filters by since date', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [
             { beadId: 'gt-new', title: 'New', completedAt: '2026-01-28T12:00:00Z', duration: null },
             { beadId: 'gt-old', title: 'Old', completedAt: '2026-01-27T12:00:00Z', duration: null }
@@ -89,7 +89,7 @@ describe('TaskReplayManager', () => {
 
     it('applies limit', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [
             { beadId: 'gt-1', title: 'T1', completedAt: '2026-01-28T12:00:00Z', duration: null },
             { beadId: 'gt-2', title: 'T2', completedAt: '2026-01-28T11:00:00Z', duration: null },
@@ -106,7 +106,7 @@ describe('TaskReplayManager', () => {
     it('enriches with bead data if available', () => {
       const state = createMockState(
         {
-          'testrig/agent': {
+          'testrig/polecat/agent': {
             completions: [{ beadId: 'gt-abc', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: null }]
           }
         },
@@ -126,7 +126,7 @@ describe('TaskReplayManager', () => {
   describe('exportTasks', () => {
     it('exports as JSON by default', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: 5000 }]
         }
       });
@@ -142,7 +142,7 @@ describe('TaskReplayManager', () => {
 
     it('exports as CSV when specified', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: 5000 }]
         }
       });
@@ -157,7 +157,7 @@ describe('TaskReplayManager', () => {
 
     it('escapes CSV special characters', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task with, comma', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -178,7 +178,7 @@ describe('TaskReplayManager', () => {
 
     it('creates a replay job', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -203,7 +203,7 @@ describe('TaskReplayManager', () => {
 
     it('emits jobCreated event', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -219,7 +219,7 @@ describe('TaskReplayManager', () => {
 
     it('uses provided options', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -247,7 +247,7 @@ describe('TaskReplayManager', () => {
 
     it('returns existing job', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -262,7 +262,7 @@ describe('TaskReplayManager', () => {
   describe('getJobs', () => {
     it('returns all jobs sorted by creation time', async () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [
             { beadId: 'gt-1', title: 'T1', completedAt: '2026-01-28T10:00:00Z', duration: null },
             { beadId: 'gt-2', title: 'T2', completedAt: '2026-01-28T10:00:00Z', duration: null }
@@ -285,7 +285,7 @@ describe('TaskReplayManager', () => {
 
     it('filters by status', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [
             { beadId: 'gt-1', title: 'T1', completedAt: '2026-01-28T10:00:00Z', duration: null },
             { beadId: 'gt-2', title: 'T2', completedAt: '2026-01-28T10:00:00Z', duration: null }
@@ -306,7 +306,7 @@ describe('TaskReplayManager', () => {
 
     it('applies limit', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [
             { beadId: 'gt-1', title: 'T1', completedAt: '2026-01-28T10:00:00Z', duration: null },
             { beadId: 'gt-2', title: 'T2', completedAt: '2026-01-28T10:00:00Z', duration: null },
@@ -332,7 +332,7 @@ describe('TaskReplayManager', () => {
 
     it('cancels pending job', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -347,7 +347,7 @@ describe('TaskReplayManager', () => {
 
     it('throws for already completed job', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [{ beadId: 'gt-1', title: 'Task', completedAt: '2026-01-28T10:00:00Z', duration: null }]
         }
       });
@@ -362,7 +362,7 @@ describe('TaskReplayManager', () => {
   describe('getStats', () => {
     it('returns aggregated statistics', () => {
       const state = createMockState({
-        'rig/agent': {
+        'rig/polecat/agent': {
           completions: [
             { beadId: 'gt-1', title: 'T1', completedAt: '2026-01-28T10:00:00Z', duration: null },
             { beadId: 'gt-2', title: 'T2', completedAt: '2026-01-28T10:00:00Z', duration: null }
@@ -0,0 +1,298 @@
+/**
+ * Towns
+ *
+ * gtviz can watch several Gas Town roots at once. Each named town gets its
+ * own poller and watchers, and all of them write into the one StateManager.
+ * Rigs are keyed so towns cannot collide:
+ *
+ * - rigs in the primary town keep their bare name (`api`)
+ * - rigs in other towns are keyed `<town>.<rig>` (`lab.api`)
+ *
+ * Rig names never contain a dot, so a key always splits unambiguously, and
+ * a single-town setup looks exactly as it did before towns existed.
+ *
+ * @module towns
+ */
+
+/**
+ * @typedef {import('./state.js').StateManager} StateManager
+ * @typedef {import('./types.js').Agent} Agent
+ * @typedef {import('./types.js').BeadOwner} BeadOwner
+ */
+
+/** Name of the town when GTVIZ_TOWNS is not set */
+export const DEFAULT_TOWN = 'default';
+
+const TOWN_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Check whether a string can name a town
+ * @param {*} name - Candidate name
+ * @returns {boolean} True if valid
+ */
+export function isValidTownName(name) {
+  return typeof name === 'string' && TOWN_NAME_PATTERN.test(name);
+}
+
+/**
+ * A configured town
+ * @typedef {Object} TownConfig
+ * @property {string} name - Town name
+ * @property {string} gtDir - Town root directory
+ * @property {boolean} primary - True for the town whose rigs keep bare names
+ */
+
+/**
+ * Parse a town list such as `prod=/srv/gt,lab=/srv/gt-lab`. The first town
+ * is primary. An empty list means one town, named 'default', at gtDir.
+ * @param {string} spec - Comma-separated `name=path` entries
+ * @param {string} gtDir - Town directory when spec is empty
+ * @returns {TownConfig[]} Towns
+ * @throws {Error} If an entry is malformed or a name repeats
+ */
+export function parseTowns(spec, gtDir) {
+  const entries = (spec || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    return [{ name: DEFAULT_TOWN, gtDir, primary: true }];
+  }
+
+  const towns = [];
+  for (const entry of entries) {
+    const eq = entry.indexOf('=');
+    const name = eq === -1 ? entry : entry.slice(0, eq).trim();
+    const path = eq === -1 ? '' : entry.slice(eq + 1).trim();
+    if (!isValidTownName(name)) {
+      throw new Error(`invalid town name "${name}" (letters, digits, _ and - only)`);
+    }
+    if (!path) {
+      throw new Error(`town ${name} has no directory (expected ${name}=/path/to/town)`);
+    }
+    if (towns.some(town => town.name === name)) {
+      throw new Error(`town ${name} is listed twice`);
+    }
+    towns.push({ name, gtDir: path, primary: towns.length === 0 });
+  }
+  return towns;
+}
+
+/**
+ * Build the state key for a rig in a town
+ * @param {TownConfig} town - Town
+ * @param {string} rig - Bare rig name
+ * @returns {string} Rig key
+ */
+export function rigKey(town, rig) {
+  return town.primary ? rig : `${town.name}.${rig}`;
+}
+
+/**
+ * Check whether a rig key names a rig in state. Rig keys come from URLs and
+ * request bodies, so only own keys count: "__proto__" is not a rig.
+ * @param {Object} state - Full state (StateManager.getState())
+ * @param {*} key - Rig key
+ * @returns {boolean} True if the rig is known
+ */
+export function isKnownRig(state, key) {
+  return typeof key === 'string' && Boolean(state.rigs) && Object.hasOwn(state.rigs, key);
+}
+
+/**
+ * Get a rig's list from a rig-keyed state map (agents, beads)
+ * @param {Object<string, Array>|undefined} map - Rig-keyed map
+ * @param {string} key - Rig key
+ * @returns {Array} The rig's list, empty if it has none
+ */
+export function rigList(map, key) {
+  const list = map && Object.hasOwn(map, key) ? map[key] : null;
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Split a rig key into its town and bare rig name
+ * @param {string} key - Rig key
+ * @param {string} [primaryTown] - Town that bare keys belong to
+ * @returns {{town: string, rig: string}} Town name and rig name
+ */
+export function splitRigKey(key, primaryTown = DEFAULT_TOWN) {
+  const dot = key.indexOf('.');
+  return dot === -1
+    ? { town: primaryTown, rig: key }
+    : { town: key.slice(0, dot), rig: key.slice(dot + 1) };
+}
+
+// State keys whose children are keyed by rig (beadHistory: "rig/beadId")
+const RIG_KEYED = ['rigs', 'agents', 'beads', 'hooks', 'sources', 'beadHistory', 'beadOwnership'];
+
+// State keys whose children are keyed by "rig/agent" (agentStats and hookHistory: "rig/role/agent")
+const AGENT_KEYED = ['agentHistory', 'agentStats', 'hookHistory'];
+
+// List-valued state keys whose entries are stamped with their town
+const TOWN_STAMPED = ['events', 'mail', 'logs', 'errors'];
+
+/**
+ * Narrow a state object to one town. Entries from before towns were
+ * stamped count as the primary town's.
+ * @param {Object} state - Full state
+ * @param {string} town - Town name
+ * @param {string} [primaryTown] - Primary town name
+ * @returns {Object} Filtered shallow copy
+ */
+export function filterStateByTown(state, town, primaryTown = DEFAULT_TOWN) {
+  const inTown = key => splitRigKey(key.split('/')[0], primaryTown).town === town;
+  const filtered = { ...state };
+  for (const key of [...RIG_KEYED, ...AGENT_KEYED]) {
+    if (!state[key]) continue;
+    filtered[key] = Object.fromEntries(Object.entries(state[key]).filter(([child]) => inTown(child)));
+  }
+  for (const key of TOWN_STAMPED) {
+    if (!Array.isArray(state[key])) continue;
+    filtered[key] = state[key].filter(entry => (entry.town || primaryTown) === town);
+  }
+  return filtered;
+}
+
+/**
+ * TownStateView - What one town's collectors see of the shared StateManager.
+ *
+ * Collectors work with bare rig names, as they always have. The view
+ * translates them to rig keys on the way in, stamps records with the town,
+ * and only lists this town's rigs.
+ */
+export class TownStateView {
+  /**
+   * @param {StateManager} state - Shared state manager
+   * @param {TownConfig} town - Town this view belongs to
+   */
+  constructor(state, town) {
+    this.state = state;
+    this.town = town;
+  }
+
+  /**
+   * Translate a bare rig name to its state key
+   * @param {string} rig - Bare rig name
+   * @returns {string} Rig key
+   */
+  key(rig) {
+    return rigKey(this.town, rig);
+  }
+
+  /**
+   * Stamp a record with the town and key its rig
+   * @param {Object} record - Event, mail, log or error
+   * @returns {Object} Stamped copy
+   */
+  stamp(record) {
+    const stamped = { ...record, town: this.town.name };
+    if (this.town.primary) return stamped;
+    if (record.rig && record.rig !== 'unknown') {
+      stamped.rig = this.key(record.rig);
+    }
+    // Watcher events name their rig in `source`; logs use it for a file path
+    if (typeof record.source === 'string' && record.source !== 'unknown' && !record.source.includes('/')) {
+      stamped.source = this.key(record.source);
+    }
+    return stamped;
+  }
+
+  getState() {
+    return this.state.getState();
+  }
+
+  /**
+   * Get this town's bare rig names
+   * @returns {string[]} Rig names
+   */
+  getRigs() {
+    return this.state.getTownRigs(this.town.name).map(key => splitRigKey(key).rig);
+  }
+
+  /**
+   * Get hooks for one of this town's rigs
+   * @param {string} rig - Bare rig name
+   * @returns {Object} Hooks by agent name
+   */
+  getHooks(rig) {
+    return this.state.getHooks(this.key(rig));
+  }
+
+  /**
+   * Get one of this town's rigs' agents
+   * @param {string} rig - Bare rig name
+   * @returns {Agent[]} Agents
+   */
+  getAgents(rig) {
+    return this.state.getAgents(this.key(rig));
+  }
+
+  /**
+   * Get the agents that owned a bead in one of this town's rigs
+   * @param {string} rig - Bare rig name
+   * @param {string} beadId - Bead ID
+   * @returns {BeadOwner[]} Owners, oldest first
+   */
+  getBeadOwnership(rig, beadId) {
+    return this.state.getBeadOwnership(this.key(rig), beadId);
+  }
+
+  updateRigs(rigs) {
+    this.state.updateTownRigs(this.town.name, rigs);
+  }
+
+  updateAgents(rig, agents) {
+    const key = this.key(rig);
+    this.state.updateAgents(key, this.town.primary ? agents : agents.map(agent => ({ ...agent, rig: key })));
+  }
+
+  updateBeads(rig, beads) {
+    const key = this.key(rig);
+    this.state.updateBeads(key, this.town.primary ? beads : beads.map(bead => ({ ...bead, rig: key })));
+  }
+
+  updateHooks(rig, hooks) {
+    this.state.updateHooks(this.key(rig), hooks);
+  }
+
+  clearRig(rig, keys) {
+    this.state.clearRig(this.key(rig), keys);
+  }
+
+  updateSourceHealth(rig, operation, health) {
+    const key = this.key(rig);
+    this.state.updateSourceHealth(key, operation, { ...health, rig: key });
+  }
+
+  updateAgentStats(agentKey, stats) {
+    this.state.updateAgentStats(this.agentKey(agentKey), stats);
+  }
+
+  setAgentStats(agentKey, stats) {
+    this.state.setAgentStats(this.agentKey(agentKey), stats);
+  }
+
+  /**
+   * Translate a "rig/agent" key to use the rig key
+   * @param {string} agentKey - Agent key with a bare rig name
+   * @returns {string} Agent key
+   */
+  agentKey(agentKey) {
+    const [rig, ...rest] = agentKey.split('/');
+    return [this.key(rig), ...rest].join('/');
+  }
+
+  addEvent(event) {
+    this.state.addEvent(this.stamp(event));
+  }
+
+  addMail(mail) {
+    this.state.addMail(this.stamp(mail));
+  }
+
+  addLog(log) {
+    this.state.addLog(this.stamp(log));
+  }
+
+  addError(error) {
+    this.state.addError(this.stamp(error));
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Tests for multi-town configuration and the per-town state view
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { StateManager } from './state.js';
+import { parseTowns, rigKey, splitRigKey, isKnownRig, rigList, filterStateByTown, TownStateView, DEFAULT_TOWN } from './towns.js';
+
+describe('parseTowns', () => {
+  it('falls back to a single default town', () => {
+    assert.deepStrictEqual(parseTowns('', '/gt'), [{ name: DEFAULT_TOWN, gtDir: '/gt', primary: true }]);
+  });
+
+  it('makes the first listed town primary', () => {
+    assert.deepStrictEqual(parseTowns('prod=/srv/gt, lab=/srv/gt-lab', '/gt'), [
+      { name: 'prod', gtDir: '/srv/gt', primary: true },
+      { name: 'lab', gtDir: '/srv/gt-lab', primary: false }
+    ]);
+  });
+
+  it('rejects bad names, missing paths and duplicates', () => {
+    assert.throws(() => parseTowns('my.town=/x', '/gt'), /invalid town name/);
+    assert.throws(() => parseTowns('prod', '/gt'), /has no directory/);
+    assert.throws(() => parseTowns('a=/x,a=/y', '/gt'), /listed twice/);
+  });
+});
+
+describe('rig keys', () => {
+  it('keeps bare names in the primary town and prefixes the others', () => {
+    assert.strictEqual(rigKey({ name: 'prod', primary: true }, 'api'), 'api');
+    assert.strictEqual(rigKey({ name: 'lab', primary: false }, 'api'), 'lab.api');
+    assert.deepStrictEqual(splitRigKey('lab.api', 'prod'), { town: 'lab', rig: 'api' });
+    assert.deepStrictEqual(splitRigKey('api', 'prod'), { town: 'prod', rig: 'api' });
+  });
+
+  it('only counts own keys as rigs', () => {
+    const state = { rigs: { api: {} }, agents: { api: [{ name: 'nux' }] } };
+    assert.strictEqual(isKnownRig(state, 'api'), true);
+    for (const key of ['__proto__', 'constructor', 'web', 42]) {
+      assert.strictEqual(isKnownRig(state, key), false, String(key));
+    }
+    assert.strictEqual(rigList(state.agents, 'api').length, 1);
+    assert.deepStrictEqual(rigList(state.agents, '__proto__'), []);
+    assert.deepStrictEqual(rigList(undefined, 'api'), []);
+  });
+});
+
+describe('TownStateView', () => {
+  let state;
+  let prod;
+  let lab;
+
+  beforeEach(() => {
+    state = new StateManager();
+    const towns = parseTowns('prod=/srv/gt,lab=/srv/gt-lab', '/gt');
+    state.setTowns(towns);
+    prod = new TownStateView(state, towns[0]);
+    lab = new TownStateView(state, towns[1]);
+  });
+
+  it('keeps each town\'s rigs separate under their keys', () => {
+    prod.updateRigs({ api: { polecats: 1 } });
+    lab.updateRigs({ api: { polecats: 2 }, web: { polecats: 0 } });
+    prod.updateRigs({ api: { polecats: 3 } });
+
+    assert.deepStrictEqual(state.getRigs().sort(), ['api', 'lab.api', 'lab.web']);
+    assert.deepStrictEqual(state.getState().rigs['lab.api'], { polecats: 2, name: 'api', town: 'lab' });
+    assert.strictEqual(state.getState().rigs.api.polecats, 3);
+    assert.deepStrictEqual(lab.getRigs(), ['api', 'web']);
+    assert.deepStrictEqual(prod.getRigs(), ['api']);
+  });
+
+  it('writes agents, beads and hooks under the rig key', () => {
+    lab.updateAgents('api', [{ name: 'nux', rig: 'api', status: 'running' }]);
+    lab.updateBeads('api', [{ id: 'gt-1', rig: 'api', status: 'open' }]);
+    lab.updateHooks('api', { nux: { bead: 'gt-1' } });
+    lab.updateAgentStats('api/nux', { completion: { beadId: 'gt-1', duration: 1000 } });
+
+    const current = state.getState();
+    assert.strictEqual(current.agents['lab.api'][0].rig, 'lab.api');
+    assert.strictEqual(current.beads['lab.api'][0].rig, 'lab.api');
+    assert.deepStrictEqual(lab.getHooks('api'), { nux: { bead: 'gt-1' } });
+    assert.deepStrictEqual(prod.getHooks('api'), {});
+    assert.strictEqual(current.agentStats['lab.api/nux'].totalCompleted, 1);
+    assert.ok(current.agentHistory['lab.api/nux']);
+  });
+
+  it('stamps events, mail and logs with the town', () => {
+    lab.addEvent({ type: 'feed', source: 'api' });
+    lab.addMail({ rig: 'api', subject: 'hi' });
+    lab.addLog({ level: 'info', rig: 'api', source: '/srv/gt-lab/api/town.log' });
+    prod.addEvent({ type: 'feed', source: 'api' });
+
+    const [prodEvent, labEvent] = state.getState().events;
+    assert.deepStrictEqual(labEvent, { type: 'feed', source: 'lab.api', town: 'lab' });
+    assert.deepStrictEqual(prodEvent, { type: 'feed', source: 'api', town: 'prod' });
+    assert.strictEqual(state.getState().mail[0].rig, 'lab.api');
+    assert.strictEqual(state.getState().logs[0].source, '/srv/gt-lab/api/town.log');
+  });
+
+  it('drops rigs of towns that are no longer configured', () => {
+    lab.updateRigs({ api: {} });
+    state.setTowns(parseTowns('prod=/srv/gt', '/gt'));
+    assert.deepStrictEqual(state.getRigs(), []);
+    assert.throws(() => lab.updateRigs({}), /Unknown town: lab/);
+  });
+});
+
+describe('filterStateByTown', () => {
+  it('keeps one town\'s rig-keyed state and stamped entries', () => {
+    const filtered = filterStateByTown({
+      towns: { prod: {}, lab: {} },
+      rigs: { api: {}, 'lab.api': {} },
+      agents: { api: [1], 'lab.api': [2] },
+      agentHistory: { 'api/nux': [], 'lab.api/nux': [] },
+      events: [{ town: 'lab' }, { town: 'prod' }, {}],
+      metrics: { cpu: 1 }
+    }, 'prod', 'prod');
+
+    assert.deepStrictEqual(filtered, {
+      towns: { prod: {}, lab: {} },
+      rigs: { api: {} },
+      agents: { api: [1] },
+      agentHistory: { 'api/nux': [] },
+      events: [{ town: 'prod' }, {}],
+      metrics: { cpu: 1 }
+    });
+  });
+});
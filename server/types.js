@@ -34,6 +34,21 @@
  * @property {string|null} [currentBead] - Bead ID currently hooked
  * @property {string|null} [hookBead] - Alias for currentBead
  * @property {string} [sessionId] - Unique session identifier
+ * @property {number|null} [pid] - PID of the agent process (or its first tmux pane)
+ * @property {number|null} [cpuPercent] - CPU percent summed over the agent's process tree
+ * @property {number|null} [rssKb] - Resident memory in KB summed over the agent's process tree
+ * @property {string|null} [sessionStartedAt] - ISO time the tmux session (or process) started
+ * @property {number} [tmuxPanes] - Number of panes in the agent's tmux session
+ */
+
+/**
+ * Process details recorded for an agent on each poll
+ * @typedef {Object} AgentProcessInfo
+ * @property {number|null} pid - PID of the agent process (or its first tmux pane)
+ * @property {number|null} cpuPercent - CPU percent summed over the process tree
+ * @property {number|null} rssKb - Resident memory in KB summed over the process tree
+ * @property {string|null} sessionStartedAt - ISO time the tmux session (or process) started
+ * @property {number} tmuxPanes - Number of panes in the tmux session (0 without one)
  */
 
 /**
@@ -62,6 +77,7 @@
  * @property {string} title - Title of completed bead
  * @property {string} completedAt - ISO timestamp of completion
  * @property {number|null} duration - Duration in milliseconds (null if unknown)
+ * @property {number} [handoffs] - Times the bead changed owner before completion
  */
 
 /**
@@ -70,6 +86,8 @@
  * @property {AgentCompletion[]} completions - Recent completions (max 50)
  * @property {number} totalCompleted - Total completion count
  * @property {number} avgDuration - Average completion duration in ms
+ * @property {number} [handoffsIn] - Beads taken over from another agent
+ * @property {number} [handoffsOut] - Beads that went on to another agent
  */
 
 // =============================================================================
@@ -110,6 +128,7 @@
  * @property {string|null} [closedAt] - Close timestamp
  * @property {string} [rig] - Rig name (added during polling)
  * @property {BeadHistoryEntry[]} [statusHistory] - Status change history
+ * @property {BeadOwner[]} [ownership] - Agents that owned the bead, oldest first
  */
 
 /**
@@ -163,6 +182,7 @@
  * Hook data from polling
  * @typedef {Object} HookData
  * @property {string} agent - Agent name
+ * @property {AgentRole} [role] - Agent role
  * @property {string} bead - Hooked bead ID
  * @property {string} title - Bead title
  * @property {string|null} molecule - Molecule ID if attached
@@ -170,6 +190,33 @@
  * @property {string|null} attachedAt - ISO timestamp when attached
  */
 
+/**
+ * One stretch of a bead on an agent's hook
+ * @typedef {Object} HookInterval
+ * @property {string} agent - Agent name
+ * @property {AgentRole|null} role - Agent role
+ * @property {string} rig - Rig key
+ * @property {string} bead - Bead ID
+ * @property {string} title - Bead title when hooked
+ * @property {string|null} molecule - Molecule ID if one was attached
+ * @property {string} attachedAt - ISO time the bead was hooked
+ * @property {string|null} detachedAt - ISO time it left the hook (null while attached)
+ * @property {'completed'|'handed_off'|'released'|'unhooked'|null} outcome - Why it left:
+ *   the bead closed, another agent took it, it went back to open, or none of these yet
+ */
+
+/**
+ * One owner in a bead's ownership chain
+ * @typedef {Object} BeadOwner
+ * @property {string} agent - Agent name
+ * @property {string|null} role - Agent role, if known
+ * @property {string} rig - Rig key
+ * @property {('hook'|'assignee')[]} via - How the ownership was seen: on the agent's hook, as the bead's assignee
+ * @property {string} since - ISO time the agent took the bead
+ * @property {string|null} until - ISO time it stopped owning it (null while it still does)
+ * @property {'completed'|'handed_off'|'released'|'unhooked'|null} outcome - Why it stopped, as for HookInterval
+ */
+
 // =============================================================================
 // Rig Types
 // =============================================================================
@@ -177,7 +224,8 @@
 /**
  * Rig object representing a Gas Town rig/project
  * @typedef {Object} Rig
- * @property {string} name - Rig name
+ * @property {string} name - Rig name (bare, without the town prefix of its key)
+ * @property {string} [town] - Town the rig belongs to
  * @property {number} polecats - Number of polecats
  * @property {number} crew - Number of crew members
  * @property {string[]} agents - List of agent names
@@ -218,6 +266,7 @@
  * @property {string} [from] - Sender
  * @property {string} [to] - Recipient
  * @property {string} [subject] - Mail subject
+ * @property {boolean} [outgoing] - Sent from the dashboard and not yet seen by the watcher
  * @property {string} timestamp - ISO timestamp
  */
 
@@ -307,17 +356,21 @@
 /**
  * Main application state shape
  * @typedef {Object} State
- * @property {Object<string, Rig>} rigs - Rigs by name
+ * @property {Object<string, {name: string, primary: boolean, remote?: boolean, connected?: boolean, stale?: boolean}>} towns - Watched towns by name; remote collector towns also carry connectivity
+ * @property {Object<string, Rig>} rigs - Rigs by key (`rig`, or `town.rig` outside the primary town)
  * @property {Object<string, Agent[]>} agents - Agents by rig name
  * @property {Object<string, Bead[]>} beads - Beads by rig name
- * @property {Object<string, Object<string, HookData>>} hooks - Hooks by rig, then agent
+ * @property {Object<string, Object<string, HookData>>} hooks - Hooks by rig, then `role/name`
+ * @property {Object<string, Object<string, import('./circuit-breaker.js').SourceHealth>>} sources - Data source freshness by rig, then operation
  * @property {MailEvent[]} mail - Recent mail (max 50)
  * @property {Event[]} events - Recent events (max 100)
  * @property {Object<string, AgentHistoryEntry[]>} agentHistory - Status history by agent key
+ * @property {Object<string, HookInterval[]>} hookHistory - Hook intervals by `rig/role/name`, newest first
+ * @property {Object<string, BeadOwner[]>} beadOwnership - Ownership chain by bead key, oldest first
  * @property {Metrics} metrics - System metrics
  * @property {Object<string, BeadHistoryEntry[]>} beadHistory - Status history by bead key
  * @property {LogEntry[]} logs - Recent log entries (max 500)
- * @property {Object<string, AgentStats>} agentStats - Performance stats by agent key
+ * @property {Object<string, AgentStats>} agentStats - Performance stats by `rig/role/name`
  */
 
 // =============================================================================
@@ -3,26 +3,41 @@ import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import logger from './logger.js';
 
+/**
+ * Glob patterns for the town files the server watches
+ * @param {string} gtDir - Town directory
+ * @returns {string[]} Patterns
+ */
+export function getWatchPatterns(gtDir) {
+  return [
+    `${gtDir}/*/.events.jsonl`,
+    `${gtDir}/*/.feed.jsonl`,
+    `${gtDir}/*/mayor/mail/**/*`,
+    `${gtDir}/*/witness/mail/**/*`,
+    `${gtDir}/*/refinery/mail/**/*`,
+    `${gtDir}/*/crew/*/mail/**/*`,
+    `${gtDir}/*/polecats/*/mail/**/*`,
+    `${gtDir}/*/.beads/issues.jsonl`
+  ];
+}
+
 export class FileWatcher {
-  constructor(state) {
+  /**
+   * @param {import('./state.js').StateManager} state - State manager
+   * @param {Object} [options] - Options
+   * @param {function(string): void} [options.onBeadsChange] - Called with the rig name when its issues.jsonl changes
+   * @param {string} [options.gtDir] - Town directory (defaults to GT_DIR)
+   */
+  constructor(state, options = {}) {
     this.state = state;
+    this.onBeadsChange = options.onBeadsChange || null;
     this.watchers = [];
-    this.gtDir = process.env.GT_DIR || `${process.env.HOME}/gt`;
+    this.gtDir = options.gtDir || process.env.GT_DIR || `${process.env.HOME}/gt`;
     this.lastEventLines = {};
   }
 
   start() {
-    // Watch the entire gt directory for relevant files
-    const patterns = [
-      `${this.gtDir}/*/.events.jsonl`,
-      `${this.gtDir}/*/.feed.jsonl`,
-      `${this.gtDir}/*/mayor/mail/**/*`,
-      `${this.gtDir}/*/witness/mail/**/*`,
-      `${this.gtDir}/*/refinery/mail/**/*`,
-      `${this.gtDir}/*/crew/*/mail/**/*`,
-      `${this.gtDir}/*/polecats/*/mail/**/*`,
-      `${this.gtDir}/*/.beads/issues.jsonl`
-    ];
+    const patterns = getWatchPatterns(this.gtDir);
 
     const watcher = chokidar.watch(patterns, {
       persistent: true,
@@ -171,8 +186,10 @@ export class FileWatcher {
   }
 
   handleBeadsFile(filePath) {
-    // Trigger a re-poll of beads when issues.jsonl changes
-    this.state.emit('update', this.state.getState());
+    // Re-read the rig's beads straight away rather than waiting for the next poll
+    if (this.onBeadsChange) {
+      this.onBeadsChange(this.extractRigName(filePath));
+    }
   }
 
   extractRigName(filePath) {
@@ -9,7 +9,27 @@
 
 import { StatusDetector, AgentStatus, getAllAgentStatus, getAllAgentStatusFlat } from './status-detector.js';
 import { createServer } from 'http';
+import { spawn } from 'child_process';
+import { existsSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
 import { POLL_INTERVAL_MS } from './constants.js';
+import {
+  SNAPSHOT_VERSION,
+  getStatePath,
+  readSnapshotFile,
+  loadSnapshotFile,
+  writeSnapshotFile,
+  listBackups,
+  restoreBackup
+} from '../server/state-snapshot.js';
+import { startRecording, startReplay } from '../server/recording.js';
+import { TownSimulator } from '../server/simulator.js';
+import { startCollector, defaultCollectorName } from '../server/collector.js';
+import { isValidTownName, parseTowns } from '../server/towns.js';
+import { config } from '../server/config.js';
+import logger from '../server/logger.js';
 
 // CLI mode when run directly
 const isMain = process.argv[1]?.endsWith('index.js') || process.argv[1]?.endsWith('gtviz');
@@ -419,6 +439,344 @@ async function listReplayJobs(options = {}) {
   }
 }
 
+/**
+ * Find the state snapshot the server uses: the primary town's, taken from
+ * --gt-dir or else from the towns setting and GT_DIR as the server does
+ * @param {Object} options - CLI options
+ * @returns {string} Snapshot path
+ */
+function resolveStatePath(options = {}) {
+  if (typeof options['gt-dir'] === 'string') {
+    return getStatePath(resolve(options['gt-dir']));
+  }
+  for (const problem of config.load()) {
+    console.error(`Config: ${problem}`);
+  }
+  const [primary] = parseTowns(config.get('towns'), process.env.GT_DIR || `${process.env.HOME}/gt`);
+  return getStatePath(primary.gtDir);
+}
+
+/**
+ * Print the available state backups
+ * @param {string} path - Snapshot path
+ */
+function printBackups(path) {
+  const backups = listBackups(path);
+  if (backups.length === 0) {
+    console.log('No backups');
+    return;
+  }
+  console.log(`\nBackups (${backups.length}):`);
+  for (const backup of backups) {
+    console.log(`  ${backup.name.padEnd(48)} ${new Date(backup.savedAt).toLocaleString()}  ${Math.round(backup.size / 1024)} KB`);
+  }
+}
+
+/**
+ * Verify the persisted state snapshot and list backups
+ * @param {string} path - Snapshot path
+ */
+function verifyState(path) {
+  console.log(`State file: ${path}`);
+
+  if (!existsSync(path)) {
+    console.log('No state file');
+    printBackups(path);
+    return;
+  }
+
+  let ok = true;
+  try {
+    const { version } = readSnapshotFile(path);
+    const { snapshot, applied, problems } = loadSnapshotFile(path);
+    console.log(`  Version: ${version}${applied.length > 0 ? ` (migrates to ${SNAPSHOT_VERSION})` : ''}`);
+    for (const step of applied) {
+      console.log(`    ${step}`);
+    }
+    console.log(`  Saved: ${snapshot.savedAt ? new Date(snapshot.savedAt).toLocaleString() : 'unknown'}`);
+    console.log(`  Rigs: ${Object.keys(snapshot.state.rigs || {}).length}, agent histories: ${Object.keys(snapshot.state.agentHistory || {}).length}, bead histories: ${Object.keys(snapshot.state.beadHistory || {}).length}`);
+
+    if (problems.length > 0) {
+      ok = false;
+      console.log('  \x1b[31m✗ Invalid\x1b[0m');
+      for (const problem of problems) {
+        console.log(`    - ${problem}`);
+      }
+    } else {
+      console.log('  \x1b[32m✓ Valid\x1b[0m');
+    }
+  } catch (err) {
+    ok = false;
+    console.log(`  \x1b[31m✗ Unreadable: ${err.message}\x1b[0m`);
+  }
+
+  printBackups(path);
+  if (!ok) {
+    console.log('\nRestore a backup with: gtviz state restore <backup>');
+    process.exit(1);
+  }
+}
+
+/**
+ * Upgrade the persisted state snapshot to the current format
+ * @param {string} path - Snapshot path
+ * @param {Object} options - Migrate options
+ * @param {boolean} [options.dryRun] - Report without writing
+ */
+function migrateState(path, options = {}) {
+  if (!existsSync(path)) {
+    console.log(`No state file at ${path}`);
+    return;
+  }
+
+  try {
+    const { snapshot, applied, problems } = loadSnapshotFile(path);
+    if (problems.length > 0) {
+      console.error(`State file is invalid: ${problems.join('; ')}`);
+      process.exit(1);
+    }
+    if (applied.length === 0) {
+      console.log(`State file is already at version ${SNAPSHOT_VERSION}`);
+      return;
+    }
+
+    for (const step of applied) {
+      console.log(`  ${step}`);
+    }
+    if (options.dryRun) {
+      console.log('Dry run: state file not modified');
+      return;
+    }
+    writeSnapshotFile(snapshot, { path });
+    console.log(`Migrated state file to version ${SNAPSHOT_VERSION} (previous version backed up)`);
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Restore a state backup over the live snapshot
+ * @param {string} path - Snapshot path
+ * @param {string} name - Backup file name
+ */
+function restoreState(path, name) {
+  if (!name) {
+    console.error('Error: No backup provided');
+    console.error('Usage: gtviz state restore <backup>');
+    printBackups(path);
+    process.exit(1);
+  }
+
+  try {
+    const { snapshot, applied } = restoreBackup(name, { path });
+    for (const step of applied) {
+      console.log(`  ${step}`);
+    }
+    console.log(`Restored ${name} (saved ${new Date(snapshot.savedAt).toLocaleString()})`);
+    console.log('Restart the gtviz server to load it; a running server overwrites the state file on shutdown.');
+  } catch (err) {
+    console.error('Restore failed:', err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Run a status command against a recorded bundle (--replay) or while
+ * recording its gt calls (--record)
+ * @param {Object} options - CLI options
+ * @param {function(): Promise<void>} fn - Command
+ */
+async function withDataSource(options, fn) {
+  // Keep session log lines out of command output
+  logger.setLevel('warn');
+  try {
+    if (options.replay) {
+      startReplay({ path: options.replay, speed: Number(options.speed) || 1 });
+    } else if (options.record) {
+      const gtDir = process.env.GT_DIR || `${process.env.HOME}/gt`;
+      const session = await startRecording({ path: options.record, gtDir, files: false });
+      try {
+        return await fn();
+      } finally {
+        await session.stop();
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to open recording: ${err.message}`);
+    process.exit(1);
+  }
+  return fn();
+}
+
+/**
+ * Run the dashboard server in a child process with data source settings
+ * @param {Object} env - Extra environment variables
+ * @returns {import('child_process').ChildProcess} Server process
+ */
+function runDashboard(env) {
+  const serverPath = fileURLToPath(new URL('../server/index.js', import.meta.url));
+  const child = spawn(process.execPath, [serverPath], {
+    stdio: 'inherit',
+    env: { ...process.env, ...env }
+  });
+  // Ctrl+C reaches the child directly; wait for its graceful shutdown
+  process.on('SIGINT', () => {});
+  process.on('SIGTERM', () => child.kill('SIGTERM'));
+  child.on('exit', code => process.exit(code ?? 0));
+  return child;
+}
+
+/**
+ * Run the dashboard server while recording every gt/bd/ps/tmux call and
+ * watched file change
+ * @param {string} bundlePath - Bundle file to create
+ * @param {Object} options - CLI options
+ */
+function recordSession(bundlePath, options = {}) {
+  if (!bundlePath) {
+    console.error('Usage: gtviz record <bundle.jsonl> [--port <port>]');
+    process.exit(1);
+  }
+  console.log(`Recording to ${bundlePath} (Ctrl+C to stop)`);
+  runDashboard({
+    GTVIZ_DATA_SOURCE_RECORD_PATH: resolve(bundlePath),
+    ...(options.port ? { PORT: String(options.port) } : {})
+  });
+}
+
+/**
+ * Run the dashboard server against a recorded bundle. File changes are
+ * replayed into a scratch town directory, never the real one.
+ * @param {string} bundlePath - Bundle file
+ * @param {Object} options - CLI options
+ */
+function playbackSession(bundlePath, options = {}) {
+  if (!bundlePath || !existsSync(bundlePath)) {
+    console.error('Usage: gtviz playback <bundle.jsonl> [--speed <n>] [--port <port>]');
+    process.exit(1);
+  }
+  const sandbox = options['gt-dir'] ? resolve(options['gt-dir']) : mkdtempSync(join(tmpdir(), 'gtviz-replay-'));
+  console.log(`Replaying ${bundlePath} into ${sandbox}`);
+  runDashboard({
+    GT_DIR: sandbox,
+    GTVIZ_DATA_SOURCE_REPLAY_PATH: resolve(bundlePath),
+    ...(options.speed ? { GTVIZ_DATA_SOURCE_REPLAY_SPEED: String(options.speed) } : {}),
+    ...(options.port ? { PORT: String(options.port) } : {})
+  });
+}
+
+/**
+ * Generate a synthetic town and keep it changing, optionally with the
+ * dashboard running against it
+ * @param {Object} options - CLI options
+ */
+function simulateTown(options = {}) {
+  const number = (value, fallback) => (value === undefined || value === true ? fallback : Number(value));
+  const rigs = typeof options.rigs === 'string' && !/^\d+$/.test(options.rigs)
+    ? options.rigs.split(',').map(r => r.trim()).filter(Boolean)
+    : number(options.rigs, 2);
+  const gtDir = options['gt-dir'] ? resolve(options['gt-dir']) : mkdtempSync(join(tmpdir(), 'gtviz-sim-'));
+
+  let simulator;
+  try {
+    simulator = new TownSimulator({
+      gtDir,
+      rigs,
+      polecats: number(options.polecats, 3),
+      crew: number(options.crew, 1),
+      tickMs: number(options.tick, 2000),
+      seed: options.seed !== undefined ? number(options.seed, 0) : undefined,
+      errorRate: number(options['error-rate'], 0.05)
+    });
+    simulator.init();
+  } catch (err) {
+    console.error(`Failed to start simulation: ${err.message}`);
+    process.exit(1);
+  }
+  simulator.start();
+
+  console.log(`Simulating ${simulator.rigs.size} rig(s) in ${simulator.gtDir} (seed ${simulator.seed})`);
+
+  let child = null;
+  if (options.serve) {
+    const env = simulator.getEnv();
+    child = runDashboard({
+      GT_DIR: env.GT_DIR,
+      PATH: env.PATH,
+      ...(options.port ? { PORT: String(options.port) } : {})
+    });
+  } else {
+    console.log('Run the dashboard against it with:');
+    console.log(`  GT_DIR=${simulator.gtDir} PATH=${simulator.binDir}:$PATH npm start`);
+    simulator.on('tick', stats => {
+      if (stats.tick % 10 === 0) {
+        const { beads, agents } = stats;
+        console.log(`tick ${stats.tick}: ${beads.open} open, ${beads.hooked + beads.in_progress} in progress, ${beads.closed} closed; ` +
+          `${agents.working} working, ${agents.stopped} stopped${stats.outage ? '; gt outage' : ''}`);
+      }
+    });
+    process.on('SIGINT', () => {
+      simulator.stop();
+      process.exit(0);
+    });
+  }
+
+  if (options.duration) {
+    setTimeout(() => {
+      simulator.stop();
+      if (child) {
+        child.kill('SIGTERM');
+      } else {
+        process.exit(0);
+      }
+    }, number(options.duration, 60) * 1000);
+  }
+}
+
+/**
+ * Poll the local town and push it to a central gtviz server
+ * @param {Object} options - CLI options
+ */
+function collectTown(options = {}) {
+  const configProblems = config.load();
+  for (const problem of configProblems) {
+    console.error(`Config: ${problem}`);
+  }
+  const url = options.push;
+  const token = typeof options.token === 'string' ? options.token : config.get('ingest.token');
+  const name = typeof options.name === 'string' ? options.name : defaultCollectorName();
+  if (typeof url !== 'string') {
+    console.error('Usage: gtviz collect --push <url> [--name <town>] [--token <token>]');
+    process.exit(1);
+  }
+  if (!token) {
+    console.error('No ingest token: pass --token or set GTVIZ_INGEST_TOKEN');
+    process.exit(1);
+  }
+  if (!isValidTownName(name)) {
+    console.error(`Invalid town name "${name}" (letters, digits, _ and - only)`);
+    process.exit(1);
+  }
+
+  const gtDir = options['gt-dir'] ? resolve(options['gt-dir']) : process.env.GT_DIR || `${process.env.HOME}/gt`;
+  let collector;
+  try {
+    collector = startCollector({ url, token, name, gtDir });
+  } catch (err) {
+    console.error(`Failed to start collector: ${err.message}`);
+    process.exit(1);
+  }
+  console.log(`Collecting ${gtDir} as town "${name}", pushing to ${collector.agent.url.split('?')[0]}`);
+
+  const stop = () => {
+    collector.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
 /**
  * Parse CLI arguments for options
  * @param {string[]} args - Command line arguments
@@ -464,7 +822,7 @@ if (isMain) {
   switch (command) {
     case 'watch':
     case '-w':
-      watchStatus();
+      withDataSource({ replay: options.replay, speed: options.speed }, watchStatus);
       break;
 
     case 'serve':
@@ -476,7 +834,23 @@ if (isMain) {
 
     case 'json':
     case '-j':
-      jsonStatus();
+      withDataSource(options, jsonStatus);
+      break;
+
+    case 'record':
+      recordSession(positional[0], options);
+      break;
+
+    case 'playback':
+      playbackSession(positional[0], options);
+      break;
+
+    case 'simulate':
+      simulateTown(options);
+      break;
+
+    case 'collect':
+      collectTown(options);
       break;
 
     case 'tasks':
@@ -521,6 +895,25 @@ if (isMain) {
       });
       break;
 
+    case 'state': {
+      const statePath = resolveStatePath(options);
+      switch (positional[0]) {
+        case 'verify':
+          verifyState(statePath);
+          break;
+        case 'migrate':
+          migrateState(statePath, { dryRun: options['dry-run'] });
+          break;
+        case 'restore':
+          restoreState(statePath, positional[1]);
+          break;
+        default:
+          console.error('Usage: gtviz state verify|migrate|restore <backup>');
+          process.exit(1);
+      }
+      break;
+    }
+
     case 'help':
     case '-h':
     case '--help':
@@ -532,6 +925,37 @@ Usage:
   gtviz watch             Watch for status changes in real-time
   gtviz serve [port]      Start HTTP server (default port 3847)
   gtviz json              Output status as JSON
+    --replay <bundle>     Answer gt calls from a recording (also for watch)
+    --speed <n>           Playback speed for --replay
+    --record <bundle>     Record gt calls made while collecting status
+
+Recording & Playback:
+  gtviz record <bundle>   Run the dashboard, recording gt/bd/ps/tmux calls
+    --port <port>         and watched file changes to the bundle
+  gtviz playback <bundle> Run the dashboard against a recording
+    --speed <n>           Playback speed multiplier (default 1)
+    --port <port>         Server port
+    --gt-dir <dir>        Scratch town directory for replayed files
+
+Simulation:
+  gtviz simulate          Generate a synthetic town with stub gt/bd/tmux
+    --rigs <n|a,b>        Rig count or comma-separated names (default 2)
+    --polecats <n>        Polecats per rig (default 3)
+    --crew <n>            Crew per rig (default 1)
+    --tick <ms>           Time between simulation steps (default 2000)
+    --seed <n>            Random seed for a reproducible run
+    --error-rate <p>      Chance a polecat's work fails each step (default 0.05)
+    --duration <s>        Stop after this many seconds
+    --serve               Also run the dashboard against the simulation
+    --port <port>         Dashboard port with --serve
+    --gt-dir <dir>        Town directory (default: a new temp directory)
+
+Remote Collection:
+  gtviz collect --push <url>   Poll this machine's town and stream it to a
+                               central gtviz server
+    --name <town>         Town name on the server (default: hostname)
+    --token <token>       Ingest token (default: GTVIZ_INGEST_TOKEN)
+    --gt-dir <dir>        Town directory (default: GT_DIR)
 
 Task Export & Replay:
   gtviz tasks             List completed tasks
@@ -557,6 +981,13 @@ Task Export & Replay:
     --status <status>     Filter by status
     --limit, -l <n>       Limit results
 
+State Persistence:
+  gtviz state verify           Check the saved state file and list backups
+  gtviz state migrate          Upgrade the state file to the current format
+    --dry-run             Show migration steps without writing
+  gtviz state restore <backup> Restore a backup (stop the server first)
+    --gt-dir <dir>        Town directory (default: the primary town)
+
 Status Legend:
   ● running (green)  - Agent is actively working
   ○ idle (blue)      - Agent session running, no work
@@ -565,7 +996,7 @@ Status Legend:
       break;
 
     default:
-      printStatus();
+      withDataSource(options, printStatus);
   }
 }
 
@@ -5,7 +5,7 @@
  * Status values: running, idle, stopped
  */
 
-import { execFileSync } from 'child_process';
+import { execFileSync } from '../server/data-source.js';
 import { POLL_INTERVAL_MS, COMMAND_TIMEOUT_MS, EXEC_TIMEOUT_MS } from './constants.js';
 
 /**